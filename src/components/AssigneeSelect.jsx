@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { canAssign, canReply } from '../services/workspaceService';
+import {
+  assignConversation,
+  selectCurrentWorkspaceId,
+  selectWorkspaceRole,
+  selectWorkspaceMembers,
+  selectAssignment
+} from '../store/slices/workspaceSlice';
+
+/**
+ * Who in the open workspace a conversation is assigned to. Viewers see it
+ * read-only; nothing renders in the personal inbox.
+ */
+const AssigneeSelect = ({ platform, contactId }) => {
+  const dispatch = useDispatch();
+  const workspaceId = useSelector(selectCurrentWorkspaceId);
+  const role = useSelector(selectWorkspaceRole);
+  const members = useSelector(selectWorkspaceMembers);
+  const assignment = useSelector(state => selectAssignment(state, platform, contactId));
+  const userId = useSelector(state => state.auth.session?.user?.id);
+  const [saving, setSaving] = useState(false);
+
+  if (!workspaceId) return null;
+
+  const handleChange = async (assigneeId) => {
+    setSaving(true);
+    try {
+      await dispatch(assignConversation({
+        workspaceId,
+        platform,
+        contactId: String(contactId),
+        assigneeId: assigneeId || null
+      })).unwrap();
+    } catch (err) {
+      toast.error(err || 'Failed to assign conversation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Viewers can't reply, so conversations only go to owners and agents
+  const assignable = members.filter(member => canReply(member.role));
+  const assigneeId = assignment?.assigneeId || '';
+  const isKnownMember = !assigneeId || assignable.some(member => member.userId === assigneeId);
+
+  return (
+    <select
+      value={assigneeId}
+      onChange={(e) => handleChange(e.target.value)}
+      disabled={!canAssign(role) || saving}
+      title={canAssign(role) ? 'Assign this conversation' : 'Viewers cannot assign conversations'}
+      className="bg-[#1e2132] text-sm text-gray-300 rounded-md border border-gray-700 px-2 py-1 cursor-pointer hover:bg-[#252a3f] focus:outline-none focus:ring-1 focus:ring-[#1e6853] disabled:opacity-60 disabled:cursor-default"
+    >
+      <option value="">Unassigned</option>
+      {!isKnownMember && <option value={assigneeId}>Assigned to a teammate</option>}
+      {assignable.map(member => (
+        <option key={member.userId} value={member.userId}>
+          {member.userId === userId ? `${member.displayName} (you)` : member.displayName}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+AssigneeSelect.propTypes = {
+  platform: PropTypes.string.isRequired,
+  contactId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired
+};
+
+export default AssigneeSelect;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
 import { useSocketConnection } from '../hooks/useSocketConnection';
-import { FiVideo, FiPhone, FiSearch, FiFile, FiWifi, FiWifiOff, FiMoreVertical, FiX, FiFileText } from 'react-icons/fi';
+import { FiVideo, FiPhone, FiSearch, FiFile, FiWifi, FiWifiOff, FiMoreVertical, FiFileText, FiClock, FiUser } from 'react-icons/fi';
 import api from '../utils/api';
 import { toast } from 'react-hot-toast';
 import { useSelector, useDispatch } from 'react-redux';
@@ -13,13 +14,20 @@ import { ErrorBoundary } from 'react-error-boundary';
 import { useSocket } from '../hooks/useSocket';
 import LoadingSpinner from './LoadingSpinner';
 import MessageItem from './MessageItem';
+import MessageComposer from './MessageComposer';
+import MessageTimeline from './MessageTimeline';
+import MediaLightbox from './MediaLightbox';
+import SummaryHistoryModal from './SummaryHistoryModal';
+import CustomerDetails from './CustomerDetails';
+import AssigneeSelect from './AssigneeSelect';
 import { messageService } from '../services/messageService';
+import { describeAttachment } from '../utils/matrixMedia';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from '../hooks/useSocketSubscription';
 import {
   fetchMessages,
-  sendMessage,
   markMessagesAsRead,
   clearMessages,
-  addToMessageQueue,
   updateMessageStatus,
   selectMessages,
   selectMessageLoading,
@@ -33,9 +41,32 @@ import {
   selectLastKnownMessageId,
   selectNewMessagesError,
   refreshMessages,
-  selectRefreshing
+  selectRefreshing,
+  loadOutbox,
+  queueMessage,
+  sendQueuedMessage,
+  replayOutbox,
+  cancelQueuedMessage,
+  fetchMessageContext,
+  editMessage,
+  redactMessage,
+  toggleReaction,
+  messageEdited,
+  messageRedacted,
+  reactionUpdated
 } from '../store/slices/messageSlice';
+import { OUTBOX_STATUS } from '../services/outboxService';
 import { updateContactMembership, updateContactPriority } from '../store/slices/contactSlice';
+import {
+  selectPriorityMatch,
+  manualPriorityReleased,
+  applyPriorityRules
+} from '../store/slices/priorityRulesSlice';
+import { describeMatch } from '../utils/priorityRules';
+import { buildTemplateContext } from '../utils/templateVariables';
+import { generateSummary } from '../store/slices/summarySlice';
+import { selectCurrentWorkspaceId, selectWorkspaceRole } from '../store/slices/workspaceSlice';
+import { canReply, getInboxRooms } from '../services/workspaceService';
 
 // Import environment variables
 const API_URL = import.meta.env.VITE_API_URL;
@@ -166,6 +197,9 @@ const CONNECTION_STATUS = {
   CONNECTING: 'connecting'
 };
 
+// Messages fetched per page when loading older history
+const PAGE_SIZE = 50;
+
 // Add new loading state constant
 const LOADING_STATES = {
   IDLE: 'idle',
@@ -209,12 +243,17 @@ const LoadingChatView = ({ details }) => (
   </div>
 );
 
-const ChatView = ({ selectedContact, onContactUpdate }) => {
+const ChatView = ({ selectedContact, onContactUpdate, onSearchOpen, jumpTarget, onJumpComplete }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const currentUser = useSelector(state => state.auth.session?.user);
   const { socket, isConnected } = useSocketConnection('whatsapp');
   const isRefreshing = useSelector(selectRefreshing);
+  const priorityMatch = useSelector(state => selectPriorityMatch(state, selectedContact?.id));
+  const templateContext = useMemo(
+    () => buildTemplateContext({ contact: selectedContact, user: currentUser }),
+    [selectedContact, currentUser]
+  );
 
   // Redux message selectors
   const messagesState = useSelector(state => state.messages);
@@ -248,8 +287,14 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   const [isInitialized, setIsInitialized] = useState(false);
   const [socketReady, setSocketReady] = useState(false);
   const [showSummaryModal, setShowSummaryModal] = useState(false);
-  const [summaryData, setSummaryData] = useState(null);
+  const closeSummaryModal = useCallback(() => setShowSummaryModal(false), []);
   const [loadingState, setLoadingState] = useState(LOADING_STATES.IDLE);
+  const [showProfile, setShowProfile] = useState(false);
+  const workspaceRole = useSelector(selectWorkspaceRole);
+  const workspaceId = useSelector(selectCurrentWorkspaceId);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
   const [syncState, setSyncState] = useState({
     state: SYNC_STATES.IDLE,
     progress: 0,
@@ -261,8 +306,8 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   // Refs
   const syncAbortController = useRef(null);
   const lastSyncRequest = useRef(null);
-  const messagesEndRef = useRef(null);
-  const messagesContainerRef = useRef(null);
+  const timelineRef = useRef(null);
+  const hasConnectedRef = useRef(false);
   const messageCache = useRef(new Map());
   const isMounted = useRef(true);
   const batchProcessorRef = useRef(null);
@@ -271,37 +316,124 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
   const syncTimeoutRef = useRef(null);
 
   // Constants
-  const PAGE_SIZE = 50;
   const MAX_RETRIES = 3;
   const RETRY_COOLDOWN = 5000;
 
   // Callbacks
   const scrollToBottom = useCallback(() => {
-    if (messagesEndRef.current) {
-      messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
-    }
+    timelineRef.current?.scrollToLatest();
   }, []);
 
-  const handleMessageSend = useCallback(async (content) => {
+  const handleMessageSend = useCallback(async (content, attachment = null) => {
     if (!selectedContact?.id) return;
 
-    const message = { content };
-    
+    const message = attachment ? { content, attachment } : { content };
+    if (replyingTo) {
+      message.reply_to = replyingTo;
+      setReplyingTo(null);
+    }
+
+    // Every message goes through the outbox first so nothing is lost if the
+    // tab closes or the connection drops mid-send
+    let entry;
+    try {
+      entry = await dispatch(queueMessage({ contactId: selectedContact.id, message })).unwrap();
+    } catch (error) {
+      logger.error('[ChatView] Error queueing message:', error);
+      toast.error('Failed to send message');
+      return;
+    }
+
     if (!socketReady) {
-      dispatch(addToMessageQueue(message));
       toast.success('Message queued for delivery');
       return;
     }
 
     try {
-      await dispatch(sendMessage({ contactId: selectedContact.id, message })).unwrap();
+      await dispatch(sendQueuedMessage(entry.tempId)).unwrap();
       scrollToBottom();
-      } catch (error) {
+    } catch (error) {
       logger.error('[ChatView] Error sending message:', error);
-      dispatch(addToMessageQueue(message));
       toast.error('Failed to send message, queued for retry');
     }
-  }, [dispatch, selectedContact?.id, socketReady, scrollToBottom]);
+  }, [dispatch, selectedContact?.id, socketReady, scrollToBottom, replyingTo]);
+
+  const handleReply = useCallback((message) => {
+    const isOwnMessage = message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id;
+    setReplyingTo({
+      message_id: message.message_id || message.id,
+      sender_name: isOwnMessage ? 'You' : message.sender_name || 'Contact',
+      body: message.content || message.media?.filename || ''
+    });
+  }, [currentUser?.id]);
+
+  const handleReact = useCallback((message, key) => {
+    dispatch(toggleReaction({
+      contactId: selectedContact.id,
+      messageId: message.message_id || message.id,
+      key
+    }))
+      .unwrap()
+      .catch(error => {
+        logger.error('[ChatView] Error updating reaction:', error);
+        toast.error('Failed to update reaction');
+      });
+  }, [dispatch, selectedContact?.id]);
+
+  const handleEdit = useCallback(async (message, content) => {
+    try {
+      await dispatch(editMessage({
+        contactId: selectedContact.id,
+        messageId: message.message_id || message.id,
+        content
+      })).unwrap();
+      return true;
+    } catch (error) {
+      logger.error('[ChatView] Error editing message:', error);
+      toast.error('Failed to edit message');
+      return false;
+    }
+  }, [dispatch, selectedContact?.id]);
+
+  const handleDelete = useCallback((message) => {
+    dispatch(redactMessage({
+      contactId: selectedContact.id,
+      messageId: message.message_id || message.id
+    }))
+      .unwrap()
+      .catch(error => {
+        logger.error('[ChatView] Error deleting message:', error);
+        toast.error('Failed to delete message');
+      });
+  }, [dispatch, selectedContact?.id]);
+
+  // Jump to the quoted message, loading its surroundings if it isn't in view
+  const handleQuoteClick = useCallback((messageId) => {
+    const isLoaded = messages.some(msg => msg.message_id === messageId || msg.id === messageId);
+    if (isLoaded) {
+      setHighlightedMessageId(messageId);
+      return;
+    }
+
+    dispatch(fetchMessageContext({ contactId: selectedContact.id, messageId }))
+      .unwrap()
+      .then(() => {
+        setHasNewerMessages(true);
+        setHighlightedMessageId(messageId);
+      })
+      .catch(error => {
+        logger.error('[ChatView] Failed to load quoted message:', error);
+        toast.error('The original message is no longer available');
+      });
+  }, [dispatch, messages, selectedContact?.id]);
+
+  const handleRetryQueued = useCallback((tempId) => {
+    dispatch(sendQueuedMessage(tempId));
+  }, [dispatch]);
+
+  const handleCancelQueued = useCallback((tempId) => {
+    dispatch(cancelQueuedMessage(tempId));
+  }, [dispatch]);
 
   const handleMarkAsRead = useCallback(
     debounce((messageIds) => {
@@ -328,20 +460,9 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
           contactId: selectedContact.id,
         messageCount: messages.length
       });
-      
-      const response = await api.get(`/api/analysis/summary/${selectedContact.id}`);
 
-      if (!response.data?.summary) {
-        toast.success('summary: ', response?.data);
-        return;
-    }
-
-      logger.info('[ChatView] Summary received:', {
-      contactId: selectedContact.id,
-        summary: response.data
-      });
-      
-      setSummaryData(response.data);
+      // Stored with the contact's earlier summaries; the history opens on it
+      await dispatch(generateSummary(selectedContact)).unwrap();
       setShowSummaryModal(true);
 
     } catch (error) {
@@ -413,6 +534,97 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     };
   }, []);
 
+  // Load the messages around a search hit once the chat has finished loading
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.contactId !== selectedContact?.id) return;
+    if (loadingState !== LOADING_STATES.COMPLETE) return;
+
+    const { contactId, messageId } = jumpTarget;
+    dispatch(fetchMessageContext({ contactId, messageId }))
+      .unwrap()
+      .catch(error => {
+        logger.error('[ChatView] Failed to load search context:', error);
+        toast.error('Could not load the surrounding messages');
+      })
+      .finally(() => {
+        // The context may sit before the live end of the chat
+        setHasNewerMessages(true);
+        setHighlightedMessageId(messageId);
+        if (typeof onJumpComplete === 'function') {
+          onJumpComplete();
+        }
+      });
+  }, [dispatch, jumpTarget, selectedContact?.id, loadingState, onJumpComplete]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  // A pending reply never carries over to another conversation
+  useEffect(() => {
+    setReplyingTo(null);
+  }, [selectedContact?.id]);
+
+  const handleLoadOlder = useCallback(async () => {
+    if (!selectedContact?.id || !hasMoreMessages || loading) return;
+    await dispatch(fetchMessages({
+      contactId: selectedContact.id,
+      page: currentPage + 1,
+      limit: PAGE_SIZE
+    }));
+  }, [dispatch, selectedContact?.id, hasMoreMessages, loading, currentPage]);
+
+  const handleLoadNewer = useCallback(async () => {
+    const lastMessage = messages[messages.length - 1];
+    const lastEventId = lastMessage?.message_id || lastMessage?.id;
+    if (!selectedContact?.id || !lastEventId) {
+      setHasNewerMessages(false);
+      return;
+    }
+
+    try {
+      await dispatch(fetchNewMessages({
+        contactId: selectedContact.id,
+        lastEventId: String(lastEventId)
+      })).unwrap();
+    } catch (error) {
+      logger.error('[ChatView] Failed to load newer messages:', error);
+    } finally {
+      // The new-messages endpoint returns everything up to now in one go
+      setHasNewerMessages(false);
+    }
+  }, [dispatch, selectedContact?.id, messages]);
+
+  // Restore the outbox left over from a previous session
+  useEffect(() => {
+    dispatch(loadOutbox());
+  }, [dispatch]);
+
+  // Drain the outbox whenever the socket (re)connects
+  useEffect(() => {
+    if (!socketReady) return;
+
+    // Anything sent while we were offline has to be fetched from the bottom
+    if (hasConnectedRef.current) {
+      setHasNewerMessages(true);
+    }
+    hasConnectedRef.current = true;
+
+    dispatch(replayOutbox())
+      .unwrap()
+      .then(({ sent }) => {
+        if (sent > 0) {
+          toast.success(`${sent} queued message${sent > 1 ? 's' : ''} sent`);
+        }
+      })
+      .catch(error => {
+        logger.error('[ChatView] Outbox replay failed:', error);
+      });
+  }, [dispatch, socketReady]);
+
   useEffect(() => {
     if (!selectedContact?.id) return;
 
@@ -503,6 +715,7 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
 
   // Show loading immediately when contact changes
   useEffect(() => {
+    setHasNewerMessages(false);
     if (selectedContact?.id) {
       setLoadingState(LOADING_STATES.CONNECTING);
       setSyncState(prev => ({
@@ -522,147 +735,117 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     }
   }, [selectedContact?.id]);
 
-  // Update socket event handlers
+  // Message ids already taken from the socket for the open contact
+  const processedMessageIdsRef = useRef(new Set());
+
   useEffect(() => {
-    if (!socket || !selectedContact?.id) return;
+    processedMessageIdsRef.current = new Set();
+  }, [selectedContact?.id]);
 
-    const handleContactUpdate = (data) => {
-      if (data.contactId === selectedContact.id) {
-        logger.info('[ChatView] Received contact update:', data);
-        // Update contact in parent component
-        onContactUpdate(data.contact);
-      }
-    };
+  const handleContactUpdate = (data) => {
+    if (data.contactId === selectedContact.id) {
+      logger.info('[ChatView] Received contact update:', data);
+      // Update contact in parent component
+      onContactUpdate(data.contact);
+    }
+  };
 
-    const handleMembershipUpdate = (data) => {
-      if (data.contactId === selectedContact.id) {
-        logger.info('[ChatView] Received membership update:', data);
-        // Update contact in parent component with new membership
-        onContactUpdate({
-          ...selectedContact,
-          // metadata: {
-          //   ...selectedContact.metadata,
-          //   membership: data.membership
-          // }
-          membership: data.membership
-        });
-      }
-    };
+  const handleMembershipUpdate = (data) => {
+    if (data.contactId === selectedContact.id) {
+      logger.info('[ChatView] Received membership update:', data);
+      // Update contact in parent component with new membership
+      onContactUpdate({
+        ...selectedContact,
+        membership: data.membership
+      });
+    }
+  };
 
-    socket.on('whatsapp:contact:update', handleContactUpdate);
-    socket.on('whatsapp:membership:update', handleMembershipUpdate);
+  const handleNewMessage = (payload) => {
+    if (payload.contactId !== selectedContact.id) return;
 
-    return () => {
-      socket.off('whatsapp:contact:update', handleContactUpdate);
-      socket.off('whatsapp:membership:update', handleMembershipUpdate);
-    };
-  }, [socket, selectedContact?.id, onContactUpdate]);
+    const messageId = payload.message.message_id || payload.message.id;
+    const normalized = messageService.normalizeMessage(payload.message);
 
-  // Socket event handlers
-  useEffect(() => {
-    if (!socket || !selectedContact?.id || !currentUser?.id) {
-      logger.info('[ChatView] Socket or contact not ready:', {
-        hasSocket: !!socket,
-        socketId: socket?.id,
-        contactId: selectedContact?.id,
-        userId: currentUser?.id,
-        connected: socket?.connected
+    // Check against both Redux state and ids this view already took
+    const isDuplicate = messages.some(m =>
+      m.id === normalized.id ||
+      m.message_id === normalized.message_id ||
+      m.content_hash === normalized.content_hash
+    );
+
+    if (isDuplicate || processedMessageIdsRef.current.has(normalized.id)) {
+      logger.info('[ChatView] Skipping duplicate message:', {
+        messageId,
+        timestamp: payload.message.timestamp
       });
       return;
     }
 
-    logger.info('[ChatView] Setting up socket event handlers:', {
-      contactId: selectedContact.id,
-      socketConnected: socket.connected,
-      socketId: socket.id,
-      rooms: socket.rooms,
-      namespace: socket.nsp
+    processedMessageIdsRef.current.add(normalized.id);
+    logger.info('[ChatView] Processing new message:', {
+      messageId,
+      timestamp: payload.message.timestamp
     });
 
-    // Track processed message IDs to prevent duplicates
-    const processedMessageIds = new Set();
-
-    const handleNewMessage = (payload) => {
-      logger.info('[ChatView] Received socket message:', {
-        payload,
-        selectedContactId: selectedContact.id,
-        matches: payload.contactId === selectedContact.id,
-        socketId: socket.id,
-        rooms: socket.rooms
-      });
+    dispatch({
+      type: 'messages/messageReceived',
+      payload: {
+        contactId: selectedContact.id,
+        message: normalized
+      }
+    });
+    scrollToBottom();
+  };
 
-      if (payload.contactId === selectedContact.id) {
-        const messageId = payload.message.message_id || payload.message.id;
-        const normalized = messageService.normalizeMessage(payload.message);
+  const handleMessageUpdate = (updatedMessage) => {
+    if (updatedMessage.contactId !== selectedContact.id) return;
 
-         // Check against both Redux state and local processed IDs
-        const isDuplicate = messages.some(m => 
-          m.id === normalized.id ||
-          m.message_id === normalized.message_id ||
-          m.content_hash === normalized.content_hash
-        );
-        
-        // Check if we've already processed this message
-        if (!isDuplicate && !processedMessageIds.has(normalized.id)) {
-          processedMessageIds.add(normalized.id);
-          
-          logger.info('[ChatView] Processing new message:', {
-            messageId: messageId,
-            content: payload.message.content,
-            timestamp: payload.message.timestamp
-          });
+    logger.info('[ChatView] Message updated:', updatedMessage);
+    const contactId = selectedContact.id;
+    const messageId = updatedMessage.id;
 
-          // Add the new message to Redux
-          dispatch({
-            type: 'messages/messageReceived',
-            payload: {
-              contactId: selectedContact.id,
-              message: normalized || payload.message 
-            }
-          });
-      scrollToBottom();
-        } else {
-          logger.info('[ChatView] Skipping duplicate message:', {
-            messageId,
-            timestamp: payload.message.timestamp
-          });
-        }
-    }
-    };
-
-    const handleMessageUpdate = (updatedMessage) => {
-      if (updatedMessage.contactId === selectedContact.id) {
-        logger.info('[ChatView] Message updated:', updatedMessage);
+    switch (updatedMessage.type) {
+      case 'edit':
+        dispatch(messageEdited({
+          contactId,
+          messageId,
+          content: updatedMessage.content,
+          editedAt: updatedMessage.editedAt
+        }));
+        break;
+      case 'redaction':
+        dispatch(messageRedacted({ contactId, messageId }));
+        break;
+      case 'reaction':
+        dispatch(reactionUpdated({
+          contactId,
+          messageId,
+          key: updatedMessage.key,
+          senderId: updatedMessage.senderId,
+          added: updatedMessage.action !== 'remove'
+        }));
+        break;
+      default:
         dispatch(updateMessageStatus({
-          contactId: selectedContact.id,
-          messageId: updatedMessage.id,
+          contactId,
+          messageId,
           status: updatedMessage.status
         }));
-      }
-    };
-
-    // First authenticate
-    socket.emit('authenticate', { userId: currentUser.id });
-
-    // Then join user's room
-    const userRoom = `user:${currentUser.id}`;
-    socket.emit('join:room', userRoom);
-
-    // Remove any existing listeners first
-    socket.off('whatsapp:message');
-    socket.off('whatsapp:message:update');
-    socket.off('room:joined');
-    socket.off('room:error');
-
-    // Add new listeners
-    socket.on('whatsapp:message', handleNewMessage);
-    socket.on('whatsapp:message:update', handleMessageUpdate);
+    }
+  };
 
-    return () => {
-      socket.off('whatsapp:message:new', handleNewMessage);
-      socket.off('whatsapp:message:update', handleMessageUpdate);
-    };
-  }, [socket, selectedContact?.id, dispatch, currentPage, scrollToBottom]);
+  // Messages arrive in the user's own room, or the open workspace's, joined
+  // while a contact is open
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_MESSAGE]: handleNewMessage,
+    [SocketEvents.WHATSAPP_MESSAGE_UPDATE]: handleMessageUpdate,
+    [SocketEvents.WHATSAPP_CONTACT_UPDATE]: handleContactUpdate,
+    [SocketEvents.WHATSAPP_MEMBERSHIP_UPDATE]: handleMembershipUpdate
+  }, {
+    rooms: getInboxRooms(currentUser?.id, workspaceId),
+    enabled: Boolean(selectedContact?.id && currentUser?.id)
+  });
 
   // Socket connection effect
   useEffect(() => {
@@ -694,14 +877,14 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
       setSocketReady(false);
     };
 
-    socket.on('connect', handleConnect);
-    socket.on('disconnect', handleDisconnect);
-    socket.on('connecting', handleConnecting);
+    socket.on(SocketEvents.CONNECT, handleConnect);
+    socket.on(SocketEvents.DISCONNECT, handleDisconnect);
+    socket.on(SocketEvents.CONNECTING, handleConnecting);
 
     return () => {
-      socket.off('connect', handleConnect);
-      socket.off('disconnect', handleDisconnect);
-      socket.off('connecting', handleConnecting);
+      socket.off(SocketEvents.CONNECT, handleConnect);
+      socket.off(SocketEvents.DISCONNECT, handleDisconnect);
+      socket.off(SocketEvents.CONNECTING, handleConnecting);
     };
   }, [socket]);
 
@@ -794,18 +977,85 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
       return <div className="text-red-500 text-center">{error || 'Failed to load messages'}</div>;
     }
 
-    if (!messages.length) {
-      return <div className="text-gray-400 text-center">No messages yet</div>;
+    // Messages still in the outbox are shown after the delivered ones
+    const pendingMessages = messageQueue
+      .filter(entry => entry.contactId === selectedContact?.id)
+      .map(entry => ({
+        ...entry.message,
+        id: entry.tempId,
+        tempId: entry.tempId,
+        sender_id: currentUser?.id,
+        status: entry.status,
+        lastError: entry.lastError,
+        timestamp: entry.createdAt,
+        media: entry.message.attachment ? describeAttachment(entry.message.attachment) : null
+      }));
+
+    if (!messages.length && !pendingMessages.length) {
+      return <div className="text-gray-400 text-center p-4">No messages yet</div>;
     }
 
-      return messages.map((message) => (
-        <MessageItem 
-        key={`${message.id}_${message.message_id}_${message.timestamp}`}
-          message={message}
-          currentUser={currentUser}
-        />
-      ));
-  }, [loadingState, messages, error, currentUser]);
+    const timelineItems = [
+      ...messages.map((message) => ({
+        key: `${message.id}_${message.message_id}_${message.timestamp}`,
+        message
+      })),
+      ...pendingMessages.map((message) => ({
+        key: message.tempId,
+        message,
+        pending: true
+      }))
+    ];
+
+    const messagesById = new Map();
+    messages.forEach(message => {
+      messagesById.set(message.id, message);
+      if (message.message_id) messagesById.set(message.message_id, message);
+    });
+
+    const highlightedItem = highlightedMessageId && timelineItems.find(({ message }) =>
+      message.message_id === highlightedMessageId || message.id === highlightedMessageId
+    );
+
+    return (
+      <MessageTimeline
+        key={selectedContact?.id}
+        ref={timelineRef}
+        items={timelineItems}
+        hasOlder={hasMoreMessages}
+        hasNewer={hasNewerMessages}
+        onLoadOlder={handleLoadOlder}
+        onLoadNewer={handleLoadNewer}
+        focusKey={highlightedItem?.key}
+        renderItem={({ message, pending, key }) => (
+          <MessageItem
+            message={message}
+            currentUser={currentUser}
+            isHighlighted={key === highlightedItem?.key}
+            onMediaPreview={setPreviewMedia}
+            onRetry={pending ? handleRetryQueued : undefined}
+            onCancel={pending ? handleCancelQueued : undefined}
+            quotedMessage={message.reply_to ? messagesById.get(message.reply_to.message_id) : undefined}
+            onQuoteClick={handleQuoteClick}
+            onReply={handleReply}
+            onReact={handleReact}
+            onEdit={handleEdit}
+            onDelete={handleDelete}
+          />
+        )}
+      />
+    );
+  }, [loadingState, messages, messageQueue, selectedContact?.id, error, currentUser, handleRetryQueued, handleCancelQueued,
+    highlightedMessageId, hasMoreMessages, hasNewerMessages, handleLoadOlder, handleLoadNewer,
+    handleQuoteClick, handleReply, handleReact, handleEdit, handleDelete]);
+
+  const queuedCount = messageQueue.filter(entry => entry.status !== OUTBOX_STATUS.SENT).length;
+
+  const handleUseRules = () => {
+    if (!selectedContact) return;
+    dispatch(manualPriorityReleased(selectedContact.id));
+    dispatch(applyPriorityRules({ contactId: selectedContact.id }));
+  };
 
   const handlePriorityChange = (priority) => {
     if (!selectedContact) return;
@@ -816,7 +1066,8 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
     // Dispatch priority update to Redux
     dispatch(updateContactPriority({ 
       contactId: selectedContact.id, 
-      priority 
+      priority,
+      source: 'manual'
     }));
 
     // Update parent component if callback exists
@@ -888,7 +1139,8 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
               {renderConnectionStatus()}
               <div className="relative inline-block text-left ml-2">
                 <select
-                  value={priority || selectedContact.metadata?.priority || 'medium'}
+                  value={(priorityMatch && !priorityMatch.manual ? priorityMatch.priority : priority) || selectedContact.metadata?.priority || 'medium'}
+                  title={describeMatch(priorityMatch) || undefined}
                   onChange={(e) => handlePriorityChange(e.target.value)}
                   className="bg-[#1e2132] text-sm rounded-md border border-gray-700 px-2 py-1 appearance-none cursor-pointer hover:bg-[#252a3f] focus:outline-none focus:ring-1 focus:ring-[#1e6853]"
                   style={{
@@ -904,15 +1156,41 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
                   <option value="high" className="text-red-500 bg-[#1e2132]">High Priority</option>
                 </select>
               </div>
+              <AssigneeSelect platform="whatsapp" contactId={selectedContact.id} />
+              {priorityMatch && (
+                <div className="flex items-center gap-2 text-xs text-gray-400 max-w-xs">
+                  <span className="truncate" title={describeMatch(priorityMatch)}>
+                    {priorityMatch.manual ? 'Set manually' : `Rule: ${priorityMatch.ruleName}`}
+                  </span>
+                  {priorityMatch.manual && (
+                    <button
+                      onClick={handleUseRules}
+                      className="w-auto text-[#7aa2f7] hover:underline whitespace-nowrap"
+                    >
+                      Use rules
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         </div>
         <div className="flex items-center space-x-4">
-          {connectionStatus !== 'connected' && messageQueue.length > 0 && (
+          {queuedCount > 0 && (
             <div className="text-sm text-yellow-500">
-              {messageQueue.length} message{messageQueue.length > 1 ? 's' : ''} queued
+              {queuedCount} message{queuedCount > 1 ? 's' : ''} queued
             </div>
           )}
+          {onSearchOpen && (
+            <button
+              onClick={onSearchOpen}
+              className="p-2 text-gray-400 hover:text-white transition-colors flex gap-3 items-center justify-between"
+              title="Search all messages"
+            >
+              <FiSearch className="w-5 h-5" />
+              <p>Search</p>
+            </button>
+          )}
           <button
             onClick={handleRefresh}
             disabled={isRefreshing}
@@ -928,96 +1206,84 @@ const ChatView = ({ selectedContact, onContactUpdate }) => {
             title={messages.length === 0 ? 'No messages to summarize' : 'Generate conversation summary'}
           >
             <FiFileText className="w-5 h-5" />
-            <p>Generate summary</p>
+            <p>{isSummarizing ? 'Summarizing...' : 'Generate summary'}</p>
+          </button>
+          <button
+            onClick={() => setShowSummaryModal(true)}
+            className="p-2 text-gray-400 hover:text-white transition-colors flex gap-3 items-center justify-between"
+            title="Earlier summaries of this conversation"
+          >
+            <FiClock className="w-5 h-5" />
+            <p>History</p>
+          </button>
+          <button
+            onClick={() => setShowProfile(prev => !prev)}
+            className={`p-2 transition-colors flex gap-3 items-center justify-between ${showProfile ? 'text-white' : 'text-gray-400 hover:text-white'}`}
+            title="Customer profile"
+          >
+            <FiUser className="w-5 h-5" />
+            <p>Profile</p>
           </button>
         </div>
       </div>
 
-      {/* Messages Area - Scrollable */}
-      <div 
-        ref={messagesContainerRef}
-        className="flex-1 overflow-y-auto p-4 space-y-4"
-        onScroll={async (e) => {
-          const { scrollTop, scrollHeight, clientHeight } = e.target;
-          if (scrollTop === 0 && hasMoreMessages && !loading) {
-            const nextPage = currentPage + 1;
-            await dispatch(fetchMessages({
-              contactId: selectedContact.id,
-              page: nextPage,
-              limit: PAGE_SIZE
-            }));
-          }
-        }}
-      >
-        {renderMessages()}
-        <div ref={messagesEndRef} />
-      </div>
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 flex flex-col min-w-0">
+          {/* Messages Area - Virtualized */}
+          <div className="flex-1 flex flex-col min-h-0">
+            {renderMessages()}
+          </div>
+
+          <MessageComposer
+            onSend={handleMessageSend}
+            replyTo={replyingTo}
+            onCancelReply={() => setReplyingTo(null)}
+            platform="whatsapp"
+            templateContext={templateContext}
+            disabled={!canReply(workspaceRole)}
+            placeholder={canReply(workspaceRole) ? undefined : 'Viewers can read this conversation but not reply'}
+          />
+        </div>
 
-      {/* Summary Modal */}
-      {showSummaryModal && summaryData && (
-        <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
-          <div className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 space-y-6">
-            <div className="flex justify-between items-center">
-              <h3 className="text-xl font-medium text-white">Chat Summary</h3>
-              <button
-                onClick={() => setShowSummaryModal(false)}
-                className="text-gray-400 hover:text-white"
-              >
-                <FiX className="w-5 h-5" />
-              </button>
+        {showProfile && (
+          <CustomerDetails
+            platform="whatsapp"
+            contactId={selectedContact.id}
+            onClose={() => setShowProfile(false)}
+          />
+        )}
       </div>
-            
-            {/* Main Points */}
-            <div className="space-y-4">
-              <div>
-                <h4 className="text-white font-medium mb-2">Main Points</h4>
-                <ul className="list-disc list-inside text-gray-300 space-y-1">
-                  {summaryData.summary.mainPoints.map((point, index) => (
-                    <li key={index}>{point}</li>
-                  ))}
-                </ul>
-              </div>
 
-              {/* Action Items */}
-              {summaryData.summary.actionItems.length > 0 && (
-                <div>
-                  <h4 className="text-white font-medium mb-2">Action Items</h4>
-                  <ul className="list-disc list-inside text-gray-300 space-y-1">
-                    {summaryData.summary.actionItems.map((item, index) => (
-                      <li key={index}>{item}</li>
-                    ))}
-                  </ul>
-                </div>
-              )}
+      <MediaLightbox media={previewMedia} onClose={() => setPreviewMedia(null)} />
 
-              {/* Key Decisions */}
-              {summaryData.summary.keyDecisions.length > 0 && (
-                <div>
-                  <h4 className="text-white font-medium mb-2">Key Decisions</h4>
-                  <ul className="list-disc list-inside text-gray-300 space-y-1">
-                    {summaryData.summary.keyDecisions.map((decision, index) => (
-                      <li key={index}>{decision}</li>
-                    ))}
-                  </ul>
-                </div>
-              )}
-
-              {/* Summary Info */}
-              <div className="text-sm text-gray-400 pt-4 border-t border-gray-700">
-                <p>Analyzed {summaryData.messageCount} messages</p>
-                <p>From: {new Date(summaryData.timespan.start).toLocaleString()}</p>
-                <p>To: {new Date(summaryData.timespan.end).toLocaleString()}</p>
-              </div>
-            </div>
-          </div>
-            </div>
-          )}
+      <SummaryHistoryModal
+        isOpen={showSummaryModal}
+        onClose={closeSummaryModal}
+        contact={selectedContact}
+      />
         </div>
       )}
     </div>
   );
 };
 
+ChatView.propTypes = {
+  selectedContact: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    display_name: PropTypes.string,
+    avatar_url: PropTypes.string,
+    membership: PropTypes.string,
+    metadata: PropTypes.object
+  }),
+  onContactUpdate: PropTypes.func,
+  onSearchOpen: PropTypes.func,
+  jumpTarget: PropTypes.shape({
+    contactId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    messageId: PropTypes.string
+  }),
+  onJumpComplete: PropTypes.func
+};
+
 // Wrap ChatView with ErrorBoundary
 export const ChatViewWithErrorBoundary = (props) => (
   <ErrorBoundary FallbackComponent={ErrorFallback}>
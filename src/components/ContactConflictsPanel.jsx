@@ -0,0 +1,139 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { formatDistanceToNow } from 'date-fns';
+import { FiX } from 'react-icons/fi';
+import {
+  selectContactConflicts,
+  resolveContactConflict,
+  pushContactOverrides
+} from '../store/slices/contactSlice';
+
+const FIELD_LABELS = {
+  display_name: 'Name',
+  hidden: 'Visibility'
+};
+
+const formatValue = (field, value) => {
+  if (field === 'hidden') return value ? 'Hidden' : 'Visible';
+  return value || '—';
+};
+
+const ValueCard = ({ label, field, value, changedAt, onChoose }) => (
+  <button
+    type="button"
+    onClick={onChoose}
+    className="flex-1 text-left p-3 rounded-lg border border-gray-700 bg-[#1a1b26] hover:border-[#1e6853] transition-colors"
+  >
+    <div className="text-xs text-gray-400">{label}</div>
+    <div className="text-white mt-1 truncate">{formatValue(field, value)}</div>
+    <div className="text-xs text-gray-500 mt-1">
+      changed {formatDistanceToNow(new Date(changedAt), { addSuffix: true })}
+    </div>
+  </button>
+);
+
+ValueCard.propTypes = {
+  label: PropTypes.string.isRequired,
+  field: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+  changedAt: PropTypes.number.isRequired,
+  onChoose: PropTypes.func.isRequired
+};
+
+/**
+ * Lists contact fields where WhatsApp changed after a local edit and lets
+ * the user pick which value to keep.
+ */
+const ContactConflictsPanel = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const conflicts = useSelector(selectContactConflicts);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  useEffect(() => {
+    if (isOpen && conflicts.length === 0) {
+      onClose();
+    }
+  }, [isOpen, conflicts.length, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleResolve = (conflict, keep) => {
+    dispatch(resolveContactConflict({ conflictId: conflict.id, keep }));
+    if (keep === 'local') {
+      dispatch(pushContactOverrides(conflict.contactId));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <div>
+            <h3 className="text-xl font-medium text-white">Sync Conflicts</h3>
+            <p className="text-sm text-gray-400 mt-1">
+              These contacts changed on WhatsApp after you edited them here. Choose the value to keep.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-4">
+          {conflicts.map(conflict => (
+            <div key={conflict.id} className="space-y-2">
+              <div className="text-sm text-gray-300">
+                <span className="font-medium text-white">{conflict.contactName || `Contact ${conflict.contactId}`}</span>
+                {' · '}
+                {FIELD_LABELS[conflict.field] || conflict.field}
+              </div>
+              <div className="flex gap-3">
+                <ValueCard
+                  label="Your edit"
+                  field={conflict.field}
+                  value={conflict.localValue}
+                  changedAt={conflict.localUpdatedAt}
+                  onChoose={() => handleResolve(conflict, 'local')}
+                />
+                <ValueCard
+                  label="From WhatsApp"
+                  field={conflict.field}
+                  value={conflict.remoteValue}
+                  changedAt={conflict.remoteUpdatedAt}
+                  onChoose={() => handleResolve(conflict, 'remote')}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ContactConflictsPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ContactConflictsPanel;
@@ -1,124 +1,453 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
-import { FiUser, FiTag, FiEdit3 } from 'react-icons/fi';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { debounce } from 'lodash';
+import { FiUser, FiTag, FiEdit3, FiX, FiSliders, FiLink, FiGitMerge } from 'react-icons/fi';
+import { customerService, coerceFieldValue, FIELD_TYPES, CUSTOMER_PLATFORMS } from '../services/customerService';
+import {
+  fetchCustomerProfile,
+  fetchCustomerFields,
+  updateCustomerProfile,
+  mergeCustomers,
+  unlinkCustomerContact,
+  selectCustomerForContact,
+  selectCustomerFields,
+  selectCustomerFieldsLoaded,
+  selectCustomersLoading,
+  selectCustomersError
+} from '../store/slices/customerSlice';
+import { PlatformBadge } from './UnifiedConversationList';
+import CustomerFieldsManager from './CustomerFieldsManager';
+import logger from '../utils/logger';
 
-const CustomerDetails = ({ roomId }) => {
-  // Add loading state
-  const [isLoading, setIsLoading] = useState(true);
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-2 py-1.5 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+
+const INPUT_TYPES = {
+  [FIELD_TYPES.NUMBER]: 'number',
+  [FIELD_TYPES.DATE]: 'date'
+};
+
+const TagEditor = ({ tags, onChange }) => {
+  const [input, setInput] = useState('');
+
+  const addTag = () => {
+    const tag = input.trim().replace(/,$/, '');
+    setInput('');
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTag();
+    } else if (event.key === 'Backspace' && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center">
+      {tags.map(tag => (
+        <span key={tag} className="flex items-center gap-1 px-2 py-1 bg-[#1a1b26] rounded-full text-sm text-gray-300">
+          {tag}
+          <button
+            onClick={() => onChange(tags.filter(item => item !== tag))}
+            className="w-auto text-gray-500 hover:text-white"
+            title={`Remove ${tag}`}
+          >
+            <FiX className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      <input
+        className="flex-1 min-w-[6rem] bg-transparent text-sm text-white focus:outline-none placeholder-gray-500"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={addTag}
+        placeholder="Add tag..."
+      />
+    </div>
+  );
+};
+
+TagEditor.propTypes = {
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+const FieldInput = ({ definition, value, onCommit }) => {
+  const [draft, setDraft] = useState(value ?? '');
   const [error, setError] = useState(null);
-  const [customer, setCustomer] = useState({
-    userId: '',
-    displayName: '',
-    notes: '',
-    tags: [],
-    customFields: {}
-  });
 
   useEffect(() => {
-    const fetchCustomerDetails = async () => {
-      try {
-        setIsLoading(true); // Changed from loading to isLoading
-        const response = await axios.get(`/rooms/${roomId}/customer`);
-        if (response.data) {
-          setCustomer(response.data);
-        }
-        setError(null);
-      } catch (error) {
-        console.error('Error fetching customer details:', error);
-        setError('Failed to load customer details');
-      } finally {
-        setIsLoading(false); // Changed from loading to isLoading
+    setDraft(value ?? '');
+    setError(null);
+  }, [value]);
+
+  const commit = (raw) => {
+    try {
+      const next = coerceFieldValue(definition, raw);
+      setError(null);
+      if (next !== (value ?? null)) {
+        onCommit(definition.key, next);
       }
-    };
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-    if (roomId) {
-      fetchCustomerDetails();
+  return (
+    <label className="block text-xs text-gray-400">
+      {definition.label}
+      {definition.type === FIELD_TYPES.SELECT ? (
+        <select
+          className={`${inputClass} mt-1`}
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            commit(e.target.value);
+          }}
+        >
+          <option value="">—</option>
+          {definition.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type={INPUT_TYPES[definition.type] || 'text'}
+          className={`${inputClass} mt-1`}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={() => commit(draft)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commit(draft);
+          }}
+        />
+      )}
+      {error && <span className="block mt-1 text-red-400">{error}</span>}
+    </label>
+  );
+};
+
+FieldInput.propTypes = {
+  definition: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    options: PropTypes.arrayOf(PropTypes.string).isRequired
+  }).isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onCommit: PropTypes.func.isRequired
+};
+
+const MergeSearch = ({ customerId, onMerge }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [confirmId, setConfirmId] = useState(null);
+
+  const runSearch = useCallback(async (text) => {
+    setSearching(true);
+    try {
+      const profiles = await customerService.searchProfiles(text);
+      setResults(profiles.filter(profile => profile.id !== customerId));
+    } catch (err) {
+      logger.error('[CustomerDetails] Customer search failed:', err);
+      setResults([]);
+    } finally {
+      setSearching(false);
     }
-  }, [roomId]);
+  }, [customerId]);
 
-  if (isLoading) { // Changed from loading to isLoading
-    return (
-      <div className="card space-y-6">
-        <div className="animate-pulse">
-          <div className="h-4 bg-dark-lighter rounded w-1/4 mb-4"></div>
-          <div className="h-4 bg-dark-lighter rounded w-3/4 mb-2"></div>
+  const debouncedSearch = useMemo(() => debounce(runSearch, 300), [runSearch]);
+
+  useEffect(() => {
+    debouncedSearch(query);
+    return () => debouncedSearch.cancel();
+  }, [query, debouncedSearch]);
+
+  return (
+    <div className="space-y-2">
+      <input
+        className={inputClass}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Find the same person on another platform..."
+        autoFocus
+      />
+      {searching && <p className="text-xs text-gray-500">Searching...</p>}
+      {!searching && query.trim() && results.length === 0 && (
+        <p className="text-xs text-gray-500">No other profiles found</p>
+      )}
+      <ul className="space-y-1">
+        {results.map(profile => (
+          <li key={profile.id} className="p-2 rounded-md bg-[#1a1b26] space-y-1">
+            <div className="flex items-center gap-2">
+              <span className="flex-1 text-sm text-white truncate">{profile.displayName}</span>
+              {confirmId === profile.id ? (
+                <>
+                  <button
+                    onClick={() => onMerge(profile.id)}
+                    className="w-auto px-2 py-0.5 rounded text-xs bg-[#1e6853] text-white"
+                  >
+                    Merge
+                  </button>
+                  <button
+                    onClick={() => setConfirmId(null)}
+                    className="w-auto px-2 py-0.5 rounded text-xs text-gray-400 hover:text-white"
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => setConfirmId(profile.id)}
+                  className="w-auto text-xs text-[#7aa2f7] hover:underline"
+                >
+                  Merge into this profile
+                </button>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {profile.contacts.map(contact => (
+                <PlatformBadge key={`${contact.platform}:${contact.contactId}`} platform={contact.platform} />
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+MergeSearch.propTypes = {
+  customerId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onMerge: PropTypes.func.isRequired
+};
+
+/**
+ * Editable customer profile for one platform contact, shown beside the
+ * conversation. Notes, tags and custom fields belong to the profile, so they
+ * are the same on every contact merged into it.
+ */
+const CustomerDetails = ({ platform, contactId, onClose }) => {
+  const dispatch = useDispatch();
+  const customer = useSelector(state => selectCustomerForContact(state, platform, contactId));
+  const fields = useSelector(selectCustomerFields);
+  const fieldsLoaded = useSelector(selectCustomerFieldsLoaded);
+  const loading = useSelector(selectCustomersLoading);
+  const error = useSelector(selectCustomersError);
+  const [notes, setNotes] = useState('');
+  const [managingFields, setManagingFields] = useState(false);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    if (contactId == null) return;
+    dispatch(fetchCustomerProfile({ platform, contactId: String(contactId) }));
+  }, [dispatch, platform, contactId]);
+
+  useEffect(() => {
+    if (!fieldsLoaded) {
+      dispatch(fetchCustomerFields());
+    }
+  }, [dispatch, fieldsLoaded]);
+
+  // Another tab or a merge can change the notes under us
+  useEffect(() => {
+    setNotes(customer?.notes || '');
+  }, [customer?.id, customer?.notes]);
+
+  const saveChanges = async (changes) => {
+    try {
+      await dispatch(updateCustomerProfile({ customerId: customer.id, changes })).unwrap();
+    } catch (err) {
+      toast.error(err || 'Failed to save customer profile');
+    }
+  };
+
+  const handleFieldCommit = (key, value) => {
+    const customFields = { ...customer.customFields, [key]: value };
+    if (value == null) {
+      delete customFields[key];
+    }
+    saveChanges({ customFields });
+  };
+
+  const handleMerge = async (sourceId) => {
+    try {
+      await dispatch(mergeCustomers({ targetId: customer.id, sourceId })).unwrap();
+      setMerging(false);
+      toast.success('Profiles merged');
+    } catch (err) {
+      toast.error(err || 'Failed to merge profiles');
+    }
+  };
+
+  const handleUnlink = async (contact) => {
+    try {
+      await dispatch(unlinkCustomerContact({
+        customerId: customer.id,
+        platform: contact.platform,
+        contactId: contact.contactId
+      })).unwrap();
+    } catch (err) {
+      toast.error(err || 'Failed to unlink contact');
+    }
+  };
+
+  const renderBody = () => {
+    if (!customer && loading) {
+      return (
+        <div className="animate-pulse space-y-3">
           <div className="h-4 bg-dark-lighter rounded w-1/2"></div>
+          <div className="h-4 bg-dark-lighter rounded w-3/4"></div>
+          <div className="h-16 bg-dark-lighter rounded"></div>
         </div>
-      </div>
-    );
-  }
+      );
+    }
 
-  if (error) {
-    return (
-      <div className="card space-y-6">
-        <div className="text-error text-center">{error}</div>
-      </div>
-    );
-  }
+    if (!customer) {
+      return <div className="text-error text-sm text-center">{error || 'Failed to load customer details'}</div>;
+    }
 
-  return (
-    <div className="card space-y-6">
-      {/* Customer Header */}
-      <div className="flex items-center justify-between">
+    const isCurrentContact = (contact) =>
+      contact.platform === platform && contact.contactId === String(contactId);
+
+    return (
+      <>
         <div className="flex items-center gap-3">
-          <div className="w-12 h-12 bg-dark-lighter rounded-full flex items-center justify-center">
+          <div className="w-12 h-12 bg-dark-lighter rounded-full flex items-center justify-center flex-shrink-0">
             <FiUser className="text-2xl text-gray-400" />
           </div>
-          <div>
-            <h3 className="text-lg font-medium">{customer.displayName}</h3>
-            <p className="text-sm text-gray-400">{customer.userId}</p>
+          <div className="min-w-0">
+            <h3 className="text-lg font-medium text-white truncate">{customer.displayName}</h3>
+            <p className="text-xs text-gray-500">
+              {customer.contacts.length} linked contact{customer.contacts.length === 1 ? '' : 's'}
+            </p>
           </div>
         </div>
-      </div>
 
-      {/* Customer Notes */}
-      <div className="space-y-2">
-        <label className="flex items-center gap-2 text-gray-400">
-          <FiEdit3 className="text-lg" />
-          Notes
-        </label>
-        <textarea
-          className="w-full bg-dark-lighter rounded-lg p-3 text-sm"
-          placeholder="Add notes about this customer..."
-          value={customer.notes}
-          readOnly
-        />
-      </div>
-
-      {/* Customer Tags */}
-      <div className="space-y-2">
-        <label className="flex items-center gap-2 text-gray-400">
-          <FiTag className="text-lg" />
-          Tags
-        </label>
-        <div className="flex flex-wrap gap-2">
-          {customer.tags.map((tag, index) => (
-            <span 
-              key={index}
-              className="px-2 py-1 bg-dark rounded-full text-sm text-gray-400"
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              <FiLink />
+              Contacts
+            </label>
+            <button
+              onClick={() => setMerging(prev => !prev)}
+              className="flex items-center gap-1 w-auto text-xs text-[#7aa2f7] hover:underline"
             >
-              {tag}
-            </span>
-          ))}
+              <FiGitMerge className="w-3 h-3" />
+              {merging ? 'Cancel' : 'Merge'}
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {customer.contacts.map(contact => (
+              <li key={`${contact.platform}:${contact.contactId}`} className="flex items-center gap-2 text-sm">
+                <PlatformBadge platform={contact.platform} />
+                <span className="flex-1 text-gray-300 truncate">{contact.displayName || contact.contactId}</span>
+                {!isCurrentContact(contact) && (
+                  <button
+                    onClick={() => handleUnlink(contact)}
+                    className="w-auto text-xs text-gray-500 hover:text-red-400"
+                    title="Move this contact to its own profile"
+                  >
+                    Unlink
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {merging && <MergeSearch customerId={customer.id} onMerge={handleMerge} />}
         </div>
-      </div>
 
-      {/* Custom Fields */}
-      {Object.entries(customer.customFields).length > 0 && (
         <div className="space-y-2">
-          <label className="text-gray-400">Custom Fields</label>
-          <div className="space-y-2">
-            {Object.entries(customer.customFields).map(([key, value]) => (
-              <div key={key} className="flex justify-between text-sm">
-                <span className="text-gray-400">{key}</span>
-                <span>{value}</span>
-              </div>
-            ))}
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <FiEdit3 />
+            Notes
+          </label>
+          <textarea
+            className="w-full bg-[#1a1b26] rounded-lg p-3 text-sm text-white border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500"
+            rows={4}
+            placeholder="Add notes about this customer..."
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            onBlur={() => {
+              if (notes !== customer.notes) {
+                saveChanges({ notes });
+              }
+            }}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <FiTag />
+            Tags
+          </label>
+          <TagEditor tags={customer.tags} onChange={(tags) => saveChanges({ tags })} />
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              <FiSliders />
+              Custom fields
+            </label>
+            {!managingFields && (
+              <button
+                onClick={() => setManagingFields(true)}
+                className="w-auto text-xs text-[#7aa2f7] hover:underline"
+              >
+                Manage
+              </button>
+            )}
           </div>
+          {managingFields ? (
+            <CustomerFieldsManager onDone={() => setManagingFields(false)} />
+          ) : fields.length === 0 ? (
+            <p className="text-xs text-gray-500">Your team has no custom fields yet</p>
+          ) : (
+            <div className="space-y-2">
+              {fields.map(field => (
+                <FieldInput
+                  key={field.id}
+                  definition={field}
+                  value={customer.customFields[field.key]}
+                  onCommit={handleFieldCommit}
+                />
+              ))}
+            </div>
+          )}
         </div>
-      )}
-    </div>
+      </>
+    );
+  };
+
+  return (
+    <aside className="w-80 flex-none border-l border-gray-700 bg-[#24283b] overflow-y-auto">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+        <h3 className="text-white font-medium">Customer profile</h3>
+        <button onClick={onClose} className="w-auto text-gray-400 hover:text-white" title="Close profile">
+          <FiX className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="p-4 space-y-6">
+        {renderBody()}
+      </div>
+    </aside>
   );
 };
 
-export default CustomerDetails;
\ No newline at end of file
+CustomerDetails.propTypes = {
+  platform: PropTypes.oneOf(CUSTOMER_PLATFORMS).isRequired,
+  contactId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default CustomerDetails;
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { FIELD_TYPES } from '../services/customerService';
+import { saveCustomerField, deleteCustomerField, selectCustomerFields } from '../store/slices/customerSlice';
+
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-2 py-1.5 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+
+const TYPE_LABELS = {
+  [FIELD_TYPES.TEXT]: 'Text',
+  [FIELD_TYPES.NUMBER]: 'Number',
+  [FIELD_TYPES.DATE]: 'Date',
+  [FIELD_TYPES.SELECT]: 'Choice'
+};
+
+const EMPTY_FIELD = { label: '', type: FIELD_TYPES.TEXT, options: '' };
+
+/**
+ * Edits the custom fields every customer profile of the team has. Removing
+ * a field hides its values; they stay on the profiles server-side.
+ */
+const CustomerFieldsManager = ({ onDone }) => {
+  const dispatch = useDispatch();
+  const fields = useSelector(selectCustomerFields);
+  const [draft, setDraft] = useState(EMPTY_FIELD);
+  const [saving, setSaving] = useState(false);
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await dispatch(saveCustomerField({
+        label: draft.label,
+        type: draft.type,
+        options: draft.options.split(',')
+      })).unwrap();
+      setDraft(EMPTY_FIELD);
+    } catch (err) {
+      toast.error(err || 'Failed to save field');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (field) => {
+    try {
+      await dispatch(deleteCustomerField(field.id)).unwrap();
+    } catch (err) {
+      toast.error(err || 'Failed to delete field');
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-3 rounded-lg bg-[#1a1b26] border border-gray-700">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-white">Team fields</span>
+        <button onClick={onDone} className="w-auto text-xs text-[#7aa2f7] hover:underline">
+          Done
+        </button>
+      </div>
+
+      {fields.length === 0 ? (
+        <p className="text-xs text-gray-500">No custom fields yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {fields.map(field => (
+            <li key={field.id} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 text-gray-300 truncate">{field.label}</span>
+              <span className="text-xs text-gray-500">{TYPE_LABELS[field.type]}</span>
+              <button
+                onClick={() => handleDelete(field)}
+                className="w-auto p-1 text-gray-500 hover:text-red-400"
+                title="Delete field"
+              >
+                <FiTrash2 className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2 pt-2 border-t border-gray-700">
+        <div className="flex gap-2">
+          <input
+            className={inputClass}
+            value={draft.label}
+            onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+            placeholder="Field name"
+            required
+          />
+          <select
+            value={draft.type}
+            onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}
+            className="bg-[#1e2132] text-sm text-gray-300 rounded-md border border-gray-700 px-2"
+          >
+            {Object.values(FIELD_TYPES).map(type => (
+              <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+        {draft.type === FIELD_TYPES.SELECT && (
+          <input
+            className={inputClass}
+            value={draft.options}
+            onChange={(e) => setDraft(prev => ({ ...prev, options: e.target.value }))}
+            placeholder="Options, separated by commas"
+          />
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50"
+        >
+          <FiPlus className="w-4 h-4" />
+          {saving ? 'Adding...' : 'Add field'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+CustomerFieldsManager.propTypes = {
+  onDone: PropTypes.func.isRequired
+};
+
+export default CustomerFieldsManager;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import { supabase } from '../utils/supabase';
+import { takeConnectReturn } from '../services/onboardingService';
 
 const DiscordConnection = () => {
   const [status, setStatus] = useState('DISCONNECTED');
@@ -260,6 +261,12 @@ const DiscordConnection = () => {
   // Add status check on mount and when status changes
   useEffect(() => {
     if (status === 'CONNECTED') {
+      // Connected from the onboarding wizard, which picks up from here
+      const returnPath = takeConnectReturn(null);
+      if (returnPath) {
+        navigate(returnPath, { replace: true });
+        return;
+      }
       console.debug('Discord connected, checking onboarding status');
       const checkOnboarding = async () => {
         try {
@@ -1,23 +1,54 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
 import api from '../utils/api';
 import { subscribeToDiscordMessages, unsubscribeFromDiscordMessages } from '../utils/socket';
 import { useSocketConnection } from '../hooks/useSocketConnection';
 import { toast } from 'react-hot-toast';
+import { FiUser } from 'react-icons/fi';
+import MessageComposer from './MessageComposer';
+import CustomerDetails from './CustomerDetails';
+import { buildTemplateContext } from '../utils/templateVariables';
+import logger from '../utils/logger';
 
-const DiscordMessages = () => {
-  const { channelId } = useParams();
+// Keeps the list free of the copy that comes back over the socket after a send
+const appendMessage = (messages, message) => (
+  messages.some(item => item.id === message.id) ? messages : [...messages, message]
+);
+
+const DiscordMessages = ({ channelId: channelIdProp, focusMessageId, onJumpComplete }) => {
+  const params = useParams();
+  // Routed views read the channel from the URL, the unified inbox passes it in
+  const channelId = channelIdProp || params.channelId;
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showProfile, setShowProfile] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   const messagesEndRef = useRef(null);
+  // Channel whose page was loaded around a search hit
+  const jumpedChannelRef = useRef(null);
   const { socket, isConnected, connect } = useSocketConnection('discord');
+  const currentUser = useSelector(state => state.auth.session?.user);
+
+  // Channels have no single contact; the latest author stands in for one
+  const lastAuthor = messages[messages.length - 1]?.author;
+  const templateContext = useMemo(() => (
+    buildTemplateContext({ contact: { display_name: lastAuthor?.username }, user: currentUser })
+  ), [lastAuthor?.username, currentUser]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
   useEffect(() => {
+    // The jump target is cleared once handed back; keep the page around the hit
+    if (!focusMessageId && jumpedChannelRef.current === channelId) {
+      jumpedChannelRef.current = null;
+      return;
+    }
+
     const fetchMessages = async () => {
       try {
         setLoading(true);
@@ -27,7 +58,10 @@ const DiscordMessages = () => {
           await connect();
         }
 
-        const response = await api.get(`/discord/channels/${channelId}/messages`);
+        // Coming from search, load the page around the hit instead of the latest one
+        const response = await api.get(`/discord/channels/${channelId}/messages`, {
+          params: focusMessageId ? { around: focusMessageId } : undefined
+        });
         if (!response.data || !Array.isArray(response.data.messages)) {
           throw new Error('Invalid response format');
         }
@@ -39,17 +73,24 @@ const DiscordMessages = () => {
         toast.error('Failed to load messages');
       } finally {
         setLoading(false);
+        if (focusMessageId) {
+          jumpedChannelRef.current = channelId;
+          setHighlightedMessageId(focusMessageId);
+          if (typeof onJumpComplete === 'function') {
+            onJumpComplete();
+          }
+        }
       }
     };
 
     fetchMessages();
-  }, [channelId, isConnected, connect]);
+  }, [channelId, focusMessageId, isConnected, connect, onJumpComplete]);
 
   useEffect(() => {
     if (isConnected) {
       // Subscribe to Discord messages
       const handleNewMessage = (message) => {
-        setMessages(prev => [...prev, message]);
+        setMessages(prev => appendMessage(prev, message));
         scrollToBottom();
       };
 
@@ -65,6 +106,27 @@ const DiscordMessages = () => {
     scrollToBottom();
   }, [messages]);
 
+  // Declared after the scroll to bottom so a search hit wins on the same render
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    document.getElementById(`discord-message-${highlightedMessageId}`)?.scrollIntoView({ block: 'center' });
+
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  const handleSend = async (content) => {
+    try {
+      const response = await api.post(`/discord/channels/${channelId}/messages`, { content });
+      if (response.data?.message) {
+        setMessages(prev => appendMessage(prev, response.data.message));
+      }
+    } catch (err) {
+      logger.error('[DiscordMessages] Error sending Discord message:', err);
+      toast.error('Failed to send message');
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-full">
@@ -86,37 +148,80 @@ const DiscordMessages = () => {
 
   return (
     <div className="flex flex-col h-full bg-dark p-4">
-      <div className="flex-1 overflow-y-auto space-y-4">
-        {messages.map(message => (
-          <div key={message.id} className="flex items-start gap-3">
-            {message.author?.avatar ? (
-              <img
-                src={`https://cdn.discordapp.com/avatars/${message.author.id}/${message.author.avatar}.png`}
-                alt={message.author.username}
-                className="w-10 h-10 rounded-full"
-              />
-            ) : (
-              <div className="w-10 h-10 rounded-full bg-primary flex items-center justify-center">
-                {message.author?.username?.charAt(0) || '?'}
-              </div>
-            )}
-            <div>
-              <div className="flex items-center gap-2">
-                <span className="font-semibold text-white">
-                  {message.author?.username || 'Unknown User'}
-                </span>
-                <span className="text-xs text-gray-400">
-                  {new Date(message.timestamp).toLocaleString()}
-                </span>
+      {lastAuthor?.id && (
+        <div className="pb-3 mb-3 border-b border-gray-700 flex justify-end">
+          <button
+            onClick={() => setShowProfile(prev => !prev)}
+            className={`w-auto p-2 transition-colors flex gap-3 items-center ${showProfile ? 'text-white' : 'text-gray-400 hover:text-white'}`}
+            title={`Customer profile of ${lastAuthor.username || 'the latest author'}`}
+          >
+            <FiUser className="w-5 h-5" />
+            <p>Profile</p>
+          </button>
+        </div>
+      )}
+
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="flex-1 overflow-y-auto space-y-4">
+            {messages.map(message => (
+              <div
+                key={message.id}
+                id={`discord-message-${message.id}`}
+                className={`flex items-start gap-3 ${message.id === highlightedMessageId ? 'bg-yellow-500/10 rounded-lg' : ''}`}
+              >
+                {message.author?.avatar ? (
+                  <img
+                    src={`https://cdn.discordapp.com/avatars/${message.author.id}/${message.author.avatar}.png`}
+                    alt={message.author.username}
+                    className="w-10 h-10 rounded-full"
+                  />
+                ) : (
+                  <div className="w-10 h-10 rounded-full bg-primary flex items-center justify-center">
+                    {message.author?.username?.charAt(0) || '?'}
+                  </div>
+                )}
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-white">
+                      {message.author?.username || 'Unknown User'}
+                    </span>
+                    <span className="text-xs text-gray-400">
+                      {new Date(message.timestamp).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="text-gray-300">{message.content}</p>
+                </div>
               </div>
-              <p className="text-gray-300">{message.content}</p>
-            </div>
+            ))}
+            <div ref={messagesEndRef} />
           </div>
-        ))}
-        <div ref={messagesEndRef} />
+          <MessageComposer
+            onSend={handleSend}
+            disabled={!isConnected}
+            placeholder="Message this channel"
+            platform="discord"
+            templateContext={templateContext}
+            allowAttachments={false}
+          />
+        </div>
+
+        {showProfile && lastAuthor?.id && (
+          <CustomerDetails
+            platform="discord"
+            contactId={lastAuthor.id}
+            onClose={() => setShowProfile(false)}
+          />
+        )}
       </div>
     </div>
   );
 };
 
-export default DiscordMessages; 
\ No newline at end of file
+DiscordMessages.propTypes = {
+  channelId: PropTypes.string,
+  focusMessageId: PropTypes.string,
+  onJumpComplete: PropTypes.func
+};
+
+export default DiscordMessages; 
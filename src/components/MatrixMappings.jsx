@@ -1,174 +1,356 @@
-import React, { useState, useEffect } from 'react';
-import { api } from '../utils/api';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { toast } from 'react-hot-toast';
+import { FiAlertTriangle, FiHash, FiPlus, FiSearch, FiX } from 'react-icons/fi';
+import { matrixMappingService } from '../services/matrixMappingService';
+import {
+  BROKEN_REASONS,
+  DEFAULT_ROOM_NAME_PATTERN,
+  MAPPING_CHANGE_TYPES,
+  buildRoomName,
+  findBrokenMappings
+} from '../utils/mappingRules';
+import MappingRulesPanel from './matrix/MappingRulesPanel';
 
+const NEW_ROOM_TARGET = 'new';
+
+const BROKEN_LABELS = {
+  [BROKEN_REASONS.CHANNEL_MISSING]: 'Channel no longer exists',
+  [BROKEN_REASONS.ROOM_MISSING]: 'Matrix room no longer exists'
+};
+
+const matchesQuery = (name, query) => name.toLowerCase().includes(query.trim().toLowerCase());
+
+const SearchInput = ({ value, onChange, placeholder }) => (
+  <div className="relative">
+    <FiSearch className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="w-full bg-dark border border-gray-700 rounded pl-9 pr-3 py-2 text-sm focus:outline-none focus:border-primary"
+    />
+  </div>
+);
+
+SearchInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string
+};
+
+/**
+ * Drag channels from the left onto Matrix rooms on the right, or onto
+ * "New Matrix room". Clicking a channel and then a room does the same.
+ */
 const MatrixMappings = ({ platform }) => {
   const [mappings, setMappings] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [matrixRooms, setMatrixRooms] = useState([]);
-  const [platformChannels, setPlatformChannels] = useState([]);
-  const [selectedMapping, setSelectedMapping] = useState({
-    sourceChannel: '',
-    targetRoom: ''
-  });
-
-  useEffect(() => {
-    loadMappings();
-    loadAvailableChannels();
-  }, [platform]);
+  const [channelQuery, setChannelQuery] = useState('');
+  const [roomQuery, setRoomQuery] = useState('');
+  const [selectedChannelId, setSelectedChannelId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [busyChannelId, setBusyChannelId] = useState(null);
+  const [showRules, setShowRules] = useState(false);
 
-  const loadMappings = async () => {
+  const loadData = useCallback(async () => {
     try {
-      const response = await api.get(`/mappings/matrix/${platform}`);
-      setMappings(response.data.mappings);
+      const [loadedMappings, loadedRooms, loadedChannels] = await Promise.all([
+        matrixMappingService.getMappings(platform),
+        matrixMappingService.getMatrixRooms(),
+        matrixMappingService.getPlatformChannels(platform)
+      ]);
+      setMappings(loadedMappings);
+      setRooms(loadedRooms);
+      setChannels(loadedChannels);
     } catch (error) {
       console.error('Error loading mappings:', error);
       toast.error('Failed to load channel mappings');
     } finally {
       setLoading(false);
     }
-  };
+  }, [platform]);
 
-  const loadAvailableChannels = async () => {
-    try {
-      // Load Matrix rooms
-      const matrixResponse = await api.get('/matrix/rooms');
-      setMatrixRooms(matrixResponse.data.rooms);
+  useEffect(() => {
+    setLoading(true);
+    loadData();
+  }, [loadData]);
 
-      // Load platform-specific channels
-      const channelsResponse = await api.get(`/${platform}/channels`);
-      setPlatformChannels(channelsResponse.data.channels);
-    } catch (error) {
-      console.error('Error loading channels:', error);
-      toast.error('Failed to load available channels');
-    }
-  };
+  const brokenMappings = useMemo(
+    () => findBrokenMappings(mappings, channels, rooms),
+    [mappings, channels, rooms]
+  );
 
-  const handleCreateMapping = async () => {
-    try {
-      const sourceChannel = platformChannels.find(
-        ch => ch.id === selectedMapping.sourceChannel
-      );
-      const targetRoom = matrixRooms.find(
-        room => room.id === selectedMapping.targetRoom
-      );
-
-      if (!sourceChannel || !targetRoom) {
-        toast.error('Please select both source and target channels');
-        return;
-      }
+  const mappingByChannel = useMemo(
+    () => new Map(mappings.map(mapping => [mapping.channelId, mapping])),
+    [mappings]
+  );
+
+  const mappingsByRoom = useMemo(() => {
+    const byRoom = new Map();
+    mappings.forEach(mapping => {
+      byRoom.set(mapping.roomId, [...(byRoom.get(mapping.roomId) || []), mapping]);
+    });
+    return byRoom;
+  }, [mappings]);
 
-      await api.post('/mappings/matrix', {
-        sourceData: {
-          platform,
-          channelId: sourceChannel.id,
-          name: sourceChannel.name
-        },
-        targetData: {
-          roomId: targetRoom.id,
-          name: targetRoom.name
-        }
+  const channelGroups = useMemo(() => {
+    const groups = new Map();
+    channels
+      .filter(channel => matchesQuery(channel.name, channelQuery))
+      .forEach(channel => {
+        const category = channel.categoryName || 'No category';
+        groups.set(category, [...(groups.get(category) || []), channel]);
       });
+    return [...groups];
+  }, [channels, channelQuery]);
 
-      toast.success('Channel mapping created successfully');
-      loadMappings();
-      setSelectedMapping({ sourceChannel: '', targetRoom: '' });
+  const filteredRooms = useMemo(
+    () => rooms.filter(room => matchesQuery(room.name, roomQuery)),
+    [rooms, roomQuery]
+  );
+
+  const brokenList = mappings.filter(mapping => brokenMappings[mapping.id]);
+  const unmappedCount = channels.filter(channel => !mappingByChannel.has(channel.id)).length;
+
+  const mapChannel = async (channelId, target) => {
+    const channel = channels.find(item => item.id === channelId);
+    if (!channel) return;
+    const existing = mappingByChannel.get(channelId) || null;
+    const room = rooms.find(item => item.id === target);
+    if (existing && room && existing.roomId === room.id) return;
+
+    const change = target === NEW_ROOM_TARGET
+      ? {
+        type: MAPPING_CHANGE_TYPES.CREATE_ROOM,
+        channel,
+        roomName: buildRoomName(DEFAULT_ROOM_NAME_PATTERN, channel, platform),
+        existing
+      }
+      : { type: existing ? MAPPING_CHANGE_TYPES.REMAP : MAPPING_CHANGE_TYPES.MAP, channel, room, existing };
+
+    setBusyChannelId(channelId);
+    try {
+      await matrixMappingService.applyChange(platform, change);
+      toast.success(change.type === MAPPING_CHANGE_TYPES.CREATE_ROOM
+        ? `Created ${change.roomName} for #${channel.name}`
+        : `Mapped #${channel.name} to ${room.name}`);
+      await loadData();
     } catch (error) {
       console.error('Error creating mapping:', error);
       toast.error('Failed to create channel mapping');
+    } finally {
+      setBusyChannelId(null);
+      setSelectedChannelId(null);
     }
   };
 
-  const handleDeleteMapping = async (mappingId) => {
+  const handleDeleteMapping = async (mapping) => {
     try {
-      await api.delete(`/mappings/matrix/${mappingId}`);
+      await matrixMappingService.deleteMapping(mapping.id);
+      setMappings(prev => prev.filter(item => item.id !== mapping.id));
       toast.success('Channel mapping deleted');
-      loadMappings();
     } catch (error) {
       console.error('Error deleting mapping:', error);
       toast.error('Failed to delete channel mapping');
     }
   };
 
+  const dropHandlers = (target) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(target);
+    },
+    onDragLeave: () => setDropTarget(prev => (prev === target ? null : prev)),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const channelId = e.dataTransfer.getData('text/plain');
+      if (channelId) {
+        mapChannel(channelId, target);
+      }
+    },
+    onClick: () => {
+      if (selectedChannelId) {
+        mapChannel(selectedChannelId, target);
+      }
+    }
+  });
+
   if (loading) {
     return <div className="text-center">Loading mappings...</div>;
   }
 
   return (
     <div className="space-y-6">
-      <h2 className="text-xl font-semibold">Channel Mappings</h2>
-      
-      {/* Create new mapping */}
-      <div className="bg-dark-lighter p-4 rounded-lg space-y-4">
-        <h3 className="text-lg">Create New Mapping</h3>
-        <div className="grid grid-cols-2 gap-4">
-          <select
-            value={selectedMapping.sourceChannel}
-            onChange={(e) => setSelectedMapping(prev => ({
-              ...prev,
-              sourceChannel: e.target.value
-            }))}
-            className="bg-dark border border-gray-700 rounded p-2"
-          >
-            <option value="">Select {platform} channel</option>
-            {platformChannels.map(channel => (
-              <option key={channel.id} value={channel.id}>
-                {channel.name}
-              </option>
-            ))}
-          </select>
-          
-          <select
-            value={selectedMapping.targetRoom}
-            onChange={(e) => setSelectedMapping(prev => ({
-              ...prev,
-              targetRoom: e.target.value
-            }))}
-            className="bg-dark border border-gray-700 rounded p-2"
-          >
-            <option value="">Select Matrix room</option>
-            {matrixRooms.map(room => (
-              <option key={room.id} value={room.id}>
-                {room.name}
-              </option>
-            ))}
-          </select>
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold">Channel Mappings</h2>
+          <p className="text-sm text-gray-400">
+            {mappings.length} mapped · {unmappedCount} {platform} channels unmapped
+          </p>
         </div>
         <button
-          onClick={handleCreateMapping}
-          className="bg-primary text-white px-4 py-2 rounded hover:bg-primary-dark"
+          onClick={() => setShowRules(prev => !prev)}
+          className="w-auto px-4 py-2 rounded bg-dark-lighter text-gray-300 hover:text-white"
         >
-          Create Mapping
+          {showRules ? 'Hide bulk rules' : 'Bulk rules'}
         </button>
       </div>
 
-      {/* Existing mappings */}
-      <div className="space-y-4">
-        <h3 className="text-lg">Existing Mappings</h3>
-        {mappings.length === 0 ? (
-          <p className="text-gray-400">No mappings created yet</p>
-        ) : (
-          <div className="space-y-2">
-            {mappings.map(mapping => (
-              <div key={mapping._id} className="flex items-center justify-between bg-dark-lighter p-3 rounded">
-                <div>
-                  <span className="text-gray-400">{mapping.sourceName}</span>
-                  <span className="mx-2">→</span>
-                  <span className="text-gray-400">{mapping.targetName}</span>
-                </div>
-                <button
-                  onClick={() => handleDeleteMapping(mapping._id)}
-                  className="text-red-500 hover:text-red-400"
-                >
-                  Delete
-                </button>
+      {showRules && (
+        <MappingRulesPanel
+          platform={platform}
+          channels={channels}
+          rooms={rooms}
+          mappings={mappings}
+          onApplied={loadData}
+        />
+      )}
+
+      {brokenList.length > 0 && (
+        <div className="bg-red-500/10 border border-red-500/30 p-4 rounded-lg space-y-2">
+          <h3 className="flex items-center gap-2 text-red-300">
+            <FiAlertTriangle className="w-4 h-4" />
+            {brokenList.length} broken mapping{brokenList.length === 1 ? '' : 's'}
+          </h3>
+          {brokenList.map(mapping => (
+            <div key={mapping.id} className="flex items-center justify-between text-sm">
+              <div>
+                <span className="text-gray-300">{mapping.channelName}</span>
+                <span className="mx-2">→</span>
+                <span className="text-gray-300">{mapping.roomName}</span>
+                <span className="ml-3 text-red-300">{BROKEN_LABELS[brokenMappings[mapping.id]]}</span>
               </div>
-            ))}
+              <button
+                onClick={() => handleDeleteMapping(mapping)}
+                className="w-auto text-red-500 hover:text-red-400"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        {/* Platform channels */}
+        <div className="bg-dark-lighter p-4 rounded-lg space-y-3 min-h-0">
+          <h3 className="text-lg capitalize">{platform} channels</h3>
+          <SearchInput value={channelQuery} onChange={setChannelQuery} placeholder="Search channels..." />
+          <div className="max-h-[28rem] overflow-y-auto space-y-3">
+            {channelGroups.length === 0 ? (
+              <p className="text-gray-400 text-sm">No channels found</p>
+            ) : (
+              channelGroups.map(([category, items]) => (
+                <div key={category}>
+                  <h4 className="text-xs uppercase tracking-wide text-gray-500 mb-1">{category}</h4>
+                  {items.map(channel => {
+                    const mapping = mappingByChannel.get(channel.id);
+                    const isBroken = mapping && brokenMappings[mapping.id];
+                    return (
+                      <div
+                        key={channel.id}
+                        draggable={busyChannelId !== channel.id}
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData('text/plain', channel.id);
+                          e.dataTransfer.effectAllowed = 'move';
+                        }}
+                        onClick={() => setSelectedChannelId(prev => (prev === channel.id ? null : channel.id))}
+                        className={`flex items-center gap-2 px-2 py-1.5 rounded cursor-grab text-sm ${
+                          selectedChannelId === channel.id ? 'bg-primary/30 ring-1 ring-primary' : 'hover:bg-dark'
+                        } ${busyChannelId === channel.id ? 'opacity-50' : ''}`}
+                      >
+                        <FiHash className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                        <span className="truncate">{channel.name}</span>
+                        <span className={`ml-auto truncate text-xs ${isBroken ? 'text-red-300' : 'text-gray-500'}`}>
+                          {mapping ? `→ ${mapping.roomName}` : 'Not mapped'}
+                        </span>
+                        {isBroken && <FiAlertTriangle className="w-3 h-3 text-red-300 flex-shrink-0" />}
+                      </div>
+                    );
+                  })}
+                </div>
+              ))
+            )}
           </div>
-        )}
+        </div>
+
+        {/* Matrix rooms */}
+        <div className="bg-dark-lighter p-4 rounded-lg space-y-3 min-h-0">
+          <h3 className="text-lg">Matrix rooms</h3>
+          <SearchInput value={roomQuery} onChange={setRoomQuery} placeholder="Search rooms..." />
+          <div className="max-h-[28rem] overflow-y-auto space-y-2">
+            <div
+              {...dropHandlers(NEW_ROOM_TARGET)}
+              className={`flex items-center gap-2 p-3 rounded border border-dashed text-sm ${
+                dropTarget === NEW_ROOM_TARGET ? 'border-primary bg-primary/10' : 'border-gray-700 text-gray-400'
+              } ${selectedChannelId ? 'cursor-pointer hover:border-primary' : ''}`}
+            >
+              <FiPlus className="w-4 h-4" />
+              New Matrix room
+            </div>
+            {filteredRooms.length === 0 ? (
+              <p className="text-gray-400 text-sm">No rooms found</p>
+            ) : (
+              filteredRooms.map(room => {
+                const roomMappings = mappingsByRoom.get(room.id) || [];
+                return (
+                  <div
+                    key={room.id}
+                    {...dropHandlers(room.id)}
+                    className={`p-3 rounded border ${
+                      dropTarget === room.id ? 'border-primary bg-primary/10' : 'border-gray-700 bg-dark'
+                    } ${selectedChannelId ? 'cursor-pointer hover:border-primary' : ''}`}
+                  >
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="truncate">{room.name}</span>
+                      {room.memberCount != null && (
+                        <span className="text-xs text-gray-500">{room.memberCount} members</span>
+                      )}
+                    </div>
+                    {roomMappings.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {roomMappings.map(mapping => (
+                          <span
+                            key={mapping.id}
+                            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${
+                              brokenMappings[mapping.id] ? 'bg-red-500/20 text-red-300' : 'bg-dark-lighter text-gray-300'
+                            }`}
+                            title={BROKEN_LABELS[brokenMappings[mapping.id]]}
+                          >
+                            #{mapping.channelName}
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDeleteMapping(mapping);
+                              }}
+                              className="w-auto hover:text-white"
+                              title="Remove mapping"
+                            >
+                              <FiX className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
 };
 
-export default MatrixMappings; 
\ No newline at end of file
+MatrixMappings.propTypes = {
+  platform: PropTypes.string.isRequired
+};
+
+export default MatrixMappings;
@@ -0,0 +1,65 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiX, FiDownload } from 'react-icons/fi';
+import { MEDIA_TYPES, resolveMediaUrl } from '../utils/matrixMedia';
+
+const MediaLightbox = ({ media, onClose }) => {
+  useEffect(() => {
+    if (!media) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [media, onClose]);
+
+  if (!media) return null;
+
+  const url = resolveMediaUrl(media.url);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/90 flex flex-col items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div className="absolute top-4 right-4 flex items-center gap-4">
+        <a
+          href={url}
+          download={media.filename}
+          target="_blank"
+          rel="noreferrer"
+          onClick={(e) => e.stopPropagation()}
+          className="text-gray-300 hover:text-white"
+          title="Download"
+        >
+          <FiDownload className="w-6 h-6" />
+        </a>
+        <button onClick={onClose} className="text-gray-300 hover:text-white w-auto" title="Close">
+          <FiX className="w-6 h-6" />
+        </button>
+      </div>
+
+      <div onClick={(e) => e.stopPropagation()} className="max-w-[90vw] max-h-[85vh]">
+        {media.msgtype === MEDIA_TYPES.VIDEO ? (
+          <video src={url} controls autoPlay className="max-w-[90vw] max-h-[85vh] rounded-md" />
+        ) : (
+          <img src={url} alt={media.filename} className="max-w-[90vw] max-h-[85vh] object-contain rounded-md" />
+        )}
+      </div>
+      <p className="text-gray-400 text-sm mt-3">{media.filename}</p>
+    </div>
+  );
+};
+
+MediaLightbox.propTypes = {
+  media: PropTypes.shape({
+    msgtype: PropTypes.string,
+    url: PropTypes.string,
+    filename: PropTypes.string
+  }),
+  onClose: PropTypes.func.isRequired
+};
+
+export default MediaLightbox;
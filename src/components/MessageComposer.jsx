@@ -0,0 +1,264 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { FiSend, FiPaperclip, FiX, FiFile, FiCornerUpLeft, FiBookOpen } from 'react-icons/fi';
+import { formatFileSize } from '../utils/matrixMedia';
+import {
+  selectTemplates,
+  selectTemplatesLoaded,
+  fetchTemplates,
+  recordTemplateUsage
+} from '../store/slices/templateSlice';
+import { renderTemplate, searchTemplates } from '../utils/templateVariables';
+import TemplatePicker from './TemplatePicker';
+import TemplateLibrary from './TemplateLibrary';
+
+// A slash at the start of the text or after whitespace, up to the cursor
+const SLASH_COMMAND_PATTERN = /(?:^|\s)\/([\w-]*)$/;
+const MAX_SLASH_RESULTS = 8;
+
+const MessageComposer = ({
+  onSend,
+  disabled = false,
+  placeholder = 'Type a message',
+  replyTo = null,
+  onCancelReply,
+  platform = 'whatsapp',
+  templateContext = null,
+  allowAttachments = true
+}) => {
+  const dispatch = useDispatch();
+  const templates = useSelector(selectTemplates);
+  const templatesLoaded = useSelector(selectTemplatesLoaded);
+  const [draft, setDraft] = useState('');
+  const [attachment, setAttachment] = useState(null);
+  const [slashCommand, setSlashCommand] = useState(null); // { query, start }
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const closeLibrary = useCallback(() => setShowLibrary(false), []);
+
+  useEffect(() => {
+    if (!templatesLoaded) {
+      dispatch(fetchTemplates());
+    }
+  }, [templatesLoaded, dispatch]);
+
+  const slashResults = useMemo(() => (
+    slashCommand ? searchTemplates(templates, slashCommand.query, platform).slice(0, MAX_SLASH_RESULTS) : []
+  ), [slashCommand, templates, platform]);
+
+  const canSend = !disabled && (draft.trim() || attachment);
+
+  const clearAttachment = () => {
+    setAttachment(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    onSend(draft.trim(), attachment);
+    setDraft('');
+    setSlashCommand(null);
+    clearAttachment();
+  };
+
+  const updateSlashCommand = (value, caret) => {
+    const match = value.slice(0, caret).match(SLASH_COMMAND_PATTERN);
+    setSlashCommand(match ? { query: match[1], start: caret - match[1].length - 1 } : null);
+    setActiveIndex(0);
+  };
+
+  const handleDraftChange = (e) => {
+    setDraft(e.target.value);
+    updateSlashCommand(e.target.value, e.target.selectionStart);
+  };
+
+  /**
+   * Puts a template's rendered text into the draft, replacing the slash
+   * command that picked it or the current selection
+   */
+  const insertTemplate = (template) => {
+    const text = renderTemplate(template.body, templateContext || {});
+    const textarea = textareaRef.current;
+    const start = slashCommand ? slashCommand.start : (textarea?.selectionStart ?? draft.length);
+    const end = slashCommand
+      ? slashCommand.start + slashCommand.query.length + 1
+      : (textarea?.selectionEnd ?? draft.length);
+
+    setDraft(draft.slice(0, start) + text + draft.slice(end));
+    setSlashCommand(null);
+    setShowLibrary(false);
+    dispatch(recordTemplateUsage({ templateId: template.id, platform }));
+
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (slashCommand && slashResults.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(index => (index + step + slashResults.length) % slashResults.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertTemplate(slashResults[activeIndex] || slashResults[0]);
+        return;
+      }
+    }
+    if (slashCommand && e.key === 'Escape') {
+      setSlashCommand(null);
+      return;
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setAttachment(file);
+    }
+  };
+
+  return (
+    <>
+      <form
+        onSubmit={handleSubmit}
+        className="px-4 py-3 bg-[#24283b] border-t border-gray-700 flex-none"
+      >
+        {replyTo && (
+          <div className="mb-2 flex items-start gap-2 border-l-2 border-[#7aa2f7] bg-[#1e2132] rounded-r px-3 py-1.5 text-sm">
+            <FiCornerUpLeft className="w-4 h-4 mt-0.5 text-[#7aa2f7] flex-shrink-0" />
+            <div className="min-w-0 flex-1">
+              <div className="text-xs text-[#7aa2f7]">Replying to {replyTo.sender_name || 'message'}</div>
+              <div className="text-gray-300 truncate">{replyTo.body}</div>
+            </div>
+            <button
+              type="button"
+              onClick={onCancelReply}
+              className="text-gray-400 hover:text-white w-auto"
+              title="Cancel reply"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        {attachment && (
+          <div className="mb-2 inline-flex items-center gap-2 bg-[#1e2132] border border-gray-700 rounded-md px-3 py-1.5 text-sm text-gray-200">
+            <FiFile className="w-4 h-4 text-gray-400" />
+            <span className="truncate max-w-xs">{attachment.name}</span>
+            <span className="text-xs text-gray-400">{formatFileSize(attachment.size)}</span>
+            <button
+              type="button"
+              onClick={clearAttachment}
+              className="text-gray-400 hover:text-white w-auto"
+              title="Remove attachment"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        <div className="flex items-end gap-3">
+          {allowAttachments && (
+            <>
+              <input
+                ref={fileInputRef}
+                type="file"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={disabled}
+                className="p-2 w-auto rounded-md text-gray-400 hover:text-white hover:bg-[#1e2132] disabled:opacity-50"
+                title="Attach a file"
+              >
+                <FiPaperclip className="w-5 h-5" />
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowLibrary(true)}
+            disabled={disabled}
+            className="p-2 w-auto rounded-md text-gray-400 hover:text-white hover:bg-[#1e2132] disabled:opacity-50"
+            title="Templates"
+          >
+            <FiBookOpen className="w-5 h-5" />
+          </button>
+          <div className="relative flex-1 flex">
+            {slashCommand && (
+              <TemplatePicker
+                templates={slashResults}
+                activeIndex={activeIndex}
+                onSelect={insertTemplate}
+                onHighlight={setActiveIndex}
+              />
+            )}
+            <textarea
+              ref={textareaRef}
+              value={draft}
+              onChange={handleDraftChange}
+              onKeyDown={handleKeyDown}
+              onBlur={() => setSlashCommand(null)}
+              placeholder={attachment ? 'Add a caption' : placeholder}
+              rows={1}
+              disabled={disabled}
+              className="flex-1 resize-none bg-[#1e2132] text-white rounded-md border border-gray-700 px-3 py-2 focus:outline-none focus:ring-1 focus:ring-[#1e6853] disabled:opacity-50"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!canSend}
+            className="p-2 w-auto rounded-md bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Send message"
+          >
+            <FiSend className="w-5 h-5" />
+          </button>
+        </div>
+      </form>
+      {/* Outside the form: the library has forms of its own */}
+      <TemplateLibrary
+        isOpen={showLibrary}
+        onClose={closeLibrary}
+        platform={platform}
+        onInsert={insertTemplate}
+      />
+    </>
+  );
+};
+
+MessageComposer.propTypes = {
+  onSend: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  placeholder: PropTypes.string,
+  replyTo: PropTypes.shape({
+    message_id: PropTypes.string,
+    sender_name: PropTypes.string,
+    body: PropTypes.string
+  }),
+  onCancelReply: PropTypes.func,
+  platform: PropTypes.oneOf(['whatsapp', 'discord', 'telegram', 'slack']),
+  // Values for template variables, see buildTemplateContext
+  templateContext: PropTypes.shape({
+    contact: PropTypes.object,
+    agent: PropTypes.object
+  }),
+  allowAttachments: PropTypes.bool
+};
+
+export default MessageComposer;
@@ -1,9 +1,107 @@
-import React from 'react';
+import { useState } from 'react';
 import PropTypes from 'prop-types';
 import { format } from 'date-fns';
+import {
+  FiClock, FiCheck, FiAlertCircle, FiRefreshCw, FiX,
+  FiCornerUpLeft, FiSmile, FiEdit2, FiTrash2, FiSlash
+} from 'react-icons/fi';
 import logger from '../utils/logger';
+import { OUTBOX_STATUS } from '../services/outboxService';
+import MessageMedia from './MessageMedia';
+
+const StatusIndicator = ({ status }) => {
+  switch (status) {
+    case OUTBOX_STATUS.QUEUED:
+      return <FiClock className="w-3 h-3" title="Queued" />;
+    case OUTBOX_STATUS.SENDING:
+      return <FiRefreshCw className="w-3 h-3 animate-spin" title="Sending" />;
+    case OUTBOX_STATUS.SENT:
+      return <FiCheck className="w-3 h-3" title="Sent" />;
+    case OUTBOX_STATUS.FAILED:
+      return <FiAlertCircle className="w-3 h-3 text-red-400" title="Failed" />;
+    default:
+      return null;
+  }
+};
+
+StatusIndicator.propTypes = {
+  status: PropTypes.string
+};
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const ActionButton = ({ title, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    title={title}
+    className="p-1.5 w-auto rounded text-gray-400 hover:text-white hover:bg-[#1e2132]"
+  >
+    {children}
+  </button>
+);
+
+ActionButton.propTypes = {
+  title: PropTypes.string.isRequired,
+  onClick: PropTypes.func.isRequired,
+  children: PropTypes.node
+};
+
+const QuotedMessage = ({ replyTo, quotedMessage, currentUser, onClick }) => {
+  const isOwnQuote = quotedMessage && (quotedMessage.sender_id?.includes('matrix') || quotedMessage.sender_id === currentUser?.id);
+  const senderName = quotedMessage
+    ? (isOwnQuote ? 'You' : quotedMessage.sender_name || 'Contact')
+    : replyTo.sender_name || 'Original message';
+
+  let body = replyTo.body;
+  if (quotedMessage?.redacted) {
+    body = 'This message was deleted';
+  } else if (quotedMessage) {
+    body = quotedMessage.content || quotedMessage.media?.filename;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => onClick?.(replyTo.message_id)}
+      className="block w-full text-left mb-2 border-l-2 border-[#7aa2f7] bg-black/20 rounded-r px-2 py-1"
+    >
+      <div className="text-xs text-[#7aa2f7] truncate">{senderName}</div>
+      <div className="text-xs text-gray-300 line-clamp-2 break-words">{body || '…'}</div>
+    </button>
+  );
+};
+
+QuotedMessage.propTypes = {
+  replyTo: PropTypes.shape({
+    message_id: PropTypes.string,
+    sender_name: PropTypes.string,
+    body: PropTypes.string
+  }).isRequired,
+  quotedMessage: PropTypes.object,
+  currentUser: PropTypes.object,
+  onClick: PropTypes.func
+};
+
+const MessageItem = ({
+  message,
+  currentUser,
+  onRetry,
+  onCancel,
+  onMediaPreview,
+  isHighlighted,
+  quotedMessage,
+  onQuoteClick,
+  onReply,
+  onReact,
+  onEdit,
+  onDelete
+}) => {
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editDraft, setEditDraft] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
 
-const MessageItem = ({ message, currentUser }) => {
   // Check if sender is the current user (Matrix user)
   const isMatrixUser = message.sender_id?.includes('matrix') || message.sender_id === currentUser?.id;
   const messageTime = message.timestamp ? format(new Date(message.timestamp), 'HH:mm') : '';
@@ -37,22 +135,236 @@ const MessageItem = ({ message, currentUser }) => {
     return content;
   };
 
+  const text = getMessageContent(message.content);
+  // Media events carry the filename as their body; only show real captions
+  const caption = message.media && text === message.media.filename ? '' : text;
+
+  // Pending outbox entries and deleted messages can't be acted on
+  const canAct = !message.tempId && !message.redacted;
+  const canEdit = canAct && isMatrixUser && !message.media && onEdit;
+  const canDelete = canAct && isMatrixUser && onDelete;
+  const reactions = Object.entries(message.reactions || {}).filter(([, senders]) => senders.length > 0);
+
+  const editHistoryTitle = (message.edit_history || [])
+    .map(edit => `${edit.edited_at ? format(new Date(edit.edited_at), 'MMM d, HH:mm') : ''}: ${getMessageContent(edit.content)}`)
+    .join('\n');
+
+  const startEditing = () => {
+    setEditDraft(text);
+    setIsEditing(true);
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    const content = editDraft.trim();
+    if (!content || content === text) {
+      setIsEditing(false);
+      return;
+    }
+
+    const saved = await onEdit(message, content);
+    if (saved !== false) {
+      setIsEditing(false);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleEditSubmit(e);
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  const handleReact = (key) => {
+    setShowReactionPicker(false);
+    onReact(message, key);
+  };
+
+  const renderBody = () => {
+    if (message.redacted) {
+      return (
+        <div className="flex items-center gap-2 italic text-gray-400">
+          <FiSlash className="w-4 h-4" />
+          This message was deleted
+        </div>
+      );
+    }
+
+    if (isEditing) {
+      return (
+        <form onSubmit={handleEditSubmit} className="space-y-2">
+          <textarea
+            value={editDraft}
+            onChange={(e) => setEditDraft(e.target.value)}
+            onKeyDown={handleEditKeyDown}
+            autoFocus
+            rows={2}
+            className="w-full min-w-[16rem] resize-none bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1 focus:outline-none focus:ring-1 focus:ring-[#1e6853]"
+          />
+          <div className="flex justify-end gap-3 text-xs">
+            <button type="button" onClick={() => setIsEditing(false)} className="text-gray-300 hover:text-white w-auto">
+              Cancel
+            </button>
+            <button type="submit" className="text-white font-medium hover:underline w-auto">
+              Save
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <>
+        {message.media && (
+          <div className={caption ? 'mb-2' : ''}>
+            <MessageMedia media={message.media} onPreview={onMediaPreview} />
+          </div>
+        )}
+        {caption && <div className="break-words">{caption}</div>}
+      </>
+    );
+  };
+
   return (
-    <div className={`flex ${isMatrixUser ? 'justify-end' : 'justify-start'} mb-4`}>
-      <div
-        className={`max-w-[70%] rounded-lg px-4 py-2 ${
-          isMatrixUser 
-            ? 'bg-[#1e6853] text-white rounded-tr-none' // Dark green for user's messages
-            : 'bg-[#24283b] text-gray-200 rounded-tl-none' // Gray for contact's messages
-        }`}
-      >
-        <div className="text-xs text-gray-400 mb-1">
-          {isMatrixUser ? 'You' : message.sender_name || 'Contact'}
+    <div
+      className={`group flex items-start gap-1 ${isMatrixUser ? 'justify-end' : 'justify-start'} pb-4`}
+      data-message-id={message.message_id || message.id}
+    >
+      {canAct && !isEditing && (
+        <div className={`relative flex items-center self-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity ${isMatrixUser ? 'order-first' : 'order-last'}`}>
+          {onReply && (
+            <ActionButton title="Reply" onClick={() => onReply(message)}>
+              <FiCornerUpLeft className="w-4 h-4" />
+            </ActionButton>
+          )}
+          {onReact && (
+            <ActionButton title="React" onClick={() => setShowReactionPicker(open => !open)}>
+              <FiSmile className="w-4 h-4" />
+            </ActionButton>
+          )}
+          {canEdit && (
+            <ActionButton title="Edit" onClick={startEditing}>
+              <FiEdit2 className="w-4 h-4" />
+            </ActionButton>
+          )}
+          {canDelete && (
+            <ActionButton title="Delete" onClick={() => setConfirmDelete(true)}>
+              <FiTrash2 className="w-4 h-4" />
+            </ActionButton>
+          )}
+          {showReactionPicker && (
+            <div className={`absolute bottom-full mb-1 z-10 flex gap-1 bg-[#1a1b26] border border-gray-700 rounded-full px-2 py-1 shadow-lg ${isMatrixUser ? 'left-0' : 'right-0'}`}>
+              {QUICK_REACTIONS.map(key => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => handleReact(key)}
+                  className="w-auto text-lg hover:scale-125 transition-transform"
+                >
+                  {key}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
-        <div className="break-words">{getMessageContent(message.content)}</div>
-        <div className={`text-xs mt-1 ${isMatrixUser ? 'text-gray-300' : 'text-gray-400'}`}>
-          {messageTime}
+      )}
+      <div className="max-w-[70%]">
+        <div
+          className={`rounded-lg px-4 py-2 transition-shadow ${isHighlighted ? 'ring-2 ring-yellow-400' : ''} ${
+            isMatrixUser 
+              ? 'bg-[#1e6853] text-white rounded-tr-none' // Dark green for user's messages
+              : 'bg-[#24283b] text-gray-200 rounded-tl-none' // Gray for contact's messages
+          }`}
+        >
+          <div className="text-xs text-gray-400 mb-1">
+            {isMatrixUser ? 'You' : message.sender_name || 'Contact'}
+          </div>
+          {message.reply_to && !message.redacted && (
+            <QuotedMessage
+              replyTo={message.reply_to}
+              quotedMessage={quotedMessage}
+              currentUser={currentUser}
+              onClick={onQuoteClick}
+            />
+          )}
+          {renderBody()}
+          <div className={`text-xs mt-1 flex items-center gap-1 ${isMatrixUser ? 'text-gray-300 justify-end' : 'text-gray-400'}`}>
+            {message.edited_at && !message.redacted && (
+              <span className="italic" title={editHistoryTitle || undefined}>edited</span>
+            )}
+            <span>{messageTime}</span>
+            {isMatrixUser && <StatusIndicator status={message.status} />}
+          </div>
+          {confirmDelete && (
+            <div className="flex items-center justify-end gap-3 mt-2 text-xs">
+              <span className="mr-auto text-gray-200">Delete for everyone?</span>
+              <button
+                type="button"
+                onClick={() => setConfirmDelete(false)}
+                className="text-gray-300 hover:text-white w-auto"
+              >
+                Keep
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirmDelete(false);
+                  onDelete(message);
+                }}
+                className="text-red-300 hover:text-red-200 font-medium w-auto"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+          {message.tempId && (message.status === OUTBOX_STATUS.FAILED || message.status === OUTBOX_STATUS.QUEUED) && (
+            <div className="flex items-center justify-end gap-3 mt-2 text-xs">
+              {message.status === OUTBOX_STATUS.FAILED && (
+                <span className="text-red-300 mr-auto" title={message.lastError || ''}>Not delivered</span>
+              )}
+              {message.status === OUTBOX_STATUS.FAILED && onRetry && (
+                <button
+                  onClick={() => onRetry(message.tempId)}
+                  className="flex items-center gap-1 text-gray-200 hover:text-white w-auto"
+                >
+                  <FiRefreshCw className="w-3 h-3" />
+                  Retry
+                </button>
+              )}
+              {onCancel && (
+                <button
+                  onClick={() => onCancel(message.tempId)}
+                  className="flex items-center gap-1 text-gray-200 hover:text-white w-auto"
+                >
+                  <FiX className="w-3 h-3" />
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
         </div>
+        {reactions.length > 0 && (
+          <div className={`flex flex-wrap gap-1 mt-1 ${isMatrixUser ? 'justify-end' : ''}`}>
+            {reactions.map(([key, senders]) => {
+              const reactedByMe = senders.includes(currentUser?.id);
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => onReact?.(message, key)}
+                  disabled={!onReact || !canAct}
+                  className={`w-auto flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${
+                    reactedByMe ? 'border-[#1e6853] bg-[#1e6853]/30 text-white' : 'border-gray-700 bg-[#1e2132] text-gray-300'
+                  }`}
+                >
+                  <span>{key}</span>
+                  {senders.length > 1 && <span>{senders.length}</span>}
+                </button>
+              );
+            })}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -66,9 +378,34 @@ MessageItem.propTypes = {
     sender_id: PropTypes.string,
     sender_name: PropTypes.string,
     timestamp: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
-    status: PropTypes.string
+    status: PropTypes.string,
+    tempId: PropTypes.string,
+    lastError: PropTypes.string,
+    media: PropTypes.object,
+    reply_to: PropTypes.shape({
+      message_id: PropTypes.string,
+      sender_name: PropTypes.string,
+      body: PropTypes.string
+    }),
+    reactions: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+    edited_at: PropTypes.string,
+    edit_history: PropTypes.arrayOf(PropTypes.shape({
+      content: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+      edited_at: PropTypes.string
+    })),
+    redacted: PropTypes.bool
   }).isRequired,
-  currentUser: PropTypes.object.isRequired
+  currentUser: PropTypes.object.isRequired,
+  onRetry: PropTypes.func,
+  onCancel: PropTypes.func,
+  onMediaPreview: PropTypes.func,
+  isHighlighted: PropTypes.bool,
+  quotedMessage: PropTypes.object,
+  onQuoteClick: PropTypes.func,
+  onReply: PropTypes.func,
+  onReact: PropTypes.func,
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func
 };
 
 export default MessageItem; 
\ No newline at end of file
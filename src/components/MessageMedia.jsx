@@ -0,0 +1,133 @@
+import PropTypes from 'prop-types';
+import { FiFile, FiDownload, FiPlay } from 'react-icons/fi';
+import {
+  MEDIA_TYPES,
+  resolveMediaUrl,
+  resolveThumbnailUrl,
+  formatFileSize
+} from '../utils/matrixMedia';
+
+const formatDuration = (ms) => {
+  if (!ms) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const FileCard = ({ media, url }) => (
+  <div className="flex items-center gap-3 bg-black/20 rounded-md px-3 py-2">
+    <FiFile className="w-6 h-6 flex-shrink-0" />
+    <div className="min-w-0 flex-1">
+      <p className="truncate text-sm">{media.filename}</p>
+      <p className="text-xs text-gray-400">
+        {[media.mimetype, formatFileSize(media.size)].filter(Boolean).join(' · ')}
+      </p>
+    </div>
+    {url && (
+      <a
+        href={url}
+        download={media.filename}
+        target="_blank"
+        rel="noreferrer"
+        className="text-gray-300 hover:text-white"
+        title="Download"
+      >
+        <FiDownload className="w-5 h-5" />
+      </a>
+    )}
+  </div>
+);
+
+FileCard.propTypes = {
+  media: PropTypes.object.isRequired,
+  url: PropTypes.string
+};
+
+const MessageMedia = ({ media, onPreview }) => {
+  const url = resolveMediaUrl(media.url);
+
+  // Not uploaded yet (still in the outbox) or the bridge gave us no URL
+  if (!url) {
+    return <FileCard media={media} />;
+  }
+
+  switch (media.msgtype) {
+    case MEDIA_TYPES.IMAGE: {
+      const thumbnail = resolveThumbnailUrl(media.thumbnailUrl || media.url);
+      return (
+        <button
+          type="button"
+          onClick={() => onPreview?.(media)}
+          className="block w-auto p-0 bg-transparent"
+          title="Open preview"
+        >
+          <img
+            src={thumbnail}
+            alt={media.filename}
+            loading="lazy"
+            className="rounded-md max-h-64 max-w-full object-cover"
+          />
+        </button>
+      );
+    }
+
+    case MEDIA_TYPES.VIDEO: {
+      const poster = media.thumbnailUrl ? resolveThumbnailUrl(media.thumbnailUrl) : undefined;
+      return (
+        <button
+          type="button"
+          onClick={() => onPreview?.(media)}
+          className="relative block w-auto p-0 bg-transparent"
+          title="Play video"
+        >
+          {poster ? (
+            <img src={poster} alt={media.filename} loading="lazy" className="rounded-md max-h-64 max-w-full object-cover" />
+          ) : (
+            <div className="w-64 h-36 rounded-md bg-black/40" />
+          )}
+          <span className="absolute inset-0 flex items-center justify-center">
+            <span className="bg-black/60 rounded-full p-3">
+              <FiPlay className="w-6 h-6 text-white" />
+            </span>
+          </span>
+          {media.duration && (
+            <span className="absolute bottom-1 right-2 text-xs text-white bg-black/60 rounded px-1">
+              {formatDuration(media.duration)}
+            </span>
+          )}
+        </button>
+      );
+    }
+
+    case MEDIA_TYPES.AUDIO:
+      return (
+        <div className="space-y-1">
+          <audio controls preload="none" src={url} className="w-64 max-w-full">
+            <a href={url} download={media.filename}>{media.filename}</a>
+          </audio>
+          {media.duration && (
+            <p className="text-xs text-gray-400">{formatDuration(media.duration)}</p>
+          )}
+        </div>
+      );
+
+    default:
+      return <FileCard media={media} url={url} />;
+  }
+};
+
+MessageMedia.propTypes = {
+  media: PropTypes.shape({
+    msgtype: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    filename: PropTypes.string,
+    mimetype: PropTypes.string,
+    size: PropTypes.number,
+    duration: PropTypes.number,
+    thumbnailUrl: PropTypes.string
+  }).isRequired,
+  onPreview: PropTypes.func
+};
+
+export default MessageMedia;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { debounce } from 'lodash';
+import { FiSearch, FiX } from 'react-icons/fi';
+import { searchService, splitHighlights, buildSnippet } from '../services/searchService';
+import { PRIORITY_LEVELS } from '../store/slices/contactSlice';
+import { PlatformBadge } from './UnifiedConversationList';
+import logger from '../utils/logger';
+
+const SEARCHABLE_PLATFORMS = ['whatsapp', 'discord'];
+
+const INITIAL_FILTERS = {
+  sender: '',
+  from: '',
+  to: '',
+  platform: 'all',
+  priority: 'all'
+};
+
+const HighlightedText = ({ text, query }) => (
+  <>
+    {splitHighlights(text, query).map((part, index) => (
+      part.match
+        ? <mark key={index} className="bg-yellow-500/40 text-white rounded px-0.5">{part.text}</mark>
+        : <span key={index}>{part.text}</span>
+    ))}
+  </>
+);
+
+HighlightedText.propTypes = {
+  text: PropTypes.string,
+  query: PropTypes.string
+};
+
+const MessageSearchPanel = ({ isOpen, onClose, onResultSelect }) => {
+  const panelRef = useRef();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  const runSearch = useCallback(async (searchQuery, searchFilters, offset = 0) => {
+    if (!searchQuery.trim()) {
+      setResults([]);
+      setHasMore(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await searchService.searchMessages({
+        query: searchQuery.trim(),
+        sender: searchFilters.sender.trim(),
+        // Date inputs are day-granular; make the upper bound cover the whole day
+        from: searchFilters.from ? new Date(`${searchFilters.from}T00:00:00`).toISOString() : null,
+        to: searchFilters.to ? new Date(`${searchFilters.to}T23:59:59.999`).toISOString() : null,
+        platforms: searchFilters.platform === 'all' ? SEARCHABLE_PLATFORMS : [searchFilters.platform],
+        priority: searchFilters.priority === 'all' ? null : searchFilters.priority,
+        offset
+      });
+
+      setResults(prev => offset === 0 ? response.results : [...prev, ...response.results]);
+      setHasMore(response.hasMore);
+    } catch (err) {
+      logger.error('[MessageSearchPanel] Search failed:', err);
+      setError('Search failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const debouncedSearch = useMemo(() => debounce(runSearch, 300), [runSearch]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    debouncedSearch(query, filters);
+    return () => debouncedSearch.cancel();
+  }, [isOpen, query, filters, debouncedSearch]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-start justify-center z-50 pt-16">
+      <div
+        ref={panelRef}
+        className="bg-[#24283b] rounded-lg max-w-3xl w-full mx-4 flex flex-col max-h-[80vh]"
+      >
+        <div className="p-4 border-b border-gray-700 space-y-3">
+          <div className="flex items-center gap-3">
+            <FiSearch className="w-5 h-5 text-gray-400" />
+            <input
+              autoFocus
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search messages across all conversations"
+              className="flex-1 bg-transparent text-white placeholder-gray-500 focus:outline-none"
+            />
+            <button onClick={onClose} className="text-gray-400 hover:text-white w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-5 gap-2 text-sm">
+            <input
+              value={filters.sender}
+              onChange={(e) => updateFilter('sender', e.target.value)}
+              placeholder="Sender"
+              className="bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1"
+            />
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1"
+              title="From date"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1"
+              title="To date"
+            />
+            <select
+              value={filters.platform}
+              onChange={(e) => updateFilter('platform', e.target.value)}
+              className="bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1"
+            >
+              <option value="all">All platforms</option>
+              <option value="whatsapp">WhatsApp</option>
+              <option value="discord">Discord</option>
+            </select>
+            <select
+              value={filters.priority}
+              onChange={(e) => updateFilter('priority', e.target.value)}
+              className="bg-[#1e2132] text-white rounded-md border border-gray-700 px-2 py-1"
+            >
+              <option value="all">Any priority</option>
+              <option value={PRIORITY_LEVELS.HIGH}>High</option>
+              <option value={PRIORITY_LEVELS.MEDIUM}>Medium</option>
+              <option value={PRIORITY_LEVELS.LOW}>Low</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {error && <div className="p-4 text-red-500 text-sm">{error}</div>}
+          {!loading && query.trim() && results.length === 0 && !error && (
+            <div className="p-6 text-center text-gray-400">No messages found</div>
+          )}
+          {results.map(result => (
+            <button
+              key={`${result.platform}:${result.id}`}
+              onClick={() => onResultSelect(result)}
+              className="w-full text-left px-4 py-3 border-b border-gray-700 hover:bg-[#1e2132]"
+            >
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <div className="flex items-center gap-2 min-w-0">
+                  <PlatformBadge platform={result.platform} />
+                  <span className="text-white truncate">{result.conversationName}</span>
+                  <span className="text-gray-400 text-sm truncate">· {result.senderName}</span>
+                </div>
+                {result.timestamp && (
+                  <span className="text-xs text-gray-400 flex-shrink-0">
+                    {format(new Date(result.timestamp), 'MMM d, yyyy HH:mm')}
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-gray-300 break-words">
+                <HighlightedText text={buildSnippet(result.content, query)} query={query} />
+              </p>
+            </button>
+          ))}
+          {loading && <div className="p-4 text-center text-gray-400 text-sm">Searching...</div>}
+          {hasMore && !loading && (
+            <button
+              onClick={() => runSearch(query, filters, results.length)}
+              className="w-full py-3 text-sm text-gray-400 hover:text-white"
+            >
+              Load more results
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+MessageSearchPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onResultSelect: PropTypes.func.isRequired
+};
+
+export default MessageSearchPanel;
@@ -0,0 +1,275 @@
+import { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { VariableSizeList } from 'react-window';
+import InfiniteLoader from 'react-window-infinite-loader';
+import AutoSizer from 'react-virtualized-auto-sizer';
+import { FiArrowDown } from 'react-icons/fi';
+import LoadingSpinner from './LoadingSpinner';
+
+const OLDER_LOADER_KEY = '__older_loader__';
+const NEWER_LOADER_KEY = '__newer_loader__';
+const LOADER_KEYS = [OLDER_LOADER_KEY, NEWER_LOADER_KEY];
+const ESTIMATED_ROW_HEIGHT = 72;
+const LOADER_ROW_HEIGHT = 48;
+// How close to the bottom (in px) still counts as "following" the conversation
+const BOTTOM_THRESHOLD = 80;
+
+const isLoaderKey = (key) => LOADER_KEYS.includes(key);
+
+const getRowHeight = (heights, key) => (
+  heights.get(key) ?? (isLoaderKey(key) ? LOADER_ROW_HEIGHT : ESTIMATED_ROW_HEIGHT)
+);
+
+const getOffsetOf = (heights, keys, key) => {
+  let offset = 0;
+  for (const k of keys) {
+    if (k === key) return offset;
+    offset += getRowHeight(heights, k);
+  }
+  return null;
+};
+
+const getTotalHeight = (heights, keys) => keys.reduce((total, key) => total + getRowHeight(heights, key), 0);
+
+const LoaderRow = () => (
+  <div className="flex justify-center py-2">
+    <LoadingSpinner />
+  </div>
+);
+
+// Measures its content so the list can size variable-height messages
+const MeasuredRow = ({ index, rowKey, onMeasure, children }) => {
+  const rowRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = rowRef.current;
+    if (!element) return;
+
+    const measure = () => onMeasure(index, rowKey, element.getBoundingClientRect().height);
+    measure();
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [index, rowKey, onMeasure]);
+
+  return <div ref={rowRef}>{children}</div>;
+};
+
+MeasuredRow.propTypes = {
+  index: PropTypes.number.isRequired,
+  rowKey: PropTypes.string.isRequired,
+  onMeasure: PropTypes.func.isRequired,
+  children: PropTypes.node
+};
+
+const Row = ({ index, style, data }) => {
+  const { rowKeys, itemsByKey, renderItem, onMeasure } = data;
+  const key = rowKeys[index];
+
+  return (
+    <div style={style}>
+      <MeasuredRow index={index} rowKey={key} onMeasure={onMeasure}>
+        <div className="px-4">
+          {isLoaderKey(key) ? <LoaderRow /> : renderItem(itemsByKey.get(key))}
+        </div>
+      </MeasuredRow>
+    </div>
+  );
+};
+
+Row.propTypes = {
+  index: PropTypes.number.isRequired,
+  style: PropTypes.object.isRequired,
+  data: PropTypes.object.isRequired
+};
+
+/**
+ * Virtualized chat timeline. Older pages load when the top is reached and
+ * newer ones when the bottom is reached; the visible message stays put while
+ * rows are inserted above it.
+ */
+const MessageTimeline = forwardRef(({
+  items,
+  renderItem,
+  hasOlder,
+  hasNewer,
+  onLoadOlder = async () => {},
+  onLoadNewer = async () => {},
+  focusKey
+}, ref) => {
+  const listRef = useRef(null);
+  const loaderRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const scrollOffsetRef = useRef(0);
+  const viewportHeightRef = useRef(0);
+  const prevRowKeysRef = useRef([]);
+  const atBottomRef = useRef(true);
+  const [unseenCount, setUnseenCount] = useState(0);
+
+  const focusKeyRef = useRef(focusKey);
+  focusKeyRef.current = focusKey;
+
+  // Parents rebuild `items` on every render; only react when the keys change
+  const rowKeysSignature = [
+    ...(hasOlder ? [OLDER_LOADER_KEY] : []),
+    ...items.map(item => item.key),
+    ...(hasNewer ? [NEWER_LOADER_KEY] : [])
+  ].join('\n');
+  const rowKeys = useMemo(() => (rowKeysSignature ? rowKeysSignature.split('\n') : []), [rowKeysSignature]);
+  const itemsByKey = new Map(items.map(item => [item.key, item]));
+  const getHeight = (key) => getRowHeight(heightsRef.current, key);
+
+  const scrollToLatest = useCallback(() => {
+    const count = listRef.current?.props.itemCount;
+    if (!count) return;
+    listRef.current.scrollToItem(count - 1, 'end');
+    atBottomRef.current = true;
+    setUnseenCount(0);
+  }, []);
+
+  useImperativeHandle(ref, () => ({ scrollToLatest }), [scrollToLatest]);
+
+  const handleMeasure = useCallback((index, key, height) => {
+    if (!height || heightsRef.current.get(key) === height) return;
+    heightsRef.current.set(key, height);
+    listRef.current?.resetAfterIndex(index, true);
+  }, []);
+
+  // Keep the viewport anchored when rows are inserted above it and follow
+  // new messages only when the user is already at the bottom
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const prevKeys = prevRowKeysRef.current;
+    prevRowKeysRef.current = rowKeys;
+
+    const prevReal = prevKeys.filter(key => !isLoaderKey(key));
+    const nextReal = rowKeys.filter(key => !isLoaderKey(key));
+
+    if (prevReal.length === 0) {
+      if (nextReal.length > 0 && !focusKeyRef.current) {
+        list.resetAfterIndex(0, false);
+        list.scrollToItem(rowKeys.length - 1, 'end');
+      }
+      return;
+    }
+
+    const anchorKey = prevReal[0];
+    const prevAnchorOffset = getOffsetOf(heightsRef.current, prevKeys, anchorKey);
+    const nextAnchorOffset = getOffsetOf(heightsRef.current, rowKeys, anchorKey);
+    list.resetAfterIndex(0, false);
+
+    if (prevAnchorOffset !== null && nextAnchorOffset !== null && nextAnchorOffset !== prevAnchorOffset) {
+      list.scrollTo(scrollOffsetRef.current + (nextAnchorOffset - prevAnchorOffset));
+    }
+
+    const lastPrevKey = prevReal[prevReal.length - 1];
+    const appended = nextReal.length - 1 - nextReal.indexOf(lastPrevKey);
+    if (nextReal.indexOf(lastPrevKey) !== -1 && appended > 0) {
+      if (atBottomRef.current) {
+        list.scrollToItem(rowKeys.length - 1, 'end');
+      } else {
+        setUnseenCount(count => count + appended);
+      }
+    }
+  }, [rowKeys]);
+
+  useEffect(() => {
+    if (!focusKey || !listRef.current) return;
+    const index = rowKeys.indexOf(focusKey);
+    if (index !== -1) {
+      listRef.current.scrollToItem(index, 'center');
+    }
+  }, [focusKey, rowKeys]);
+
+  const handleScroll = useCallback(({ scrollOffset }) => {
+    scrollOffsetRef.current = scrollOffset;
+    const distanceFromBottom = getTotalHeight(heightsRef.current, prevRowKeysRef.current) - scrollOffset - viewportHeightRef.current;
+    atBottomRef.current = distanceFromBottom <= BOTTOM_THRESHOLD;
+    if (atBottomRef.current) {
+      setUnseenCount(0);
+    }
+  }, []);
+
+  const isItemLoaded = (index) => !isLoaderKey(rowKeys[index]);
+
+  const loadMoreItems = async (startIndex, stopIndex) => {
+    const requested = rowKeys.slice(startIndex, stopIndex + 1);
+    if (requested.includes(OLDER_LOADER_KEY)) {
+      await onLoadOlder();
+    }
+    if (requested.includes(NEWER_LOADER_KEY)) {
+      await onLoadNewer();
+    }
+    loaderRef.current?.resetloadMoreItemsCache();
+  };
+
+  return (
+    <div className="relative flex-1 min-h-0">
+      <AutoSizer>
+        {({ height, width }) => {
+          viewportHeightRef.current = height;
+          return (
+            <InfiniteLoader
+              ref={loaderRef}
+              isItemLoaded={isItemLoaded}
+              itemCount={rowKeys.length}
+              loadMoreItems={loadMoreItems}
+              minimumBatchSize={1}
+              threshold={5}
+            >
+              {({ onItemsRendered, ref: infiniteRef }) => (
+                <VariableSizeList
+                  ref={(list) => {
+                    listRef.current = list;
+                    infiniteRef(list);
+                  }}
+                  height={height}
+                  width={width}
+                  itemCount={rowKeys.length}
+                  itemSize={(index) => getHeight(rowKeys[index])}
+                  estimatedItemSize={ESTIMATED_ROW_HEIGHT}
+                  itemKey={(index) => rowKeys[index]}
+                  itemData={{ rowKeys, itemsByKey, renderItem, onMeasure: handleMeasure }}
+                  onItemsRendered={onItemsRendered}
+                  onScroll={handleScroll}
+                  initialScrollOffset={focusKey ? 0 : getTotalHeight(heightsRef.current, rowKeys)}
+                  overscanCount={6}
+                >
+                  {Row}
+                </VariableSizeList>
+              )}
+            </InfiniteLoader>
+          );
+        }}
+      </AutoSizer>
+
+      {unseenCount > 0 && (
+        <button
+          onClick={scrollToLatest}
+          className="absolute bottom-4 left-1/2 -translate-x-1/2 w-auto flex items-center gap-2 px-4 py-2 rounded-full bg-[#1e6853] text-white text-sm shadow-lg hover:bg-[#1e6853]/80"
+        >
+          <FiArrowDown className="w-4 h-4" />
+          {unseenCount} new message{unseenCount > 1 ? 's' : ''} · Jump to latest
+        </button>
+      )}
+    </div>
+  );
+});
+
+MessageTimeline.displayName = 'MessageTimeline';
+
+MessageTimeline.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired
+  })).isRequired,
+  renderItem: PropTypes.func.isRequired,
+  hasOlder: PropTypes.bool,
+  hasNewer: PropTypes.bool,
+  onLoadOlder: PropTypes.func,
+  onLoadNewer: PropTypes.func,
+  focusKey: PropTypes.string
+};
+
+export default MessageTimeline;
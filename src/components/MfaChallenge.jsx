@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { verifyMfa, redeemRecoveryCode } from '../store/slices/authSlice';
+
+/**
+ * Second sign-in step for accounts with two-factor on. Takes a code from the
+ * authenticator app, or a recovery code when the app isn't at hand.
+ */
+const MfaChallenge = ({ factorId, onCancel }) => {
+  const dispatch = useDispatch();
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      if (useRecovery) {
+        await dispatch(redeemRecoveryCode(code)).unwrap();
+        toast.success('Recovery code accepted. Two-factor is now off; set it up again in Security settings.', {
+          duration: 8000
+        });
+      } else {
+        await dispatch(verifyMfa({ factorId, code })).unwrap();
+        toast.success('Successfully signed in!');
+      }
+      // Navigation is handled by the page once the session is set
+    } catch (err) {
+      setError(useRecovery ? err : 'That code is not valid. Check your authenticator app and try again.');
+      setCode('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecovery(prev => !prev);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Two-factor authentication</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          {useRecovery
+            ? 'Enter one of the recovery codes you saved when you set up two-factor.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-md bg-red-50 p-3 text-sm text-red-800">{error}</div>
+      )}
+
+      <input
+        type="text"
+        inputMode={useRecovery ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        pattern={useRecovery ? undefined : '[0-9]{6}'}
+        maxLength={useRecovery ? 32 : 6}
+        required
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecovery ? 'xxxx-xxxx' : '123456'}
+        disabled={isSubmitting}
+        className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 text-gray-900 tracking-widest text-center focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+      />
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+      >
+        {isSubmitting ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="w-auto font-medium text-indigo-600 hover:text-indigo-500">
+          {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" onClick={onCancel} className="w-auto text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+MfaChallenge.propTypes = {
+  factorId: PropTypes.string.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default MfaChallenge;
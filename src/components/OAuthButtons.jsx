@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { toast } from 'react-hot-toast';
+import { FiGithub } from 'react-icons/fi';
+import authService from '../services/authService';
+import { OAUTH_PROVIDERS, SIGN_IN_METHOD_LABELS } from '../services/securityService';
+import logger from '../utils/logger';
+
+const VARIANT_STYLES = {
+  light: 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50',
+  dark: 'border-gray-700 bg-dark text-white hover:bg-dark-darker'
+};
+
+const PROVIDER_ICONS = {
+  google: <span className="font-bold text-[#4285f4]">G</span>,
+  github: <FiGithub className="h-4 w-4" />
+};
+
+/**
+ * "Continue with Google/GitHub" buttons for the Login and Signup pages. The
+ * provider redirects back to /auth/callback, which finishes the sign-in.
+ */
+const OAuthButtons = ({ variant = 'light', disabled = false }) => {
+  const [redirecting, setRedirecting] = useState(null);
+
+  const handleClick = async (provider) => {
+    setRedirecting(provider);
+    try {
+      await authService.signInWithOAuth(provider);
+    } catch (error) {
+      logger.error('[OAuthButtons] Could not start sign in:', error);
+      toast.error(`Could not continue with ${SIGN_IN_METHOD_LABELS[provider]}`);
+      setRedirecting(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {OAUTH_PROVIDERS.map(provider => (
+        <button
+          key={provider}
+          type="button"
+          onClick={() => handleClick(provider)}
+          disabled={disabled || Boolean(redirecting)}
+          className={`w-full flex items-center justify-center gap-2 py-2 px-4 border rounded-md text-sm font-medium disabled:opacity-50 ${VARIANT_STYLES[variant]}`}
+        >
+          {PROVIDER_ICONS[provider]}
+          {redirecting === provider ? 'Redirecting...' : `Continue with ${SIGN_IN_METHOD_LABELS[provider]}`}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+OAuthButtons.propTypes = {
+  variant: PropTypes.oneOf(['light', 'dark']),
+  disabled: PropTypes.bool
+};
+
+export default OAuthButtons;
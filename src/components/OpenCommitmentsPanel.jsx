@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { FiX } from 'react-icons/fi';
+import { selectTasks, loadTasks } from '../store/slices/summarySlice';
+import TaskItem from './TaskItem';
+
+// Tasks with a due date first (soonest on top), then the rest, newest first
+const compareTasks = (a, b) => {
+  if (a.dueDate && b.dueDate) return a.dueDate.localeCompare(b.dueDate);
+  if (a.dueDate) return -1;
+  if (b.dueDate) return 1;
+  return b.createdAt - a.createdAt;
+};
+
+/**
+ * Action items from every contact's summaries that are still open
+ */
+const OpenCommitmentsPanel = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const tasks = useSelector(selectTasks);
+  const [ownerFilter, setOwnerFilter] = useState('');
+  const [showDone, setShowDone] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      dispatch(loadTasks());
+    }
+  }, [isOpen, dispatch]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  const owners = useMemo(
+    () => [...new Set(tasks.map(task => task.owner).filter(Boolean))].sort(),
+    [tasks]
+  );
+
+  const visibleTasks = useMemo(() => (
+    tasks
+      .filter(task => showDone || !task.done)
+      .filter(task => !ownerFilter || (ownerFilter === '__none' ? !task.owner : task.owner === ownerFilter))
+      .sort(compareTasks)
+  ), [tasks, showDone, ownerFilter]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <h3 className="text-xl font-medium text-white">Open Commitments</h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={ownerFilter}
+              onChange={(e) => setOwnerFilter(e.target.value)}
+              className="bg-[#1e2132] text-sm text-gray-300 rounded-md border border-gray-700 px-2 py-1.5"
+            >
+              <option value="">Everyone</option>
+              <option value="__none">Unassigned</option>
+              {owners.map(owner => (
+                <option key={owner} value={owner}>{owner}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={showDone}
+                onChange={() => setShowDone(!showDone)}
+                className="w-4 h-4 accent-[#1e6853]"
+              />
+              Show done
+            </label>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-2">
+          {visibleTasks.length === 0 ? (
+            <p className="text-gray-400 text-sm text-center py-8">
+              Nothing open. Action items from chat summaries show up here.
+            </p>
+          ) : (
+            visibleTasks.map(task => <TaskItem key={task.id} task={task} showContact />)
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+OpenCommitmentsPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default OpenCommitmentsPanel;
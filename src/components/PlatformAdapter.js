@@ -1,13 +1,108 @@
 import MainEntitiesView from './discord/MainEntitiesView';
 import DiscordMessages from './DiscordMessages';
+import WhatsAppContactList from './WhatsAppContactList';
+import ChatView from './ChatView';
+import TelegramChatList from './telegram/TelegramChatList';
+import TelegramChatView from './telegram/TelegramChatView';
+import SlackChannelList from './slack/SlackChannelList';
+import SlackMessageView from './slack/SlackMessageView';
+import api from '../utils/api';
+import { contactService } from '../services/contactService';
+
+// Shape every adapter's conversations into the same row so the unified inbox
+// can merge and sort them without knowing about the platform
+const toConversation = (platform, { id, name, avatarUrl, lastActivityAt, preview, unreadCount, raw }) => ({
+  id,
+  key: `${platform}:${id}`,
+  platform,
+  name: name || 'Unknown',
+  avatarUrl: avatarUrl || null,
+  lastActivityAt: lastActivityAt ? new Date(lastActivityAt).toISOString() : null,
+  preview: preview || '',
+  unreadCount: unreadCount || 0,
+  raw
+});
+
+const fetchWhatsAppConversations = async () => {
+  const { contacts = [] } = await contactService.getCurrentUserContacts();
+  return contacts.map(contact => toConversation('whatsapp', {
+    id: contact.id,
+    name: contact.display_name,
+    avatarUrl: contact.avatar_url,
+    lastActivityAt: contact.last_message_at,
+    preview: contact.last_message,
+    unreadCount: contact.unread_count,
+    raw: contact
+  }));
+};
+
+const fetchDiscordConversations = async () => {
+  const response = await api.get('/connect/discord/direct-messages');
+  const dms = response.data?.data || [];
+  return dms.map(dm => toConversation('discord', {
+    id: dm.id,
+    name: dm.recipients?.map(r => r.username).join(', '),
+    avatarUrl: dm.recipients?.[0]?.avatar,
+    lastActivityAt: dm.last_message_at || dm.lastMessageTimestamp,
+    preview: dm.last_message?.content,
+    unreadCount: dm.unread_count,
+    raw: dm
+  }));
+};
+
+const fetchTelegramConversations = async () => {
+  const response = await api.get('/connect/telegram/chats');
+  const chats = response.data?.data || [];
+  return chats.map(chat => toConversation('telegram', {
+    id: String(chat.id),
+    name: chat.title || chat.name,
+    avatarUrl: chat.photo_url,
+    lastActivityAt: chat.last_message_at,
+    preview: chat.last_message,
+    unreadCount: chat.unread_count,
+    raw: chat
+  }));
+};
+
+const fetchSlackConversations = async () => {
+  const response = await api.get('/connect/slack/channels');
+  const channels = response.data?.data || [];
+  return channels.map(channel => toConversation('slack', {
+    id: String(channel.id),
+    name: channel.is_im ? channel.user_name : `#${channel.name}`,
+    avatarUrl: channel.avatar_url,
+    lastActivityAt: channel.last_message_at,
+    preview: channel.last_message,
+    unreadCount: channel.unread_count,
+    raw: channel
+  }));
+};
 
 const platformAdapters = {
+  whatsapp: {
+    ChatList: WhatsAppContactList,
+    MessageViewer: ChatView,
+    fetchConversations: fetchWhatsAppConversations
+  },
+  telegram: {
+    ChatList: TelegramChatList,
+    MessageViewer: TelegramChatView,
+    fetchConversations: fetchTelegramConversations
+  },
+  slack: {
+    ChatList: SlackChannelList,
+    MessageViewer: SlackMessageView,
+    fetchConversations: fetchSlackConversations
+  },
   discord: {
     ChatList: MainEntitiesView,
-    MessageViewer: DiscordMessages
+    MessageViewer: DiscordMessages,
+    fetchConversations: fetchDiscordConversations
   }
 };
 
 export const getPlatformAdapter = (platform) => {
   return platformAdapters[platform] || null;
-}; 
\ No newline at end of file
+};
+
+export const getRegisteredPlatforms = () => Object.keys(platformAdapters);
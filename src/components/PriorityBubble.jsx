@@ -1,8 +1,9 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import { PRIORITY_LEVELS } from '../store/slices/contactSlice';
 import '../styles/PriorityBubble.css';
 
-const PriorityBubble = ({ priority }) => {
+const PriorityBubble = ({ priority, explanation = null }) => {
   const getBubbleClass = () => {
     switch (priority) {
       case PRIORITY_LEVELS.HIGH:
@@ -19,9 +20,18 @@ const PriorityBubble = ({ priority }) => {
   return (
     <div 
       className={`priority-bubble ${getBubbleClass()}`}
-      title={`${priority.charAt(0).toUpperCase() + priority.slice(1)} Priority`}
+      title={[
+        `${priority.charAt(0).toUpperCase() + priority.slice(1)} Priority`,
+        explanation
+      ].filter(Boolean).join('\n')}
     />
   );
 };
 
+PriorityBubble.propTypes = {
+  priority: PropTypes.string.isRequired,
+  // Why the priority was assigned, e.g. which rule fired
+  explanation: PropTypes.string
+};
+
 export default PriorityBubble; 
\ No newline at end of file
@@ -0,0 +1,352 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { FiX, FiPlus, FiTrash2, FiArrowUp, FiArrowDown } from 'react-icons/fi';
+import { PRIORITY_LEVELS } from '../store/slices/contactSlice';
+import {
+  selectPriorityRules,
+  ruleAdded,
+  ruleUpdated,
+  ruleRemoved,
+  ruleMoved,
+  reevaluatePriorityRules
+} from '../store/slices/priorityRulesSlice';
+import { CHAT_TYPES, createEmptyRule } from '../utils/priorityRules';
+
+const PRIORITY_STYLES = {
+  [PRIORITY_LEVELS.HIGH]: 'text-red-400',
+  [PRIORITY_LEVELS.MEDIUM]: 'text-yellow-400',
+  [PRIORITY_LEVELS.LOW]: 'text-gray-400'
+};
+
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-3 py-2 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const toNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Keyword and sender lists are edited as comma-separated text
+const toDraft = (rule) => ({
+  ...rule,
+  keywordsText: rule.conditions.keywords.join(', '),
+  sendersText: rule.conditions.senders.join(', ')
+});
+
+const fromDraft = ({ keywordsText, sendersText, ...rule }) => ({
+  ...rule,
+  name: rule.name.trim() || 'Untitled rule',
+  conditions: {
+    ...rule.conditions,
+    keywords: splitList(keywordsText),
+    senders: splitList(sendersText)
+  }
+});
+
+const describeConditions = ({ conditions }) => {
+  const parts = [];
+  if (conditions.keywords.length) parts.push(`mentions ${conditions.keywords.join(' / ')}`);
+  if (conditions.senders.length) parts.push(`from ${conditions.senders.join(' / ')}`);
+  if (conditions.chatType !== CHAT_TYPES.ANY) parts.push(`${conditions.chatType} chats`);
+  if (conditions.unansweredMinutes) parts.push(`unanswered ${conditions.unansweredMinutes}+ min`);
+  if (conditions.frequency?.count) {
+    parts.push(`${conditions.frequency.count}+ messages in ${conditions.frequency.withinMinutes || 60} min`);
+  }
+  return parts.length ? parts.join(', ') : 'No conditions yet';
+};
+
+const RuleForm = ({ rule, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => toDraft(rule));
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const setCondition = (field, value) => setDraft(prev => ({
+    ...prev,
+    conditions: { ...prev.conditions, [field]: value }
+  }));
+  const setFrequency = (field, value) => {
+    const frequency = { count: null, withinMinutes: 60, ...draft.conditions.frequency, [field]: toNumber(value) };
+    setCondition('frequency', frequency.count ? frequency : null);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave(fromDraft(draft));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 mt-3 pt-3 border-t border-gray-700">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-xs text-gray-400">
+          Name
+          <input
+            className={`${inputClass} mt-1`}
+            value={draft.name}
+            onChange={(e) => setField('name', e.target.value)}
+          />
+        </label>
+        <label className="block text-xs text-gray-400">
+          Set priority to
+          <select
+            className={`${inputClass} mt-1`}
+            value={draft.priority}
+            onChange={(e) => setField('priority', e.target.value)}
+          >
+            <option value={PRIORITY_LEVELS.HIGH}>High</option>
+            <option value={PRIORITY_LEVELS.MEDIUM}>Medium</option>
+            <option value={PRIORITY_LEVELS.LOW}>Low</option>
+          </select>
+        </label>
+      </div>
+
+      <label className="block text-xs text-gray-400">
+        Keywords (any of, comma separated)
+        <input
+          className={`${inputClass} mt-1`}
+          value={draft.keywordsText}
+          onChange={(e) => setField('keywordsText', e.target.value)}
+          placeholder="urgent, invoice, asap"
+        />
+      </label>
+
+      <label className="block text-xs text-gray-400">
+        Senders (names or numbers, comma separated)
+        <input
+          className={`${inputClass} mt-1`}
+          value={draft.sendersText}
+          onChange={(e) => setField('sendersText', e.target.value)}
+          placeholder="Alice, +4915112345678"
+        />
+      </label>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-xs text-gray-400">
+          Chat type
+          <select
+            className={`${inputClass} mt-1`}
+            value={draft.conditions.chatType}
+            onChange={(e) => setCondition('chatType', e.target.value)}
+          >
+            <option value={CHAT_TYPES.ANY}>Any chat</option>
+            <option value={CHAT_TYPES.DIRECT}>Direct chats</option>
+            <option value={CHAT_TYPES.GROUP}>Group chats</option>
+          </select>
+        </label>
+        <label className="block text-xs text-gray-400">
+          Unanswered for at least (minutes)
+          <input
+            type="number"
+            min="1"
+            className={`${inputClass} mt-1`}
+            value={draft.conditions.unansweredMinutes ?? ''}
+            onChange={(e) => setCondition('unansweredMinutes', toNumber(e.target.value))}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-xs text-gray-400">
+          At least this many messages
+          <input
+            type="number"
+            min="1"
+            className={`${inputClass} mt-1`}
+            value={draft.conditions.frequency?.count ?? ''}
+            onChange={(e) => setFrequency('count', e.target.value)}
+          />
+        </label>
+        <label className="block text-xs text-gray-400">
+          Within (minutes)
+          <input
+            type="number"
+            min="1"
+            className={`${inputClass} mt-1`}
+            value={draft.conditions.frequency?.withinMinutes ?? 60}
+            disabled={!draft.conditions.frequency?.count}
+            onChange={(e) => setFrequency('withinMinutes', e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="w-auto px-3 py-1.5 rounded-md text-sm text-white bg-[#1e6853] hover:bg-[#1e6853]/80"
+        >
+          Save rule
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ruleShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  enabled: PropTypes.bool.isRequired,
+  priority: PropTypes.string.isRequired,
+  conditions: PropTypes.shape({
+    keywords: PropTypes.arrayOf(PropTypes.string).isRequired,
+    senders: PropTypes.arrayOf(PropTypes.string).isRequired,
+    chatType: PropTypes.string.isRequired,
+    unansweredMinutes: PropTypes.number,
+    frequency: PropTypes.shape({
+      count: PropTypes.number,
+      withinMinutes: PropTypes.number
+    })
+  }).isRequired
+});
+
+RuleForm.propTypes = {
+  rule: ruleShape.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+/**
+ * Edits the ordered list of rules that assign contact priority. The first
+ * enabled rule whose conditions all hold wins.
+ */
+const PriorityRulesEditor = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const rules = useSelector(selectPriorityRules);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  // Rule changes apply to contacts right away, not only on the next message
+  const changeRules = (action) => {
+    dispatch(action);
+    dispatch(reevaluatePriorityRules());
+  };
+
+  const handleAdd = () => {
+    const rule = createEmptyRule();
+    dispatch(ruleAdded(rule));
+    setEditingId(rule.id);
+  };
+
+  const handleSave = (rule) => {
+    changeRules(ruleUpdated(rule));
+    setEditingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <div>
+            <h3 className="text-xl font-medium text-white">Priority Rules</h3>
+            <p className="text-sm text-gray-400 mt-1">
+              Rules run top to bottom on every incoming message. The first match sets the contact&apos;s priority.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleAdd}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+            >
+              <FiPlus className="w-4 h-4" />
+              Add rule
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-2">
+          {rules.length === 0 ? (
+            <p className="text-gray-400 text-sm text-center py-8">No rules yet</p>
+          ) : (
+            rules.map((rule, index) => (
+              <div key={rule.id} className={`p-3 rounded-lg bg-[#1a1b26] ${rule.enabled ? '' : 'opacity-60'}`}>
+                <div className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => changeRules(ruleUpdated({ ...rule, enabled: !rule.enabled }))}
+                    className="w-4 h-4 accent-[#1e6853]"
+                    title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(editingId === rule.id ? null : rule.id)}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="text-white truncate">{rule.name}</span>
+                      <span className={`text-xs capitalize ${PRIORITY_STYLES[rule.priority]}`}>{rule.priority}</span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1 truncate">{describeConditions(rule)}</div>
+                  </button>
+                  <button
+                    onClick={() => changeRules(ruleMoved({ ruleId: rule.id, offset: -1 }))}
+                    disabled={index === 0}
+                    className="p-1 w-auto text-gray-400 hover:text-white disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <FiArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => changeRules(ruleMoved({ ruleId: rule.id, offset: 1 }))}
+                    disabled={index === rules.length - 1}
+                    className="p-1 w-auto text-gray-400 hover:text-white disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <FiArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => changeRules(ruleRemoved(rule.id))}
+                    className="p-1 w-auto text-gray-400 hover:text-red-400"
+                    title="Delete rule"
+                  >
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                {editingId === rule.id && (
+                  <RuleForm rule={rule} onSave={handleSave} onCancel={() => setEditingId(null)} />
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PriorityRulesEditor.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default PriorityRulesEditor;
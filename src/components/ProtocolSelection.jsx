@@ -1,159 +1,87 @@
-import React, {useState} from 'react';
-import { useDispatch } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
-import { updateOnboardingStep, ONBOARDING_STEPS, ONBOARDING_ROUTES } from '../store/slices/onboardingSlice';
-import api from '../utils/api';
-import { toast } from 'react-hot-toast';
-import logger from '../utils/logger';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { FiCheck } from 'react-icons/fi';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
+import { ONBOARDING_PLATFORMS } from '../services/onboardingService';
 
-const ProtocolSelection = () => {
-  const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const [load, setLoad] = useState(false);
-
-  const handleWhatsAppSelection = async () => {
-    try {
-      // Show loading toast
-      setLoad(true)
-      // const loadingToast = toast.loading('Initializing connection...');
-      logger.info('[ProtocolSelection] Selected WhatsApp platform');
+const PLATFORM_DESCRIPTIONS = {
+  whatsapp: 'Scan a QR code to bring your WhatsApp chats and contacts in.',
+  telegram: 'Connect a Telegram bot to manage its conversations.',
+  discord: 'Sign in with Discord to follow your servers and direct messages.',
+  slack: 'Add your Slack workspace to read channels and direct messages.'
+};
 
-      // First update the onboarding step to matrix
-      await dispatch(updateOnboardingStep({ 
-        step: ONBOARDING_STEPS.MATRIX
-      })).unwrap();
+/**
+ * Onboarding step where the user picks which platforms to connect. Any
+ * subset works; the rest can be added later from settings.
+ */
+const ProtocolSelection = ({ onNext }) => {
+  const { selectedPlatforms } = useSelector(state => state.onboarding);
+  const [selected, setSelected] = useState(selectedPlatforms);
+  const [submitting, setSubmitting] = useState(false);
 
-      // Call the auto-initialize endpoint directly through API
-      // The headers will be automatically set by the API interceptor
-      const response = await api.post('/matrix/auto-initialize');
-      
-      if (response.data.status !== 'active') {
-        throw new Error(response.data.message || 'Failed to initialize Matrix connection');
-      }
+  const togglePlatform = (platform) => {
+    setSelected(prev => prev.includes(platform)
+      ? prev.filter(item => item !== platform)
+      : [...prev, platform]);
+  };
 
-      // Update onboarding step to WhatsApp
-      await dispatch(updateOnboardingStep({ 
-        step: ONBOARDING_STEPS.WHATSAPP,
-        data: { 
-          matrixConnected: true,
-          connectedPlatforms: ['matrix']
-        }
-      })).unwrap();
-      
-      // Success and navigate
-      setLoad(false)
-      toast.success('Initiating whatsapp connection!');
-      toast.dismiss(loadingToast);
-      navigate(ONBOARDING_ROUTES.WHATSAPP);
-    } catch (error) {
-      logger.error('[ProtocolSelection] Error:', error);
-      const errorMessage = error.response?.data?.message || 
-                          error.message || 
-                          'Failed to initialize connection. Please try again.';
-      toast.error(errorMessage);
-      // toast.dismiss(loadingToast);
+  const handleContinue = async () => {
+    setSubmitting(true);
+    try {
+      await onNext(selected);
+    } finally {
+      setSubmitting(false);
     }
   };
 
   return (
     <div className="max-w-2xl mx-auto p-8">
-      <h2 className="text-2xl font-bold mb-6 text-center text-white">
-        Choose Your Messaging Platform
+      <h2 className="text-2xl font-bold mb-2 text-center text-white">
+        Choose Your Messaging Platforms
       </h2>
-      
-      <div className="grid grid-cols-2 gap-4">
-        {/* WhatsApp - Enabled */}
-        <button
-          onClick={handleWhatsAppSelection}
-          className={`p-6 border border-gray-700 rounded-lg bg-dark-lighter hover:bg-dark/50 transition-colors text-left relative group ${
-            load 
-              ? 'bg-gray-700 cursor-not-allowed opacity-50'
-              : 'hover:bg-gray-700'
-          }`}
-        >
-          <div className="absolute top-4 right-4 bg-green-500/20 text-green-500 px-3 py-1 rounded-full text-sm">
-            Available
-          </div>
-          
-          <h3 className={`text-xl font-semibold text-gray-400 mb-2 flex items-center ${
-              load 
-                ? 'bg-gray-700 cursor-not-allowed opacity-50'
-                : 'hover:bg-gray-700'
-            }`}>
-            {load ? 'getting ready..' : 'WhatsApp'}
-            <span className="text-2xl mr-3">📱</span>
-            
-          </h3>
-          
-          <p className={`text-gray-500 text-sm ${
-              load 
-                ? 'bg-gray-700 cursor-not-allowed opacity-50'
-                : 'hover:bg-gray-700'
-            }`}>
-            Connect your WhatsApp account to manage messages and contacts.
-          </p>
-        </button>
-
-        {/* iMessage - Disabled */}
-        <button
-          disabled
-          className="p-6 border border-gray-700 rounded-lg bg-dark-lighter text-left cursor-not-allowed opacity-50"
-        >
-          <div className="absolute top-4 right-4 bg-yellow-500/20 text-yellow-500 px-3 py-1 rounded-full text-sm">
-            Coming Soon
-          </div>
-          
-          <h3 className="text-xl font-semibold text-gray-400 mb-2 flex items-center">
-            <span className="text-2xl mr-3">💬</span>
-            iMessage
-          </h3>
-          
-          <p className="text-gray-500 text-sm">
-            Manage your iMessage conversations and contacts.
-          </p>
-        </button>
+      <p className="text-gray-400 text-center mb-6">
+        Pick as many as you use. You can skip any of them now and add more later from settings.
+      </p>
 
-        {/* Telegram - Disabled */}
-        <button
-          disabled
-          className="p-6 border border-gray-700 rounded-lg bg-dark-lighter text-left cursor-not-allowed opacity-50"
-        >
-          <div className="absolute top-4 right-4 bg-yellow-500/20 text-yellow-500 px-3 py-1 rounded-full text-sm">
-            Coming Soon
-          </div>
-          
-          <h3 className="text-xl font-semibold text-gray-400 mb-2 flex items-center">
-            <span className="text-2xl mr-3">✈️</span>
-            Telegram
-          </h3>
-          
-          <p className="text-gray-500 text-sm">
-            Connect your Telegram account for message management.
-          </p>
-        </button>
+      <div className="grid grid-cols-2 gap-4">
+        {ONBOARDING_PLATFORMS.map(platform => {
+          const isSelected = selected.includes(platform);
+          return (
+            <button
+              key={platform}
+              onClick={() => togglePlatform(platform)}
+              disabled={submitting}
+              aria-pressed={isSelected}
+              className={`p-6 border rounded-lg bg-dark-lighter text-left relative transition-colors ${
+                isSelected ? 'border-primary' : 'border-gray-700 hover:bg-gray-700'
+              }`}
+            >
+              {isSelected && (
+                <span className="absolute top-4 right-4 bg-primary text-white rounded-full p-1">
+                  <FiCheck className="w-4 h-4" />
+                </span>
+              )}
+              <h3 className="text-xl font-semibold text-gray-300 mb-2 flex items-center">
+                <span className="text-2xl mr-3">{PLATFORM_CONFIGS[platform].icon}</span>
+                {PLATFORM_CONFIGS[platform].name}
+              </h3>
+              <p className="text-gray-500 text-sm">{PLATFORM_DESCRIPTIONS[platform]}</p>
+            </button>
+          );
+        })}
+      </div>
 
-        {/* Instagram - Disabled */}
+      <div className="mt-8 text-center">
         <button
-          disabled
-          className="p-6 border border-gray-700 rounded-lg bg-dark-lighter text-left cursor-not-allowed opacity-50"
+          onClick={handleContinue}
+          disabled={!selected.length || submitting}
+          className="bg-primary hover:bg-primary-dark text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          <div className="absolute top-4 right-4 bg-yellow-500/20 text-yellow-500 px-3 py-1 rounded-full text-sm">
-            Coming Soon
-          </div>
-          
-          <h3 className="text-xl font-semibold text-gray-400 mb-2 flex items-center">
-            <span className="text-2xl mr-3">📸</span>
-            Instagram
-          </h3>
-          
-          <p className="text-gray-500 text-sm">
-            Manage your Instagram direct messages and interactions.
-          </p>
+          {submitting ? 'Getting ready...' : 'Continue'}
         </button>
-      </div>
-
-      <div className="mt-8 text-center">
-        <p className="text-sm text-gray-500">
+        <p className="text-sm text-gray-500 mt-4">
           More messaging platforms will be available in future updates.
         </p>
       </div>
@@ -161,4 +89,8 @@ const ProtocolSelection = () => {
   );
 };
 
-export default ProtocolSelection; 
\ No newline at end of file
+ProtocolSelection.propTypes = {
+  onNext: PropTypes.func.isRequired
+};
+
+export default ProtocolSelection;
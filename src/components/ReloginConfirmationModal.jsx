@@ -1,5 +1,6 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { useSocket } from '../utils/socket';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from '../hooks/useSocketSubscription';
 import { toast } from 'react-hot-toast';
 import api from '../utils/api';
 import logger from '../utils/logger';
@@ -7,7 +8,6 @@ import QRCode from 'qrcode';
 
 const ReloginConfirmationModal = ({ isOpen, onClose, onConfirm }) => {
   const modalRef = useRef();
-  const socket = useSocket();
   const [qrCode, setQrCode] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState(null);
   const [status, setStatus] = useState('initial'); // initial, connecting, qr_ready, connected, error
@@ -28,93 +28,85 @@ const ReloginConfirmationModal = ({ isOpen, onClose, onConfirm }) => {
     };
   }, [isOpen, onClose]);
 
-  useEffect(() => {
-    if (!socket || !isOpen) return;
-
-    // Listen for QR code events
-    const handleQrCode = async (data) => {
-      logger.info('[ReloginModal] Received QR code:', data);
-      if (data.qr || data.qrcode || data.qrCode || data.bodyPreview) {
-        const rawQrData = data.qr || data.qrcode || data.qrCode || data.bodyPreview;
-        // Store the raw QR data
-        setQrCode(rawQrData);
-        
-        try {
-          // Generate QR code image - use the raw data as is since WhatsApp expects the complete format
-          const qrImageUrl = await QRCode.toDataURL(rawQrData, {
-            errorCorrectionLevel: 'L',
-            margin: 2,
-            width: 300
-          });
-          setQrCodeUrl(qrImageUrl);
-          setStatus('qr_ready');
-        } catch (error) {
-          logger.error('[ReloginModal] Failed to generate QR code:', error);
-          setStatus('error');
-          toast.error('Failed to generate QR code');
-        }
-      } else {
-        logger.warn('[ReloginModal] Received QR code event without QR data:', data);
-      }
-    };
-
-    // Listen for connection status updates
-    const handleStatus = (data) => {
-      logger.info('[ReloginModal] Status update:', data);
+  // Listen for QR code events
+  const handleQrCode = async (data) => {
+    logger.info('[ReloginModal] Received QR code:', data);
+    if (data.qr || data.qrcode || data.qrCode || data.bodyPreview) {
+      const rawQrData = data.qr || data.qrcode || data.qrCode || data.bodyPreview;
+      // Store the raw QR data
+      setQrCode(rawQrData);
       
-      switch (data.state) {
-        case 'connected':
-        case 'active':
-          setStatus('connected');
-          if(data?.phoneNumber){
-            toast.success(`WhatsApp reconnected successfully! Connected to ${data.phoneNumber}`);
-          } else {
-            toast.success('WhatsApp reconnected successfully!');
-          }
-          onConfirm();
-          break;
-          
-        case 'connecting':
-          // Only set connecting status if we don't have a QR code yet
-          if (status !== 'qr_ready') {
-            setStatus('connecting');
-          }
-          break;
-          
-        case 'qr_ready':
-          setStatus('qr_ready');
-          break;
-
-        case 'qr_scanned':
-          setStatus('connecting');
-          toast.success('QR code scanned successfully! Connecting...');
-          break;
-
-        case 'puppet_sent':
-          setStatus('connecting');
-          break;
-          
-        case 'error':
-          setStatus('error');
-          toast.error(data.message || 'Failed to connect to WhatsApp');
-          break;
-          
-        default:
-          logger.warn('[ReloginModal] Unhandled state:', data.state);
-          break;
+      try {
+        // Generate QR code image - use the raw data as is since WhatsApp expects the complete format
+        const qrImageUrl = await QRCode.toDataURL(rawQrData, {
+          errorCorrectionLevel: 'L',
+          margin: 2,
+          width: 300
+        });
+        setQrCodeUrl(qrImageUrl);
+        setStatus('qr_ready');
+      } catch (error) {
+        logger.error('[ReloginModal] Failed to generate QR code:', error);
+        setStatus('error');
+        toast.error('Failed to generate QR code');
       }
-    };
+    } else {
+      logger.warn('[ReloginModal] Received QR code event without QR data:', data);
+    }
+  };
 
-    socket.on('whatsapp:qr', handleQrCode);
-    socket.on('whatsapp:qrcode', handleQrCode);
-    socket.on('whatsapp:setup:status', handleStatus);
+  // Listen for connection status updates
+  const handleStatus = (data) => {
+    logger.info('[ReloginModal] Status update:', data);
+    
+    switch (data.state) {
+      case 'connected':
+      case 'active':
+        setStatus('connected');
+        if(data?.phoneNumber){
+          toast.success(`WhatsApp reconnected successfully! Connected to ${data.phoneNumber}`);
+        } else {
+          toast.success('WhatsApp reconnected successfully!');
+        }
+        onConfirm();
+        break;
+        
+      case 'connecting':
+        // Only set connecting status if we don't have a QR code yet
+        if (status !== 'qr_ready') {
+          setStatus('connecting');
+        }
+        break;
+        
+      case 'qr_ready':
+        setStatus('qr_ready');
+        break;
+
+      case 'qr_scanned':
+        setStatus('connecting');
+        toast.success('QR code scanned successfully! Connecting...');
+        break;
+
+      case 'puppet_sent':
+        setStatus('connecting');
+        break;
+        
+      case 'error':
+        setStatus('error');
+        toast.error(data.message || 'Failed to connect to WhatsApp');
+        break;
+        
+      default:
+        logger.warn('[ReloginModal] Unhandled state:', data.state);
+        break;
+    }
+  };
 
-    return () => {
-      socket.off('whatsapp:qr', handleQrCode);
-      socket.off('whatsapp:qrcode', handleQrCode);
-      socket.off('whatsapp:status', handleStatus);
-    };
-  }, [socket, isOpen, onConfirm]);
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_QR]: handleQrCode,
+    [SocketEvents.WHATSAPP_QRCODE]: handleQrCode,
+    [SocketEvents.WHATSAPP_SETUP_STATUS]: handleStatus
+  }, { enabled: isOpen });
 
   const handleRelogin = async () => {
     try {
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../utils/api';
+import api from '../utils/api';
 import { toast } from 'react-hot-toast';
 
 export default function RoomMapper({ platform, onMappingComplete }) {
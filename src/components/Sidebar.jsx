@@ -1,10 +1,21 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { FiMessageSquare, FiCompass, FiSettings, FiLogOut, FiX } from 'react-icons/fi';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { useDispatch } from 'react-redux';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
 import { initiateWhatsAppRelogin } from '../store/slices/onboardingSlice';
 import { toast } from 'react-hot-toast';
 import ReloginConfirmationModal from './ReloginConfirmationModal';
+import SyncJobsPanel from './SyncJobsPanel';
+import OpenCommitmentsPanel from './OpenCommitmentsPanel';
+import WorkspacePanel from './WorkspacePanel';
+import { useWorkspaceEvents } from '../hooks/useWorkspaceEvents';
+import { useSessionEvents } from '../hooks/useSessionEvents';
+import { useTelegramEvents } from '../hooks/useTelegramEvents';
+import { useSlackEvents } from '../hooks/useSlackEvents';
+import { usePriorityRules } from '../hooks/usePriorityRules';
+import { selectCurrentWorkspace, selectReceivedInvites } from '../store/slices/workspaceSlice';
+import { loadTasks, selectOpenTaskCount } from '../store/slices/summarySlice';
 import summaryImage from '../images/summary.png'
 import dropImage from '../images/Drop.png'
 import priorityImage from '../images/priority.png'
@@ -90,12 +101,29 @@ const TutorialModal = ({ isOpen, onClose }) => {
   );
 };
 
-const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect }) => {
+const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect, onSearchOpen }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const dispatch = useDispatch();
   const [showTutorial, setShowTutorial] = useState(false);
   const [showReloginModal, setShowReloginModal] = useState(false);
+  const [showSyncJobs, setShowSyncJobs] = useState(false);
+  const [showCommitments, setShowCommitments] = useState(false);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const openTaskCount = useSelector(selectOpenTaskCount);
+  const workspace = useSelector(selectCurrentWorkspace);
+  const pendingInviteCount = useSelector(selectReceivedInvites).length;
+
+  useWorkspaceEvents();
+  useSessionEvents();
+  usePriorityRules();
+  // Unread counts stay live whichever inbox is open
+  useTelegramEvents();
+  useSlackEvents();
+
+  useEffect(() => {
+    dispatch(loadTasks());
+  }, [dispatch]);
 
   const handleReloginConfirm = async () => {  
     try {  
@@ -136,6 +164,15 @@ const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect }) => {
         >
           <span>Unified Inbox</span>
         </button>
+        {onSearchOpen && (
+          <button
+            onClick={onSearchOpen}
+            className="w-full flex items-center gap-3 px-4 py-3 rounded-lg text-gray-400 hover:bg-dark-lighter hover:text-white"
+            title="Search all messages"
+          >
+            <span>Search Messages</span>
+          </button>
+        )}
         <button
           onClick={() => setShowTutorial(true)}
           className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg ${
@@ -159,8 +196,51 @@ const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect }) => {
             <span>{account.platform.charAt(0).toUpperCase() + account.platform.slice(1)}</span>
           </button>
         ))}
+        <button
+          onClick={() => navigate('/settings/platforms')}
+          className="w-full flex items-center gap-3 px-4 py-3 rounded-lg text-gray-400 hover:bg-dark-lighter hover:text-white"
+        >
+          <span>Add platforms</span>
+        </button>
       </nav>
       <div className="p-4 border-t border-dark-lighter space-y-2">
+          <button
+            onClick={() => setShowWorkspace(true)}
+            className="w-full flex items-center gap-3 px-4 py-3 text-gray-400 hover:bg-dark-lighter hover:text-white rounded-lg"
+            title="Switch workspace and manage members"
+          >
+            <span className="truncate">{workspace ? workspace.name : 'Personal inbox'}</span>
+            {pendingInviteCount > 0 && (
+              <span className="ml-auto px-2 py-0.5 rounded-full text-xs bg-[#1e6853] text-white">{pendingInviteCount}</span>
+            )}
+          </button>
+          <button
+            onClick={() => setShowSyncJobs(true)}
+            className="w-full flex items-center gap-3 px-4 py-3 text-gray-400 hover:bg-dark-lighter hover:text-white rounded-lg"
+          >
+            <span>Sync Jobs</span>
+          </button>
+          <button
+            onClick={() => navigate('/diagnostics')}
+            className="w-full flex items-center gap-3 px-4 py-3 text-gray-400 hover:bg-dark-lighter hover:text-white rounded-lg"
+          >
+            <span>Connection Health</span>
+          </button>
+          <button
+            onClick={() => navigate('/settings/security')}
+            className="w-full flex items-center gap-3 px-4 py-3 text-gray-400 hover:bg-dark-lighter hover:text-white rounded-lg"
+          >
+            <span>Security</span>
+          </button>
+          <button
+            onClick={() => setShowCommitments(true)}
+            className="w-full flex items-center gap-3 px-4 py-3 text-gray-400 hover:bg-dark-lighter hover:text-white rounded-lg"
+          >
+            <span>Commitments</span>
+            {openTaskCount > 0 && (
+              <span className="ml-auto px-2 py-0.5 rounded-full text-xs bg-[#1e6853] text-white">{openTaskCount}</span>
+            )}
+          </button>
           <button
             onClick={() => setShowReloginModal(true)}
             className="w-full flex items-center gap-3 px-4 py-3 text-yellow-500 hover:bg-dark-lighter rounded-lg"
@@ -183,6 +263,19 @@ const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect }) => {
         onClose={() => setShowTutorial(false)} 
       />
 
+      <OpenCommitmentsPanel
+        isOpen={showCommitments}
+        onClose={() => setShowCommitments(false)}
+      />
+      <WorkspacePanel
+        isOpen={showWorkspace}
+        onClose={() => setShowWorkspace(false)}
+      />
+      <SyncJobsPanel
+        isOpen={showSyncJobs}
+        onClose={() => setShowSyncJobs(false)}
+      />
+
       <ReloginConfirmationModal 
         isOpen={showReloginModal}
         onClose={() => setShowReloginModal(false)}
@@ -192,4 +285,15 @@ const Sidebar = ({ accounts, selectedPlatform, onPlatformSelect }) => {
   );
 };
 
+Sidebar.propTypes = {
+  accounts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    platform: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  selectedPlatform: PropTypes.string,
+  onPlatformSelect: PropTypes.func.isRequired,
+  onSearchOpen: PropTypes.func
+};
+
 export default Sidebar;
\ No newline at end of file
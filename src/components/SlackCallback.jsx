@@ -0,0 +1,81 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { usePlatformConnection } from '../hooks/usePlatformConnection';
+import { slackService, SLACK_OAUTH_STATE_KEY } from '../services/slackService';
+import { takeConnectReturn } from '../services/onboardingService';
+
+/**
+ * Landing page of the Slack OAuth redirect: checks the state and hands the
+ * code to the server to finish the connection
+ */
+const SlackCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { finalize } = usePlatformConnection('slack');
+  const [error, setError] = useState('');
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // The code can only be exchanged once
+    if (handled.current) return;
+    handled.current = true;
+
+    const handleCallback = async () => {
+      const code = searchParams.get('code');
+      const state = searchParams.get('state');
+      const expectedState = sessionStorage.getItem(SLACK_OAUTH_STATE_KEY);
+      sessionStorage.removeItem(SLACK_OAUTH_STATE_KEY);
+
+      if (searchParams.get('error')) {
+        setError(searchParams.get('error') === 'access_denied'
+          ? 'Slack access was not granted.'
+          : `Slack returned an error: ${searchParams.get('error')}`);
+        return;
+      }
+      if (!code || !state || state !== expectedState) {
+        setError('This Slack authorization link is invalid or has expired. Please try again.');
+        return;
+      }
+
+      const connected = await finalize({ code, state, redirect_uri: slackService.getRedirectUri() });
+      if (connected) {
+        toast.success('Slack connected successfully!');
+        navigate(takeConnectReturn(), { replace: true, state: { platform: 'slack' } });
+      } else {
+        setError('Failed to finish connecting Slack. Please try again.');
+      }
+    };
+
+    handleCallback();
+  }, [searchParams, finalize, navigate]);
+
+  return (
+    <div className="max-w-md mx-auto p-6">
+      <div className="bg-white shadow-lg rounded-xl p-6">
+        <h2 className="text-2xl font-bold mb-6">Slack Integration</h2>
+        {error ? (
+          <div className="bg-red-50 p-4 rounded-lg">
+            <p className="text-red-700 font-medium">Connection Error</p>
+            <p className="text-sm text-red-600 mt-1">{error}</p>
+            <button
+              onClick={() => navigate('/connect/slack', { replace: true })}
+              className="mt-3 bg-red-100 text-red-700 px-4 py-2 rounded-md text-sm hover:bg-red-200 transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        ) : (
+          <div className="bg-blue-50 p-4 rounded-lg">
+            <div className="flex items-center space-x-3">
+              <div className="animate-spin h-5 w-5 border-2 border-blue-500 border-t-transparent rounded-full"></div>
+              <p className="text-blue-700 font-medium">Finishing Slack connection...</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SlackCallback;
@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { supabase } from '../utils/supabase';
+import { slackService, SLACK_OAUTH_STATE_KEY } from '../services/slackService';
+import logger from '../utils/logger';
+
+const CheckIcon = () => (
+  <svg className="w-4 h-4 mr-2 text-green-500" fill="currentColor" viewBox="0 0 20 20">
+    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+  </svg>
+);
+
+const SlackConnection = () => {
+  const [status, setStatus] = useState('DISCONNECTED');
+  const [workspace, setWorkspace] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const checkSession = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) {
+      logger.error('[SlackConnection] No valid session found');
+      navigate('/login');
+      return false;
+    }
+    return true;
+  }, [navigate]);
+
+  const checkStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/connect/slack/status');
+      setStatus(response.data.status);
+      setWorkspace(response.data.workspace || null);
+    } catch (error) {
+      logger.error('[SlackConnection] Error checking Slack status:', error);
+      if (error.response?.status === 401) {
+        setStatus('DISCONNECTED');
+        navigate('/login');
+      }
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    const init = async () => {
+      if (await checkSession()) {
+        await checkStatus();
+      }
+    };
+    init();
+  }, [checkSession, checkStatus]);
+
+  const disconnect = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      await api.post('/connect/slack/disconnect');
+      setStatus('DISCONNECTED');
+      setWorkspace(null);
+    } catch (error) {
+      logger.error('[SlackConnection] Error disconnecting Slack:', error);
+      setError(error.response?.data?.message || 'Failed to disconnect');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const initiateSlackAuth = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      if (!await checkSession()) return;
+
+      // Checked again in SlackCallback before the code is exchanged
+      const state = crypto.randomUUID();
+      sessionStorage.setItem(SLACK_OAUTH_STATE_KEY, state);
+
+      const response = await api.post('/connect/slack/initiate', {
+        state,
+        redirect_uri: slackService.getRedirectUri()
+      });
+
+      if (!response.data?.url) {
+        throw new Error('Invalid response from server: missing OAuth URL');
+      }
+
+      window.location.href = response.data.url;
+    } catch (error) {
+      logger.error('[SlackConnection] Error in Slack auth flow:', error);
+      sessionStorage.removeItem(SLACK_OAUTH_STATE_KEY);
+      setError(error.response?.data?.message || error.message || 'Failed to initiate Slack connection');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderConnectionState = () => {
+    if (isLoading) {
+      return (
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <div className="flex items-center space-x-3">
+            <div className="animate-spin h-5 w-5 border-2 border-blue-500 border-t-transparent rounded-full"></div>
+            <p className="text-blue-700 font-medium">Connecting to Slack...</p>
+          </div>
+        </div>
+      );
+    }
+
+    if (status === 'active' || status === 'connected') {
+      return (
+        <div className="space-y-4">
+          <div className="bg-green-50 p-4 rounded-lg">
+            <p className="text-green-700 font-medium">✓ Slack Connected Successfully</p>
+            <p className="text-sm text-green-600 mt-1">
+              {workspace?.name
+                ? `Channels and direct messages from ${workspace.name} now show up in your inbox.`
+                : 'Your Slack workspace is now integrated with our platform.'}
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="bg-primary hover:bg-primary/90 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+            >
+              Open inbox
+            </button>
+            <button
+              onClick={disconnect}
+              disabled={isLoading}
+              className="bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50"
+            >
+              Disconnect Slack
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <h3 className="font-semibold text-lg mb-2">Connect Slack</h3>
+        <p className="text-gray-600">Bring your Slack channels and direct messages into the same inbox as your other platforms.</p>
+        <ul className="mt-4 space-y-2 text-sm text-gray-600">
+          <li className="flex items-center">
+            <CheckIcon />
+            Channels and DMs with threads
+          </li>
+          <li className="flex items-center">
+            <CheckIcon />
+            Reply from the inbox
+          </li>
+          <li className="flex items-center">
+            <CheckIcon />
+            Only channels the app is invited to are read
+          </li>
+        </ul>
+        <button
+          onClick={initiateSlackAuth}
+          disabled={isLoading}
+          className="mt-4 w-full bg-primary hover:bg-primary/90 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 disabled:opacity-50"
+        >
+          Add to Slack
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-md mx-auto p-6">
+      <div className="bg-white shadow-lg rounded-xl p-6">
+        <h2 className="text-2xl font-bold mb-6">Slack Integration</h2>
+
+        {error && (
+          <div className="bg-red-50 text-red-700 p-4 rounded-lg mb-4">
+            <p className="font-medium">Error</p>
+            <p className="text-sm">{error}</p>
+          </div>
+        )}
+
+        {renderConnectionState()}
+      </div>
+    </div>
+  );
+};
+
+export default SlackConnection;
@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { FiX, FiTrash2 } from 'react-icons/fi';
+import { socketEventDiagnostics, DIAGNOSTIC_KINDS } from '../services/SocketEventDiagnostics';
+import { PROTOCOL_VERSION } from '../utils/socketEvents';
+
+const KIND_LABELS = {
+  [DIAGNOSTIC_KINDS.REJECTED]: { text: 'Rejected', className: 'bg-yellow-500/20 text-yellow-300' },
+  [DIAGNOSTIC_KINDS.HANDLER_ERROR]: { text: 'Handler error', className: 'bg-red-500/20 text-red-300' },
+  [DIAGNOSTIC_KINDS.PROTOCOL]: { text: 'Protocol', className: 'bg-purple-500/20 text-purple-300' }
+};
+
+const EntryRow = ({ entry }) => (
+  <div className="p-3 rounded-lg bg-[#1a1b26] space-y-1">
+    <div className="flex items-center gap-2">
+      <span className={`px-2 py-0.5 rounded-full text-xs ${KIND_LABELS[entry.kind].className}`}>
+        {KIND_LABELS[entry.kind].text}
+      </span>
+      <span className="text-white font-mono text-sm truncate">{entry.event}</span>
+      {entry.direction === 'outgoing' && <span className="text-xs text-gray-500">outgoing</span>}
+      <span className="ml-auto text-xs text-gray-500 flex-shrink-0">
+        {format(new Date(entry.at), 'HH:mm:ss')}
+      </span>
+    </div>
+    <ul className="text-xs text-red-400 font-mono">
+      {entry.errors.map(error => <li key={error}>{error}</li>)}
+    </ul>
+    {entry.payload && (
+      <details className="text-xs text-gray-400">
+        <summary className="cursor-pointer hover:text-white">Payload</summary>
+        <pre className="mt-1 p-2 rounded bg-[#1e2132] overflow-x-auto max-h-48">{entry.payload}</pre>
+      </details>
+    )}
+  </div>
+);
+
+EntryRow.propTypes = {
+  entry: PropTypes.shape({
+    kind: PropTypes.string.isRequired,
+    event: PropTypes.string.isRequired,
+    direction: PropTypes.string.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string).isRequired,
+    payload: PropTypes.string,
+    at: PropTypes.number.isRequired
+  }).isRequired
+};
+
+/**
+ * Socket events that broke the contract in socketEvents.js, newest first,
+ * along with the protocol version agreed with the server
+ */
+const SocketDiagnosticsPanel = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const [snapshot, setSnapshot] = useState(() => socketEventDiagnostics.getSnapshot());
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSnapshot(socketEventDiagnostics.getSnapshot());
+    return socketEventDiagnostics.onChange(setSnapshot);
+  }, [isOpen]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const { entries, protocol } = snapshot;
+  const mismatch = protocol.serverVersion != null && protocol.negotiatedVersion == null;
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <h3 className="text-xl font-medium text-white">Socket Diagnostics</h3>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => socketEventDiagnostics.clear()}
+              disabled={!entries.length}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132] disabled:opacity-50"
+            >
+              <FiTrash2 className="w-4 h-4" />
+              Clear
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+          <div>
+            <div className="text-gray-400">Client protocol</div>
+            <div className="text-white">v{PROTOCOL_VERSION}</div>
+          </div>
+          <div>
+            <div className="text-gray-400">Server protocol</div>
+            <div className="text-white">
+              {protocol.serverVersion != null ? `v${protocol.serverVersion}` : 'not reported'}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-400">In use</div>
+            <div className={mismatch ? 'text-red-400' : 'text-white'}>
+              {mismatch ? 'Incompatible' : protocol.negotiatedVersion != null ? `v${protocol.negotiatedVersion}` : 'Not connected'}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-2">
+          {entries.length === 0 ? (
+            <p className="text-gray-400 text-sm text-center py-8">No malformed events received</p>
+          ) : (
+            entries.map(entry => <EntryRow key={entry.id} entry={entry} />)
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SocketDiagnosticsPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SocketDiagnosticsPanel;
@@ -0,0 +1,184 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import { FiX } from 'react-icons/fi';
+import {
+  selectSummaryHistory,
+  selectTasks,
+  selectTasksLoaded,
+  loadSummaryHistory,
+  loadTasks
+} from '../store/slices/summarySlice';
+import { SUMMARY_SECTIONS, diffSummaries, normalizeSummaryItem } from '../utils/summaryDiff';
+import TaskItem from './TaskItem';
+
+const formatTimespan = ({ start, end }) => {
+  if (!start || !end) return 'Unknown timespan';
+  return `${format(new Date(start), 'MMM d, HH:mm')} – ${format(new Date(end), 'MMM d, HH:mm')}`;
+};
+
+/**
+ * Every stored summary of a conversation. Each one is compared with the
+ * summary before it, and its action items are shown as tasks.
+ */
+const SummaryHistoryModal = ({ isOpen, onClose, contact }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const history = useSelector(state => selectSummaryHistory(state, contact?.id));
+  const tasks = useSelector(selectTasks);
+  const tasksLoaded = useSelector(selectTasksLoaded);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !contact?.id) return;
+    dispatch(loadSummaryHistory(contact.id));
+    if (!tasksLoaded) {
+      dispatch(loadTasks());
+    }
+  }, [isOpen, contact?.id, tasksLoaded, dispatch]);
+
+  // A newly generated summary becomes the selected one
+  useEffect(() => {
+    setSelectedId(history[0]?.id || null);
+  }, [history]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  const selectedIndex = Math.max(0, history.findIndex(summary => summary.id === selectedId));
+  const selected = history[selectedIndex];
+  const previous = history[selectedIndex + 1] || null;
+
+  const diff = useMemo(
+    () => (selected ? diffSummaries(previous?.sections, selected.sections) : null),
+    [selected, previous]
+  );
+
+  // Action items repeated by later summaries share the task created the first time
+  const tasksByItem = useMemo(() => {
+    const map = new Map();
+    tasks
+      .filter(task => task.contactId === contact?.id)
+      .forEach(task => map.set(normalizeSummaryItem(task.text), task));
+    return map;
+  }, [tasks, contact?.id]);
+
+  if (!isOpen) return null;
+
+  const renderItem = (sectionKey, item, isNew) => {
+    const task = sectionKey === 'actionItems' ? tasksByItem.get(normalizeSummaryItem(item)) : null;
+    return (
+      <li key={item} className="flex items-start gap-2">
+        <div className="flex-1 min-w-0">
+          {task ? <TaskItem task={task} /> : <span className="text-gray-300">{item}</span>}
+        </div>
+        {isNew && (
+          <span className="mt-1 px-1.5 py-0.5 rounded text-[10px] uppercase bg-green-500/20 text-green-300">new</span>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[85vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <div>
+            <h3 className="text-xl font-medium text-white">Chat Summaries</h3>
+            <p className="text-sm text-gray-400 mt-1">{contact?.display_name || 'Unknown Contact'}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        {history.length === 0 ? (
+          <p className="text-gray-400 text-sm text-center py-8">No summaries yet</p>
+        ) : (
+          <div className="flex flex-1 min-h-0 gap-4 mt-4">
+            <ul className="w-56 flex-none overflow-y-auto space-y-1 pr-2 border-r border-gray-700">
+              {history.map((summary, index) => (
+                <li key={summary.id}>
+                  <button
+                    onClick={() => setSelectedId(summary.id)}
+                    className={`w-full text-left px-3 py-2 rounded-md ${
+                      index === selectedIndex ? 'bg-[#1e6853]/30 text-white' : 'text-gray-300 hover:bg-[#1e2132]'
+                    }`}
+                  >
+                    <div className="text-sm">{format(new Date(summary.createdAt), 'MMM d, yyyy HH:mm')}</div>
+                    <div className="text-xs text-gray-400">
+                      {summary.messageCount != null ? `${summary.messageCount} messages` : formatTimespan(summary.timespan)}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex-1 overflow-y-auto space-y-5">
+              <div className="text-sm text-gray-400">
+                <p>Covers {formatTimespan(selected.timespan)}</p>
+                <p>
+                  {previous
+                    ? `Compared with the summary from ${format(new Date(previous.createdAt), 'MMM d, HH:mm')}`
+                    : 'First summary of this conversation'}
+                </p>
+              </div>
+
+              {SUMMARY_SECTIONS.map(({ key, label }) => {
+                const { added, removed, unchanged } = diff[key];
+                if (!added.length && !removed.length && !unchanged.length) return null;
+                return (
+                  <div key={key}>
+                    <h4 className="text-white font-medium mb-2">{label}</h4>
+                    <ul className="space-y-1.5 text-sm">
+                      {added.map(item => renderItem(key, item, true))}
+                      {unchanged.map(item => renderItem(key, item, false))}
+                    </ul>
+                    {removed.length > 0 && (
+                      <div className="mt-2">
+                        <div className="text-xs text-gray-500 mb-1">No longer mentioned</div>
+                        <ul className="space-y-1 text-sm">
+                          {removed.map(item => (
+                            <li key={item} className="text-gray-500 line-through">{item}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SummaryHistoryModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  contact: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    display_name: PropTypes.string
+  })
+};
+
+export default SummaryHistoryModal;
@@ -0,0 +1,225 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { FiX, FiPause, FiPlay, FiRefreshCw, FiTrash2 } from 'react-icons/fi';
+import { syncQueueManager, JOB_STATUS, isJobFinished } from '../services/SyncQueueManager';
+import logger from '../utils/logger';
+
+const STATUS_STYLES = {
+  [JOB_STATUS.QUEUED]: 'bg-gray-500/20 text-gray-300',
+  [JOB_STATUS.RUNNING]: 'bg-blue-500/20 text-blue-300',
+  [JOB_STATUS.COMPLETED]: 'bg-green-500/20 text-green-300',
+  [JOB_STATUS.FAILED]: 'bg-red-500/20 text-red-300',
+  [JOB_STATUS.CANCELLED]: 'bg-yellow-500/20 text-yellow-300'
+};
+
+const SECTIONS = [
+  { title: 'Running', statuses: [JOB_STATUS.RUNNING] },
+  { title: 'Queued', statuses: [JOB_STATUS.QUEUED] },
+  { title: 'Failed', statuses: [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED] },
+  { title: 'Completed', statuses: [JOB_STATUS.COMPLETED] }
+];
+
+const formatDuration = (ms) => {
+  if (ms == null || ms < 0) return '—';
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+// Time spent running for started jobs, time spent waiting for queued ones
+const getJobDuration = (job, now) => {
+  if (!job.startedAt) return now - job.createdAt;
+  return (job.finishedAt || now) - job.startedAt;
+};
+
+const JobRow = ({ job, now, onRetry }) => (
+  <div className="flex items-center gap-4 p-3 rounded-lg bg-[#1a1b26]">
+    <div className="flex-1 min-w-0">
+      <div className="flex items-center gap-2">
+        <span className="text-white capitalize">{job.type} sync</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[job.status]}`}>
+          {job.paused && !isJobFinished(job) ? 'paused' : job.status}
+        </span>
+      </div>
+      <div className="text-xs text-gray-400 mt-1">
+        Queued {format(new Date(job.createdAt), 'MMM d, HH:mm:ss')}
+        {job.attempts > 1 && ` · ${job.attempts} runs`}
+      </div>
+      {job.error && <div className="text-xs text-red-400 mt-1 truncate" title={job.error}>{job.error}</div>}
+      {job.status === JOB_STATUS.RUNNING && (
+        <div className="mt-2 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+          <div className="h-full bg-[#1e6853] transition-all" style={{ width: `${job.progress || 0}%` }} />
+        </div>
+      )}
+    </div>
+    <div className="text-right">
+      <div className="text-sm text-gray-200 font-mono">{formatDuration(getJobDuration(job, now))}</div>
+      <div className="text-xs text-gray-500">{job.startedAt ? 'duration' : 'waiting'}</div>
+    </div>
+    {job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED ? (
+      <button
+        onClick={() => onRetry(job)}
+        className="p-2 w-auto text-gray-400 hover:text-white"
+        title="Retry"
+      >
+        <FiRefreshCw className="w-4 h-4" />
+      </button>
+    ) : (
+      <div className="w-8" />
+    )}
+  </div>
+);
+
+JobRow.propTypes = {
+  job: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    paused: PropTypes.bool,
+    progress: PropTypes.number,
+    attempts: PropTypes.number,
+    error: PropTypes.string,
+    createdAt: PropTypes.number.isRequired,
+    startedAt: PropTypes.number,
+    finishedAt: PropTypes.number
+  }).isRequired,
+  now: PropTypes.number.isRequired,
+  onRetry: PropTypes.func.isRequired
+};
+
+const SyncJobsPanel = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const userId = useSelector(state => state.auth.session?.user?.id);
+  const [jobs, setJobs] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isOpen || !userId) return;
+
+    setJobs(syncQueueManager.getJobs(userId));
+    syncQueueManager.restore(userId);
+
+    return syncQueueManager.onJobsChange((changedUserId, nextJobs) => {
+      if (changedUserId === userId) {
+        setJobs(nextJobs);
+      }
+    });
+  }, [isOpen, userId]);
+
+  // Keeps running and waiting durations ticking
+  useEffect(() => {
+    if (!isOpen) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isOpen]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const activeJobs = jobs.filter(job => !isJobFinished(job));
+  const isPaused = activeJobs.length > 0 && activeJobs.every(job => job.paused);
+
+  const handleRetry = (job) => {
+    syncQueueManager.retryJob(job.id).catch(error => {
+      logger.error('[SyncJobsPanel] Retried sync failed:', error);
+      toast.error(`${job.type} sync failed again`);
+    });
+  };
+
+  const handleTogglePause = () => {
+    if (isPaused) {
+      syncQueueManager.resumeQueue(userId);
+    } else {
+      syncQueueManager.pauseQueue(userId);
+    }
+  };
+
+  const handleClearFinished = () => {
+    syncQueueManager.clearFinished(userId).catch(error => {
+      logger.error('[SyncJobsPanel] Failed to clear job history:', error);
+      toast.error('Failed to clear job history');
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <h3 className="text-xl font-medium text-white">Sync Jobs</h3>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleTogglePause}
+              disabled={!activeJobs.length}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132] disabled:opacity-50"
+            >
+              {isPaused ? <FiPlay className="w-4 h-4" /> : <FiPause className="w-4 h-4" />}
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              onClick={handleClearFinished}
+              disabled={activeJobs.length === jobs.length}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132] disabled:opacity-50"
+            >
+              <FiTrash2 className="w-4 h-4" />
+              Clear history
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-6">
+          {jobs.length === 0 ? (
+            <p className="text-gray-400 text-sm text-center py-8">No sync jobs yet</p>
+          ) : (
+            SECTIONS.map(({ title, statuses }) => {
+              const sectionJobs = jobs.filter(job => statuses.includes(job.status));
+              if (!sectionJobs.length) return null;
+              return (
+                <div key={title} className="space-y-2">
+                  <h4 className="text-sm font-medium text-gray-400">{title} ({sectionJobs.length})</h4>
+                  {sectionJobs.map(job => (
+                    <JobRow key={job.id} job={job} now={now} onRetry={handleRetry} />
+                  ))}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SyncJobsPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SyncJobsPanel;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch } from 'react-redux';
+import { format, isBefore, parseISO, startOfDay } from 'date-fns';
+import { FiTrash2 } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { updateTask, deleteTask } from '../store/slices/summarySlice';
+
+const isOverdue = (task) => (
+  !task.done && task.dueDate && isBefore(parseISO(task.dueDate), startOfDay(new Date()))
+);
+
+// A checkable action item with an owner and a due date
+const TaskItem = ({ task, showContact = false }) => {
+  const dispatch = useDispatch();
+  const [owner, setOwner] = useState(task.owner || '');
+
+  useEffect(() => {
+    setOwner(task.owner || '');
+  }, [task.owner]);
+
+  const update = (changes) => {
+    dispatch(updateTask({ taskId: task.id, changes })).unwrap().catch(error => {
+      toast.error(error || 'Failed to update task');
+    });
+  };
+
+  const commitOwner = () => {
+    const next = owner.trim() || null;
+    if (next !== task.owner) {
+      update({ owner: next });
+    }
+  };
+
+  return (
+    <div className="flex items-start gap-3 p-2 rounded-md bg-[#1a1b26]">
+      <input
+        type="checkbox"
+        checked={task.done}
+        onChange={() => update({ done: !task.done })}
+        className="mt-1 w-4 h-4 accent-[#1e6853]"
+        title={task.done ? 'Mark as open' : 'Mark as done'}
+      />
+      <div className="flex-1 min-w-0">
+        <div className={`text-sm ${task.done ? 'line-through text-gray-500' : 'text-gray-200'}`}>{task.text}</div>
+        <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-400">
+          {showContact && (
+            <span className="text-[#7aa2f7]">{task.contactName || `Contact ${task.contactId}`}</span>
+          )}
+          <input
+            value={owner}
+            onChange={(e) => setOwner(e.target.value)}
+            onBlur={commitOwner}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            placeholder="Owner"
+            className="w-28 bg-transparent border-b border-gray-700 focus:border-[#1e6853] focus:outline-none text-gray-300 placeholder-gray-600"
+          />
+          <input
+            type="date"
+            value={task.dueDate || ''}
+            onChange={(e) => update({ dueDate: e.target.value || null })}
+            className={`bg-transparent border-b border-gray-700 focus:outline-none ${isOverdue(task) ? 'text-red-400' : 'text-gray-300'}`}
+            title={task.dueDate ? `Due ${format(parseISO(task.dueDate), 'PP')}` : 'Set a due date'}
+          />
+          {isOverdue(task) && <span className="text-red-400">Overdue</span>}
+        </div>
+      </div>
+      <button
+        onClick={() => dispatch(deleteTask(task.id))}
+        className="p-1 w-auto text-gray-500 hover:text-red-400"
+        title="Delete task"
+      >
+        <FiTrash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+TaskItem.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    contactId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    contactName: PropTypes.string,
+    text: PropTypes.string.isRequired,
+    done: PropTypes.bool.isRequired,
+    owner: PropTypes.string,
+    dueDate: PropTypes.string
+  }).isRequired,
+  showContact: PropTypes.bool
+};
+
+export default TaskItem;
@@ -2,6 +2,7 @@ import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { usePlatformConnection } from '../hooks/usePlatformConnection';
 import { toast } from 'react-hot-toast';
+import { takeConnectReturn } from '../services/onboardingService';
 
 const TelegramConnection = () => {
   const navigate = useNavigate();
@@ -49,7 +50,7 @@ const TelegramConnection = () => {
       const success = await finalize({ token: botToken.trim() });
       if (success) {
         toast.success('Telegram connected successfully!');
-        navigate('/dashboard');
+        navigate(takeConnectReturn());
       } else {
         throw new Error('Failed to connect Telegram bot');
       }
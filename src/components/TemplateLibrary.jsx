@@ -0,0 +1,356 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiX, FiPlus, FiEdit2, FiTrash2 } from 'react-icons/fi';
+import {
+  selectTemplates,
+  selectTemplatesError,
+  fetchTemplates,
+  saveTemplate,
+  deleteTemplate
+} from '../store/slices/templateSlice';
+import {
+  TEMPLATE_PLATFORMS,
+  TEMPLATE_VARIABLES,
+  isTemplateAvailable,
+  groupTemplatesByCategory
+} from '../utils/templateVariables';
+
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-3 py-2 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  shortcut: '',
+  category: '',
+  platforms: [],
+  body: ''
+};
+
+const TemplateForm = ({ template, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...template,
+    shortcut: template.shortcut || '',
+    category: template.category || ''
+  }));
+  const [saving, setSaving] = useState(false);
+  const bodyRef = useRef(null);
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const togglePlatform = (platform) => {
+    setDraft(prev => ({
+      ...prev,
+      platforms: prev.platforms.includes(platform)
+        ? prev.platforms.filter(item => item !== platform)
+        : [...prev.platforms, platform]
+    }));
+  };
+
+  // Inserts the placeholder where the cursor is in the text field
+  const insertVariable = (key) => {
+    const textarea = bodyRef.current;
+    const placeholder = `{{${key}}}`;
+    const start = textarea?.selectionStart ?? draft.body.length;
+    const end = textarea?.selectionEnd ?? draft.body.length;
+    setField('body', draft.body.slice(0, start) + placeholder + draft.body.slice(end));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({ ...draft, shortcut: draft.shortcut.replace(/^\//, '') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-3 rounded-lg bg-[#1a1b26] border border-gray-700">
+      <div className="grid grid-cols-3 gap-3">
+        <label className="block text-xs text-gray-400">
+          Name
+          <input
+            className={`${inputClass} mt-1`}
+            value={draft.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder="Greeting"
+            required
+          />
+        </label>
+        <label className="block text-xs text-gray-400">
+          Shortcut
+          <input
+            className={`${inputClass} mt-1`}
+            value={draft.shortcut}
+            onChange={(e) => setField('shortcut', e.target.value.replace(/\s/g, ''))}
+            placeholder="/hello"
+          />
+        </label>
+        <label className="block text-xs text-gray-400">
+          Category
+          <input
+            className={`${inputClass} mt-1`}
+            value={draft.category}
+            onChange={(e) => setField('category', e.target.value)}
+            placeholder="Support"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center gap-4 text-xs text-gray-400">
+        <span>Platforms</span>
+        {TEMPLATE_PLATFORMS.map(platform => (
+          <label key={platform} className="flex items-center gap-1.5 capitalize text-gray-300">
+            <input
+              type="checkbox"
+              checked={draft.platforms.includes(platform)}
+              onChange={() => togglePlatform(platform)}
+              className="w-4 h-4 accent-[#1e6853]"
+            />
+            {platform}
+          </label>
+        ))}
+        {!draft.platforms.length && <span className="text-gray-500">All platforms</span>}
+      </div>
+
+      <div>
+        <textarea
+          ref={bodyRef}
+          className={`${inputClass} min-h-[96px]`}
+          value={draft.body}
+          onChange={(e) => setField('body', e.target.value)}
+          placeholder="Hi {{contact.first_name}}, thanks for reaching out!"
+          required
+        />
+        <div className="flex flex-wrap gap-2 mt-2">
+          {TEMPLATE_VARIABLES.map(variable => (
+            <button
+              key={variable.key}
+              type="button"
+              onClick={() => insertVariable(variable.key)}
+              className="w-auto px-2 py-0.5 rounded-full text-xs bg-[#24283b] text-[#7aa2f7] hover:bg-[#1e2132]"
+              title={`Insert {{${variable.key}}}`}
+            >
+              {variable.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#24283b]"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-auto px-3 py-1.5 rounded-md text-sm text-white bg-[#1e6853] hover:bg-[#1e6853]/80 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save template'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const templateShape = PropTypes.shape({
+  id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  name: PropTypes.string.isRequired,
+  shortcut: PropTypes.string,
+  category: PropTypes.string,
+  platforms: PropTypes.arrayOf(PropTypes.string).isRequired,
+  body: PropTypes.string.isRequired,
+  usageCount: PropTypes.number
+});
+
+TemplateForm.propTypes = {
+  template: templateShape.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+/**
+ * Browses, edits and inserts the team's saved replies. Only templates
+ * available on `platform` can be inserted; the rest are shown for editing.
+ */
+const TemplateLibrary = ({ isOpen, onClose, platform, onInsert }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const templates = useSelector(selectTemplates);
+  const error = useSelector(selectTemplatesError);
+  const [editing, setEditing] = useState(null); // template being edited, EMPTY_TEMPLATE for a new one
+  const [platformFilter, setPlatformFilter] = useState(platform || 'all');
+
+  useEffect(() => {
+    if (isOpen) {
+      dispatch(fetchTemplates());
+    }
+  }, [isOpen, dispatch]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  const groups = useMemo(() => groupTemplatesByCategory(
+    templates.filter(template => platformFilter === 'all' || isTemplateAvailable(template, platformFilter))
+  ), [templates, platformFilter]);
+
+  if (!isOpen) return null;
+
+  const handleSave = async (template) => {
+    try {
+      await dispatch(saveTemplate(template)).unwrap();
+      setEditing(null);
+      toast.success('Template saved');
+    } catch (err) {
+      toast.error(err || 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    try {
+      await dispatch(deleteTemplate(template.id)).unwrap();
+    } catch (err) {
+      toast.error(err || 'Failed to delete template');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <div>
+            <h3 className="text-xl font-medium text-white">Templates</h3>
+            <p className="text-sm text-gray-400 mt-1">
+              Type <span className="font-mono text-[#7aa2f7]">/</span> in the message box to insert one.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={platformFilter}
+              onChange={(e) => setPlatformFilter(e.target.value)}
+              className="bg-[#1e2132] text-sm text-gray-300 rounded-md border border-gray-700 px-2 py-1.5 capitalize"
+            >
+              <option value="all">All platforms</option>
+              {TEMPLATE_PLATFORMS.map(item => (
+                <option key={item} value={item}>{item}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setEditing(EMPTY_TEMPLATE)}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+            >
+              <FiPlus className="w-4 h-4" />
+              New
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-6">
+          {editing === EMPTY_TEMPLATE && (
+            <TemplateForm template={EMPTY_TEMPLATE} onSave={handleSave} onCancel={() => setEditing(null)} />
+          )}
+
+          {error && !templates.length && (
+            <p className="text-red-400 text-sm text-center py-4">{error}</p>
+          )}
+
+          {!error && groups.length === 0 && editing !== EMPTY_TEMPLATE && (
+            <p className="text-gray-400 text-sm text-center py-8">No templates yet</p>
+          )}
+
+          {groups.map(([category, items]) => (
+            <div key={category} className="space-y-2">
+              <h4 className="text-sm font-medium text-gray-400">{category}</h4>
+              {items.map(template => (
+                editing?.id === template.id ? (
+                  <TemplateForm
+                    key={template.id}
+                    template={template}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  <div key={template.id} className="flex items-start gap-3 p-3 rounded-lg bg-[#1a1b26]">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-white truncate">{template.name}</span>
+                        {template.shortcut && (
+                          <span className="text-xs font-mono text-[#7aa2f7]">/{template.shortcut}</span>
+                        )}
+                        {template.platforms.map(item => (
+                          <span key={item} className="px-1.5 py-0.5 rounded text-[10px] uppercase bg-[#24283b] text-gray-400">
+                            {item}
+                          </span>
+                        ))}
+                      </div>
+                      <p className="text-sm text-gray-400 mt-1 line-clamp-2 whitespace-pre-wrap">{template.body}</p>
+                      <div className="text-xs text-gray-500 mt-1">
+                        Used {template.usageCount} time{template.usageCount === 1 ? '' : 's'}
+                      </div>
+                    </div>
+                    {onInsert && isTemplateAvailable(template, platform) && (
+                      <button
+                        onClick={() => onInsert(template)}
+                        className="w-auto px-3 py-1 rounded-md text-xs text-white bg-[#1e6853] hover:bg-[#1e6853]/80"
+                      >
+                        Insert
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditing(template)}
+                      className="p-1 w-auto text-gray-400 hover:text-white"
+                      title="Edit template"
+                    >
+                      <FiEdit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(template)}
+                      className="p-1 w-auto text-gray-400 hover:text-red-400"
+                      title="Delete template"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TemplateLibrary.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  platform: PropTypes.string,
+  onInsert: PropTypes.func
+};
+
+export default TemplateLibrary;
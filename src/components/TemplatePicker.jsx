@@ -0,0 +1,56 @@
+import PropTypes from 'prop-types';
+
+// Slash-command suggestions shown above the composer
+const TemplatePicker = ({ templates, activeIndex, onSelect, onHighlight }) => {
+  if (!templates.length) {
+    return (
+      <div className="absolute bottom-full left-0 right-0 mb-2 bg-[#1e2132] border border-gray-700 rounded-md px-3 py-2 text-sm text-gray-400 shadow-lg">
+        No matching templates
+      </div>
+    );
+  }
+
+  return (
+    <ul
+      role="listbox"
+      className="absolute bottom-full left-0 right-0 mb-2 max-h-60 overflow-y-auto bg-[#1e2132] border border-gray-700 rounded-md shadow-lg py-1 z-10"
+    >
+      {templates.map((template, index) => (
+        <li
+          key={template.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          // mousedown keeps focus in the textarea
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(template);
+          }}
+          onMouseEnter={() => onHighlight(index)}
+          className={`px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-[#24283b]' : ''}`}
+        >
+          <div className="flex items-center gap-2 text-sm">
+            {template.shortcut && <span className="font-mono text-[#7aa2f7]">/{template.shortcut}</span>}
+            <span className="text-white truncate">{template.name}</span>
+            {template.category && <span className="text-xs text-gray-500">{template.category}</span>}
+          </div>
+          <div className="text-xs text-gray-400 truncate">{template.body}</div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+TemplatePicker.propTypes = {
+  templates: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    name: PropTypes.string.isRequired,
+    shortcut: PropTypes.string,
+    category: PropTypes.string,
+    body: PropTypes.string.isRequired
+  })).isRequired,
+  activeIndex: PropTypes.number.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onHighlight: PropTypes.func.isRequired
+};
+
+export default TemplatePicker;
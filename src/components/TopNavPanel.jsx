@@ -1,33 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import socketManager from '../utils/socket';
+import { SocketEvents, emitEvent } from '../utils/socketEvents';
+import { useSocketSubscription } from '../hooks/useSocketSubscription';
 import toast from 'react-hot-toast';
 
 const TopNavPanel = () => {
   const [isSyncing, setIsSyncing] = useState(false);
 
-  useEffect(() => {
-    const socket = socketManager.socket;
-    if (socket) {
-      // Listen for sync completion
-      socket.on('sync_complete', () => {
-        setIsSyncing(false);
-        toast.success('Sync completed successfully');
-        toast.dismiss('sync');
-      });
-
-      // Listen for sync errors
-      socket.on('error', (error) => {
-        setIsSyncing(false);
-        toast.error(error.message || 'Sync failed');
-        toast.dismiss('sync');
-      });
-
-      return () => {
-        socket.off('sync_complete');
-        socket.off('error');
-      };
+  useSocketSubscription({
+    [SocketEvents.SYNC_COMPLETE]: () => {
+      setIsSyncing(false);
+      toast.success('Sync completed successfully');
+      toast.dismiss('sync');
+    },
+    [SocketEvents.ERROR]: (error) => {
+      setIsSyncing(false);
+      toast.error(error?.message || 'Sync failed');
+      toast.dismiss('sync');
     }
-  }, []);
+  });
 
   const handleSync = async () => {
     try {
@@ -42,7 +33,7 @@ const TopNavPanel = () => {
         }
       });
       
-      socket.emit('sync_request');
+      emitEvent(socket, SocketEvents.SYNC_REQUEST);
     } catch (error) {
       setIsSyncing(false);
       toast.error('Failed to initialize socket connection');
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { format, isToday } from 'date-fns';
+import { FiRefreshCw } from 'react-icons/fi';
+import { getPlatformAdapter } from './PlatformAdapter';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
+import logger from '../utils/logger';
+
+const BADGE_STYLES = {
+  whatsapp: 'bg-[#1e6853] text-white',
+  telegram: 'bg-sky-600 text-white',
+  slack: 'bg-purple-700 text-white',
+  discord: 'bg-indigo-600 text-white'
+};
+
+export const PlatformBadge = ({ platform }) => {
+  const config = PLATFORM_CONFIGS[platform];
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${BADGE_STYLES[platform] || 'bg-gray-600 text-white'}`}
+      title={config?.name || platform}
+    >
+      <span>{config?.icon}</span>
+      <span>{config?.name || platform}</span>
+    </span>
+  );
+};
+
+PlatformBadge.propTypes = {
+  platform: PropTypes.string.isRequired
+};
+
+const formatActivity = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return isToday(date) ? format(date, 'HH:mm') : format(date, 'MMM d');
+};
+
+const getActivityTime = (conversation) => (
+  conversation.lastActivityAt ? new Date(conversation.lastActivityAt).getTime() : 0
+);
+
+const UnifiedConversationList = ({ platforms, onSelectConversation, selectedConversationKey }) => {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [failedPlatforms, setFailedPlatforms] = useState([]);
+
+  const loadConversations = useCallback(async () => {
+    setLoading(true);
+    const adapters = platforms
+      .map(platform => ({ platform, adapter: getPlatformAdapter(platform) }))
+      .filter(({ adapter }) => adapter?.fetchConversations);
+
+    // One platform failing should not empty the whole inbox
+    const results = await Promise.allSettled(adapters.map(({ adapter }) => adapter.fetchConversations()));
+
+    const merged = [];
+    const failed = [];
+    results.forEach((result, index) => {
+      const { platform } = adapters[index];
+      if (result.status === 'fulfilled') {
+        merged.push(...result.value);
+      } else {
+        logger.error('[UnifiedConversationList] Failed to load conversations:', {
+          platform,
+          error: result.reason?.message
+        });
+        failed.push(platform);
+      }
+    });
+
+    setConversations(merged);
+    setFailedPlatforms(failed);
+    setLoading(false);
+  }, [platforms]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  const sortedConversations = useMemo(() => (
+    [...conversations].sort((a, b) => getActivityTime(b) - getActivityTime(a))
+  ), [conversations]);
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="p-4 border-b border-dark-lighter flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-white">All Conversations</h2>
+        <button
+          onClick={loadConversations}
+          disabled={loading}
+          className="text-gray-400 hover:text-white p-2 w-auto"
+          title="Refresh conversations"
+        >
+          <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {failedPlatforms.length > 0 && (
+        <div className="px-4 py-2 text-xs text-yellow-500 border-b border-dark-lighter">
+          Could not load {failedPlatforms.map(p => PLATFORM_CONFIGS[p]?.name || p).join(', ')}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-y-auto">
+        {!loading && sortedConversations.length === 0 && (
+          <div className="p-6 text-center text-gray-400">No conversations yet.</div>
+        )}
+        {sortedConversations.map(conversation => (
+          <div
+            key={conversation.key}
+            onClick={() => onSelectConversation(conversation)}
+            className={`flex items-center gap-3 px-4 py-3 cursor-pointer hover:bg-[#24283b] ${
+              selectedConversationKey === conversation.key ? 'bg-[#24283b]' : ''
+            }`}
+          >
+            <div className="w-10 h-10 rounded-full bg-[#1a1b26] flex-shrink-0 overflow-hidden flex items-center justify-center text-white">
+              {conversation.avatarUrl ? (
+                <img src={conversation.avatarUrl} alt={conversation.name} className="w-full h-full object-cover" />
+              ) : (
+                conversation.name.charAt(0).toUpperCase()
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-white truncate">{conversation.name}</span>
+                <span className="text-xs text-gray-400 flex-shrink-0">
+                  {formatActivity(conversation.lastActivityAt)}
+                </span>
+              </div>
+              <div className="flex items-center justify-between gap-2 mt-1">
+                <span className="text-sm text-gray-400 truncate">{conversation.preview}</span>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  {conversation.unreadCount > 0 && (
+                    <span className="bg-primary text-white text-xs rounded-full px-2">
+                      {conversation.unreadCount}
+                    </span>
+                  )}
+                  <PlatformBadge platform={conversation.platform} />
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+UnifiedConversationList.propTypes = {
+  platforms: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectConversation: PropTypes.func.isRequired,
+  selectedConversationKey: PropTypes.string
+};
+
+export default UnifiedConversationList;
@@ -1,22 +1,40 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
 import { getPlatformAdapter } from './PlatformAdapter';
+import UnifiedConversationList from './UnifiedConversationList';
 
-// Show platform icons next to messages (TODO: add icons)
-function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, selectedRoom, activeComponent, setActiveComponent, panelOpen, handleClosePanel }) {
-  const connectedPlatforms = accounts.map(a => a.platform);
+function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, selectedRoom, activeComponent, setActiveComponent, panelOpen, handleClosePanel, focusMessageId, onJumpComplete }) {
+  const [selectedConversation, setSelectedConversation] = useState(null);
+  const connectedPlatforms = useMemo(() => accounts.map(a => a.platform), [accounts]);
   const platformsToShow = selectedPlatform ? [selectedPlatform] : connectedPlatforms;
 
+  // In the merged view the open room can belong to any platform
+  const viewerPlatform = selectedPlatform || selectedConversation?.platform;
+
+  const handleSelectConversation = (conversation) => {
+    setSelectedConversation(conversation);
+    onSelectRoom(conversation.id, conversation.platform);
+  };
+
   return (
     <div className="flex h-full">
       <div className={`${panelOpen && selectedRoom ? 'w-1/3' : 'w-full'} border-r border-dark-lighter`}>
-        {platformsToShow.map(plat => {
-          const Adapter = getPlatformAdapter(plat);
-          if (!Adapter) return null;
-          const ChatList = Adapter.ChatList;
-          return <ChatList key={plat} messages={messages} onSelectRoom={onSelectRoom} />;
-        })}
+        {selectedPlatform ? (
+          platformsToShow.map(plat => {
+            const Adapter = getPlatformAdapter(plat);
+            if (!Adapter) return null;
+            const ChatList = Adapter.ChatList;
+            return <ChatList key={plat} messages={messages} onSelectRoom={onSelectRoom} />;
+          })
+        ) : (
+          <UnifiedConversationList
+            platforms={connectedPlatforms}
+            onSelectConversation={handleSelectConversation}
+            selectedConversationKey={selectedConversation?.key}
+          />
+        )}
       </div>
-      {panelOpen && selectedRoom && selectedPlatform && (
+      {panelOpen && selectedRoom && viewerPlatform && (
         <div className="w-2/3 flex flex-col">
           <div className="flex border-b border-dark-lighter">
             <button
@@ -43,11 +61,22 @@ function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, sele
           </div>
           <div className="flex-1 overflow-auto p-6">
             {(()=>{
-              const Adapter = getPlatformAdapter(selectedPlatform);
+              const Adapter = getPlatformAdapter(viewerPlatform);
               if(!Adapter)return null;
               const MessageViewer = Adapter.MessageViewer;
               const filtered = messages.filter(m=>m.roomId===selectedRoom);
-              return <MessageViewer messages={filtered} activeComponent={activeComponent} />;
+              const conversation = selectedConversation?.id === selectedRoom ? selectedConversation : null;
+              return (
+                <MessageViewer
+                  messages={filtered}
+                  activeComponent={activeComponent}
+                  conversation={conversation}
+                  selectedContact={conversation?.raw}
+                  channelId={selectedRoom}
+                  focusMessageId={focusMessageId}
+                  onJumpComplete={onJumpComplete}
+                />
+              );
             })()}
           </div>
         </div>
@@ -56,4 +85,22 @@ function UnifiedInbox({ accounts, messages, selectedPlatform, onSelectRoom, sele
   );
 }
 
+UnifiedInbox.propTypes = {
+  accounts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    platform: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  messages: PropTypes.array.isRequired,
+  selectedPlatform: PropTypes.string,
+  onSelectRoom: PropTypes.func.isRequired,
+  selectedRoom: PropTypes.string,
+  activeComponent: PropTypes.string,
+  setActiveComponent: PropTypes.func.isRequired,
+  panelOpen: PropTypes.bool,
+  handleClosePanel: PropTypes.func.isRequired,
+  focusMessageId: PropTypes.string,
+  onJumpComplete: PropTypes.func
+};
+
 export default UnifiedInbox;
@@ -2,6 +2,7 @@ import React, { useEffect, useRef, useState } from 'react';
 import { MessageBatchProcessor } from '../../utils/MessageBatchProcessor';
 import { useSocket } from '../../hooks/useSocket';
 import api from '../../utils/api';
+import { SocketEvents, addEventHandlers } from '../../utils/socketEvents';
 
 export function WhatsAppChat({ contactId }) {
   const [messages, setMessages] = useState([]);
@@ -38,19 +39,18 @@ export function WhatsAppChat({ contactId }) {
     loadMessages();
 
     // Set up socket listeners
-    if (socket && isConnected) {
-      socket.on('whatsapp:message', handleNewMessage);
-      socket.on('whatsapp:message_update', handleMessageUpdate);
-    }
+    const removeHandlers = socket && isConnected
+      ? addEventHandlers(socket, {
+        [SocketEvents.WHATSAPP_MESSAGE]: handleNewMessage,
+        [SocketEvents.WHATSAPP_MESSAGE_UPDATE_LEGACY]: handleMessageUpdate
+      })
+      : null;
 
     return () => {
       if (batchProcessorRef.current) {
         batchProcessorRef.current.clear();
       }
-      if (socket) {
-        socket.off('whatsapp:message', handleNewMessage);
-        socket.off('whatsapp:message_update', handleMessageUpdate);
-      }
+      removeHandlers?.();
     };
   }, [contactId, socket, isConnected]);
 
@@ -3,6 +3,8 @@ import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { useSocket } from '../utils/socket';
+import { SocketEvents, emitEvent, PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from '../utils/socketEvents';
+import { useSocketSubscription } from '../hooks/useSocketSubscription';
 import api from '../utils/api';  // Our configured axios instance
 import QRCode from 'qrcode';
 import logger from '../utils/logger';
@@ -82,20 +84,16 @@ const WhatsAppBridgeSetup = ({ onComplete }) => {
       });
     }
 
-    // Join the user's room when socket is available
+    // Authenticate when socket is available; the user's room is joined
+    // with the event subscription below
     if (socket && session?.user?.id) {
-      const userRoom = `user:${session.user.id}`;
-      logger.info('[WhatsAppBridgeSetup] Joining socket room:', userRoom);
-      
-      // First authenticate
-      socket.emit('authenticate', { 
+      emitEvent(socket, SocketEvents.AUTHENTICATE, {
         userId: session.user.id,
-        token: session.access_token  // Add token for authentication
+        token: session.access_token,
+        protocolVersion: PROTOCOL_VERSION,
+        supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
       });
       
-      // Then join room
-      socket.emit('join:room', userRoom);
-      
       // Set initializing to false once socket is ready
       setIsInitializing(false);
     }
@@ -148,89 +146,60 @@ const WhatsAppBridgeSetup = ({ onComplete }) => {
   }, [dispatch]);
 
   // Enhanced socket event handlers
-  useEffect(() => {
-    if (!socket) return;
-
-    const handleQRCode = (data) => {
-      logger.info('[WhatsAppBridgeSetup] QR code received:', {
-        hasData: !!data,
-        qrLength: data?.qrCode?.length,
-        roomId: data?.roomId
-      });
-      if (!data?.qrCode) {
-        logger.warn('[WhatsAppBridgeSetup] No QR code in socket event');
-        return;
-      }
+  const handleQRCode = (data) => {
+    logger.info('[WhatsAppBridgeSetup] QR code received:', {
+      hasData: !!data,
+      qrLength: data?.qrCode?.length,
+      roomId: data?.roomId
+    });
+    if (!data?.qrCode) {
+      logger.warn('[WhatsAppBridgeSetup] No QR code in socket event');
+      return;
+    }
 
-      QRCode.toDataURL(data.qrCode, {
-        errorCorrectionLevel: 'L',
-        margin: 4,
-        width: 256
-      })
-      .then(qrDataUrl => {
-        logger.info('[WhatsAppBridgeSetup] QR code converted successfully');
-        dispatch(setWhatsappQRCode(qrDataUrl));
-        dispatch(setWhatsappSetupState('qr_ready'));
-      })
-      .catch(error => {
-        logger.error('[WhatsAppBridgeSetup] QR code conversion error:', error);
-        dispatch(setWhatsappError('Failed to generate QR code'));
-        dispatch(setWhatsappSetupState('error'));
-      });
-    };
+    QRCode.toDataURL(data.qrCode, {
+      errorCorrectionLevel: 'L',
+      margin: 4,
+      width: 256
+    })
+    .then(qrDataUrl => {
+      logger.info('[WhatsAppBridgeSetup] QR code converted successfully');
+      dispatch(setWhatsappQRCode(qrDataUrl));
+      dispatch(setWhatsappSetupState('qr_ready'));
+    })
+    .catch(error => {
+      logger.error('[WhatsAppBridgeSetup] QR code conversion error:', error);
+      dispatch(setWhatsappError('Failed to generate QR code'));
+      dispatch(setWhatsappSetupState('error'));
+    });
+  };
 
-    const handleSetupStatus = (data) => {
-      logger.info('[WhatsAppBridgeSetup] Setup status update:', data);
-      if (data?.state) {
-        dispatch(setWhatsappSetupState(data.state));
-        if (data.state === 'connected' && data.phoneNumber) {
-          dispatch(setWhatsappPhoneNumber(data.phoneNumber));
-        }
-        if (data.bridgeRoomId) {
-          dispatch(setBridgeRoomId(data.bridgeRoomId));
-        }
-        if (data.state === 'puppet_sent') {
-          dispatch(setWhatsappSetupState('puppet_sent'));
-          toast.success('Real-time Setup is enabled');
-        }
+  const handleSetupStatus = (data) => {
+    logger.info('[WhatsAppBridgeSetup] Setup status update:', data);
+    if (data?.state) {
+      dispatch(setWhatsappSetupState(data.state));
+      if (data.state === 'connected' && data.phoneNumber) {
+        dispatch(setWhatsappPhoneNumber(data.phoneNumber));
       }
-    };
-
-    const handleStatus = async (data) => {
-      logger.info('[WhatsAppBridgeSetup] Status update:', data);
-      
-      if (data?.status === 'error') {
-        await Promise.all([
-          dispatch(setWhatsappError(data.error || 'Unknown error')),
-          dispatch(setWhatsappSetupState('error'))
-        ]);
-      } else if (data?.status === 'connected' || data?.status === 'active') {
-        const updates = [
-          dispatch(setWhatsappSetupState('connected')),
-          dispatch(setWhatsappPhoneNumber(data.phoneNumber))
-        ];
-        if (data.bridgeRoomId) {
-          updates.push(dispatch(setBridgeRoomId(data.bridgeRoomId)));
-        }
-        await Promise.all(updates);
-        
-        // Ensure onComplete is called after all state updates
-        if (typeof onComplete === 'function') {
-          setTimeout(() => onComplete(), 0);
-        }
-      } else if (data?.status === 'qr_scanned') {
-        await dispatch(setWhatsappSetupState('qr_scanned'));
+      if (data.bridgeRoomId) {
+        dispatch(setBridgeRoomId(data.bridgeRoomId));
       }
-    };
-
-    // Add explicit handlers for scan and connection events
-    socket.on('whatsapp:qr:scanned', async () => {
-      logger.info('[WhatsAppBridgeSetup] QR code scanned');
-      await dispatch(setWhatsappSetupState('qr_scanned'));
-    });
+      if (data.state === 'puppet_sent') {
+        dispatch(setWhatsappSetupState('puppet_sent'));
+        toast.success('Real-time Setup is enabled');
+      }
+    }
+  };
 
-    socket.on('whatsapp:connected', async (data) => {
-      logger.info('[WhatsAppBridgeSetup] WhatsApp connected:', data);
+  const handleStatus = async (data) => {
+    logger.info('[WhatsAppBridgeSetup] Status update:', data);
+    
+    if (data?.status === 'error') {
+      await Promise.all([
+        dispatch(setWhatsappError(data.error || 'Unknown error')),
+        dispatch(setWhatsappSetupState('error'))
+      ]);
+    } else if (data?.status === 'connected' || data?.status === 'active') {
       const updates = [
         dispatch(setWhatsappSetupState('connected')),
         dispatch(setWhatsappPhoneNumber(data.phoneNumber))
@@ -244,20 +213,40 @@ const WhatsAppBridgeSetup = ({ onComplete }) => {
       if (typeof onComplete === 'function') {
         setTimeout(() => onComplete(), 0);
       }
-    });
+    } else if (data?.status === 'qr_scanned') {
+      await dispatch(setWhatsappSetupState('qr_scanned'));
+    }
+  };
 
-    socket.on('whatsapp:qr', handleQRCode);
-    socket.on('whatsapp:setup:status', handleSetupStatus);
-    socket.on('whatsapp:status', handleStatus);
+  const handleQRScanned = async () => {
+    logger.info('[WhatsAppBridgeSetup] QR code scanned');
+    await dispatch(setWhatsappSetupState('qr_scanned'));
+  };
 
-    return () => {
-      socket.off('whatsapp:qr', handleQRCode);
-      socket.off('whatsapp:setup:status', handleSetupStatus);
-      socket.off('whatsapp:status', handleStatus);
-      socket.off('whatsapp:qr:scanned');
-      socket.off('whatsapp:connected');
-    };
-  }, [socket, dispatch, onComplete]);
+  const handleConnected = async (data) => {
+    logger.info('[WhatsAppBridgeSetup] WhatsApp connected:', data);
+    const updates = [
+      dispatch(setWhatsappSetupState('connected')),
+      dispatch(setWhatsappPhoneNumber(data.phoneNumber))
+    ];
+    if (data.bridgeRoomId) {
+      updates.push(dispatch(setBridgeRoomId(data.bridgeRoomId)));
+    }
+    await Promise.all(updates);
+
+    // Ensure onComplete is called after all state updates
+    if (typeof onComplete === 'function') {
+      setTimeout(() => onComplete(), 0);
+    }
+  };
+
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_QR]: handleQRCode,
+    [SocketEvents.WHATSAPP_SETUP_STATUS]: handleSetupStatus,
+    [SocketEvents.WHATSAPP_STATUS]: handleStatus,
+    [SocketEvents.WHATSAPP_QR_SCANNED]: handleQRScanned,
+    [SocketEvents.WHATSAPP_CONNECTED]: handleConnected
+  }, { rooms: session?.user?.id ? [`user:${session.user.id}`] : [] });
 
   // Refined unmount cleanup: only reset if a QR code has not been received
   useEffect(() => {
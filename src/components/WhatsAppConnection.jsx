@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { supabase } from '../utils/supabase';
 import logger from '../utils/logger';
 import { useSocket } from '../utils/socket';
+import { SocketEvents, addEventHandlers } from '../utils/socketEvents';
 import { toast } from 'react-hot-toast';
 
 const CONNECTION_STATES = {
@@ -39,7 +40,7 @@ const WhatsAppConnection = () => {
     }
 
     // Listen for WhatsApp status updates
-    socket.on('whatsapp:status', (data) => {
+    const handleStatus = (data) => {
       logger.info('[WhatsAppConnection] Status update:', data);
       setConnectionState(prev => ({
         ...prev,
@@ -50,24 +51,30 @@ const WhatsAppConnection = () => {
       if (data.error) {
         handleError(data.error);
       }
-    });
+    };
 
     // Listen for Matrix state changes
-    socket.on('matrix:state_change', (data) => {
+    const handleMatrixStateChange = (data) => {
       logger.info('[WhatsAppConnection] Matrix state change:', data);
       setConnectionState(prev => ({
         ...prev,
         health: data.health,
         lastActivity: new Date().toISOString()
       }));
-    });
+    };
 
     // Listen for sync state updates
-    socket.on('whatsapp:sync_state', (data) => {
+    const handleSyncState = (data) => {
       logger.info('[WhatsAppConnection] Sync state update:', data);
       if (data.state === 'error') {
         handleError(data.error);
       }
+    };
+
+    const removeHandlers = addEventHandlers(socket, {
+      [SocketEvents.WHATSAPP_STATUS]: handleStatus,
+      [SocketEvents.MATRIX_STATE_CHANGE]: handleMatrixStateChange,
+      [SocketEvents.WHATSAPP_SYNC_STATE]: handleSyncState
     });
 
     // Initial connection check
@@ -101,11 +108,7 @@ const WhatsAppConnection = () => {
     checkConnection();
 
     // Cleanup listeners
-    return () => {
-      socket.off('whatsapp:status');
-      socket.off('matrix:state_change');
-      socket.off('whatsapp:sync_state');
-    };
+    return removeHandlers;
   }, [session, navigate, socket]);
 
   const handleError = (error) => {
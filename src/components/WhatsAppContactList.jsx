@@ -3,13 +3,20 @@ import { useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import PropTypes from 'prop-types';
 import { toast } from 'react-hot-toast';
-import { fetchContacts, syncContact, selectContactPriority, updateContactMembership, freshSyncContacts, addContact, hideContact, updateContactDisplayName } from '../store/slices/contactSlice';
+import { fetchContacts, syncContact, selectContactPriority, updateContactMembership, freshSyncContacts, addContact, hideContact, updateContactDisplayName, pushContactOverrides, selectContactConflicts } from '../store/slices/contactSlice';
 import logger from '../utils/logger';
 import SyncProgressIndicator from './SyncProgressIndicator';
 import { SYNC_STATES } from '../utils/syncUtils';
-import { getSocket, initializeSocket } from '../utils/socket';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from '../hooks/useSocketSubscription';
 import { format } from 'date-fns';
 import PriorityBubble from './PriorityBubble';
+import ContactConflictsPanel from './ContactConflictsPanel';
+import PriorityRulesEditor from './PriorityRulesEditor';
+import { selectPriorityMatch } from '../store/slices/priorityRulesSlice';
+import { describeMatch } from '../utils/priorityRules';
+import { selectCurrentWorkspaceId, selectAssignment, selectAssignments, selectWorkspaceMembers } from '../store/slices/workspaceSlice';
+import { getInboxRooms } from '../services/workspaceService';
 import ChatView from './ChatView';
 import api from '../utils/api';
 
@@ -82,6 +89,12 @@ const ShimmerContactList = () => (
 const ContactItem = memo(({ contact, onClick, isSelected }) => {
   const dispatch = useDispatch();
   const priority = useSelector(state => selectContactPriority(state, contact.id));
+  const priorityMatch = useSelector(state => selectPriorityMatch(state, contact.id));
+  const assignment = useSelector(state => selectAssignment(state, 'whatsapp', contact.id));
+  const assignee = useSelector(state => assignment
+    ? selectWorkspaceMembers(state).find(member => member.userId === assignment.assigneeId)
+    : null);
+  const currentUserId = useSelector(state => state.auth.session?.user?.id);
   const [isEditing, setIsEditing] = useState(false);
   const [editedName, setEditedName] = useState(contact.display_name);
   const [showTooltip, setShowTooltip] = useState(false);
@@ -106,11 +119,13 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
   const handleDelete = (e) => {
     e.stopPropagation();
     dispatch(hideContact(contact.id));
+    dispatch(pushContactOverrides(contact.id));
   };
 
   const handleNameSubmit = (e) => {
     if (e.key === 'Enter' && editedName.trim()) {
       dispatch(updateContactDisplayName({ contactId: contact.id, displayName: editedName.trim() }));
+      dispatch(pushContactOverrides(contact.id));
       setIsEditing(false);
     }
   };
@@ -124,7 +139,7 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
       onMouseEnter={() => setShowTooltip(true)}
       onMouseLeave={() => setShowTooltip(false)}
     >
-      <PriorityBubble priority={priority} />
+      <PriorityBubble priority={priority} explanation={describeMatch(priorityMatch)} />
       
       {showTooltip && (
         <div className="absolute right-2 top-2 flex gap-2 bg-[#1a1b26] p-1 rounded shadow-lg z-10">
@@ -187,6 +202,11 @@ const ContactItem = memo(({ contact, onClick, isSelected }) => {
             {contact.last_message}
           </p>
         )}
+        {assignment && !isEditing && (
+          <p className="text-xs text-[#7aa2f7] truncate">
+            Assigned to {assignment.assigneeId === currentUserId ? 'you' : assignee?.displayName || 'a teammate'}
+          </p>
+        )}
       </div>
     </div>
   );
@@ -199,6 +219,7 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
   const session = useSelector(state => state.auth.session);
   const loading = useSelector((state) => state.contacts.loading);
   const error = useSelector((state) => state.contacts.error);
+  const conflicts = useSelector(selectContactConflicts);
   // const syncStatus = useSelector((state) => state.contacts.syncStatus);
 
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -207,6 +228,13 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
   const [showAcknowledgment, setShowAcknowledgment] = useState(false);
   const [hasShownAcknowledgment, setHasShownAcknowledgment] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [showConflicts, setShowConflicts] = useState(false);
+  const closeConflicts = useCallback(() => setShowConflicts(false), []);
+  const [showPriorityRules, setShowPriorityRules] = useState(false);
+  const closePriorityRules = useCallback(() => setShowPriorityRules(false), []);
+  const workspaceId = useSelector(selectCurrentWorkspaceId);
+  const assignments = useSelector(selectAssignments);
+  const [assignedToMe, setAssignedToMe] = useState(false);
 
   // Add a function to check if refresh is allowed
   // const isRefreshAllowed = () => {
@@ -389,27 +417,17 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
     }));
   }, [dispatch]);
 
-  useEffect(() => {
-    const socket = getSocket();
-  
-    const handleNewContact = (data) => {
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_NEW_CONTACT]: (data) => {
       logger.info('[WhatsAppContactList] New contact received:', {
         contactId: data.id,
         displayName: data.display_name
       });
-      
+
       dispatch(addContact(data));
       toast.success(`New contact: ${data.display_name}`);
-    };
-  
-    if (socket) {
-      socket.on('whatsapp:new_contact', handleNewContact);
-  
-      return () => {
-        socket.off('whatsapp:new_contact', handleNewContact);
-      };
     }
-  }, [dispatch]);
+  }, { rooms: getInboxRooms(session?.user?.id, workspaceId) });
 
   useEffect(() => {
     if (!session) {
@@ -421,56 +439,30 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
     loadContactsWithRetry();
   }, [session, navigate, loadContactsWithRetry]);
 
-  useEffect(() => {
-    const initSocket = async () => {
-      try {
-        await initializeSocket();
-        const socket = getSocket();
-        if (!socket || !session?.user?.id) return;
-
-        const handleSyncProgress = (data) => {
-          if (data.userId === session.user.id) {
-            setSyncProgress({
-              state: SYNC_STATES.SYNCING,
-              progress: data.progress,
-              message: data.details || 'Syncing contacts...'
-            });
-          }
-        };
-
-        const handleSyncComplete = (data) => {
-          if (data.userId === session.user.id) {
-            setSyncProgress(null);
-            loadContactsWithRetry();
-          }
-        };
-
-        const handleSyncError = (data) => {
-          if (data.userId === session.user.id) {
-            setSyncProgress({
-              state: SYNC_STATES.ERROR,
-              message: data.error || 'Sync failed'
-            });
-            toast.error('Contact sync failed: ' + (data.error || 'Unknown error'));
-          }
-        };
-
-        socket.on('whatsapp:sync_progress', handleSyncProgress);
-        socket.on('whatsapp:sync_complete', handleSyncComplete);
-        socket.on('whatsapp:sync_error', handleSyncError);
-
-        return () => {
-          socket.off('whatsapp:sync_progress', handleSyncProgress);
-          socket.off('whatsapp:sync_complete', handleSyncComplete);
-          socket.off('whatsapp:sync_error', handleSyncError);
-        };
-      } catch (error) {
-        logger.error('[WhatsAppContactList] Socket initialization error:', error);
-      }
-    };
-
-    initSocket();
-  }, [session, loadContactsWithRetry]);
+  const userId = session?.user?.id;
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_SYNC_PROGRESS]: (data) => {
+      if (data.userId !== userId) return;
+      setSyncProgress({
+        state: SYNC_STATES.SYNCING,
+        progress: data.progress,
+        message: data.details || 'Syncing contacts...'
+      });
+    },
+    [SocketEvents.WHATSAPP_SYNC_COMPLETE]: (data) => {
+      if (data.userId !== userId) return;
+      setSyncProgress(null);
+      loadContactsWithRetry();
+    },
+    [SocketEvents.WHATSAPP_SYNC_ERROR]: (data) => {
+      if (data.userId !== userId) return;
+      setSyncProgress({
+        state: SYNC_STATES.ERROR,
+        message: data.error || 'Sync failed'
+      });
+      toast.error('Contact sync failed: ' + (data.error || 'Unknown error'));
+    }
+  }, { enabled: Boolean(userId) });
 
   useEffect(() => {
     const isInitialSync = !hasShownAcknowledgment && contacts.length === 1 && 
@@ -513,14 +505,23 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
     });
   }, [contacts]);
 
+  // Only conversations assigned to this user, when a workspace is open
+  const assignedContacts = useMemo(() => {
+    if (!workspaceId || !assignedToMe) return filteredContacts;
+
+    return filteredContacts.filter(contact =>
+      assignments[`whatsapp:${contact.id}`]?.assigneeId === session?.user?.id
+    );
+  }, [filteredContacts, workspaceId, assignedToMe, assignments, session]);
+
   // Add memoized filtered contacts
   const searchedContacts = useMemo(() => {
-    if (!searchQuery.trim()) return filteredContacts;
+    if (!searchQuery.trim()) return assignedContacts;
     
-    return filteredContacts.filter(contact => 
+    return assignedContacts.filter(contact => 
       contact.display_name?.toLowerCase().includes(searchQuery.toLowerCase())
     );
-  }, [filteredContacts, searchQuery]);
+  }, [assignedContacts, searchQuery]);
 
   return (
     <>
@@ -528,6 +529,9 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
         isOpen={showAcknowledgment} 
         onClose={() => setShowAcknowledgment(false)} 
       />
+
+      <ContactConflictsPanel isOpen={showConflicts} onClose={closeConflicts} />
+      <PriorityRulesEditor isOpen={showPriorityRules} onClose={closePriorityRules} />
       
       <div className="flex flex-col h-full w-[100%]">
         {/* Header with refresh button and search */}
@@ -558,6 +562,22 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
               </svg>
               <p>Refresh contacts</p>
             </button>
+            {conflicts.length > 0 && (
+              <button
+                onClick={() => setShowConflicts(true)}
+                className="w-auto px-3 py-1 rounded-full text-xs bg-yellow-500/20 text-yellow-300 hover:bg-yellow-500/30"
+                title="Review contacts changed on WhatsApp after your edits"
+              >
+                {conflicts.length} sync conflict{conflicts.length > 1 ? 's' : ''}
+              </button>
+            )}
+            <button
+              onClick={() => setShowPriorityRules(true)}
+              className="w-auto px-3 py-1 rounded-full text-xs text-gray-300 bg-[#1e2132] hover:bg-[#24283b] hover:text-white"
+              title="Rules that set contact priority from incoming messages"
+            >
+              Priority rules
+            </button>
           </div>
           
           {/* Search Input */}
@@ -580,6 +600,24 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
               </button>
             )}
           </div>
+
+          {workspaceId && (
+            <div className="flex gap-2 mt-3">
+              {[{ label: 'All', value: false }, { label: 'Assigned to me', value: true }].map(option => (
+                <button
+                  key={option.label}
+                  onClick={() => setAssignedToMe(option.value)}
+                  className={`w-auto px-3 py-1 rounded-full text-xs transition-colors ${
+                    assignedToMe === option.value
+                      ? 'bg-[#1e6853] text-white'
+                      : 'bg-[#1e2132] text-gray-300 hover:bg-[#24283b]'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Contact List */}
@@ -601,9 +639,11 @@ const WhatsAppContactList = ({ onContactSelect, selectedContactId }) => {
               <p className="text-gray-500">
                 {searchQuery 
                   ? `No contacts found matching "${searchQuery}"`
-                  : syncProgress 
-                    ? 'Syncing contacts...' 
-                    : 'Application syncs new contacts with new messages 🔃'
+                  : workspaceId && assignedToMe
+                    ? 'No conversations are assigned to you'
+                    : syncProgress 
+                      ? 'Syncing contacts...' 
+                      : 'Application syncs new contacts with new messages 🔃'
                 }
               </p>
             </div>
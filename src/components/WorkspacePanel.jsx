@@ -0,0 +1,362 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiX, FiPlus, FiTrash2, FiCheck, FiMail } from 'react-icons/fi';
+import { WORKSPACE_ROLES, canManageMembers } from '../services/workspaceService';
+import { SIGN_IN_METHODS, SIGN_IN_METHOD_LABELS } from '../services/securityService';
+import {
+  switchWorkspace,
+  createWorkspace,
+  fetchWorkspaceInvites,
+  inviteMember,
+  revokeInvite,
+  updateMemberRole,
+  removeMember,
+  acceptInvite,
+  declineInvite,
+  updateWorkspaceSecurity,
+  selectWorkspaces,
+  selectCurrentWorkspace,
+  selectWorkspaceMembers,
+  selectWorkspaceInvites,
+  selectReceivedInvites
+} from '../store/slices/workspaceSlice';
+
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-2 py-1.5 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+const selectClass = 'bg-[#1e2132] text-sm text-gray-300 rounded-md border border-gray-700 px-2 py-1.5';
+
+const ROLE_LABELS = {
+  [WORKSPACE_ROLES.OWNER]: 'Owner',
+  [WORKSPACE_ROLES.AGENT]: 'Agent',
+  [WORKSPACE_ROLES.VIEWER]: 'Viewer'
+};
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className={`${selectClass} disabled:opacity-60`}
+  >
+    {Object.values(WORKSPACE_ROLES).map(role => (
+      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+    ))}
+  </select>
+);
+
+RoleSelect.propTypes = {
+  value: PropTypes.oneOf(Object.values(WORKSPACE_ROLES)).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+/**
+ * Switches between the personal inbox and team workspaces, and lets owners
+ * manage who is in the open workspace, with which role, and how they must
+ * sign in
+ */
+const WorkspacePanel = ({ isOpen, onClose }) => {
+  const modalRef = useRef();
+  const dispatch = useDispatch();
+  const userId = useSelector(state => state.auth.session?.user?.id);
+  const workspaces = useSelector(selectWorkspaces);
+  const workspace = useSelector(selectCurrentWorkspace);
+  const members = useSelector(selectWorkspaceMembers);
+  const invites = useSelector(selectWorkspaceInvites);
+  const receivedInvites = useSelector(selectReceivedInvites);
+  const [newName, setNewName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: WORKSPACE_ROLES.AGENT });
+  const [busy, setBusy] = useState(false);
+
+  const isOwner = Boolean(workspace) && canManageMembers(workspace.role);
+
+  useEffect(() => {
+    if (isOpen && workspace && isOwner) {
+      dispatch(fetchWorkspaceInvites(workspace.id));
+    }
+  }, [dispatch, isOpen, workspace, isOwner]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  // Runs a workspace action, toasting its error instead of throwing
+  const run = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      return await dispatch(action).unwrap();
+    } catch (err) {
+      toast.error(err || failureMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const created = await run(createWorkspace(newName), 'Failed to create workspace');
+    if (created) {
+      setNewName('');
+      dispatch(switchWorkspace(created.id));
+    }
+  };
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    const sent = await run(
+      inviteMember({ workspaceId: workspace.id, email: invite.email, role: invite.role }),
+      'Failed to send invite'
+    );
+    if (sent) {
+      setInvite(prev => ({ ...prev, email: '' }));
+      toast.success(`Invite sent to ${sent.email}`);
+    }
+  };
+
+  const handleAccept = async (received) => {
+    const joined = await run(acceptInvite(received.id), 'Failed to accept invite');
+    if (joined) {
+      dispatch(switchWorkspace(joined.id));
+    }
+  };
+
+  const handleSecurityChange = (changes) => {
+    run(updateWorkspaceSecurity({
+      workspaceId: workspace.id,
+      security: {
+        requireMfa: workspace.requireMfa,
+        allowedSignInMethods: workspace.allowedSignInMethods,
+        ...changes
+      }
+    }), 'Failed to update sign-in requirements');
+  };
+
+  const toggleSignInMethod = (method) => {
+    const allowed = workspace.allowedSignInMethods.includes(method)
+      ? workspace.allowedSignInMethods.filter(item => item !== method)
+      : [...workspace.allowedSignInMethods, method];
+    handleSecurityChange({ allowedSignInMethods: allowed });
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.displayName} from ${workspace.name}? Their conversations will be unassigned.`)) {
+      return;
+    }
+    run(removeMember({ workspaceId: workspace.id, userId: member.userId }), 'Failed to remove member');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50">
+      <div
+        ref={modalRef}
+        className="bg-[#24283b] rounded-lg p-6 max-w-xl w-full mx-4 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+          <h3 className="text-xl font-medium text-white">Workspace</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors w-auto">
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto mt-4 space-y-6">
+          <section className="space-y-2">
+            <label className="text-sm text-gray-400">Working in</label>
+            <select
+              value={workspace?.id || ''}
+              onChange={(e) => dispatch(switchWorkspace(e.target.value || null))}
+              className={`${selectClass} w-full`}
+            >
+              <option value="">Personal inbox</option>
+              {workspaces.map(item => (
+                <option key={item.id} value={item.id}>
+                  {item.name} ({ROLE_LABELS[item.role]})
+                </option>
+              ))}
+            </select>
+            <form onSubmit={handleCreate} className="flex gap-2">
+              <input
+                className={inputClass}
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New workspace name"
+                required
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50 whitespace-nowrap"
+              >
+                <FiPlus className="w-4 h-4" />
+                Create
+              </button>
+            </form>
+          </section>
+
+          {receivedInvites.length > 0 && (
+            <section className="space-y-2">
+              <h4 className="text-sm text-gray-400">Invitations</h4>
+              {receivedInvites.map(received => (
+                <div key={received.id} className="flex items-center gap-2 p-3 rounded-lg bg-[#1a1b26]">
+                  <span className="flex-1 text-sm text-gray-200">
+                    {received.workspaceName || 'A workspace'} · {ROLE_LABELS[received.role] || received.role}
+                  </span>
+                  <button
+                    onClick={() => handleAccept(received)}
+                    disabled={busy}
+                    className="w-auto p-1 text-[#1e6853] hover:text-green-400"
+                    title="Accept"
+                  >
+                    <FiCheck className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => run(declineInvite(received.id), 'Failed to decline invite')}
+                    disabled={busy}
+                    className="w-auto p-1 text-gray-500 hover:text-red-400"
+                    title="Decline"
+                  >
+                    <FiX className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {workspace && (
+            <section className="space-y-2">
+              <h4 className="text-sm text-gray-400">Members</h4>
+              {members.map(member => (
+                <div key={member.userId} className="flex items-center gap-2 p-3 rounded-lg bg-[#1a1b26]">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm text-white truncate">
+                      {member.displayName}{member.userId === userId && ' (you)'}
+                    </div>
+                    {member.email && member.email !== member.displayName && (
+                      <div className="text-xs text-gray-500 truncate">{member.email}</div>
+                    )}
+                  </div>
+                  <RoleSelect
+                    value={member.role}
+                    disabled={!isOwner || busy || member.userId === userId}
+                    onChange={(role) => run(
+                      updateMemberRole({ workspaceId: workspace.id, userId: member.userId, role }),
+                      'Failed to change role'
+                    )}
+                  />
+                  {isOwner && member.userId !== userId && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      disabled={busy}
+                      className="w-auto p-1 text-gray-500 hover:text-red-400"
+                      title="Remove member"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </section>
+          )}
+
+          {isOwner && (
+            <section className="space-y-2">
+              <h4 className="text-sm text-gray-400">Invite</h4>
+              <form onSubmit={handleInvite} className="flex gap-2">
+                <input
+                  type="email"
+                  className={inputClass}
+                  value={invite.email}
+                  onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+                  placeholder="teammate@example.com"
+                  required
+                />
+                <RoleSelect
+                  value={invite.role}
+                  onChange={(role) => setInvite(prev => ({ ...prev, role }))}
+                />
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50"
+                >
+                  <FiMail className="w-4 h-4" />
+                  Invite
+                </button>
+              </form>
+              {invites.map(pending => (
+                <div key={pending.id} className="flex items-center gap-2 text-sm px-3">
+                  <span className="flex-1 text-gray-300 truncate">{pending.email}</span>
+                  <span className="text-xs text-gray-500">{ROLE_LABELS[pending.role] || pending.role} · pending</span>
+                  <button
+                    onClick={() => run(revokeInvite({ workspaceId: workspace.id, inviteId: pending.id }), 'Failed to revoke invite')}
+                    disabled={busy}
+                    className="w-auto p-1 text-gray-500 hover:text-red-400"
+                    title="Revoke invite"
+                  >
+                    <FiX className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {isOwner && (
+            <section className="space-y-2">
+              <h4 className="text-sm text-gray-400">Sign-in requirements</h4>
+              <p className="text-xs text-gray-500">
+                Members who don&apos;t meet these can&apos;t open this workspace until they do.
+              </p>
+              <label className="flex items-center gap-2 text-sm text-gray-200">
+                <input
+                  type="checkbox"
+                  checked={workspace.requireMfa}
+                  disabled={busy}
+                  onChange={(e) => handleSecurityChange({ requireMfa: e.target.checked })}
+                  className="w-auto"
+                />
+                Require two-factor authentication
+              </label>
+              <div className="text-sm text-gray-200">Allowed sign-in methods</div>
+              <div className="flex flex-wrap gap-4">
+                {Object.values(SIGN_IN_METHODS).map(method => (
+                  <label key={method} className="flex items-center gap-2 text-sm text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={workspace.allowedSignInMethods.includes(method)}
+                      disabled={busy || (workspace.allowedSignInMethods.length === 1 && workspace.allowedSignInMethods.includes(method))}
+                      onChange={() => toggleSignInMethod(method)}
+                      className="w-auto"
+                    />
+                    {SIGN_IN_METHOD_LABELS[method]}
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+WorkspacePanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default WorkspacePanel;
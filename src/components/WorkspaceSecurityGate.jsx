@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { FiShield } from 'react-icons/fi';
+import { selectCurrentWorkspace, switchWorkspace } from '../store/slices/workspaceSlice';
+import { signOut } from '../store/slices/authSlice';
+import { securityService, SIGN_IN_METHODS, SIGN_IN_METHOD_LABELS } from '../services/securityService';
+import logger from '../utils/logger';
+
+/**
+ * Covers the inbox when the open workspace's sign-in rules aren't met by
+ * this session. The API refuses the workspace's data either way; this only
+ * tells the user why and how to get in.
+ */
+const WorkspaceSecurityGate = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const workspace = useSelector(selectCurrentWorkspace);
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPolicy(null);
+    // Nothing to check when the workspace accepts any sign-in
+    if (!workspace || (!workspace.requireMfa
+      && workspace.allowedSignInMethods.length === Object.values(SIGN_IN_METHODS).length)) {
+      return undefined;
+    }
+
+    securityService.checkWorkspacePolicy(workspace)
+      .then(result => {
+        if (!cancelled) setPolicy(result);
+      })
+      .catch(error => {
+        logger.error('[WorkspaceSecurityGate] Failed to check workspace policy:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [workspace]);
+
+  if (!workspace || !policy || !(policy.mfaEnrollment || policy.mfaChallenge || policy.methodNotAllowed)) {
+    return null;
+  }
+
+  const handleSignInAgain = async () => {
+    await dispatch(signOut());
+    navigate('/login', { replace: true });
+  };
+
+  const allowedMethods = workspace.allowedSignInMethods.map(method => SIGN_IN_METHOD_LABELS[method]).join(' or ');
+
+  return (
+    <div className="fixed inset-y-0 right-0 left-64 z-40 bg-dark flex items-center justify-center">
+      <div className="bg-[#24283b] rounded-lg p-6 max-w-md w-full mx-4 space-y-4 text-white">
+        <div className="flex items-center gap-2">
+          <FiShield className="w-5 h-5 text-yellow-400" />
+          <h3 className="text-lg font-medium">{workspace.name} needs a more secure sign-in</h3>
+        </div>
+        {policy.methodNotAllowed ? (
+          <p className="text-sm text-gray-300">This workspace only allows signing in with {allowedMethods}.</p>
+        ) : policy.mfaEnrollment ? (
+          <p className="text-sm text-gray-300">This workspace requires two-factor authentication on your account.</p>
+        ) : (
+          <p className="text-sm text-gray-300">
+            This workspace requires two-factor authentication, and this session was started without it.
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2">
+          {policy.mfaEnrollment && !policy.methodNotAllowed ? (
+            <button
+              onClick={() => navigate('/settings/security')}
+              className="w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80"
+            >
+              Set up two-factor
+            </button>
+          ) : (
+            <button
+              onClick={handleSignInAgain}
+              className="w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80"
+            >
+              Sign in again
+            </button>
+          )}
+          <button
+            onClick={() => dispatch(switchWorkspace(null))}
+            className="w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+          >
+            Go to personal inbox
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSecurityGate;
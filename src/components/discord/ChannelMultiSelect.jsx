@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+const ChannelMultiSelect = ({ channels, selectedIds, onChange, loading = false }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+
+  const filteredChannels = channels.filter(channel =>
+    channel.name.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+  const allFilteredSelected = filteredChannels.length > 0 &&
+    filteredChannels.every(channel => selectedIds.includes(channel.id));
+
+  const toggleChannel = (channelId) => {
+    onChange(selectedIds.includes(channelId)
+      ? selectedIds.filter(id => id !== channelId)
+      : [...selectedIds, channelId]);
+  };
+
+  // Applies to the channels matching the search only
+  const toggleAll = () => {
+    const filteredIds = filteredChannels.map(channel => channel.id);
+    onChange(allFilteredSelected
+      ? selectedIds.filter(id => !filteredIds.includes(id))
+      : [...new Set([...selectedIds, ...filteredIds])]);
+  };
+
+  return (
+    <div>
+      <div className="relative mb-2">
+        <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+        <input
+          type="text"
+          placeholder="Search channels..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          className="w-full pl-10 pr-4 py-2 bg-dark rounded border border-gray-700 text-white placeholder-gray-400 focus:outline-none focus:border-primary"
+        />
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-400 mb-2">
+        <span>{selectedIds.length} of {channels.length} selected</span>
+        <button
+          type="button"
+          onClick={toggleAll}
+          disabled={!filteredChannels.length}
+          className="w-auto text-primary hover:underline disabled:opacity-50"
+        >
+          {allFilteredSelected ? 'Clear' : 'Select all'}
+        </button>
+      </div>
+
+      <div className="overflow-y-auto max-h-56 space-y-1">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : filteredChannels.length === 0 ? (
+          <div className="text-center py-8 text-gray-400">No channels found</div>
+        ) : (
+          filteredChannels.map(channel => (
+            <label
+              key={channel.id}
+              className="flex items-center gap-3 p-2 rounded-lg hover:bg-dark cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(channel.id)}
+                onChange={() => toggleChannel(channel.id)}
+                className="w-4 h-4 accent-[#1e6853]"
+              />
+              <span className="text-gray-400">#</span>
+              <span className="text-white truncate">{channel.name}</span>
+            </label>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+ChannelMultiSelect.propTypes = {
+  channels: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  loading: PropTypes.bool
+};
+
+export default ChannelMultiSelect;
@@ -289,21 +289,24 @@ const MainEntitiesContent = () => {
     socket.on(SocketEvents.RATE_LIMIT, handleRateLimit);
 
     // Handle connection status changes
-    socket.on(SocketEvents.CONNECT, () => {
+    const handleConnect = () => {
       if (mounted.current) {
         console.debug('Socket connected, fetching initial data');
         fetchData();
       }
-    });
+    };
 
-    socket.on(SocketEvents.DISCONNECT, (reason) => {
+    const handleDisconnect = (reason) => {
       if (mounted.current) {
         console.debug('Socket disconnected:', reason);
         if (reason === 'io server disconnect' || reason === 'io client disconnect') {
           toast.error('Lost connection to server. Attempting to reconnect...');
         }
       }
-    });
+    };
+
+    socket.on(SocketEvents.CONNECT, handleConnect);
+    socket.on(SocketEvents.DISCONNECT, handleDisconnect);
 
     // Process any queued messages
     if (socket.messageQueue?.length > 0) {
@@ -329,8 +332,9 @@ const MainEntitiesContent = () => {
       socket.off(SocketEvents.DISCORD_SERVER_REMOVE, handleServerRemove);
       socket.off(SocketEvents.DISCORD_DM_UPDATE, handleDMUpdate);
       socket.off(SocketEvents.RATE_LIMIT, handleRateLimit);
-      socket.off(SocketEvents.CONNECT);
-      socket.off(SocketEvents.DISCONNECT);
+      // The socket is shared; removing every connect listener would break other views
+      socket.off(SocketEvents.CONNECT, handleConnect);
+      socket.off(SocketEvents.DISCONNECT, handleDisconnect);
     };
   }, [socket, mounted, fetchData]);
 
@@ -0,0 +1,48 @@
+import { useRef } from 'react';
+import PropTypes from 'prop-types';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import MatrixMappings from '../MatrixMappings';
+
+const MatrixMappingsModal = ({ isOpen, onClose }) => {
+  const modalRef = useRef(null);
+
+  const handleClickOutside = (event) => {
+    if (modalRef.current && !modalRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={handleClickOutside}
+    >
+      <div
+        ref={modalRef}
+        className="bg-dark rounded-lg w-full max-w-5xl max-h-[90vh] flex flex-col overflow-hidden shadow-xl"
+      >
+        <div className="p-4 border-b border-gray-700 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Matrix Room Mappings</h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-700 rounded-full transition-colors"
+          >
+            <XMarkIcon className="h-5 w-5 text-gray-400" />
+          </button>
+        </div>
+        <div className="p-4 overflow-y-auto">
+          <MatrixMappings platform="discord" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+MatrixMappingsModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default MatrixMappingsModal;
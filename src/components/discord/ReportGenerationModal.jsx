@@ -1,35 +1,117 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { XMarkIcon, ArrowLeftIcon, MagnifyingGlassIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { XMarkIcon, ArrowLeftIcon, DocumentTextIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
+import { format, subDays } from 'date-fns';
 import api from '../../utils/api';
+import { discordReportService } from '../../services/discordReportService';
+import { EXPORT_FORMATS, exportReport, formatReportRange } from '../../utils/reportExport';
+import ChannelMultiSelect from './ChannelMultiSelect';
+
+const toDateInput = (date) => format(date, 'yyyy-MM-dd');
+
+const RANGE_PRESETS = [
+  { id: 'today', label: 'Today', getRange: () => ({ from: toDateInput(new Date()), to: toDateInput(new Date()) }) },
+  { id: 'yesterday', label: 'Yesterday', getRange: () => ({ from: toDateInput(subDays(new Date(), 1)), to: toDateInput(subDays(new Date(), 1)) }) },
+  { id: 'week', label: 'Last 7 days', getRange: () => ({ from: toDateInput(subDays(new Date(), 6)), to: toDateInput(new Date()) }) },
+  { id: 'month', label: 'Last 30 days', getRange: () => ({ from: toDateInput(subDays(new Date(), 29)), to: toDateInput(new Date()) }) }
+];
+
+const EXPORT_OPTIONS = [
+  { format: EXPORT_FORMATS.MARKDOWN, label: 'Markdown' },
+  { format: EXPORT_FORMATS.CSV, label: 'CSV' },
+  { format: EXPORT_FORMATS.PDF, label: 'PDF' }
+];
+
+const VIEWS = {
+  CONFIGURE: 'configure',
+  REPORT: 'report',
+  HISTORY: 'history'
+};
+
+const ReportView = ({ report }) => {
+  const totalMessages = report.channels.reduce((sum, channel) => sum + channel.messageCount, 0);
+
+  const handleExport = (exportFormat) => {
+    if (!exportReport(report, exportFormat)) {
+      toast.error('Allow pop-ups to export the report as PDF');
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="bg-dark rounded-lg p-4">
+        <div className="flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Report Summary</h3>
+            <p className="text-sm text-gray-400">
+              {formatReportRange(report.range)} · {report.channels.length} channel{report.channels.length === 1 ? '' : 's'} · {totalMessages} messages
+            </p>
+            <p className="text-sm text-gray-400">
+              Generated on {new Date(report.created_at).toLocaleString()}
+              {report.schedule_id && ' by a schedule'}
+              {report.stored === false && ' · not saved to history'}
+            </p>
+          </div>
+          <DocumentTextIcon className="h-6 w-6 text-primary" />
+        </div>
+        <div className="flex items-center gap-2 mt-3">
+          <ArrowDownTrayIcon className="h-4 w-4 text-gray-400" />
+          {EXPORT_OPTIONS.map(option => (
+            <button
+              key={option.format}
+              onClick={() => handleExport(option.format)}
+              className="w-auto px-3 py-1 rounded text-sm bg-dark-lighter hover:bg-gray-700"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {report.channels.map(channel => (
+        <div key={channel.channelId} className="bg-dark rounded-lg p-4">
+          <h4 className="font-medium mb-2">#{channel.channelName}</h4>
+          {channel.error ? (
+            <p className="text-sm text-red-400">Report failed: {channel.error}</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-400 mb-2">
+                {channel.messageCount} messages · {channel.uniqueUsers} unique users
+              </p>
+              <p className="text-gray-300">{channel.summary || 'No summary'}</p>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+ReportView.propTypes = {
+  report: PropTypes.shape({
+    range: PropTypes.shape({ from: PropTypes.string, to: PropTypes.string }).isRequired,
+    channels: PropTypes.arrayOf(PropTypes.object).isRequired,
+    created_at: PropTypes.string.isRequired,
+    schedule_id: PropTypes.string,
+    stored: PropTypes.bool
+  }).isRequired
+};
 
 const ReportGenerationModal = ({ isOpen, onClose, serverId, serverName }) => {
   const [channels, setChannels] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(false);
-  const [selectedChannel, setSelectedChannel] = useState(null);
+  const [selectedChannelIds, setSelectedChannelIds] = useState([]);
+  const [preset, setPreset] = useState('today');
+  const [range, setRange] = useState(RANGE_PRESETS[0].getRange());
+  const [view, setView] = useState(VIEWS.CONFIGURE);
   const [report, setReport] = useState(null);
   const [generatingReport, setGeneratingReport] = useState(false);
-  const [todayMessages, setTodayMessages] = useState([]);
+  const [pastReports, setPastReports] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
   const modalRef = useRef(null);
-  const searchInputRef = useRef(null);
 
-  useEffect(() => {
-    if (isOpen) {
-      fetchChannels();
-      // Focus search input when modal opens
-      setTimeout(() => {
-        searchInputRef.current?.focus();
-      }, 100);
-    } else {
-      // Reset state when modal closes
-      setSelectedChannel(null);
-      setReport(null);
-      setTodayMessages([]);
-    }
-  }, [isOpen, serverId]);
-
-  const fetchChannels = async () => {
+  const fetchChannels = useCallback(async () => {
     try {
       setLoading(true);
       const response = await api.get(`/connect/discord/servers/${serverId}/channels`);
@@ -42,54 +124,84 @@ const ReportGenerationModal = ({ isOpen, onClose, serverId, serverName }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [serverId]);
 
-  const fetchTodayMessages = async (channelId) => {
+  const fetchPastReports = useCallback(async () => {
     try {
-      const response = await api.get(`/connect/discord/channels/${channelId}/messages/today`);
-      setTodayMessages(response.data.data);
-      return response.data.data;
+      setLoadingHistory(true);
+      setPastReports(await discordReportService.getReports(serverId));
     } catch (error) {
-      console.error('Error fetching messages:', error);
-      toast.error('Failed to load messages');
-      return [];
+      console.error('Error fetching past reports:', error);
+      toast.error('Failed to load past reports');
+    } finally {
+      setLoadingHistory(false);
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchChannels();
+    } else {
+      // Reset state when modal closes
+      setSelectedChannelIds([]);
+      setReport(null);
+      setView(VIEWS.CONFIGURE);
+    }
+  }, [isOpen, fetchChannels]);
+
+  const handlePresetChange = (presetId) => {
+    setPreset(presetId);
+    const match = RANGE_PRESETS.find(item => item.id === presetId);
+    if (match) {
+      setRange(match.getRange());
     }
   };
 
-  const generateReport = async (channelId) => {
+  const handleRangeChange = (field, value) => {
+    setPreset('custom');
+    setRange(prev => ({ ...prev, [field]: value }));
+  };
+
+  const rangeError = !range.from || !range.to
+    ? 'Pick a start and end date'
+    : range.from > range.to ? 'The start date is after the end date' : null;
+
+  const generateReport = async () => {
     try {
       setGeneratingReport(true);
-      const response = await api.post(`/connect/discord/channels/${channelId}/report`);
-      setReport(response.data.data);
-      toast.success('Report generated successfully');
+      setView(VIEWS.REPORT);
+      const result = await discordReportService.generateReport({
+        serverId,
+        serverName,
+        channels: channels.filter(channel => selectedChannelIds.includes(channel.id)),
+        from: range.from,
+        to: range.to
+      });
+      setReport(result);
+      if (result.channels.some(channel => channel.error)) {
+        toast.error('Some channels could not be reported');
+      } else {
+        toast.success('Report generated successfully');
+      }
     } catch (error) {
       console.error('Error generating report:', error);
       toast.error('Failed to generate report');
+      setView(VIEWS.CONFIGURE);
     } finally {
       setGeneratingReport(false);
     }
   };
 
-  const handleChannelSelect = async (channel) => {
-    setSelectedChannel(channel);
-    const messages = await fetchTodayMessages(channel.id);
-    if (messages.length > 0) {
-      generateReport(channel.id);
-    } else {
-      toast.error('No messages found for today');
-    }
+  const showHistory = () => {
+    setView(VIEWS.HISTORY);
+    fetchPastReports();
   };
 
-  const handleBackToChannels = () => {
-    setSelectedChannel(null);
-    setReport(null);
-    setTodayMessages([]);
+  const openPastReport = (pastReport) => {
+    setReport(pastReport);
+    setView(VIEWS.REPORT);
   };
 
-  const filteredChannels = channels.filter(channel =>
-    channel.name.toLowerCase().includes(searchQuery.toLowerCase())
-  );
-
   // Close modal when clicking outside
   const handleClickOutside = (event) => {
     if (modalRef.current && !modalRef.current.contains(event.target)) {
@@ -99,132 +211,159 @@ const ReportGenerationModal = ({ isOpen, onClose, serverId, serverName }) => {
 
   if (!isOpen) return null;
 
+  const title = {
+    [VIEWS.CONFIGURE]: `New Report - ${serverName}`,
+    [VIEWS.REPORT]: `Report - ${serverName}`,
+    [VIEWS.HISTORY]: `Past Reports - ${serverName}`
+  }[view];
+
   return (
-    <div 
+    <div
       className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
       onClick={handleClickOutside}
     >
-      <div 
+      <div
         ref={modalRef}
-        className="bg-dark-lighter rounded-lg w-full max-w-2xl max-h-[80vh] overflow-hidden shadow-xl"
+        className="bg-dark-lighter rounded-lg w-full max-w-2xl max-h-[85vh] flex flex-col overflow-hidden shadow-xl"
       >
         {/* Header */}
         <div className="p-4 border-b border-gray-700 flex items-center justify-between">
           <div className="flex items-center">
-            {selectedChannel ? (
+            {view !== VIEWS.CONFIGURE ? (
               <button
-                onClick={handleBackToChannels}
+                onClick={() => setView(VIEWS.CONFIGURE)}
                 className="mr-3 p-1 hover:bg-gray-700 rounded-full transition-colors"
               >
                 <ArrowLeftIcon className="h-5 w-5 text-gray-400" />
               </button>
             ) : null}
-            <h2 className="text-xl font-semibold text-white">
-              {selectedChannel ? 
-                `Generate Report - #${selectedChannel.name}` : 
-                `Select Channel - ${serverName}`}
-            </h2>
+            <h2 className="text-xl font-semibold text-white">{title}</h2>
+          </div>
+          <div className="flex items-center gap-2">
+            {view === VIEWS.CONFIGURE && (
+              <button
+                onClick={showHistory}
+                className="w-auto px-3 py-1 text-sm text-gray-300 hover:text-white hover:bg-gray-700 rounded"
+              >
+                Past reports
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-gray-700 rounded-full transition-colors"
+            >
+              <XMarkIcon className="h-5 w-5 text-gray-400" />
+            </button>
           </div>
-          <button
-            onClick={onClose}
-            className="p-1 hover:bg-gray-700 rounded-full transition-colors"
-          >
-            <XMarkIcon className="h-5 w-5 text-gray-400" />
-          </button>
         </div>
 
         {/* Content */}
-        <div className="p-4">
-          {!selectedChannel && (
-            <>
-              {/* Search Bar */}
-              <div className="relative mb-4">
-                <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
-                <input
-                  ref={searchInputRef}
-                  type="text"
-                  placeholder="Search channels..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 bg-dark rounded border border-gray-700 text-white placeholder-gray-400 focus:outline-none focus:border-primary"
+        <div className="p-4 overflow-y-auto">
+          {view === VIEWS.CONFIGURE && (
+            <div className="space-y-4">
+              <div>
+                <h3 className="text-sm font-medium text-gray-300 mb-2">Period</h3>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {RANGE_PRESETS.map(item => (
+                    <button
+                      key={item.id}
+                      onClick={() => handlePresetChange(item.id)}
+                      className={`w-auto px-3 py-1 rounded-full text-sm ${
+                        preset === item.id ? 'bg-primary text-white' : 'bg-dark text-gray-300 hover:bg-gray-700'
+                      }`}
+                    >
+                      {item.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center gap-3 text-sm text-gray-400">
+                  <label className="flex items-center gap-2">
+                    From
+                    <input
+                      type="date"
+                      value={range.from}
+                      max={range.to || undefined}
+                      onChange={(e) => handleRangeChange('from', e.target.value)}
+                      className="bg-dark rounded border border-gray-700 text-white px-2 py-1"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    To
+                    <input
+                      type="date"
+                      value={range.to}
+                      min={range.from || undefined}
+                      max={toDateInput(new Date())}
+                      onChange={(e) => handleRangeChange('to', e.target.value)}
+                      className="bg-dark rounded border border-gray-700 text-white px-2 py-1"
+                    />
+                  </label>
+                </div>
+                {rangeError && <p className="text-sm text-red-400 mt-2">{rangeError}</p>}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-300 mb-2">Channels</h3>
+                <ChannelMultiSelect
+                  channels={channels}
+                  selectedIds={selectedChannelIds}
+                  onChange={setSelectedChannelIds}
+                  loading={loading}
                 />
               </div>
 
-              {/* Channels List */}
-              <div className="overflow-y-auto max-h-[calc(80vh-12rem)]">
-                {loading ? (
-                  <div className="flex justify-center items-center py-8">
-                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
-                  </div>
-                ) : (
-                  <div className="space-y-2">
-                    {filteredChannels.map(channel => (
-                      <button
-                        key={channel.id}
-                        onClick={() => handleChannelSelect(channel)}
-                        className="w-full p-3 flex items-center space-x-3 rounded-lg hover:bg-dark transition-colors text-left"
-                      >
-                        <span className="text-xl text-gray-400">#</span>
-                        <div>
-                          <h3 className="font-medium text-white">{channel.name}</h3>
-                          <p className="text-sm text-gray-400">
-                            {channel.topic || 'No topic set'}
-                          </p>
-                        </div>
-                      </button>
-                    ))}
-                    {filteredChannels.length === 0 && !loading && (
-                      <div className="text-center py-8 text-gray-400">
-                        No channels found
-                      </div>
-                    )}
-                  </div>
-                )}
+              <div className="flex justify-end">
+                <button
+                  onClick={generateReport}
+                  disabled={!selectedChannelIds.length || Boolean(rangeError)}
+                  className="w-auto px-4 py-2 bg-primary text-white rounded hover:bg-primary-dark disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Generate report
+                </button>
               </div>
-            </>
+            </div>
           )}
 
-          {/* Report Generation View */}
-          {selectedChannel && (
-            <div className="text-white">
-              {generatingReport ? (
-                <div className="flex flex-col items-center justify-center py-8">
-                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mb-4"></div>
-                  <p>Generating report...</p>
-                </div>
-              ) : report ? (
-                <div className="space-y-4">
-                  <div className="bg-dark rounded-lg p-4">
-                    <div className="flex items-start justify-between">
-                      <div>
-                        <h3 className="text-lg font-semibold mb-2">Report Summary</h3>
-                        <p className="text-sm text-gray-400">
-                          Generated on {new Date(report.created_at).toLocaleDateString()}
-                        </p>
-                      </div>
-                      <DocumentTextIcon className="h-6 w-6 text-primary" />
+          {view === VIEWS.REPORT && (
+            generatingReport ? (
+              <div className="flex flex-col items-center justify-center py-8 text-white">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mb-4"></div>
+                <p>Generating report for {selectedChannelIds.length} channel{selectedChannelIds.length === 1 ? '' : 's'}...</p>
+              </div>
+            ) : report ? (
+              <ReportView report={report} />
+            ) : null
+          )}
+
+          {view === VIEWS.HISTORY && (
+            loadingHistory ? (
+              <div className="flex justify-center items-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+              </div>
+            ) : pastReports.length === 0 ? (
+              <div className="text-center py-8 text-gray-400">No reports yet</div>
+            ) : (
+              <div className="space-y-2">
+                {pastReports.map(pastReport => (
+                  <button
+                    key={pastReport.id}
+                    onClick={() => openPastReport(pastReport)}
+                    className="w-full p-3 flex items-center justify-between rounded-lg hover:bg-dark transition-colors text-left"
+                  >
+                    <div>
+                      <h3 className="font-medium text-white">{formatReportRange(pastReport.range)}</h3>
+                      <p className="text-sm text-gray-400">
+                        {pastReport.channels.map(channel => `#${channel.channelName}`).join(', ')}
+                      </p>
                     </div>
-                  </div>
-                  
-                  <div className="bg-dark rounded-lg p-4">
-                    <h4 className="font-medium mb-2">Activity Overview</h4>
-                    <div className="space-y-2">
-                      <p>Total Messages: {report.report_data.messageCount}</p>
-                      <p>Unique Users: {report.report_data.uniqueUsers}</p>
+                    <div className="text-right text-sm text-gray-400">
+                      <div>{new Date(pastReport.created_at).toLocaleDateString()}</div>
+                      {pastReport.schedule_id && <div className="text-xs">Scheduled</div>}
                     </div>
-                  </div>
-
-                  <div className="bg-dark rounded-lg p-4">
-                    <h4 className="font-medium mb-2">Summary</h4>
-                    <p className="text-gray-300">{report.report_data.summary}</p>
-                  </div>
-                </div>
-              ) : (
-                <div className="text-center py-8 text-gray-400">
-                  <p>No messages found for today</p>
-                </div>
-              )}
-            </div>
+                  </button>
+                ))}
+              </div>
+            )
           )}
         </div>
       </div>
@@ -232,4 +371,11 @@ const ReportGenerationModal = ({ isOpen, onClose, serverId, serverName }) => {
   );
 };
 
-export default ReportGenerationModal; 
\ No newline at end of file
+ReportGenerationModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  serverId: PropTypes.string.isRequired,
+  serverName: PropTypes.string
+};
+
+export default ReportGenerationModal;
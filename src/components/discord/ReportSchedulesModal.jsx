@@ -0,0 +1,320 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { XMarkIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { discordReportService, REPORT_FREQUENCIES } from '../../services/discordReportService';
+import ChannelMultiSelect from './ChannelMultiSelect';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const createEmptySchedule = () => ({
+  frequency: REPORT_FREQUENCIES.DAILY,
+  weekday: 1,
+  time: '09:00',
+  // Reports run on the server, so it needs to know whose 09:00 this is
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  channelIds: [], // empty means every text channel, including ones added later
+  enabled: true
+});
+
+const describeSchedule = (schedule, channels) => {
+  const when = schedule.frequency === REPORT_FREQUENCIES.WEEKLY
+    ? `Every ${WEEKDAYS[schedule.weekday]} at ${schedule.time}`
+    : `Every day at ${schedule.time}`;
+  const names = schedule.channelIds.length
+    ? schedule.channelIds
+      .map(id => channels.find(channel => channel.id === id)?.name)
+      .filter(Boolean)
+      .map(name => `#${name}`)
+      .join(', ')
+    : 'All channels';
+  return { when, names };
+};
+
+const ScheduleForm = ({ schedule, channels, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(schedule);
+  const [allChannels, setAllChannels] = useState(schedule.channelIds.length === 0);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({ ...draft, channelIds: allChannels ? [] : draft.channelIds });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-dark rounded-lg p-4 space-y-4 text-sm text-gray-300">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={draft.frequency}
+          onChange={(e) => setField('frequency', e.target.value)}
+          className="bg-dark-lighter rounded border border-gray-700 text-white px-2 py-1"
+        >
+          <option value={REPORT_FREQUENCIES.DAILY}>Daily digest</option>
+          <option value={REPORT_FREQUENCIES.WEEKLY}>Weekly digest</option>
+        </select>
+        {draft.frequency === REPORT_FREQUENCIES.WEEKLY && (
+          <select
+            value={draft.weekday}
+            onChange={(e) => setField('weekday', Number(e.target.value))}
+            className="bg-dark-lighter rounded border border-gray-700 text-white px-2 py-1"
+          >
+            {WEEKDAYS.map((day, index) => (
+              <option key={day} value={index}>{day}</option>
+            ))}
+          </select>
+        )}
+        <label className="flex items-center gap-2">
+          at
+          <input
+            type="time"
+            value={draft.time}
+            onChange={(e) => setField('time', e.target.value)}
+            required
+            className="bg-dark-lighter rounded border border-gray-700 text-white px-2 py-1"
+          />
+        </label>
+        <span className="text-xs text-gray-500">{draft.timezone}</span>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {draft.frequency === REPORT_FREQUENCIES.WEEKLY
+          ? 'Covers the seven days before each run.'
+          : 'Covers the day before each run.'}
+      </p>
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={allChannels}
+          onChange={() => setAllChannels(!allChannels)}
+          className="w-4 h-4 accent-[#1e6853]"
+        />
+        All text channels
+      </label>
+      {!allChannels && (
+        <ChannelMultiSelect
+          channels={channels}
+          selectedIds={draft.channelIds}
+          onChange={(ids) => setField('channelIds', ids)}
+        />
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-auto px-3 py-1.5 rounded text-gray-300 hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || (!allChannels && !draft.channelIds.length)}
+          className="w-auto px-3 py-1.5 rounded bg-primary text-white hover:bg-primary-dark disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save schedule'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const scheduleShape = PropTypes.shape({
+  id: PropTypes.string,
+  frequency: PropTypes.oneOf(Object.values(REPORT_FREQUENCIES)).isRequired,
+  weekday: PropTypes.number,
+  time: PropTypes.string.isRequired,
+  timezone: PropTypes.string,
+  channelIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  enabled: PropTypes.bool.isRequired
+});
+
+const channelsShape = PropTypes.arrayOf(PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired
+}));
+
+ScheduleForm.propTypes = {
+  schedule: scheduleShape.isRequired,
+  channels: channelsShape.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+/**
+ * Recurring daily or weekly report digests for a server. The server runs
+ * them; their reports show up under "Past reports".
+ */
+const ReportSchedulesModal = ({ isOpen, onClose, serverId, serverName, channels }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // schedule being edited, a new one has no id
+  const modalRef = useRef(null);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSchedules(await discordReportService.getSchedules(serverId));
+    } catch (error) {
+      console.error('Error fetching report schedules:', error);
+      toast.error('Failed to load report schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSchedules();
+    } else {
+      setEditing(null);
+    }
+  }, [isOpen, fetchSchedules]);
+
+  const saveSchedule = async (schedule) => {
+    try {
+      const saved = await discordReportService.saveSchedule(serverId, schedule);
+      setSchedules(prev => (
+        prev.some(item => item.id === saved.id)
+          ? prev.map(item => (item.id === saved.id ? saved : item))
+          : [...prev, saved]
+      ));
+      setEditing(null);
+      toast.success('Schedule saved');
+    } catch (error) {
+      console.error('Error saving report schedule:', error);
+      toast.error('Failed to save schedule');
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    try {
+      await discordReportService.deleteSchedule(serverId, schedule.id);
+      setSchedules(prev => prev.filter(item => item.id !== schedule.id));
+    } catch (error) {
+      console.error('Error deleting report schedule:', error);
+      toast.error('Failed to delete schedule');
+    }
+  };
+
+  const handleClickOutside = (event) => {
+    if (modalRef.current && !modalRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={handleClickOutside}
+    >
+      <div
+        ref={modalRef}
+        className="bg-dark-lighter rounded-lg w-full max-w-2xl max-h-[85vh] flex flex-col overflow-hidden shadow-xl"
+      >
+        <div className="p-4 border-b border-gray-700 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Report Schedules - {serverName}</h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setEditing(createEmptySchedule())}
+              disabled={Boolean(editing)}
+              className="w-auto flex items-center gap-1 px-3 py-1 text-sm text-gray-300 hover:text-white hover:bg-gray-700 rounded disabled:opacity-50"
+            >
+              <PlusIcon className="h-4 w-4" />
+              New schedule
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-gray-700 rounded-full transition-colors"
+            >
+              <XMarkIcon className="h-5 w-5 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-3">
+          {editing && !editing.id && (
+            <ScheduleForm
+              schedule={editing}
+              channels={channels}
+              onSave={saveSchedule}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+
+          {loading ? (
+            <div className="flex justify-center items-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : schedules.length === 0 && !editing ? (
+            <div className="text-center py-8 text-gray-400">No scheduled reports</div>
+          ) : (
+            schedules.map(schedule => {
+              if (editing?.id === schedule.id) {
+                return (
+                  <ScheduleForm
+                    key={schedule.id}
+                    schedule={editing}
+                    channels={channels}
+                    onSave={saveSchedule}
+                    onCancel={() => setEditing(null)}
+                  />
+                );
+              }
+              const { when, names } = describeSchedule(schedule, channels);
+              return (
+                <div key={schedule.id} className="flex items-center gap-3 p-3 rounded-lg bg-dark">
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={() => saveSchedule({ ...schedule, enabled: !schedule.enabled })}
+                    className="w-4 h-4 accent-[#1e6853]"
+                    title={schedule.enabled ? 'Pause schedule' : 'Resume schedule'}
+                  />
+                  <button
+                    onClick={() => setEditing(schedule)}
+                    className={`flex-1 min-w-0 text-left ${schedule.enabled ? '' : 'opacity-60'}`}
+                  >
+                    <div className="text-white">{when}</div>
+                    <div className="text-sm text-gray-400 truncate">{names}</div>
+                    {schedule.last_run_at && (
+                      <div className="text-xs text-gray-500">
+                        Last run {new Date(schedule.last_run_at).toLocaleString()}
+                      </div>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => deleteSchedule(schedule)}
+                    className="p-1 w-auto text-gray-400 hover:text-red-400"
+                    title="Delete schedule"
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ReportSchedulesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  serverId: PropTypes.string.isRequired,
+  serverName: PropTypes.string,
+  channels: channelsShape.isRequired
+};
+
+export default ReportSchedulesModal;
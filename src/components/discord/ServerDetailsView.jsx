@@ -2,31 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { ArrowLeftIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/solid';
-import axios from 'axios';
+import api from '../../utils/api';
 import ReportGenerationModal from './ReportGenerationModal';
+import ReportSchedulesModal from './ReportSchedulesModal';
+import MatrixMappingsModal from './MatrixMappingsModal';
 
 const CHANNELS_PER_PAGE = 20;
 
-// since channels are requiring auth token, we shall use auth token explictly here without using interceptor 
-const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3001',
-  timeout: 30000,
-  headers: {
-    'Accept': 'application/json',
-    'Content-Type': 'application/json'
-  },
-  withCredentials: false,
-  transformRequest: [
-    (data, headers) => {
-      // Keep the original data transformation
-      if (data && headers['Content-Type'] === 'application/json') {
-        return JSON.stringify(data);
-      }
-      return data;
-    }
-  ]
-});
-
 const ServerDetailsView = () => {
   const { serverId } = useParams();
   const navigate = useNavigate();
@@ -35,6 +17,8 @@ const ServerDetailsView = () => {
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [isReportModalOpen, setIsReportModalOpen] = useState(false);
+  const [isSchedulesModalOpen, setIsSchedulesModalOpen] = useState(false);
+  const [isMappingsModalOpen, setIsMappingsModalOpen] = useState(false);
 
   useEffect(() => {
     fetchServerDetails();
@@ -46,16 +30,8 @@ const ServerDetailsView = () => {
       
       console.log('Fetching server details for:', serverId);
 
-      const authToken = localStorage.getItem('auth_token');
-
-      const config = {  
-        headers: {  
-          Authorization: `Bearer ${authToken}`,  
-        },  
-      }; 
-
       // Only fetch channels since we don't have a server details endpoint
-      const channelsResponse = await api.get(`/connect/discord/servers/${serverId}/channels`, config);
+      const channelsResponse = await api.get(`/connect/discord/servers/${serverId}/channels`);
 
       console.log('Channels response:', channelsResponse);
 
@@ -157,6 +133,18 @@ const ServerDetailsView = () => {
             >
               Priorities
             </button>
+            <button
+              onClick={() => setIsMappingsModalOpen(true)}
+              className="px-4 py-2 bg-dark-lightest text-white rounded hover:bg-gray-700"
+            >
+              Room mappings
+            </button>
+            <button
+              onClick={() => setIsSchedulesModalOpen(true)}
+              className="px-4 py-2 bg-dark-lightest text-white rounded hover:bg-gray-700"
+            >
+              Schedules
+            </button>
             <button
               onClick={handleGenerateReport}
               className="px-4 py-2 bg-primary text-white rounded hover:bg-primary-dark"
@@ -226,6 +214,19 @@ const ServerDetailsView = () => {
         serverId={serverId}
         serverName={server?.name}
       />
+
+      <ReportSchedulesModal
+        isOpen={isSchedulesModalOpen}
+        onClose={() => setIsSchedulesModalOpen(false)}
+        serverId={serverId}
+        serverName={server?.name}
+        channels={channels}
+      />
+
+      <MatrixMappingsModal
+        isOpen={isMappingsModalOpen}
+        onClose={() => setIsMappingsModalOpen(false)}
+      />
     </>
   );
 };
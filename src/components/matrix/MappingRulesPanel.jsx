@@ -0,0 +1,204 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { toast } from 'react-hot-toast';
+import { matrixMappingService } from '../../services/matrixMappingService';
+import {
+  MAPPING_RULE_TYPES,
+  MAPPING_CHANGE_TYPES,
+  createEmptyMappingRule,
+  planMappingRule
+} from '../../utils/mappingRules';
+
+const CHANGE_LABELS = {
+  [MAPPING_CHANGE_TYPES.MAP]: { text: 'Map', className: 'text-green-400' },
+  [MAPPING_CHANGE_TYPES.REMAP]: { text: 'Move', className: 'text-yellow-300' },
+  [MAPPING_CHANGE_TYPES.CREATE_ROOM]: { text: 'New room', className: 'text-[#7aa2f7]' },
+  [MAPPING_CHANGE_TYPES.SKIP]: { text: 'Skip', className: 'text-gray-500' }
+};
+
+const describeTarget = (change) => {
+  if (change.type === MAPPING_CHANGE_TYPES.CREATE_ROOM) return change.roomName;
+  if (change.type === MAPPING_CHANGE_TYPES.SKIP) return change.reason;
+  return change.room.name;
+};
+
+/**
+ * Bulk mapping rules. A rule is always previewed, and only the reviewed
+ * plan is applied.
+ */
+const MappingRulesPanel = ({ platform, channels, rooms, mappings, onApplied }) => {
+  const [rule, setRule] = useState(createEmptyMappingRule);
+  const [preview, setPreview] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  const categories = useMemo(() => {
+    const byId = new Map();
+    channels.forEach(channel => {
+      if (channel.categoryId && !byId.has(channel.categoryId)) {
+        byId.set(channel.categoryId, channel.categoryName || channel.categoryId);
+      }
+    });
+    return [...byId].map(([id, name]) => ({ id, name }));
+  }, [channels]);
+
+  const needsCategory = rule.type !== MAPPING_RULE_TYPES.MATCH_BY_NAME;
+  const canPreview = (!needsCategory || rule.categoryId) &&
+    (rule.type !== MAPPING_RULE_TYPES.CATEGORY_TO_ROOM || rule.roomId) &&
+    (rule.type !== MAPPING_RULE_TYPES.CATEGORY_TO_NEW_ROOMS || rule.roomNamePattern.trim());
+  const pendingChanges = preview?.filter(change => change.type !== MAPPING_CHANGE_TYPES.SKIP) || [];
+
+  // Any edit invalidates the preview, so what gets applied is what was reviewed
+  const setField = (field, value) => {
+    setRule(prev => ({ ...prev, [field]: value }));
+    setPreview(null);
+  };
+
+  const handlePreview = () => {
+    setPreview(planMappingRule(rule, { platform, channels, rooms, mappings }));
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const { applied, failed } = await matrixMappingService.applyChanges(platform, pendingChanges);
+      if (failed.length) {
+        toast.error(`${failed.length} of ${pendingChanges.length} changes failed`);
+      } else {
+        toast.success(`Applied ${applied} mapping change${applied === 1 ? '' : 's'}`);
+      }
+      setPreview(null);
+      onApplied();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="bg-dark-lighter p-4 rounded-lg space-y-4">
+      <h3 className="text-lg">Bulk rules</h3>
+
+      <div className="grid grid-cols-2 gap-4 text-sm">
+        <label className="space-y-1">
+          <span className="text-gray-400">Rule</span>
+          <select
+            value={rule.type}
+            onChange={(e) => setField('type', e.target.value)}
+            className="w-full bg-dark border border-gray-700 rounded p-2"
+          >
+            <option value={MAPPING_RULE_TYPES.CATEGORY_TO_NEW_ROOMS}>Each channel in a category to a new room</option>
+            <option value={MAPPING_RULE_TYPES.CATEGORY_TO_ROOM}>Every channel in a category to one room</option>
+            <option value={MAPPING_RULE_TYPES.MATCH_BY_NAME}>Channels to rooms with the same name</option>
+          </select>
+        </label>
+
+        {needsCategory && (
+          <label className="space-y-1">
+            <span className="text-gray-400">Category</span>
+            <select
+              value={rule.categoryId}
+              onChange={(e) => setField('categoryId', e.target.value)}
+              className="w-full bg-dark border border-gray-700 rounded p-2"
+            >
+              <option value="">Select category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {rule.type === MAPPING_RULE_TYPES.CATEGORY_TO_ROOM && (
+          <label className="space-y-1">
+            <span className="text-gray-400">Matrix room</span>
+            <select
+              value={rule.roomId}
+              onChange={(e) => setField('roomId', e.target.value)}
+              className="w-full bg-dark border border-gray-700 rounded p-2"
+            >
+              <option value="">Select Matrix room</option>
+              {rooms.map(room => (
+                <option key={room.id} value={room.id}>{room.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {rule.type === MAPPING_RULE_TYPES.CATEGORY_TO_NEW_ROOMS && (
+          <label className="space-y-1">
+            <span className="text-gray-400">Room name</span>
+            <input
+              type="text"
+              value={rule.roomNamePattern}
+              onChange={(e) => setField('roomNamePattern', e.target.value)}
+              className="w-full bg-dark border border-gray-700 rounded p-2"
+            />
+            <span className="block text-xs text-gray-500">{'{category}'}, {'{channel}'} and {'{platform}'} are filled in</span>
+          </label>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={rule.replaceExisting}
+          onChange={(e) => setField('replaceExisting', e.target.checked)}
+          className="w-4 h-4 accent-[#1e6853]"
+        />
+        Move channels that are already mapped
+      </label>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handlePreview}
+          disabled={!canPreview}
+          className="w-auto px-4 py-2 rounded bg-dark border border-gray-700 text-gray-300 hover:text-white disabled:opacity-50"
+        >
+          Preview
+        </button>
+        {preview && (
+          <button
+            onClick={handleApply}
+            disabled={applying || !pendingChanges.length}
+            className="w-auto px-4 py-2 rounded bg-primary text-white hover:bg-primary-dark disabled:opacity-50"
+          >
+            {applying ? 'Applying...' : `Apply ${pendingChanges.length} change${pendingChanges.length === 1 ? '' : 's'}`}
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        preview.length === 0 ? (
+          <p className="text-sm text-gray-400">This rule doesn&apos;t cover any channels.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto rounded border border-gray-700 divide-y divide-gray-700 text-sm">
+            {preview.map(change => (
+              <div key={change.channel.id} className="flex items-center gap-3 px-3 py-2">
+                <span className={`w-20 flex-shrink-0 ${CHANGE_LABELS[change.type].className}`}>
+                  {CHANGE_LABELS[change.type].text}
+                </span>
+                <span className="truncate text-gray-300">#{change.channel.name}</span>
+                <span className="text-gray-500">→</span>
+                <span className={`truncate ${change.type === MAPPING_CHANGE_TYPES.SKIP ? 'text-gray-500 italic' : 'text-gray-300'}`}>
+                  {describeTarget(change)}
+                </span>
+                {change.existing && change.type !== MAPPING_CHANGE_TYPES.SKIP && (
+                  <span className="ml-auto text-xs text-gray-500 flex-shrink-0">was {change.existing.roomName}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+MappingRulesPanel.propTypes = {
+  platform: PropTypes.string.isRequired,
+  channels: PropTypes.arrayOf(PropTypes.object).isRequired,
+  rooms: PropTypes.arrayOf(PropTypes.object).isRequired,
+  mappings: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onApplied: PropTypes.func.isRequired
+};
+
+export default MappingRulesPanel;
@@ -0,0 +1,164 @@
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { FiRefreshCw, FiX, FiHash, FiLock } from 'react-icons/fi';
+import {
+  fetchSlackChannels,
+  selectSlackChannels,
+  selectSlackChannelsLoading,
+  selectSlackChannelsLoaded,
+  selectSlackChannelsError
+} from '../../store/slices/slackSlice';
+
+const SlackChannelItem = ({ channel, isSelected, onClick }) => {
+  const unread = channel.unread_count > 0;
+  return (
+    <button
+      onClick={onClick}
+      className={`w-full flex items-center gap-2 px-4 py-1.5 text-left hover:bg-[#24283b] ${isSelected ? 'bg-[#24283b]' : ''}`}
+    >
+      {channel.is_im ? (
+        channel.avatar_url ? (
+          <img src={channel.avatar_url} alt={channel.name} className="w-5 h-5 rounded flex-shrink-0" />
+        ) : (
+          <span className="w-5 h-5 rounded bg-purple-700 text-white text-xs flex items-center justify-center flex-shrink-0">
+            {channel.name[0].toUpperCase()}
+          </span>
+        )
+      ) : channel.is_private ? (
+        <FiLock className="w-4 h-4 text-gray-400 flex-shrink-0" />
+      ) : (
+        <FiHash className="w-4 h-4 text-gray-400 flex-shrink-0" />
+      )}
+      <span className={`flex-1 truncate ${unread ? 'text-white font-semibold' : 'text-gray-300'}`}>
+        {channel.name}
+      </span>
+      {unread && (
+        <span className="min-w-[1.25rem] h-5 px-1.5 rounded-full bg-[#1e6853] text-white text-xs flex items-center justify-center flex-shrink-0">
+          {channel.unread_count > 99 ? '99+' : channel.unread_count}
+        </span>
+      )}
+    </button>
+  );
+};
+
+SlackChannelItem.propTypes = {
+  channel: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    is_im: PropTypes.bool,
+    is_private: PropTypes.bool,
+    avatar_url: PropTypes.string,
+    unread_count: PropTypes.number
+  }).isRequired,
+  isSelected: PropTypes.bool,
+  onClick: PropTypes.func.isRequired
+};
+
+/**
+ * Channels and direct messages of the connected Slack workspace, kept live
+ * from `slack:*` socket events
+ */
+const SlackChannelList = ({ onSelectRoom }) => {
+  const dispatch = useDispatch();
+  const channels = useSelector(selectSlackChannels);
+  const loading = useSelector(selectSlackChannelsLoading);
+  const loaded = useSelector(selectSlackChannelsLoaded);
+  const error = useSelector(selectSlackChannelsError);
+  const activeChannelId = useSelector(state => state.slack.activeChannelId);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  useEffect(() => {
+    if (!loaded) {
+      dispatch(fetchSlackChannels());
+    }
+  }, [loaded, dispatch]);
+
+  const sections = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    const matching = query
+      ? channels.filter(channel => channel.name.toLowerCase().includes(query))
+      : channels;
+    return [
+      { title: 'Channels', items: matching.filter(channel => !channel.is_im) },
+      { title: 'Direct messages', items: matching.filter(channel => channel.is_im) }
+    ].filter(section => section.items.length > 0);
+  }, [channels, searchQuery]);
+
+  return (
+    <div className="flex flex-col h-full bg-[#1a1b26]">
+      <div className="p-4 border-b border-gray-700 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-white">Slack</h2>
+          <button
+            onClick={() => dispatch(fetchSlackChannels())}
+            disabled={loading}
+            className="w-auto p-2 rounded-full text-gray-400 hover:text-white hover:bg-gray-700 disabled:opacity-50"
+            title="Refresh channels"
+          >
+            <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <div className="relative">
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search channels and people..."
+            className="w-full bg-[#1e2132] text-white px-4 py-2 rounded-lg border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500"
+          />
+          {searchQuery && (
+            <button
+              onClick={() => setSearchQuery('')}
+              className="absolute w-auto right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto py-2">
+        {loading && !channels.length ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#1e6853]"></div>
+          </div>
+        ) : error && !channels.length ? (
+          <div className="text-center py-8 text-red-400">
+            <p>{error}</p>
+            <button
+              onClick={() => dispatch(fetchSlackChannels())}
+              className="w-auto mt-2 text-sm text-gray-300 hover:text-white underline"
+            >
+              Try again
+            </button>
+          </div>
+        ) : sections.length === 0 ? (
+          <div className="text-center py-8 text-gray-400">
+            {searchQuery ? 'No channels found' : 'No Slack channels yet. Invite the app to a channel to see it here.'}
+          </div>
+        ) : (
+          sections.map(section => (
+            <div key={section.title} className="mb-3">
+              <h3 className="px-4 py-1 text-xs uppercase tracking-wide text-gray-500">{section.title}</h3>
+              {section.items.map(channel => (
+                <SlackChannelItem
+                  key={channel.id}
+                  channel={channel}
+                  isSelected={channel.id === activeChannelId}
+                  onClick={() => onSelectRoom(channel.id, 'slack')}
+                />
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+SlackChannelList.propTypes = {
+  onSelectRoom: PropTypes.func.isRequired
+};
+
+export default SlackChannelList;
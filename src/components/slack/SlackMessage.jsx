@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { format, isToday } from 'date-fns';
+import { FiMessageSquare } from 'react-icons/fi';
+
+const formatMessageTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return isToday(date) ? format(date, 'HH:mm') : format(date, 'MMM d, HH:mm');
+};
+
+/**
+ * One Slack message in the channel or thread pane. onOpenThread is left out
+ * inside a thread, where replies can't start threads of their own.
+ */
+const SlackMessage = ({ message, isHighlighted = false, onOpenThread }) => {
+  const pending = message.status === 'pending';
+  const failed = message.status === 'failed';
+
+  return (
+    <div
+      id={`slack-message-${message.id}`}
+      className={`group flex items-start gap-3 px-2 py-1.5 rounded-lg hover:bg-[#1e2132] ${
+        isHighlighted ? 'bg-yellow-500/10' : ''
+      } ${pending ? 'opacity-60' : ''}`}
+    >
+      {message.avatar_url ? (
+        <img src={message.avatar_url} alt={message.user_name} className="w-9 h-9 rounded flex-shrink-0" />
+      ) : (
+        <div className="w-9 h-9 rounded bg-purple-700 text-white flex items-center justify-center flex-shrink-0">
+          {message.user_name.charAt(0).toUpperCase()}
+        </div>
+      )}
+      <div className="flex-1 min-w-0">
+        <div className="flex items-baseline gap-2">
+          <span className="font-semibold text-white">{message.is_own ? 'You' : message.user_name}</span>
+          <span className="text-xs text-gray-500">{formatMessageTime(message.timestamp)}</span>
+          {message.edited_at && <span className="text-xs text-gray-500 italic">edited</span>}
+        </div>
+        <p className="text-gray-300 whitespace-pre-wrap break-words">{message.content}</p>
+        {failed && (
+          <p className="text-xs text-red-400" title={message.lastError || undefined}>Not sent</p>
+        )}
+        {onOpenThread && message.reply_count > 0 && (
+          <button
+            onClick={() => onOpenThread(message)}
+            className="w-auto mt-1 text-xs text-[#7aa2f7] hover:underline"
+          >
+            {message.reply_count} {message.reply_count === 1 ? 'reply' : 'replies'}
+          </button>
+        )}
+      </div>
+      {onOpenThread && message.ts && (
+        <button
+          onClick={() => onOpenThread(message)}
+          className="w-auto p-1 rounded text-gray-400 hover:text-white opacity-0 group-hover:opacity-100"
+          title="Reply in thread"
+        >
+          <FiMessageSquare className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+SlackMessage.propTypes = {
+  message: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    ts: PropTypes.string,
+    content: PropTypes.string.isRequired,
+    user_name: PropTypes.string.isRequired,
+    avatar_url: PropTypes.string,
+    is_own: PropTypes.bool,
+    timestamp: PropTypes.string.isRequired,
+    edited_at: PropTypes.string,
+    reply_count: PropTypes.number,
+    status: PropTypes.string,
+    lastError: PropTypes.string
+  }).isRequired,
+  isHighlighted: PropTypes.bool,
+  onOpenThread: PropTypes.func
+};
+
+export default SlackMessage;
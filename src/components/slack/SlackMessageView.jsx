@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiX } from 'react-icons/fi';
+import SlackMessage from './SlackMessage';
+import MessageComposer from '../MessageComposer';
+import { buildTemplateContext } from '../../utils/templateVariables';
+import {
+  fetchSlackMessages,
+  fetchSlackThread,
+  sendSlackMessage,
+  markSlackChannelRead,
+  setActiveSlackChannel,
+  selectSlackChannel,
+  selectSlackMessages,
+  selectSlackThread
+} from '../../store/slices/slackSlice';
+import logger from '../../utils/logger';
+
+const SlackThreadPanel = ({ channelId, parent, templateContext, onClose }) => {
+  const dispatch = useDispatch();
+  const thread = useSelector(state => selectSlackThread(state, channelId, parent.ts));
+  const repliesEndRef = useRef(null);
+
+  useEffect(() => {
+    dispatch(fetchSlackThread({ channelId, threadTs: parent.ts }));
+  }, [channelId, parent.ts, dispatch]);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [thread.items.length]);
+
+  const handleSend = async (content) => {
+    try {
+      await dispatch(sendSlackMessage({ channelId, content, threadTs: parent.ts })).unwrap();
+    } catch (error) {
+      logger.error('[SlackThreadPanel] Failed to send reply:', error);
+      toast.error('Failed to send reply');
+    }
+  };
+
+  return (
+    <div className="w-96 flex flex-col border-l border-gray-700 pl-4">
+      <div className="flex items-center justify-between pb-3 mb-3 border-b border-gray-700">
+        <h3 className="text-white font-medium">Thread</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white transition-colors w-auto"
+          title="Close thread"
+        >
+          <FiX className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto space-y-1">
+        <SlackMessage message={parent} />
+        <div className="flex items-center gap-2 px-2 py-1 text-xs text-gray-500">
+          <span>{parent.reply_count} {parent.reply_count === 1 ? 'reply' : 'replies'}</span>
+          <span className="flex-1 border-t border-gray-700" />
+        </div>
+        {thread.loading && !thread.items.length ? (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : thread.error && !thread.items.length ? (
+          <p className="text-center py-4 text-sm text-red-400">{thread.error}</p>
+        ) : (
+          thread.items.map(reply => <SlackMessage key={reply.id} message={reply} />)
+        )}
+        <div ref={repliesEndRef} />
+      </div>
+
+      <MessageComposer
+        onSend={handleSend}
+        placeholder="Reply in thread"
+        platform="slack"
+        templateContext={templateContext}
+        allowAttachments={false}
+      />
+    </div>
+  );
+};
+
+SlackThreadPanel.propTypes = {
+  channelId: PropTypes.string.isRequired,
+  parent: PropTypes.shape({
+    ts: PropTypes.string.isRequired,
+    reply_count: PropTypes.number
+  }).isRequired,
+  templateContext: PropTypes.object,
+  onClose: PropTypes.func.isRequired
+};
+
+/**
+ * A Slack channel or DM with its threads opened in a side pane
+ */
+const SlackMessageView = ({ channelId, focusMessageId }) => {
+  const dispatch = useDispatch();
+  const channel = useSelector(state => selectSlackChannel(state, channelId));
+  const messages = useSelector(state => selectSlackMessages(state, channelId));
+  const currentUser = useSelector(state => state.auth.session?.user);
+  const [openThreadTs, setOpenThreadTs] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  // Looked up in the list so the reply count stays current
+  const threadParent = useMemo(
+    () => (openThreadTs ? messages.items.find(message => message.ts === openThreadTs) : null),
+    [messages.items, openThreadTs]
+  );
+
+  const lastIncomingTs = useMemo(
+    () => [...messages.items].reverse().find(message => !message.is_own && message.ts)?.ts,
+    [messages.items]
+  );
+
+  const templateContext = useMemo(() => {
+    const lastAuthor = [...messages.items].reverse().find(message => !message.is_own)?.user_name;
+    return buildTemplateContext({
+      contact: { display_name: channel?.is_im ? channel.name : lastAuthor },
+      user: currentUser
+    });
+  }, [channel, messages.items, currentUser]);
+
+  useEffect(() => {
+    dispatch(setActiveSlackChannel(channelId));
+    dispatch(fetchSlackMessages({ channelId }));
+    setOpenThreadTs(null);
+    return () => {
+      dispatch(setActiveSlackChannel(null));
+    };
+  }, [channelId, dispatch]);
+
+  useEffect(() => {
+    if (!lastIncomingTs) return;
+    dispatch(markSlackChannelRead({ channelId, ts: lastIncomingTs })).unwrap().catch(error => {
+      logger.warn('[SlackMessageView] Failed to mark channel as read:', error);
+    });
+  }, [channelId, lastIncomingTs, dispatch]);
+
+  useEffect(() => {
+    if (focusMessageId) {
+      document.getElementById(`slack-message-${focusMessageId}`)?.scrollIntoView({ block: 'center' });
+      return;
+    }
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.items.length, focusMessageId]);
+
+  const handleSend = async (content) => {
+    try {
+      await dispatch(sendSlackMessage({ channelId, content })).unwrap();
+    } catch (error) {
+      logger.error('[SlackMessageView] Failed to send message:', error);
+      toast.error('Failed to send message');
+    }
+  };
+
+  const handleOpenThread = useCallback((message) => setOpenThreadTs(message.ts), []);
+
+  if (messages.loading && !messages.items.length) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (messages.error && !messages.items.length) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="text-error text-center">
+          <p className="text-xl font-semibold mb-2">Error</p>
+          <p>{messages.error}</p>
+          <button
+            onClick={() => dispatch(fetchSlackMessages({ channelId }))}
+            className="w-auto mt-2 text-sm text-gray-300 hover:text-white underline"
+          >
+            Try again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-full bg-dark gap-4">
+      <div className="flex-1 min-w-0 flex flex-col">
+        {channel && (
+          <div className="pb-3 mb-3 border-b border-gray-700">
+            <h2 className="text-white font-medium">{channel.is_im ? channel.name : `#${channel.name}`}</h2>
+            {channel.topic && <p className="text-xs text-gray-400 truncate">{channel.topic}</p>}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto space-y-1">
+          {messages.nextCursor && (
+            <div className="flex justify-center">
+              <button
+                onClick={() => dispatch(fetchSlackMessages({ channelId, cursor: messages.nextCursor }))}
+                disabled={messages.loading}
+                className="w-auto px-3 py-1 text-xs text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                {messages.loading ? 'Loading...' : 'Load older messages'}
+              </button>
+            </div>
+          )}
+          {messages.items.length === 0 ? (
+            <div className="text-center py-8 text-gray-400">No messages yet</div>
+          ) : (
+            messages.items.map(message => (
+              <SlackMessage
+                key={message.id}
+                message={message}
+                isHighlighted={message.id === focusMessageId || message.ts === openThreadTs}
+                onOpenThread={message.tempId ? undefined : handleOpenThread}
+              />
+            ))
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        <MessageComposer
+          onSend={handleSend}
+          placeholder={channel ? `Message ${channel.is_im ? channel.name : `#${channel.name}`}` : 'Type a message'}
+          platform="slack"
+          templateContext={templateContext}
+          allowAttachments={false}
+        />
+      </div>
+
+      {threadParent && (
+        <SlackThreadPanel
+          channelId={channelId}
+          parent={threadParent}
+          templateContext={templateContext}
+          onClose={() => setOpenThreadTs(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+SlackMessageView.propTypes = {
+  channelId: PropTypes.string.isRequired,
+  focusMessageId: PropTypes.string
+};
+
+export default SlackMessageView;
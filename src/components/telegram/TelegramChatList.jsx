@@ -0,0 +1,166 @@
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { format, isToday } from 'date-fns';
+import { FiRefreshCw, FiX, FiUsers } from 'react-icons/fi';
+import {
+  fetchTelegramChats,
+  selectTelegramChats,
+  selectTelegramChatsLoading,
+  selectTelegramChatsLoaded,
+  selectTelegramChatsError
+} from '../../store/slices/telegramSlice';
+
+const formatChatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return isToday(date) ? format(date, 'HH:mm') : format(date, 'MMM d');
+};
+
+const TelegramChatItem = ({ chat, isSelected, onClick }) => (
+  <div
+    className={`flex items-center px-4 py-3 cursor-pointer hover:bg-[#24283b] ${isSelected ? 'bg-[#24283b]' : ''}`}
+    onClick={onClick}
+  >
+    <div className="w-10 h-10 rounded-full bg-[#229ED9] flex items-center justify-center flex-shrink-0">
+      {chat.photo_url ? (
+        <img src={chat.photo_url} alt={chat.title} className="w-full h-full rounded-full object-cover" />
+      ) : chat.type === 'private' ? (
+        <span className="text-white text-lg">{chat.title[0].toUpperCase()}</span>
+      ) : (
+        <FiUsers className="w-5 h-5 text-white" />
+      )}
+    </div>
+    <div className="ml-3 flex-1 min-w-0">
+      <div className="flex justify-between items-start gap-2">
+        <h3 className={`truncate ${chat.unread_count ? 'text-white font-semibold' : 'text-white font-medium'}`}>
+          {chat.title}
+        </h3>
+        {chat.last_message_at && (
+          <span className="text-xs text-gray-400 flex-shrink-0">{formatChatTime(chat.last_message_at)}</span>
+        )}
+      </div>
+      <div className="flex justify-between items-center gap-2">
+        <p className="text-sm text-gray-400 truncate">{chat.last_message}</p>
+        {chat.unread_count > 0 && (
+          <span className="min-w-[1.25rem] h-5 px-1.5 rounded-full bg-[#1e6853] text-white text-xs flex items-center justify-center flex-shrink-0">
+            {chat.unread_count > 99 ? '99+' : chat.unread_count}
+          </span>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+TelegramChatItem.propTypes = {
+  chat: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    photo_url: PropTypes.string,
+    last_message: PropTypes.string,
+    last_message_at: PropTypes.string,
+    unread_count: PropTypes.number
+  }).isRequired,
+  isSelected: PropTypes.bool,
+  onClick: PropTypes.func.isRequired
+};
+
+/**
+ * Chats of the connected Telegram bot with unread counts, kept live
+ * from `telegram:*` socket events
+ */
+const TelegramChatList = ({ onSelectRoom }) => {
+  const dispatch = useDispatch();
+  const chats = useSelector(selectTelegramChats);
+  const loading = useSelector(selectTelegramChatsLoading);
+  const loaded = useSelector(selectTelegramChatsLoaded);
+  const error = useSelector(selectTelegramChatsError);
+  const activeChatId = useSelector(state => state.telegram.activeChatId);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  useEffect(() => {
+    if (!loaded) {
+      dispatch(fetchTelegramChats());
+    }
+  }, [loaded, dispatch]);
+
+  const filteredChats = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return chats;
+    return chats.filter(chat => (
+      chat.title.toLowerCase().includes(query) || chat.username?.toLowerCase().includes(query)
+    ));
+  }, [chats, searchQuery]);
+
+  return (
+    <div className="flex flex-col h-full bg-[#1a1b26]">
+      <div className="p-4 border-b border-gray-700 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-white">Telegram</h2>
+          <button
+            onClick={() => dispatch(fetchTelegramChats())}
+            disabled={loading}
+            className="w-auto p-2 rounded-full text-gray-400 hover:text-white hover:bg-gray-700 disabled:opacity-50"
+            title="Refresh chats"
+          >
+            <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <div className="relative">
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search chats..."
+            className="w-full bg-[#1e2132] text-white px-4 py-2 rounded-lg border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500"
+          />
+          {searchQuery && (
+            <button
+              onClick={() => setSearchQuery('')}
+              className="absolute w-auto right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {loading && !chats.length ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#1e6853]"></div>
+          </div>
+        ) : error && !chats.length ? (
+          <div className="text-center py-8 text-red-400">
+            <p>{error}</p>
+            <button
+              onClick={() => dispatch(fetchTelegramChats())}
+              className="w-auto mt-2 text-sm text-gray-300 hover:text-white underline"
+            >
+              Try again
+            </button>
+          </div>
+        ) : filteredChats.length === 0 ? (
+          <div className="text-center py-8 text-gray-400">
+            {searchQuery ? 'No chats found' : 'No Telegram chats yet. Messages sent to your bot will show up here.'}
+          </div>
+        ) : (
+          filteredChats.map(chat => (
+            <TelegramChatItem
+              key={chat.id}
+              chat={chat}
+              isSelected={chat.id === activeChatId}
+              onClick={() => onSelectRoom(chat.id, 'telegram')}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+TelegramChatList.propTypes = {
+  onSelectRoom: PropTypes.func.isRequired
+};
+
+export default TelegramChatList;
@@ -0,0 +1,212 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiUser } from 'react-icons/fi';
+import MessageItem from '../MessageItem';
+import MessageComposer from '../MessageComposer';
+import CustomerDetails from '../CustomerDetails';
+import { buildTemplateContext } from '../../utils/templateVariables';
+import {
+  fetchTelegramMessages,
+  sendTelegramMessage,
+  markTelegramChatRead,
+  setActiveTelegramChat,
+  selectTelegramChat,
+  selectTelegramThread
+} from '../../store/slices/telegramSlice';
+import logger from '../../utils/logger';
+
+/**
+ * Message history of one Telegram chat with a composer that replies as the bot
+ */
+const TelegramChatView = ({ channelId: chatId, focusMessageId }) => {
+  const dispatch = useDispatch();
+  const chat = useSelector(state => selectTelegramChat(state, chatId));
+  const thread = useSelector(state => selectTelegramThread(state, chatId));
+  const currentUser = useSelector(state => state.auth.session?.user);
+  const [replyTo, setReplyTo] = useState(null);
+  const [showProfile, setShowProfile] = useState(false);
+  const messagesEndRef = useRef(null);
+
+  // MessageItem puts messages from the current user on the agent's side
+  const messages = useMemo(() => thread.items.map(message => (
+    message.outgoing ? { ...message, sender_id: currentUser?.id } : message
+  )), [thread.items, currentUser?.id]);
+
+  const messagesById = useMemo(
+    () => new Map(messages.map(message => [message.message_id, message])),
+    [messages]
+  );
+
+  const lastIncomingId = useMemo(
+    () => [...thread.items].reverse().find(message => !message.outgoing)?.id,
+    [thread.items]
+  );
+
+  const templateContext = useMemo(() => buildTemplateContext({
+    contact: { display_name: chat?.title },
+    user: currentUser
+  }), [chat?.title, currentUser]);
+
+  useEffect(() => {
+    dispatch(setActiveTelegramChat(chatId));
+    dispatch(fetchTelegramMessages({ chatId }));
+    setReplyTo(null);
+    return () => {
+      dispatch(setActiveTelegramChat(null));
+    };
+  }, [chatId, dispatch]);
+
+  // Also runs for messages arriving while the chat is open
+  useEffect(() => {
+    if (!lastIncomingId) return;
+    dispatch(markTelegramChatRead(chatId)).unwrap().catch(error => {
+      logger.warn('[TelegramChatView] Failed to mark chat as read:', error);
+    });
+  }, [chatId, lastIncomingId, dispatch]);
+
+  useEffect(() => {
+    if (focusMessageId) {
+      document.getElementById(`telegram-message-${focusMessageId}`)?.scrollIntoView({ block: 'center' });
+      return;
+    }
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length, focusMessageId]);
+
+  const handleLoadOlder = () => {
+    const oldest = thread.items.find(message => !message.tempId);
+    if (oldest) {
+      dispatch(fetchTelegramMessages({ chatId, before: oldest.message_id }));
+    }
+  };
+
+  const handleSend = async (content) => {
+    const replyToId = replyTo?.message_id;
+    setReplyTo(null);
+    try {
+      await dispatch(sendTelegramMessage({ chatId, content, replyToId })).unwrap();
+    } catch (error) {
+      logger.error('[TelegramChatView] Failed to send message:', error);
+      toast.error('Failed to send message');
+    }
+  };
+
+  const handleReply = useCallback((message) => {
+    setReplyTo({
+      message_id: message.message_id,
+      sender_name: message.sender_name,
+      body: typeof message.content === 'string' ? message.content : ''
+    });
+  }, []);
+
+  const handleQuoteClick = useCallback((messageId) => {
+    document.getElementById(`telegram-message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, []);
+
+  if (thread.loading && !thread.items.length) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (thread.error && !thread.items.length) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="text-error text-center">
+          <p className="text-xl font-semibold mb-2">Error</p>
+          <p>{thread.error}</p>
+          <button
+            onClick={() => dispatch(fetchTelegramMessages({ chatId }))}
+            className="w-auto mt-2 text-sm text-gray-300 hover:text-white underline"
+          >
+            Try again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full bg-dark">
+      {chat && (
+        <div className="pb-3 mb-3 border-b border-gray-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-white font-medium">{chat.title}</h2>
+            {chat.username && <p className="text-xs text-gray-400">@{chat.username}</p>}
+          </div>
+          <button
+            onClick={() => setShowProfile(prev => !prev)}
+            className={`w-auto p-2 transition-colors flex gap-3 items-center ${showProfile ? 'text-white' : 'text-gray-400 hover:text-white'}`}
+            title="Customer profile"
+          >
+            <FiUser className="w-5 h-5" />
+            <p>Profile</p>
+          </button>
+        </div>
+      )}
+
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="flex-1 overflow-y-auto space-y-2">
+            {thread.hasMore && thread.items.length > 0 && (
+              <div className="flex justify-center">
+                <button
+                  onClick={handleLoadOlder}
+                  disabled={thread.loading}
+                  className="w-auto px-3 py-1 text-xs text-gray-400 hover:text-white disabled:opacity-50"
+                >
+                  {thread.loading ? 'Loading...' : 'Load older messages'}
+                </button>
+              </div>
+            )}
+            {messages.length === 0 ? (
+              <div className="text-center py-8 text-gray-400">No messages yet</div>
+            ) : (
+              messages.map(message => (
+                <div key={message.id} id={`telegram-message-${message.message_id}`}>
+                  <MessageItem
+                    message={message}
+                    currentUser={currentUser || {}}
+                    isHighlighted={message.message_id === focusMessageId}
+                    quotedMessage={message.reply_to ? messagesById.get(message.reply_to.message_id) : undefined}
+                    onQuoteClick={handleQuoteClick}
+                    onReply={message.tempId ? undefined : handleReply}
+                  />
+                </div>
+              ))
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+
+          <MessageComposer
+            onSend={handleSend}
+            placeholder="Reply as your Telegram bot"
+            replyTo={replyTo}
+            onCancelReply={() => setReplyTo(null)}
+            platform="telegram"
+            templateContext={templateContext}
+            allowAttachments={false}
+          />
+        </div>
+
+        {showProfile && (
+          <CustomerDetails
+            platform="telegram"
+            contactId={chatId}
+            onClose={() => setShowProfile(false)}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+TelegramChatView.propTypes = {
+  channelId: PropTypes.string.isRequired,
+  focusMessageId: PropTypes.string
+};
+
+export default TelegramChatView;
@@ -13,6 +13,7 @@ import {
 } from '../utils/syncUtils';
 import { useSelector } from 'react-redux';
 import logger from '../utils/logger';
+import { SocketEvents, addEventHandlers, emitEvent } from '../utils/socketEvents';
 
 export function useContactSync() {
   const [contacts, setContacts] = useState([]);
@@ -713,7 +714,7 @@ export function useContactSync() {
         toast.error('Sync operation timed out');
       }, 30000);
 
-      socket.emit('whatsapp:sync:start', { userId });
+      emitEvent(socket, SocketEvents.WHATSAPP_SYNC_START, { userId });
       
     } catch (error) {
       logger.error('[useContactSync] Error starting sync:', error);
@@ -850,28 +851,27 @@ export function useContactSync() {
 
     socketManager.current.subscribe();
 
-    socket.on('whatsapp:sync_progress', handleSyncProgress);
-    socket.on('whatsapp:sync_status', handleSyncStatus);
-    socket.on('whatsapp:sync_error', handleSyncError);
-    socket.on('whatsapp:critical_error', handleCriticalError);
-
     // Handle connection loss
-    socket.on('disconnect', () => {
+    const handleDisconnect = () => {
       setSyncState(prev => ({
         ...prev,
         state: SYNC_STATES.ERROR,
         error: 'Connection lost',
         details: 'Socket connection lost'
       }));
+    };
+
+    const removeHandlers = addEventHandlers(socket, {
+      [SocketEvents.WHATSAPP_SYNC_PROGRESS]: handleSyncProgress,
+      [SocketEvents.WHATSAPP_SYNC_STATUS]: handleSyncStatus,
+      [SocketEvents.WHATSAPP_SYNC_ERROR]: handleSyncError,
+      [SocketEvents.WHATSAPP_CRITICAL_ERROR]: handleCriticalError,
+      [SocketEvents.DISCONNECT]: handleDisconnect
     });
 
     return () => {
       socketManager.current?.unsubscribe();
-      socket.off('whatsapp:sync_progress', handleSyncProgress);
-      socket.off('whatsapp:sync_status', handleSyncStatus);
-      socket.off('whatsapp:sync_error', handleSyncError);
-      socket.off('whatsapp:critical_error', handleCriticalError);
-      socket.off('disconnect');
+      removeHandlers();
       
       clearAllTimeouts();
     };
@@ -1,5 +1,6 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback } from 'react';
 import { useSocketConnection } from './useSocketConnection';
+import { useSocketSubscription } from './useSocketSubscription';
 import { PLATFORM_CONFIGS } from '../constants/platforms';
 import api from '../utils/api';
 import { toast } from 'react-hot-toast';
@@ -177,27 +178,19 @@ export const usePlatformConnection = (platform) => {
     }
   }, [platform, state.isConnecting]);
 
-  useEffect(() => {
-    if (socket && isConnected) {
-      socket.on(`${platform}_status`, handleStatusUpdate);
-      return () => {
-        socket.off(`${platform}_status`);
-      };
-    }
-  }, [socket, isConnected, platform, handleStatusUpdate]);
+  useSocketSubscription({
+    [`${platform}_status`]: handleStatusUpdate
+  }, { enabled: Boolean(socket && isConnected) });
 
+  // The status subscription ends with the component; the shared socket's
+  // own listeners are left alone
   const cleanup = useCallback(() => {
-    if (socket) {
-      socket.off(`${platform}_status`);
-      socket.off('connect_error');
-      socket.off('disconnect');
-    }
     setState(prev => ({
       ...prev,
       isConnecting: false,
       status: 'idle'
     }));
-  }, [socket, platform]);
+  }, []);
 
   return {
     ...state,
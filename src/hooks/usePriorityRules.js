@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from './useSocketSubscription';
+import { processIncomingMessage, reevaluatePriorityRules } from '../store/slices/priorityRulesSlice';
+import { selectCurrentWorkspaceId } from '../store/slices/workspaceSlice';
+import { getInboxRooms } from '../services/workspaceService';
+import { tabCoordinator } from '../services/TabCoordinator';
+import logger from '../utils/logger';
+
+// Unanswered-time rules can start firing without a new message arriving
+const REEVALUATE_INTERVAL = 60 * 1000;
+
+/**
+ * Runs the priority rules against every incoming `whatsapp:message` event,
+ * whichever contact or inbox is open. Mounted once by the Sidebar. Every tab
+ * records the activity, so any of them can take over, but only the leader
+ * applies the rules; the others get the result through the tab-synced
+ * priority actions.
+ */
+export const usePriorityRules = () => {
+  const dispatch = useDispatch();
+  const userId = useSelector(state => state.auth.session?.user?.id);
+  const workspaceId = useSelector(selectCurrentWorkspaceId);
+
+  useSocketSubscription({
+    [SocketEvents.WHATSAPP_MESSAGE]: (payload) => {
+      dispatch(processIncomingMessage({
+        contactId: payload.contactId,
+        message: payload.message,
+        evaluate: tabCoordinator.isLeader()
+      })).unwrap().catch(error => {
+        logger.error('[usePriorityRules] Failed to apply rules:', error);
+      });
+    }
+  }, { rooms: getInboxRooms(userId, workspaceId), enabled: Boolean(userId) });
+
+  useEffect(() => {
+    const reevaluate = () => {
+      if (tabCoordinator.isLeader()) {
+        dispatch(reevaluatePriorityRules());
+      }
+    };
+
+    tabCoordinator.start().then(reevaluate);
+    const interval = setInterval(reevaluate, REEVALUATE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [dispatch]);
+};
+
+export default usePriorityRules;
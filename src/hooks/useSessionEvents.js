@@ -0,0 +1,50 @@
+import { useCallback, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from './useSocketSubscription';
+import { securityService } from '../services/securityService';
+import { signOut } from '../store/slices/authSlice';
+import logger from '../utils/logger';
+
+/**
+ * Signs this browser out as soon as the session is revoked from another
+ * device, instead of waiting for the access token to expire. Revocations
+ * missed while the socket was down are caught by checking the session on
+ * startup and after every reconnect. Mounted once by the Sidebar.
+ */
+export const useSessionEvents = () => {
+  const dispatch = useDispatch();
+  const userId = useSelector(state => state.auth.session?.user?.id);
+
+  const signOutRevoked = useCallback(() => {
+    logger.info('[useSessionEvents] Session revoked remotely, signing out');
+    toast.error('You were signed out from another device');
+    dispatch(signOut());
+  }, [dispatch]);
+
+  const checkSession = useCallback(async () => {
+    if (!(await securityService.isCurrentSessionActive())) {
+      signOutRevoked();
+    }
+  }, [signOutRevoked]);
+
+  useEffect(() => {
+    if (userId) {
+      checkSession();
+    }
+  }, [userId, checkSession]);
+
+  useSocketSubscription({
+    [SocketEvents.SESSION_REVOKED]: async (payload) => {
+      if (!payload.all) {
+        const currentId = await securityService.getCurrentSessionId();
+        if (payload.sessionId !== currentId) return;
+      }
+      signOutRevoked();
+    },
+    [SocketEvents.CONNECT]: checkSession
+  }, { rooms: userId ? [`user:${userId}`] : [], enabled: Boolean(userId) });
+};
+
+export default useSessionEvents;
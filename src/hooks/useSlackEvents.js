@@ -0,0 +1,40 @@
+import { useDispatch } from 'react-redux';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from './useSocketSubscription';
+import { slackService } from '../services/slackService';
+import {
+  slackMessageReceived,
+  slackMessageUpdated,
+  slackChannelUpdated
+} from '../store/slices/slackSlice';
+
+/**
+ * Keeps the Slack slice live from the workspace's socket events, the same way
+ * ChatView follows `whatsapp:message`. Mounted once by the Sidebar, so
+ * channels keep counting unread messages while another inbox is open.
+ */
+export const useSlackEvents = () => {
+  const dispatch = useDispatch();
+
+  useSocketSubscription({
+    [SocketEvents.SLACK_MESSAGE]: (payload) => {
+      const channelId = String(payload.channelId);
+      dispatch(slackMessageReceived({
+        channelId,
+        message: slackService.normalizeMessage(payload.message, channelId)
+      }));
+    },
+    [SocketEvents.SLACK_MESSAGE_UPDATE]: (payload) => {
+      const channelId = String(payload.channelId);
+      dispatch(slackMessageUpdated({
+        channelId,
+        message: slackService.normalizeMessage(payload.message, channelId)
+      }));
+    },
+    [SocketEvents.SLACK_CHANNEL_UPDATE]: (payload) => {
+      dispatch(slackChannelUpdated(slackService.normalizeChannel(payload.channel)));
+    }
+  });
+};
+
+export default useSlackEvents;
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { initializeSocket, disconnectSocket, getSocket } from '../utils/socket';
 import { supabase } from '../utils/supabase';
+import { authStorage } from '../utils/secureStorage';
 import { toast } from 'react-toastify';
 import logger from '../utils/logger';
 
@@ -25,7 +26,7 @@ export const useSocketConnection = (platform) => {
   // Validate token
   const validateToken = useCallback(async () => {
     try {
-      const authDataStr = localStorage.getItem('dailyfix_auth');
+      const authDataStr = authStorage.get();
       if (!authDataStr) return false;
 
       const authData = JSON.parse(authDataStr);
@@ -76,7 +77,7 @@ export const useSocketConnection = (platform) => {
     }
 
     try {
-      const authDataStr = localStorage.getItem('dailyfix_auth');
+      const authDataStr = authStorage.get();
       if (!authDataStr) {
         console.error('No auth data found');
         setConnectionStatus('error');
@@ -143,7 +144,7 @@ export const useSocketConnection = (platform) => {
       }
 
       // Get fresh token after validation
-      const authDataStr = localStorage.getItem('dailyfix_auth');
+      const authDataStr = authStorage.get();
       if (!authDataStr) {
         logger.error('No auth data found');
         setConnectionStatus('error');
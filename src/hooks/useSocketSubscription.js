@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react';
+import socketManager, { initializeSocket } from '../utils/socket';
+import logger from '../utils/logger';
+
+/**
+ * Subscribes a component to socket events, and the rooms they arrive in,
+ * through socketManager. Only this component's handlers are removed on
+ * unmount, rooms are left once their last subscriber is gone, and both
+ * carry over to a reconnected socket.
+ *
+ * Handlers can be inline functions; the subscription only changes when the
+ * set of events or rooms does.
+ *
+ * @param {Object<string, Function>} handlers - SocketEvents name -> handler
+ * @param {Object} [options] - { rooms: string[], enabled: boolean }
+ */
+export const useSocketSubscription = (handlers, { rooms = [], enabled = true } = {}) => {
+  const handlersRef = useRef(handlers);
+  const eventsKey = JSON.stringify(Object.keys(handlers).sort());
+  const roomsKey = JSON.stringify([...rooms].sort());
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const events = Object.fromEntries(JSON.parse(eventsKey).map(event => [
+      event,
+      (...args) => handlersRef.current[event]?.(...args)
+    ]));
+    const unsubscribe = socketManager.subscribe({ rooms: JSON.parse(roomsKey), events });
+
+    // Handlers bind once the shared socket exists
+    initializeSocket().catch(error => {
+      logger.error('[useSocketSubscription] Socket unavailable:', error);
+    });
+
+    return unsubscribe;
+  }, [enabled, eventsKey, roomsKey]);
+};
+
+export default useSocketSubscription;
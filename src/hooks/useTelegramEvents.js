@@ -0,0 +1,40 @@
+import { useDispatch } from 'react-redux';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from './useSocketSubscription';
+import { telegramService } from '../services/telegramService';
+import {
+  telegramMessageReceived,
+  telegramMessageUpdated,
+  telegramChatUpdated
+} from '../store/slices/telegramSlice';
+
+/**
+ * Keeps the Telegram slice live from the bot's socket events, the same way
+ * ChatView follows `whatsapp:message`. Mounted once by the Sidebar, so chats
+ * keep counting unread messages while another inbox is open.
+ */
+export const useTelegramEvents = () => {
+  const dispatch = useDispatch();
+
+  useSocketSubscription({
+    [SocketEvents.TELEGRAM_MESSAGE]: (payload) => {
+      const chatId = String(payload.chatId);
+      dispatch(telegramMessageReceived({
+        chatId,
+        message: telegramService.normalizeMessage(payload.message, chatId)
+      }));
+    },
+    [SocketEvents.TELEGRAM_MESSAGE_UPDATE]: (payload) => {
+      const chatId = String(payload.chatId);
+      dispatch(telegramMessageUpdated({
+        chatId,
+        message: telegramService.normalizeMessage(payload.message, chatId)
+      }));
+    },
+    [SocketEvents.TELEGRAM_CHAT_UPDATE]: (payload) => {
+      dispatch(telegramChatUpdated(telegramService.normalizeChat(payload.chat)));
+    }
+  });
+};
+
+export default useTelegramEvents;
@@ -1,5 +1,6 @@
-import { useState, useCallback, useEffect } from 'react';
-import { initializeSocket, checkSocketHealth } from '../utils/socket';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import socketManager, { initializeSocket, checkSocketHealth } from '../utils/socket';
+import { SocketEvents, emitEvent } from '../utils/socketEvents';
 import { api } from '../services/api';
 import { toast } from 'react-hot-toast';
 
@@ -17,6 +18,10 @@ export const useWhatsAppConnection = () => {
     isSocketConnected: false,
     lastStatusCheck: null
   });
+  const unsubscribeRef = useRef(null);
+
+  // Listeners from the last connect go with the component
+  useEffect(() => () => unsubscribeRef.current?.(), []);
 
   const checkStatus = useCallback(async (socket) => {
     if (!socket?.connected) {
@@ -29,7 +34,7 @@ export const useWhatsAppConnection = () => {
     }
 
     try {
-      socket.emit('whatsapp:status_check');
+      emitEvent(socket, SocketEvents.WHATSAPP_STATUS_CHECK);
     } catch (error) {
       console.error('Status check failed:', error);
       setState(prev => ({
@@ -83,32 +88,36 @@ export const useWhatsAppConnection = () => {
         isSocketConnected: true
       }));
 
-      // Set up WhatsApp status listener
-      socket.on('whatsapp:status', (data) => {
-        setState(prev => ({
-          ...prev,
-          status: data.status,
-          error: null,
-          lastStatusCheck: new Date()
-        }));
-
-        if (data.status === 'connected' || data.status === 'active') {
-          toast.success('WhatsApp connection active');
+      // Set up WhatsApp status listeners, once however often connect runs
+      unsubscribeRef.current?.();
+      unsubscribeRef.current = socketManager.subscribe({
+        events: {
+          [SocketEvents.WHATSAPP_STATUS]: (data) => {
+            setState(prev => ({
+              ...prev,
+              status: data.status,
+              error: null,
+              lastStatusCheck: new Date()
+            }));
+
+            if (data.status === 'connected' || data.status === 'active') {
+              toast.success('WhatsApp connection active');
+            }
+          },
+          [SocketEvents.WHATSAPP_ERROR]: (error) => {
+            setState(prev => ({
+              ...prev,
+              status: 'error',
+              error: error.message,
+              lastStatusCheck: new Date()
+            }));
+            toast.error(error.message);
+          }
         }
       });
 
-      socket.on('whatsapp:error', (error) => {
-        setState(prev => ({
-          ...prev,
-          status: 'error',
-          error: error.message,
-          lastStatusCheck: new Date()
-        }));
-        toast.error(error.message);
-      });
-
       // Request WhatsApp connection
-      socket.emit('whatsapp:connect');
+      emitEvent(socket, SocketEvents.WHATSAPP_CONNECT);
 
       return socket;
 
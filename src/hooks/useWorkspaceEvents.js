@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { SocketEvents } from '../utils/socketEvents';
+import { useSocketSubscription } from './useSocketSubscription';
+import { workspaceService } from '../services/workspaceService';
+import {
+  fetchWorkspaces,
+  fetchReceivedInvites,
+  fetchWorkspaceMembers,
+  fetchAssignments,
+  assignmentChanged,
+  selectCurrentWorkspaceId
+} from '../store/slices/workspaceSlice';
+
+/**
+ * Loads the user's workspaces and keeps the open one's members and
+ * conversation assignments live from its socket room. Mounted once by the
+ * Sidebar.
+ */
+export const useWorkspaceEvents = () => {
+  const dispatch = useDispatch();
+  const userId = useSelector(state => state.auth.session?.user?.id);
+  const workspaceId = useSelector(selectCurrentWorkspaceId);
+
+  useEffect(() => {
+    if (!userId) return;
+    dispatch(fetchWorkspaces());
+    dispatch(fetchReceivedInvites());
+  }, [dispatch, userId]);
+
+  useEffect(() => {
+    if (!userId || !workspaceId) return;
+    dispatch(fetchWorkspaceMembers(workspaceId));
+    dispatch(fetchAssignments(workspaceId));
+  }, [dispatch, userId, workspaceId]);
+
+  useSocketSubscription({
+    [SocketEvents.WORKSPACE_ASSIGNMENT_UPDATE]: (payload) => {
+      dispatch(assignmentChanged({
+        workspaceId: String(payload.workspaceId),
+        assignment: workspaceService.normalizeAssignment(payload.assignment)
+      }));
+    },
+    [SocketEvents.WORKSPACE_MEMBER_UPDATE]: (payload) => {
+      if (String(payload.workspaceId) !== workspaceId) return;
+      dispatch(fetchWorkspaceMembers(workspaceId));
+      // Removed members' conversations are unassigned
+      if (payload.action === 'removed') {
+        dispatch(fetchAssignments(workspaceId));
+      }
+      // This user's role changed, or they were removed
+      if (String(payload.userId) === userId) {
+        dispatch(fetchWorkspaces());
+      }
+    }
+  }, { rooms: workspaceId ? [`workspace:${workspaceId}`] : [], enabled: Boolean(userId && workspaceId) });
+};
+
+export default useWorkspaceEvents;
@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import { completeOAuthSignIn } from '../store/slices/authSlice';
+import authService from '../services/authService';
+import MfaChallenge from '../components/MfaChallenge';
+import logger from '../utils/logger';
+
+// Supabase's error when the provider's email belongs to an account the
+// provider isn't linked to
+const IDENTITY_EXISTS_PATTERN = /already (exists|registered|linked)/i;
+
+/**
+ * Where Google and GitHub send the browser back to. Finishes the sign-in,
+ * asking for the second factor first when the account has one. Once the
+ * session is set the route redirects on.
+ */
+const AuthCallback = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const started = useRef(false);
+  const [mfaFactorId, setMfaFactorId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // The code in the URL can only be exchanged once
+    if (started.current) return;
+    started.current = true;
+
+    dispatch(completeOAuthSignIn()).unwrap()
+      .then(result => {
+        if (result?.mfaRequired) {
+          setMfaFactorId(result.factorId);
+        }
+      })
+      .catch(err => {
+        logger.error('[AuthCallback] Sign in failed:', err);
+        setError(IDENTITY_EXISTS_PATTERN.test(err || '')
+          ? 'An account with this email already exists. Sign in with your password, then link this provider from Security settings.'
+          : err || 'Sign in failed');
+      });
+  }, [dispatch]);
+
+  const handleCancel = async () => {
+    await authService.cancelPendingSignIn().catch(err => {
+      logger.error('[AuthCallback] Failed to drop pending sign in:', err);
+    });
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-10 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        {mfaFactorId ? (
+          <MfaChallenge factorId={mfaFactorId} onCancel={handleCancel} />
+        ) : error ? (
+          <div className="space-y-4 text-center">
+            <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">{error}</div>
+            <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
+          <p className="text-center text-gray-600">Signing you in...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthCallback;
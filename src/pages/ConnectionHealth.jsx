@@ -0,0 +1,318 @@
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { format, formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { FiArrowLeft, FiCopy, FiRefreshCw, FiList } from 'react-icons/fi';
+import { connectionHealthService } from '../services/connectionHealthService';
+import { socketHealthMonitor } from '../services/SocketHealthMonitor';
+import SocketDiagnosticsPanel from '../components/SocketDiagnosticsPanel';
+import logger from '../utils/logger';
+
+// Snapshot refresh; the token countdown ticks every second on its own
+const REFRESH_INTERVAL = 5000;
+
+const STATUS_STYLES = {
+  connected: 'bg-green-500/20 text-green-300',
+  active: 'bg-green-500/20 text-green-300',
+  pending: 'bg-yellow-500/20 text-yellow-300',
+  error: 'bg-red-500/20 text-red-300'
+};
+
+const formatDuration = (ms) => {
+  if (ms == null) return '—';
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+const Section = ({ title, children }) => (
+  <div className="bg-[#24283b] rounded-lg p-4 space-y-3">
+    <h3 className="text-sm font-medium text-gray-400">{title}</h3>
+    {children}
+  </div>
+);
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+const Stat = ({ label, value, className = 'text-white' }) => (
+  <div>
+    <div className="text-xs text-gray-400">{label}</div>
+    <div className={className}>{value}</div>
+  </div>
+);
+
+Stat.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.node.isRequired,
+  className: PropTypes.string
+};
+
+const LatencyChart = ({ samples }) => {
+  if (!samples.length) {
+    return <p className="text-sm text-gray-500">No heartbeats answered yet</p>;
+  }
+  const max = Math.max(...samples.map(sample => sample.latency), 1);
+  return (
+    <div className="flex items-end gap-1 h-24">
+      {samples.map(sample => (
+        <div
+          key={sample.at}
+          title={`${sample.latency}ms at ${format(new Date(sample.at), 'HH:mm:ss')}`}
+          className={`flex-1 rounded-t ${sample.latency > 1000 ? 'bg-red-400' : sample.latency > 300 ? 'bg-yellow-400' : 'bg-[#1e6853]'}`}
+          style={{ height: `${Math.max(4, (sample.latency / max) * 100)}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+LatencyChart.propTypes = {
+  samples: PropTypes.arrayOf(PropTypes.shape({
+    at: PropTypes.number.isRequired,
+    latency: PropTypes.number.isRequired
+  })).isRequired
+};
+
+/**
+ * Connection health for bug reports: platform and socket state, heartbeat
+ * latency, token expiry, the sync queue and the latest errors
+ */
+const ConnectionHealth = () => {
+  const navigate = useNavigate();
+  const session = useSelector(state => state.auth.session);
+  const userId = session?.user?.id;
+  const accessToken = session?.access_token;
+  const sessionExpiresAt = session?.expires_at;
+  const [platforms, setPlatforms] = useState([]);
+  const [platformsLoading, setPlatformsLoading] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [showEvents, setShowEvents] = useState(false);
+
+  const takeSnapshot = useCallback(() => {
+    setSnapshot(connectionHealthService.getSnapshot({ userId, accessToken, sessionExpiresAt }));
+  }, [userId, accessToken, sessionExpiresAt]);
+
+  const loadPlatforms = useCallback(async () => {
+    setPlatformsLoading(true);
+    try {
+      setPlatforms(await connectionHealthService.getPlatformStatuses());
+    } finally {
+      setPlatformsLoading(false);
+    }
+  }, []);
+
+  // Heartbeats are only measured while someone is monitoring
+  useEffect(() => {
+    socketHealthMonitor.startMonitoring();
+    return () => socketHealthMonitor.stopMonitoring();
+  }, []);
+
+  useEffect(() => {
+    loadPlatforms();
+  }, [loadPlatforms]);
+
+  useEffect(() => {
+    takeSnapshot();
+    const interval = setInterval(takeSnapshot, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [takeSnapshot]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleRefresh = () => {
+    takeSnapshot();
+    loadPlatforms();
+  };
+
+  const handleCopyBundle = async () => {
+    try {
+      const bundle = connectionHealthService.buildDebugBundle({
+        snapshot: connectionHealthService.getSnapshot({ userId, accessToken, sessionExpiresAt }),
+        platforms,
+        userId
+      });
+      await navigator.clipboard.writeText(bundle);
+      toast.success('Debug bundle copied');
+    } catch (error) {
+      logger.error('[ConnectionHealth] Failed to copy debug bundle:', error);
+      toast.error('Could not copy the debug bundle');
+    }
+  };
+
+  if (!snapshot) return null;
+
+  const { socket, heartbeat, token, syncQueue, recentErrors } = snapshot;
+  const latencies = heartbeat.latencyHistory.map(sample => sample.latency);
+  const averageLatency = latencies.length
+    ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+    : null;
+  const tokenRemaining = token.expiresAt ? token.expiresAt - now : null;
+
+  return (
+    <div className="min-h-screen bg-dark text-white p-6">
+      <div className="max-w-5xl mx-auto space-y-4">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="w-auto p-2 rounded-md text-gray-400 hover:text-white hover:bg-[#1e2132]"
+            title="Back to dashboard"
+          >
+            <FiArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-2xl font-semibold">Connection Health</h2>
+          <div className="ml-auto flex items-center gap-2">
+            <button
+              onClick={handleRefresh}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+            >
+              <FiRefreshCw className={`w-4 h-4 ${platformsLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+            <button
+              onClick={() => setShowEvents(true)}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132]"
+            >
+              <FiList className="w-4 h-4" />
+              Event log
+            </button>
+            <button
+              onClick={handleCopyBundle}
+              className="flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80"
+            >
+              <FiCopy className="w-4 h-4" />
+              Copy debug bundle
+            </button>
+          </div>
+        </div>
+
+        <Section title="Platforms">
+          {platforms.length === 0 ? (
+            <p className="text-sm text-gray-500">{platformsLoading ? 'Checking platforms...' : 'No platform status available'}</p>
+          ) : (
+            <div className="grid grid-cols-4 gap-3">
+              {platforms.map(platform => (
+                <div key={platform.platform} className="p-3 rounded-lg bg-[#1a1b26]">
+                  <div className="flex items-center justify-between">
+                    <span>{platform.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[platform.status] || 'bg-gray-500/20 text-gray-300'}`}>
+                      {platform.status}
+                    </span>
+                  </div>
+                  {platform.error && <div className="text-xs text-red-400 mt-1 truncate" title={platform.error}>{platform.error}</div>}
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+
+        <div className="grid grid-cols-2 gap-4">
+          <Section title="Socket">
+            <div className="grid grid-cols-3 gap-3 text-sm">
+              <Stat
+                label="Status"
+                value={socket.status}
+                className={socket.connected ? 'text-green-400' : 'text-red-400'}
+              />
+              <Stat label="Authenticated" value={socket.authenticated ? 'Yes' : 'No'} />
+              <Stat
+                label="Protocol"
+                value={socket.protocol.negotiatedVersion != null ? `v${socket.protocol.negotiatedVersion}` : '—'}
+              />
+              <Stat label="Uptime" value={formatDuration(socket.uptime)} />
+              <Stat
+                label="Reconnect attempts"
+                value={socket.reconnectAttempts ?? 0}
+                className={socket.reconnectAttempts ? 'text-yellow-300' : 'text-white'}
+              />
+              <Stat label="Reconnects" value={socket.reconnects ?? 0} />
+              <Stat
+                label="Last activity"
+                value={socket.lastActivity ? `${formatDistanceToNow(socket.lastActivity)} ago` : '—'}
+              />
+              <Stat label="Rooms" value={socket.roomSubscriptions.length} />
+              <Stat label="Socket id" value={<span className="font-mono text-xs">{socket.id || '—'}</span>} />
+              <Stat label="This tab" value={socket.tabRole} />
+            </div>
+          </Section>
+
+          <Section title="Heartbeat latency">
+            <LatencyChart samples={heartbeat.latencyHistory} />
+            <div className="grid grid-cols-3 gap-3 text-sm">
+              <Stat label="Last" value={latencies.length ? `${latencies[latencies.length - 1]}ms` : '—'} />
+              <Stat label="Average" value={averageLatency != null ? `${averageLatency}ms` : '—'} />
+              <Stat
+                label="Missed heartbeats"
+                value={heartbeat.missedHeartbeats}
+                className={heartbeat.missedHeartbeats ? 'text-yellow-300' : 'text-white'}
+              />
+            </div>
+          </Section>
+
+          <Section title="Session token">
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <Stat
+                label="Expires in"
+                value={tokenRemaining == null ? 'Unknown' : tokenRemaining <= 0 ? 'Expired' : formatDuration(tokenRemaining)}
+                className={tokenRemaining != null && tokenRemaining < 5 * 60 * 1000 ? 'text-red-400' : 'text-white'}
+              />
+              <Stat
+                label="Last validated"
+                value={token.lastValidatedAt ? `${formatDistanceToNow(token.lastValidatedAt)} ago` : 'Not this session'}
+              />
+            </div>
+          </Section>
+
+          <Section title="Sync queue">
+            {syncQueue ? (
+              <div className="grid grid-cols-3 gap-3 text-sm">
+                <Stat label="Queued" value={syncQueue.queueLength} />
+                <Stat label="Paused" value={syncQueue.pausedCount} />
+                <Stat
+                  label="Running"
+                  value={syncQueue.activeSync ? `${syncQueue.activeSync.type}${syncQueue.activeSync.paused ? ' (paused)' : ''}` : 'Idle'}
+                />
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Sign in to see the sync queue</p>
+            )}
+          </Section>
+        </div>
+
+        <Section title="Recent errors">
+          {recentErrors.length === 0 ? (
+            <p className="text-sm text-gray-500">No errors recorded</p>
+          ) : (
+            <div className="space-y-1 max-h-72 overflow-y-auto">
+              {recentErrors.map(error => (
+                <div key={`${error.source}-${error.at}-${error.message}`} className="flex items-start gap-3 text-sm p-2 rounded bg-[#1a1b26]">
+                  <span className="w-20 flex-shrink-0 text-xs uppercase text-gray-500 pt-0.5">{error.source}</span>
+                  <span className="flex-1 text-red-300 break-words">{error.message}</span>
+                  <span className="text-xs text-gray-500 flex-shrink-0">
+                    {error.at ? format(new Date(error.at), 'MMM d, HH:mm:ss') : '—'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+      </div>
+
+      <SocketDiagnosticsPanel isOpen={showEvents} onClose={() => setShowEvents(false)} />
+    </div>
+  );
+};
+
+export default ConnectionHealth;
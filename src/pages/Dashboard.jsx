@@ -1,14 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import WhatsAppInvites from '../components/WhatsAppInvites';
 import Sidebar from '../components/Sidebar';
 import WhatsAppContactList from '../components/WhatsAppContactList';
 import TopNavPanel from '../components/TopNavPanel';
 import ChatView from '../components/ChatView';
+import UnifiedInbox from '../components/UnifiedInbox';
+import MessageSearchPanel from '../components/MessageSearchPanel';
+import WorkspaceSecurityGate from '../components/WorkspaceSecurityGate';
 import api from '../utils/api';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchContacts, selectContactById } from '../store/slices/contactSlice';
 import { connect as connectSocket } from '../store/slices/socketSlice';
 import logger from '../utils/logger';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
 
 const AcknowledgmentModal = ({ isOpen, onClose }) => {
   const modalRef = React.useRef();
@@ -94,7 +98,11 @@ const Dashboard = () => {
   const [selectedPlatform, setSelectedPlatform] = useState(null);
   const [accounts, setAccounts] = useState([]);
   const [selectedContactId, setSelectedContactId] = useState(null);
-  const [showAcknowledgment, setShowAcknowledgment] = useState(true);
+  const [showAcknowledgment, setShowAcknowledgment] = useState(false);
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const [activeComponent, setActiveComponent] = useState('messages');
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
 
   // Get the latest contact data from Redux store
   const selectedContact = useSelector(state => 
@@ -131,23 +139,44 @@ const Dashboard = () => {
   }, [dispatch, user, socketConnected, contacts.length]);
 
   useEffect(() => {
-    // Initialize with WhatsApp account if connected
+    // Initialize with WhatsApp account if connected, then pick up any other linked platforms
     const initializeAccounts = async () => {
+      const connectedAccounts = [];
       try {
         const response = await api.get('/matrix/whatsapp/status');
         if (response.data.status === 'connected') {
-          setAccounts([
-            {
-              id: 'whatsapp',
-              platform: 'whatsapp',
-              name: 'WhatsApp'
-            }
-          ]);
-          setSelectedPlatform('whatsapp');
+          connectedAccounts.push({
+            id: 'whatsapp',
+            platform: 'whatsapp',
+            name: 'WhatsApp'
+          });
         }
       } catch (error) {
         logger.error('[Dashboard] Error fetching WhatsApp status:', error);
       }
+
+      const otherPlatforms = ['telegram', 'slack', 'discord'];
+      const statuses = await Promise.allSettled(
+        otherPlatforms.map(platform => api.get(`/connect/${platform}/status`))
+      );
+      statuses.forEach((result, index) => {
+        const status = result.status === 'fulfilled' ? result.value.data?.status : null;
+        if (status === 'active' || status === 'connected') {
+          const platform = otherPlatforms[index];
+          connectedAccounts.push({
+            id: platform,
+            platform,
+            name: PLATFORM_CONFIGS[platform].name
+          });
+        }
+      });
+
+      setAccounts(connectedAccounts);
+      // Not everyone connects WhatsApp; open whichever platform comes first
+      if (connectedAccounts.length) {
+        setSelectedPlatform(connectedAccounts[0].platform);
+      }
+      setShowAcknowledgment(connectedAccounts.some(account => account.platform === 'whatsapp'));
     };
 
     initializeAccounts();
@@ -157,6 +186,30 @@ const Dashboard = () => {
     setSelectedPlatform(platform);
     // Reset selected contact when platform changes
     setSelectedContactId(null);
+    setSelectedRoom(null);
+  };
+
+  const handleSearchResultSelect = (result) => {
+    logger.info('[Dashboard] Opening search result:', result);
+    setShowSearch(false);
+    setJumpTarget({ contactId: result.conversationId, messageId: result.messageId });
+    setSelectedPlatform(result.platform);
+
+    if (result.platform === 'whatsapp') {
+      setSelectedContactId(result.conversationId);
+    } else {
+      setSelectedRoom(result.conversationId);
+      setActiveComponent('messages');
+    }
+  };
+
+  const handleJumpComplete = useCallback(() => setJumpTarget(null), []);
+  const handleSearchOpen = useCallback(() => setShowSearch(true), []);
+  const handleSearchClose = useCallback(() => setShowSearch(false), []);
+
+  const handleRoomSelect = (roomId) => {
+    setSelectedRoom(roomId);
+    setActiveComponent('messages');
   };
 
   const handleContactSelect = (contact) => {
@@ -170,6 +223,11 @@ const Dashboard = () => {
         isOpen={showAcknowledgment} 
         onClose={() => setShowAcknowledgment(false)} 
       />
+      <MessageSearchPanel
+        isOpen={showSearch}
+        onClose={handleSearchClose}
+        onResultSelect={handleSearchResultSelect}
+      />
       <div className="flex h-screen bg-dark">
         {/* Sidebar */}
         <div className="w-64 bg-dark-darker border-r border-dark-lighter">
@@ -177,35 +235,63 @@ const Dashboard = () => {
             accounts={accounts}
             selectedPlatform={selectedPlatform}
             onPlatformSelect={handlePlatformSelect}
+            onSearchOpen={handleSearchOpen}
           />
         </div>
 
-        {/* Contact List Panel */}
-        <div className="bg-dark-darker border-r border-dark-lighter w-[24rem]">
-          <div className="h-full flex flex-col">
-            <div className="p-4 border-b border-dark-lighter flex gap-3 items-center justify-center">
-              <img src="https://png.pngtree.com/element_our/sm/20180626/sm_5b321c99945a2.jpg" className='size-10 rounded-xl object-fill' alt="logo"/>
-              <h2 className="text-lg font-semibold text-white">Contacts</h2>
-            </div>
-            <div className="flex-1 overflow-y-auto">
-              <WhatsAppContactList 
-                onContactSelect={handleContactSelect}
-                selectedContactId={selectedContactId}
-              />
-            </div>
+        <WorkspaceSecurityGate />
+
+        {selectedPlatform !== 'whatsapp' ? (
+          <div className="flex-1 bg-dark">
+            <UnifiedInbox
+              accounts={accounts}
+              messages={[]}
+              selectedPlatform={selectedPlatform}
+              onSelectRoom={handleRoomSelect}
+              selectedRoom={selectedRoom}
+              activeComponent={activeComponent}
+              setActiveComponent={setActiveComponent}
+              panelOpen={!!selectedRoom}
+              handleClosePanel={() => setSelectedRoom(null)}
+              focusMessageId={jumpTarget?.contactId === selectedRoom ? jumpTarget?.messageId : null}
+              onJumpComplete={handleJumpComplete}
+            />
           </div>
-        </div>
+        ) : (
+          <>
+            {/* Contact List Panel */}
+            <div className="bg-dark-darker border-r border-dark-lighter w-[24rem]">
+              <div className="h-full flex flex-col">
+                <div className="p-4 border-b border-dark-lighter flex gap-3 items-center justify-center">
+                  <img src="https://png.pngtree.com/element_our/sm/20180626/sm_5b321c99945a2.jpg" className='size-10 rounded-xl object-fill' alt="logo"/>
+                  <h2 className="text-lg font-semibold text-white">Contacts</h2>
+                </div>
+                <div className="flex-1 overflow-y-auto">
+                  <WhatsAppContactList 
+                    onContactSelect={handleContactSelect}
+                    selectedContactId={selectedContactId}
+                  />
+                </div>
+              </div>
+            </div>
 
-        {/* Main Content Area */}
-        <div className="flex-1 flex flex-col bg-dark">
-          {/* Top Navigation Panel */}
-          {/* <TopNavPanel /> */}
+            {/* Main Content Area */}
+            <div className="flex-1 flex flex-col bg-dark">
+              {/* Top Navigation Panel */}
+              {/* <TopNavPanel /> */}
 
-          {/* Chat View */}
-          <div className="flex-1 overflow-hidden">
-            <ChatView selectedContact={selectedContact} />
-          </div>
-        </div>
+              {/* Chat View */}
+              <div className="flex-1 overflow-hidden">
+                <ChatView
+                  selectedContact={selectedContact}
+                  onSearchOpen={handleSearchOpen}
+                  jumpTarget={jumpTarget}
+                  onJumpComplete={handleJumpComplete}
+                />
+              </div>
+            </div>
+          </>
+        )}
       </div>
     </>
   );
@@ -5,6 +5,9 @@ import { signIn } from '../store/slices/authSlice';
 import { toast } from 'react-hot-toast';
 import { FiEye, FiEyeOff } from 'react-icons/fi';
 import logger from '../utils/logger';
+import authService from '../services/authService';
+import MfaChallenge from '../components/MfaChallenge';
+import OAuthButtons from '../components/OAuthButtons';
 
 const Login = () => {
   const dispatch = useDispatch();
@@ -18,6 +21,8 @@ const Login = () => {
   const [formError, setFormError] = useState(null);
   const [attempts, setAttempts] = useState(0);
   const [showPassword, setShowPassword] = useState(false);
+  // Set while a sign-in waits on its second factor
+  const [mfaFactorId, setMfaFactorId] = useState(null);
   // const [syncProgress, setSyncProgress] = useState(null);
 
   // Removed auto-clear of error on input change so that error remains visible
@@ -38,6 +43,19 @@ const Login = () => {
     }
   }, [session, isComplete, navigate]);
 
+  // A sign-in that stopped at the second factor survives a reload in
+  // Supabase's storage; it picks up at the code prompt, not signed in
+  useEffect(() => {
+    if (session) return;
+    authService.getPendingMfaFactor()
+      .then(factorId => {
+        if (factorId) setMfaFactorId(factorId);
+      })
+      .catch(error => {
+        logger.error('[Login] Failed to check for a pending sign in:', error);
+      });
+  }, [session]);
+
   const validateForm = () => {
     if (!email.trim()) {
       setFormError('Email is required');
@@ -102,6 +120,11 @@ const Login = () => {
         hasUser: !!result?.user
       });
       // toast.dismiss(loadingToast);
+
+      if (result?.mfaRequired) {
+        setMfaFactorId(result.factorId);
+        return;
+      }
       
       if (!result?.session) {
         throw new Error('Invalid login credentials');
@@ -144,6 +167,26 @@ const Login = () => {
     }
   };
 
+  const handleCancelMfa = async () => {
+    setMfaFactorId(null);
+    setPassword('');
+    try {
+      await authService.cancelPendingSignIn();
+    } catch (error) {
+      logger.error('[Login] Failed to drop pending sign in:', error);
+    }
+  };
+
+  if (mfaFactorId) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-10 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full">
+          <MfaChallenge factorId={mfaFactorId} onCancel={handleCancelMfa} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-10 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -291,6 +334,13 @@ const Login = () => {
           </div>
         </form>
 
+        <div className="flex items-center gap-3 text-xs text-gray-500">
+          <div className="flex-1 border-t border-gray-300" />
+          or
+          <div className="flex-1 border-t border-gray-300" />
+        </div>
+        <OAuthButtons disabled={isSubmitting} />
+
         {attempts >= 2 && (
           <div className="mt-4 text-sm text-gray-600">
             <p className="text-center">
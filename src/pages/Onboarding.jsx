@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
 import { handleError, ErrorTypes, AppError } from '../utils/errorHandler';
 import api from '../utils/api';
 import { toast } from 'react-hot-toast';
@@ -11,9 +12,18 @@ import {
   updateOnboardingStep,
   setOnboardingError,
   selectOnboardingState,
-  ONBOARDING_ROUTES 
+  ONBOARDING_ROUTES,
+  ONBOARDING_STEPS
 } from '../store/slices/onboardingSlice';
-import { onboardingService } from '../services/onboardingService';
+import {
+  onboardingService,
+  STATE_CONFIG,
+  getOnboardingChecklist,
+  getResumeStep,
+  rememberConnectReturn
+} from '../services/onboardingService';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
+import logger from '../utils/logger';
 import stepOne from '../images/Guide1.png'
 import stepTwo from '../images/Guide2.png'
 import stepThree from '../images/Guide3.png'
@@ -21,67 +31,76 @@ import stepFour from '../images/Guide4.png'
 import stepFive from '../images/Guide5.png'
 import stepSix from '../images/Guide6.png'
 import stepSeven from '../images/Guide7.png'
-import { FiX } from 'react-icons/fi';
+import { FiX, FiCheckCircle, FiCircle, FiMinusCircle } from 'react-icons/fi';
 import DailyFix from '../images/DailyFix.png'
 
 
 
-// Onboarding steps configuration
-const ONBOARDING_STEPS = {
-  WELCOME: 'welcome',
-  PROTOCOL_SELECTION: 'protocol_selection',
-  MATRIX: 'matrix',
-  WHATSAPP: 'whatsapp',
-  COMPLETE: 'complete'
-};
-
 // Add step metadata
 const STEP_METADATA = {
   [ONBOARDING_STEPS.WELCOME]: {
     title: 'Welcome to DailyFix',
-    description: 'Let\'s get you set up with a secure messaging protocol.',
-    nextSteps: ['protocol_selection']
+    description: 'Let\'s get you set up with a secure messaging protocol.'
   },
   [ONBOARDING_STEPS.PROTOCOL_SELECTION]: {
-    title: 'Select Your Protocol',
-    description: 'Choose Matrix as your secure messaging protocol.',
-    nextSteps: ['matrix']
+    title: 'Select Your Platforms',
+    description: 'Choose the messaging platforms you want in your inbox.'
   },
   [ONBOARDING_STEPS.MATRIX]: {
     title: 'Connect Matrix',
-    description: 'Set up your Matrix account for secure messaging.',
-    nextSteps: ['whatsapp']
+    description: 'Set up the Matrix bridge your WhatsApp messages sync through.'
   },
   [ONBOARDING_STEPS.WHATSAPP]: {
     title: 'Connect WhatsApp',
-    description: 'Link your WhatsApp account to start syncing messages through Matrix.',
-    nextSteps: ['complete']
+    description: 'Link your WhatsApp account to start syncing messages through Matrix.'
+  },
+  [ONBOARDING_STEPS.TELEGRAM]: {
+    title: 'Connect Telegram',
+    description: 'Add your Telegram bot token to bring its conversations in.'
+  },
+  [ONBOARDING_STEPS.DISCORD]: {
+    title: 'Connect Discord',
+    description: 'Sign in with Discord to follow your servers and direct messages.'
+  },
+  [ONBOARDING_STEPS.SLACK]: {
+    title: 'Connect Slack',
+    description: 'Authorize DailyFix in your Slack workspace.'
   },
   [ONBOARDING_STEPS.COMPLETE]: {
     title: 'Setup Complete',
-    description: 'You\'re all set! Redirecting to dashboard...',
-    nextSteps: []
+    description: 'You\'re all set! Redirecting to dashboard...'
   }
 };
 
 // Step validation
-const isValidStep = (step) => Object.values(ONBOARDING_STEPS).includes(step);
-
-const getNextStep = (currentStep, connectedPlatforms = []) => {
-  switch (currentStep) {
-    case ONBOARDING_STEPS.WELCOME:
-      return ONBOARDING_STEPS.PROTOCOL_SELECTION;
-    case ONBOARDING_STEPS.PROTOCOL_SELECTION:
-      return ONBOARDING_STEPS.MATRIX;
-    case ONBOARDING_STEPS.MATRIX:
-      return connectedPlatforms.includes('matrix') ? ONBOARDING_STEPS.WHATSAPP : ONBOARDING_STEPS.MATRIX;
-    case ONBOARDING_STEPS.WHATSAPP:
-      return connectedPlatforms.includes('whatsapp') ? ONBOARDING_STEPS.COMPLETE : ONBOARDING_STEPS.WHATSAPP;
-    case ONBOARDING_STEPS.COMPLETE:
-      return null;
-    default:
-      return ONBOARDING_STEPS.WELCOME;
-  }
+const isValidStep = (step) => Boolean(STATE_CONFIG[step]);
+
+const CHECKLIST_ICONS = {
+  done: <FiCheckCircle className="w-4 h-4 text-green-500" />,
+  skipped: <FiMinusCircle className="w-4 h-4 text-gray-500" />,
+  current: <FiCircle className="w-4 h-4 text-primary" />,
+  pending: <FiCircle className="w-4 h-4 text-gray-600" />
+};
+
+// Progress through the steps for the picked platforms
+const OnboardingChecklist = () => {
+  const onboardingState = useSelector(selectOnboardingState);
+  const checklist = getOnboardingChecklist(onboardingState);
+
+  return (
+    <ol className="max-w-2xl mx-auto mb-8 flex flex-wrap justify-center gap-x-6 gap-y-2 text-sm">
+      {checklist.map(item => (
+        <li
+          key={item.step}
+          className={`flex items-center gap-2 ${item.state === 'current' ? 'text-white' : 'text-gray-400'}`}
+        >
+          {CHECKLIST_ICONS[item.state]}
+          {item.title}
+          {item.state === 'skipped' && <span className="text-gray-500">(skipped)</span>}
+        </li>
+      ))}
+    </ol>
+  );
 };
 
 // Default Matrix homeserver URL
@@ -263,7 +282,7 @@ const GuideModal = ({ isOpen, onClose }) => {
   );
 };
 
-const MatrixSetupStep = ({ onNext }) => {
+const MatrixSetupStep = ({ onNext, onSkip }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { loading, error, connectedPlatforms } = useSelector(state => state.onboarding);
@@ -276,6 +295,31 @@ const MatrixSetupStep = ({ onNext }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
   const [showGuide, setShowGuide] = useState(false);
+  const [initError, setInitError] = useState(null);
+  const initStartedRef = useRef(false);
+
+  // The bridge account is provisioned for the user, nothing to fill in
+  const initializeMatrix = useCallback(async () => {
+    setInitError(null);
+    try {
+      const response = await api.post('/matrix/auto-initialize');
+      if (response.data.status !== 'active') {
+        throw new Error(response.data.message || 'Failed to initialize Matrix connection');
+      }
+      await onNext({ matrixConnected: true });
+    } catch (error) {
+      logger.error('[MatrixSetupStep] Error:', error);
+      setInitError(error.response?.data?.message ||
+        error.message ||
+        'Failed to initialize connection. Please try again.');
+    }
+  }, [onNext]);
+
+  useEffect(() => {
+    if (initStartedRef.current) return;
+    initStartedRef.current = true;
+    initializeMatrix();
+  }, [initializeMatrix]);
 
   // Clear form error when credentials change
   useEffect(() => {
@@ -516,12 +560,40 @@ const MatrixSetupStep = ({ onNext }) => {
     //     onClose={() => setShowGuide(false)} 
     //   />
     // </div>
-    <div className='max-w-2xl mx-auto p-8'>
-      <h1>Preparing everything!!, Setting up Whatsapp.</h1>
+    <div className='max-w-2xl mx-auto p-8 text-center'>
+      {initError ? (
+        <>
+          <p className="text-red-400 mb-6">{initError}</p>
+          <div className="flex justify-center gap-3">
+            <button
+              onClick={initializeMatrix}
+              className="w-auto bg-primary hover:bg-primary-dark text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Try again
+            </button>
+            <button
+              onClick={onSkip}
+              className="w-auto text-gray-400 hover:text-white py-2 px-6 transition-colors"
+            >
+              Skip WhatsApp for now
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="animate-spin h-8 w-8 border-4 border-primary border-t-transparent rounded-full mx-auto mb-4"></div>
+          <p className="text-gray-300">Preparing everything, setting up WhatsApp...</p>
+        </>
+      )}
     </div>
   );
 };
 
+MatrixSetupStep.propTypes = {
+  onNext: PropTypes.func.isRequired,
+  onSkip: PropTypes.func.isRequired
+};
+
 const PlatformSelectionStep = ({ onNext }) => {
   const navigate = useNavigate();
   const [isConnecting, setIsConnecting] = useState(false);
@@ -549,9 +621,6 @@ const PlatformSelectionStep = ({ onNext }) => {
         throw new Error('No authentication token available');
       }
 
-      // Store fresh token
-      localStorage.setItem('auth_token', token);
-
       // Set auth header
       api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       
@@ -662,7 +731,7 @@ const PlatformSelectionStep = ({ onNext }) => {
   );
 };
 
-const WhatsAppSetupStep = () => {
+const WhatsAppSetupStep = ({ onConnected, onSkip }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { loading, error, matrixConnected, whatsappConnected, currentStep, isReloginFlow } = useSelector(selectOnboardingState);
@@ -705,18 +774,7 @@ const WhatsAppSetupStep = () => {
 
   const handleComplete = async () => {
     try {
-      await dispatch(updateOnboardingStep({ 
-        step: 'complete',
-        data: { 
-          whatsappConnected: true,
-          matrixConnected: true,
-          isComplete: true,
-          isReloginFlow: false,
-          connectedPlatforms: ['matrix', 'whatsapp']
-        }
-      })).unwrap();
-
-      navigate(ONBOARDING_ROUTES.COMPLETE, { replace: true });
+      await onConnected();
     } catch (error) {
       logger.error('[WhatsAppSetupStep] Error completing setup:', error);
       dispatch(setOnboardingError('Failed to complete setup. Please try again.'));
@@ -755,22 +813,143 @@ const WhatsAppSetupStep = () => {
           </button>
         </div>
       ) : (
-        <WhatsAppBridgeSetup onComplete={handleComplete} />
+        <>
+          <WhatsAppBridgeSetup onComplete={handleComplete} />
+          {!isReloginFlow && (
+            <div className="text-center mt-6">
+              <button
+                onClick={onSkip}
+                className="w-auto text-gray-400 hover:text-white transition-colors"
+              >
+                Skip for now
+              </button>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
 };
 
+WhatsAppSetupStep.propTypes = {
+  onConnected: PropTypes.func.isRequired,
+  onSkip: PropTypes.func.isRequired
+};
+
+// Telegram, Discord and Slack connect on their own pages, which send the
+// user back here once connected
+const ConnectPlatformStep = ({ platform, onConnected, onSkip }) => {
+  const navigate = useNavigate();
+  const [isChecking, setIsChecking] = useState(true);
+  const [isConnected, setIsConnected] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const metadata = STEP_METADATA[platform];
+
+  useEffect(() => {
+    let mounted = true;
+
+    const checkStatus = async () => {
+      try {
+        const response = await api.get(`/connect/${platform}/status`);
+        if (mounted) {
+          setIsConnected(['connected', 'active'].includes(String(response.data?.status).toLowerCase()));
+        }
+      } catch (error) {
+        logger.error('[ConnectPlatformStep] Status check failed:', { platform, error: error.message });
+      } finally {
+        if (mounted) {
+          setIsChecking(false);
+        }
+      }
+    };
+
+    setIsChecking(true);
+    checkStatus();
+    return () => {
+      mounted = false;
+    };
+  }, [platform]);
+
+  const handleConnect = () => {
+    rememberConnectReturn(`/onboarding/${platform}`);
+    navigate(`/connect/${platform}`);
+  };
+
+  const handleContinue = async () => {
+    setIsSubmitting(true);
+    try {
+      await onConnected();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isChecking) {
+    return (
+      <div className="max-w-lg mx-auto text-center p-8">
+        <div className="animate-spin h-8 w-8 border-4 border-primary border-t-transparent rounded-full mx-auto mb-4"></div>
+        <p className="text-gray-300">Checking connection status...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-lg mx-auto p-8 text-center">
+      <div className="text-4xl mb-4">{PLATFORM_CONFIGS[platform].icon}</div>
+      <h2 className="text-2xl font-bold mb-4">{metadata.title}</h2>
+      {isConnected ? (
+        <>
+          <p className="text-green-400 mb-8">{PLATFORM_CONFIGS[platform].name} connected successfully!</p>
+          <button
+            onClick={handleContinue}
+            disabled={isSubmitting}
+            className="w-auto px-6 py-2 bg-primary text-white rounded hover:bg-primary-dark transition-colors disabled:opacity-50"
+          >
+            Continue
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="text-gray-300 mb-8">{metadata.description}</p>
+          <div className="flex justify-center gap-3">
+            <button
+              onClick={handleConnect}
+              className="w-auto bg-primary hover:bg-primary-dark text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Connect {PLATFORM_CONFIGS[platform].name}
+            </button>
+            <button
+              onClick={onSkip}
+              className="w-auto text-gray-400 hover:text-white py-2 px-6 transition-colors"
+            >
+              Skip for now
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+ConnectPlatformStep.propTypes = {
+  platform: PropTypes.oneOf(['telegram', 'discord', 'slack']).isRequired,
+  onConnected: PropTypes.func.isRequired,
+  onSkip: PropTypes.func.isRequired
+};
+
 const CompletionStep = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
+  const { connectedPlatforms, pendingPlatforms } = useSelector(selectOnboardingState);
   const [hasAttempted, setHasAttempted] = useState(false);
+  // Platforms added from settings go back there once done
+  const [donePath] = useState(pendingPlatforms.length ? '/settings/platforms' : '/dashboard');
 
   useEffect(() => {
     const redirectToDashboard = async () => {
       // If we've already attempted to update, just redirect
       if (hasAttempted) {
-        navigate('/dashboard', { replace: true });
+        navigate(donePath, { replace: true });
         return;
       }
 
@@ -780,24 +959,23 @@ const CompletionStep = () => {
         await dispatch(updateOnboardingStep({ 
           step: 'complete',
           data: { 
-            whatsappConnected: true,
-            matrixConnected: true,
             isComplete: true,
-            connectedPlatforms: ['matrix', 'whatsapp']
+            connectedPlatforms,
+            pendingPlatforms: []
           }
         })).unwrap();
-        navigate('/dashboard', { replace: true });
+        navigate(donePath, { replace: true });
       } catch (error) {
         // Log error but continue to dashboard
         console.error('Error in completion step:', error);
         // Single error toast instead of multiple
         toast.error('Note: Failed to save onboarding status, but continuing to dashboard...');
-        navigate('/dashboard', { replace: true });
+        navigate(donePath, { replace: true });
       }
     };
 
     redirectToDashboard();
-  }, [dispatch, navigate, hasAttempted]);
+  }, [dispatch, navigate, hasAttempted, connectedPlatforms, donePath]);
 
   return (
     <div className="max-w-lg mx-auto text-center p-8">
@@ -812,7 +990,8 @@ const Onboarding = () => {
   const location = useLocation();
   const dispatch = useDispatch();
   const { session } = useSelector(state => state.auth);
-  const { currentStep, isComplete } = useSelector(state => state.onboarding);
+  const onboardingState = useSelector(selectOnboardingState);
+  const { currentStep, connectedPlatforms, skippedPlatforms } = onboardingState;
   const navigationAttemptedRef = useRef(false);
 
   useEffect(() => {
@@ -825,8 +1004,9 @@ const Onboarding = () => {
       try {
         const status = await onboardingService.getOnboardingStatus(true);
         
-        // If onboarding is complete, redirect to dashboard
-        if (status.isComplete && status.whatsappConnected && status.matrixConnected) {
+        // If onboarding is complete, redirect to dashboard unless a
+        // platform is being added from settings
+        if (status.isComplete && !status.pendingPlatforms?.length) {
           navigate('/dashboard', { replace: true });
           return;
         }
@@ -861,31 +1041,74 @@ const Onboarding = () => {
     };
   }, []);
 
-  const handleStepChange = async (nextStep) => {
+  const handleStepChange = async (nextStep, data) => {
     try {
-      await dispatch(updateOnboardingStep({ step: nextStep })).unwrap();
+      await dispatch(updateOnboardingStep({ step: nextStep, data })).unwrap();
       if (nextStep === 'complete') {
         navigationAttemptedRef.current = true;
-        navigate('/dashboard', { replace: true });
-      } else {
-        navigate(`/onboarding/${nextStep}`);
       }
+      navigate(`/onboarding/${nextStep}`);
     } catch (error) {
       console.error('Error changing step:', error);
       toast.error('Failed to proceed to next step. Please try again.');
     }
   };
 
+  // Saves what the step changed and moves on to the next step still
+  // waiting on the user, so leaving mid-way resumes there
+  const advance = (data) => handleStepChange(getResumeStep({ ...onboardingState, ...data }), data);
+
+  const markConnected = (platforms, data = {}) => advance({
+    ...data,
+    connectedPlatforms: [...new Set([...connectedPlatforms, ...platforms])]
+  });
+
+  const skip = (platform) => advance({
+    skippedPlatforms: [...new Set([...skippedPlatforms, platform])]
+  });
+
   const renderStep = () => {
     switch (currentStep) {
       case ONBOARDING_STEPS.WELCOME:
         return <WelcomeStep onNext={handleStepChange} />;
       case ONBOARDING_STEPS.PROTOCOL_SELECTION:
-        return <ProtocolSelection onNext={() => handleStepChange(ONBOARDING_STEPS.MATRIX)} />;
+        return (
+          <ProtocolSelection
+            onNext={(selectedPlatforms) => advance({
+              selectedPlatforms,
+              skippedPlatforms: skippedPlatforms.filter(platform => selectedPlatforms.includes(platform))
+            })}
+          />
+        );
       case ONBOARDING_STEPS.MATRIX:
-        return <MatrixSetupStep onNext={() => handleStepChange(ONBOARDING_STEPS.WHATSAPP)} />;
+        return (
+          <MatrixSetupStep
+            onNext={() => markConnected(['matrix'], { matrixConnected: true })}
+            onSkip={() => skip(ONBOARDING_STEPS.WHATSAPP)}
+          />
+        );
       case ONBOARDING_STEPS.WHATSAPP:
-        return <WhatsAppSetupStep />;
+        return (
+          <WhatsAppSetupStep
+            onConnected={() => markConnected(['matrix', 'whatsapp'], {
+              whatsappConnected: true,
+              matrixConnected: true,
+              isReloginFlow: false
+            })}
+            onSkip={() => skip(ONBOARDING_STEPS.WHATSAPP)}
+          />
+        );
+      case ONBOARDING_STEPS.TELEGRAM:
+      case ONBOARDING_STEPS.DISCORD:
+      case ONBOARDING_STEPS.SLACK:
+        return (
+          <ConnectPlatformStep
+            key={currentStep}
+            platform={currentStep}
+            onConnected={() => markConnected([currentStep])}
+            onSkip={() => skip(currentStep)}
+          />
+        );
       case ONBOARDING_STEPS.COMPLETE:
         return <CompletionStep />;
       default:
@@ -893,9 +1116,12 @@ const Onboarding = () => {
     }
   };
 
+  const showChecklist = ![ONBOARDING_STEPS.WELCOME, ONBOARDING_STEPS.COMPLETE].includes(currentStep);
+
   return (
     <div className="min-h-screen bg-dark text-white">
       <div className="container mx-auto py-12">
+        {showChecklist && <OnboardingChecklist />}
         {renderStep()}
       </div>
     </div>
@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { FiArrowLeft, FiRefreshCw } from 'react-icons/fi';
+import { connectionHealthService } from '../services/connectionHealthService';
+import { ONBOARDING_PLATFORMS } from '../services/onboardingService';
+import { addOnboardingPlatform, selectOnboardingState } from '../store/slices/onboardingSlice';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
+import logger from '../utils/logger';
+
+const buttonClass = 'flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132] disabled:opacity-50';
+const primaryButtonClass = 'flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50';
+
+// Discord reports its status in capitals
+const isConnectedStatus = (status) => ['connected', 'active'].includes(String(status).toLowerCase());
+
+const Section = ({ title, children }) => (
+  <div className="bg-[#24283b] rounded-lg p-4 space-y-3">
+    <h3 className="text-sm font-medium text-gray-400">{title}</h3>
+    {children}
+  </div>
+);
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * Platforms connected so far, and a way back into the onboarding wizard for
+ * the ones skipped or never picked
+ */
+const PlatformSettings = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { skippedPlatforms } = useSelector(selectOnboardingState);
+  const [statuses, setStatuses] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(null);
+
+  const loadStatuses = useCallback(async () => {
+    setLoading(true);
+    try {
+      const platforms = await connectionHealthService.getPlatformStatuses();
+      setStatuses(Object.fromEntries(platforms.map(platform => [platform.platform, platform])));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatuses();
+  }, [loadStatuses]);
+
+  const handleConnect = async (platform) => {
+    setAdding(platform);
+    try {
+      const step = await dispatch(addOnboardingPlatform(platform)).unwrap();
+      navigate(`/onboarding/${step}`);
+    } catch (error) {
+      logger.error('[PlatformSettings] Failed to add platform:', error);
+      toast.error(`Could not start connecting ${PLATFORM_CONFIGS[platform].name}`);
+      setAdding(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-dark text-white p-6">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="w-auto p-2 rounded-md text-gray-400 hover:text-white hover:bg-[#1e2132]"
+            title="Back to dashboard"
+          >
+            <FiArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-2xl font-semibold">Platforms</h2>
+          <button onClick={loadStatuses} className={`${buttonClass} ml-auto`}>
+            <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        <Section title="Messaging platforms">
+          <div className="divide-y divide-gray-700">
+            {ONBOARDING_PLATFORMS.map(platform => {
+              const status = statuses[platform];
+              const connected = isConnectedStatus(status?.status);
+              return (
+                <div key={platform} className="flex items-center gap-3 py-3">
+                  <span className="text-2xl">{PLATFORM_CONFIGS[platform].icon}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm text-white">{PLATFORM_CONFIGS[platform].name}</div>
+                    <div className="text-xs text-gray-500">
+                      {!status
+                        ? 'Checking...'
+                        : connected
+                          ? 'Connected'
+                          : skippedPlatforms.includes(platform)
+                            ? 'Skipped during setup'
+                            : 'Not connected'}
+                    </div>
+                  </div>
+                  {status && !connected && (
+                    <button
+                      onClick={() => handleConnect(platform)}
+                      disabled={Boolean(adding)}
+                      className={primaryButtonClass}
+                    >
+                      {adding === platform ? 'Opening setup...' : 'Connect'}
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default PlatformSettings;
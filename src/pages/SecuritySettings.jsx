@@ -0,0 +1,401 @@
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { format, formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { FiArrowLeft, FiCopy, FiDownload, FiShield, FiLink, FiMonitor, FiSmartphone } from 'react-icons/fi';
+import { securityService, OAUTH_PROVIDERS, SIGN_IN_METHOD_LABELS } from '../services/securityService';
+import { selectWorkspaces } from '../store/slices/workspaceSlice';
+import { signOut } from '../store/slices/authSlice';
+import logger from '../utils/logger';
+
+const inputClass = 'w-full bg-[#1a1b26] text-white text-sm px-2 py-1.5 rounded-md border border-gray-700 focus:outline-none focus:ring-1 focus:ring-[#1e6853] placeholder-gray-500';
+const buttonClass = 'flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm text-gray-300 hover:text-white hover:bg-[#1e2132] disabled:opacity-50';
+const primaryButtonClass = 'flex items-center gap-2 w-auto px-3 py-1.5 rounded-md text-sm bg-[#1e6853] text-white hover:bg-[#1e6853]/80 disabled:opacity-50';
+
+const identityLabel = (provider) => provider === 'email' ? 'Email and password' : SIGN_IN_METHOD_LABELS[provider] || provider;
+
+// Order matters: Edge and Chrome both claim to be Safari, Edge also claims Chrome
+const BROWSERS = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+const MOBILE_PATTERN = /Mobi|iPhone|iPad|Android/;
+
+// "Chrome on macOS" from a user agent string
+const describeDevice = (userAgent) => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const Section = ({ title, children }) => (
+  <div className="bg-[#24283b] rounded-lg p-4 space-y-3">
+    <h3 className="text-sm font-medium text-gray-400">{title}</h3>
+    {children}
+  </div>
+);
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+// Shown once, right after they are issued; they can't be fetched again
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      logger.error('[SecuritySettings] Failed to copy recovery codes:', error);
+      toast.error('Could not copy the recovery codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'dailyfix-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3 p-3 rounded-lg bg-[#1a1b26] border border-yellow-500/40">
+      <p className="text-sm text-yellow-300">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They won&apos;t be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm text-white">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={handleCopy} className={buttonClass}>
+          <FiCopy className="w-4 h-4" />
+          Copy
+        </button>
+        <button onClick={handleDownload} className={buttonClass}>
+          <FiDownload className="w-4 h-4" />
+          Download
+        </button>
+        <button onClick={onDone} className={`${primaryButtonClass} ml-auto`}>
+          I&apos;ve saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDone: PropTypes.func.isRequired
+};
+
+/**
+ * Two-factor authentication, the sign-in methods linked to the account and
+ * the devices it is signed in on
+ */
+const SecuritySettings = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const workspaces = useSelector(selectWorkspaces);
+  const [mfa, setMfa] = useState(null);
+  const [remainingCodes, setRemainingCodes] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [identities, setIdentities] = useState([]);
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const requiringWorkspaces = workspaces.filter(workspace => workspace.requireMfa);
+
+  const load = useCallback(async () => {
+    try {
+      const [status, linked] = await Promise.all([
+        securityService.getMfaStatus(),
+        securityService.listIdentities()
+      ]);
+      setMfa(status);
+      setIdentities(linked);
+      setRemainingCodes(status.enabled ? await securityService.getRemainingRecoveryCodes() : null);
+    } catch (error) {
+      logger.error('[SecuritySettings] Failed to load security settings:', error);
+      toast.error('Failed to load security settings');
+    }
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await securityService.listSessions());
+    } catch (error) {
+      logger.error('[SecuritySettings] Failed to load sessions:', error);
+      toast.error('Failed to load signed-in devices');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    loadSessions();
+  }, [load, loadSessions]);
+
+  // Linking a provider comes back here, with an error in the URL if it failed
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search || window.location.hash.slice(1));
+    const error = params.get('error_description');
+    if (error) {
+      toast.error(error);
+      navigate('/settings/security', { replace: true });
+    }
+  }, [navigate]);
+
+  // Runs a security change, toasting its error instead of throwing
+  const run = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      return await action();
+    } catch (error) {
+      toast.error(error.message || failureMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartEnrollment = async () => {
+    const started = await run(() => securityService.startTotpEnrollment(), 'Could not start two-factor setup');
+    if (started) {
+      setEnrollment(started);
+      setCode('');
+    }
+  };
+
+  const handleConfirmEnrollment = async (event) => {
+    event.preventDefault();
+    const codes = await run(
+      () => securityService.confirmTotpEnrollment(enrollment.factorId, code),
+      'That code is not valid'
+    );
+    if (codes) {
+      setEnrollment(null);
+      setRecoveryCodes(codes);
+      toast.success('Two-factor authentication is on');
+      load();
+    }
+  };
+
+  const handleNewCodes = async () => {
+    if (!window.confirm('Create new recovery codes? The ones you have now will stop working.')) return;
+    const codes = await run(() => securityService.generateRecoveryCodes(), 'Could not create recovery codes');
+    if (codes) {
+      setRecoveryCodes(codes);
+      setRemainingCodes(codes.length);
+    }
+  };
+
+  const handleDisable = async () => {
+    const warning = requiringWorkspaces.length
+      ? ` You won't be able to open ${requiringWorkspaces.map(workspace => workspace.name).join(', ')} without it.`
+      : '';
+    if (!window.confirm(`Turn off two-factor authentication?${warning}`)) return;
+    const done = await run(() => securityService.disableTotp(mfa.factorId).then(() => true), 'Could not turn off two-factor');
+    if (done) {
+      toast.success('Two-factor authentication is off');
+      load();
+    }
+  };
+
+  const handleLink = (provider) => {
+    run(() => securityService.linkProvider(provider), `Could not link ${SIGN_IN_METHOD_LABELS[provider]}`);
+  };
+
+  const handleUnlink = async (identity) => {
+    if (!window.confirm(`Stop signing in with ${identityLabel(identity.provider)}?`)) return;
+    const done = await run(() => securityService.unlinkIdentity(identity).then(() => true), 'Could not unlink');
+    if (done) load();
+  };
+
+  const handleRevokeSession = async (session) => {
+    if (!window.confirm(`Sign out ${describeDevice(session.userAgent)}?`)) return;
+    const done = await run(() => securityService.revokeSession(session.id).then(() => true), 'Could not sign out that device');
+    if (done) {
+      toast.success('Device signed out');
+      loadSessions();
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    const done = await run(() => dispatch(signOut({ everywhere: true })).unwrap().then(() => true), 'Could not sign out everywhere');
+    if (done) {
+      navigate('/login', { replace: true });
+    }
+  };
+
+  const linkedProviders = identities.map(identity => identity.provider);
+
+  return (
+    <div className="min-h-screen bg-dark text-white p-6">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="w-auto p-2 rounded-md text-gray-400 hover:text-white hover:bg-[#1e2132]"
+            title="Back to dashboard"
+          >
+            <FiArrowLeft className="w-5 h-5" />
+          </button>
+          <h2 className="text-2xl font-semibold">Security</h2>
+        </div>
+
+        <Section title="Two-factor authentication">
+          {!mfa ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : mfa.enabled ? (
+            <div className="space-y-3">
+              <div className="flex items-center gap-2">
+                <FiShield className="w-4 h-4 text-green-400" />
+                <span className="text-sm">On — sign-in asks for a code from your authenticator app</span>
+              </div>
+              {remainingCodes != null && (
+                <p className={`text-xs ${remainingCodes <= 2 ? 'text-yellow-300' : 'text-gray-400'}`}>
+                  {remainingCodes} recovery code{remainingCodes === 1 ? '' : 's'} left
+                </p>
+              )}
+              <div className="flex gap-2">
+                <button onClick={handleNewCodes} disabled={busy} className={buttonClass}>
+                  New recovery codes
+                </button>
+                <button onClick={handleDisable} disabled={busy} className={`${buttonClass} text-red-400 hover:text-red-300`}>
+                  Turn off
+                </button>
+              </div>
+            </div>
+          ) : enrollment ? (
+            <form onSubmit={handleConfirmEnrollment} className="space-y-3">
+              <p className="text-sm text-gray-300">
+                Scan this code with an authenticator app such as Google Authenticator or 1Password,
+                then enter the 6-digit code it shows.
+              </p>
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-40 h-40 bg-white rounded p-2" />
+              <p className="text-xs text-gray-400">
+                Can&apos;t scan? Enter this key instead: <span className="font-mono text-gray-200 break-all">{enrollment.secret}</span>
+              </p>
+              <div className="flex gap-2 max-w-xs">
+                <input
+                  className={inputClass}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  pattern="[0-9]{6}"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  required
+                />
+                <button type="submit" disabled={busy} className={primaryButtonClass}>
+                  Confirm
+                </button>
+                <button type="button" onClick={() => setEnrollment(null)} className={buttonClass}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-300">
+                Your account can read customer chats. Add a second step to sign-in so a leaked
+                password isn&apos;t enough to get in.
+              </p>
+              {requiringWorkspaces.length > 0 && (
+                <p className="text-sm text-yellow-300">
+                  Required by {requiringWorkspaces.map(workspace => workspace.name).join(', ')}
+                </p>
+              )}
+              <button onClick={handleStartEnrollment} disabled={busy} className={primaryButtonClass}>
+                <FiShield className="w-4 h-4" />
+                Set up two-factor
+              </button>
+            </div>
+          )}
+          {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+        </Section>
+
+        <Section title="Sign-in methods">
+          <div className="space-y-2">
+            {identities.map(identity => (
+              <div key={identity.id} className="flex items-center gap-3 p-3 rounded-lg bg-[#1a1b26]">
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm">{identityLabel(identity.provider)}</div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {identity.email}
+                    {identity.lastSignInAt && ` · last used ${format(new Date(identity.lastSignInAt), 'MMM d, yyyy')}`}
+                  </div>
+                </div>
+                {identities.length > 1 && (
+                  <button onClick={() => handleUnlink(identity)} disabled={busy} className={buttonClass}>
+                    Unlink
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            {OAUTH_PROVIDERS.filter(provider => !linkedProviders.includes(provider)).map(provider => (
+              <button key={provider} onClick={() => handleLink(provider)} disabled={busy} className={buttonClass}>
+                <FiLink className="w-4 h-4" />
+                Link {SIGN_IN_METHOD_LABELS[provider]}
+              </button>
+            ))}
+          </div>
+        </Section>
+
+        <Section title="Where you're signed in">
+          {!sessions ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : (
+            <div className="space-y-2">
+              {sessions.map(session => {
+                const DeviceIcon = MOBILE_PATTERN.test(session.userAgent) ? FiSmartphone : FiMonitor;
+                return (
+                  <div key={session.id} className="flex items-center gap-3 p-3 rounded-lg bg-[#1a1b26]">
+                    <DeviceIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm">
+                        {describeDevice(session.userAgent)}
+                        {session.current && <span className="ml-2 text-xs text-green-400">This device</span>}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate" title={session.userAgent}>
+                        {session.ip || 'Unknown IP'}
+                        {session.lastSeenAt && ` · last seen ${formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}`}
+                        {session.aal === 'aal2' && ' · two-factor verified'}
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button onClick={() => handleRevokeSession(session)} disabled={busy} className={buttonClass}>
+                        Sign out
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <button
+            onClick={handleSignOutEverywhere}
+            disabled={busy}
+            className={`${buttonClass} text-red-400 hover:text-red-300`}
+          >
+            Sign out everywhere
+          </button>
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -4,11 +4,13 @@ import { useNavigate, Link } from 'react-router-dom';
 import { useDispatch } from 'react-redux';
 import supabase from '../utils/supabase';
 import api from '../utils/api';
+import { authStorage } from '../utils/secureStorage';
 import '../styles/Login.css';
 import logger from '../utils/logger';
 import { updateSession } from '../store/slices/authSlice';
 import { toast } from 'react-toastify';
 import { FiEye, FiEyeOff } from 'react-icons/fi';
+import OAuthButtons from '../components/OAuthButtons';
 
 const getURL = () => {
   let url;
@@ -111,13 +113,13 @@ const Signup = () => {
         // Store complete session in Redux
         dispatch(updateSession({ session: data.session }));
         
-        // Store auth data in localStorage
+        // Store auth data, encrypted at rest
         const authData = {
           access_token: data.session.access_token,
           refresh_token: data.session.refresh_token,
           expires_at: data.session.expires_at
         };
-        localStorage.setItem('dailyfix_auth', JSON.stringify(authData));
+        authStorage.set(JSON.stringify(authData));
         
         // Update API headers
         api.defaults.headers.common['Authorization'] = `Bearer ${data.session.access_token}`;
@@ -257,6 +259,12 @@ const Signup = () => {
             {isLoading ? 'Signing up...' : 'Sign Up'}
           </button>
         </form>
+        <div className="flex items-center gap-3 my-4 text-xs text-gray-500">
+          <div className="flex-1 border-t border-gray-700" />
+          or
+          <div className="flex-1 border-t border-gray-700" />
+        </div>
+        <OAuthButtons variant="dark" disabled={isLoading} />
         <p className="text-center text-gray-400 mt-4">
           Already have an account? <Link to="/login" className="text-primary hover:text-primary/80">Login</Link>
         </p>
@@ -7,16 +7,26 @@ import Dashboard from '../pages/Dashboard';
 import Onboarding from '../pages/Onboarding';
 import { ForgotPassword } from '../pages/Signup';
 import ResetPassword from '../pages/ResetPassword';
+import ConnectionHealth from '../pages/ConnectionHealth';
+import AuthCallback from '../pages/AuthCallback';
+import SecuritySettings from '../pages/SecuritySettings';
+import PlatformSettings from '../pages/PlatformSettings';
+import SlackConnection from '../components/SlackConnection';
+import SlackCallback from '../components/SlackCallback';
+import TelegramConnection from '../components/TelegramConnection';
+import DiscordConnection from '../components/DiscordConnection';
 import logger from '../utils/logger';
 
 const AppRoutes = () => {
   const { session } = useSelector(state => state.auth);
-  const { matrixConnected, whatsappConnected, isComplete, currentStep } = useSelector(state => state.onboarding);
+  const { isComplete, currentStep, pendingPlatforms } = useSelector(state => state.onboarding);
+  // Platforms added from settings run through the wizard after completion
+  const inWizard = !isComplete || pendingPlatforms.length > 0;
 
   // Helper function to determine where to redirect after login/signup
   const getPostAuthRedirect = () => {
-    // If onboarding is complete or both platforms are connected, go to dashboard
-    if (isComplete && (matrixConnected && whatsappConnected)) {
+    // Onboarding is complete once every picked platform is connected or skipped
+    if (isComplete) {
       logger.info('[AppRoutes] Redirecting to dashboard - onboarding complete');
       return '/dashboard';
     }
@@ -49,6 +59,11 @@ const AppRoutes = () => {
         } 
       />
 
+      <Route
+        path="/auth/callback"
+        element={session ? <Navigate to={getPostAuthRedirect()} replace /> : <AuthCallback />}
+      />
+
       <Route path="/forgot-password" element={<ForgotPassword />} />
       <Route path="/reset-password" element={<ResetPassword />} />
 
@@ -58,7 +73,7 @@ const AppRoutes = () => {
         element={
           !session ? (
             <Navigate to="/login" replace />
-          ) : !isComplete && (!matrixConnected || !whatsappConnected) ? (
+          ) : !isComplete ? (
             <Navigate to={getPostAuthRedirect()} replace />
           ) : (
             <Dashboard />
@@ -66,13 +81,46 @@ const AppRoutes = () => {
         }
       />
 
+      <Route
+        path="/diagnostics"
+        element={!session ? <Navigate to="/login" replace /> : <ConnectionHealth />}
+      />
+
+      <Route
+        path="/settings/security"
+        element={!session ? <Navigate to="/login" replace /> : <SecuritySettings />}
+      />
+
+      <Route
+        path="/settings/platforms"
+        element={!session ? <Navigate to="/login" replace /> : <PlatformSettings />}
+      />
+
+      {/* Platform Connection Routes */}
+      <Route
+        path="/connect/telegram"
+        element={!session ? <Navigate to="/login" replace /> : <TelegramConnection />}
+      />
+      <Route
+        path="/connect/discord"
+        element={!session ? <Navigate to="/login" replace /> : <DiscordConnection />}
+      />
+      <Route
+        path="/connect/slack"
+        element={!session ? <Navigate to="/login" replace /> : <SlackConnection />}
+      />
+      <Route
+        path="/oauth/slack/callback"
+        element={!session ? <Navigate to="/login" replace /> : <SlackCallback />}
+      />
+
       {/* Onboarding Routes */}
       <Route
         path="/onboarding"
         element={
           !session ? (
             <Navigate to="/login" replace />
-          ) : isComplete || (matrixConnected && whatsappConnected) ? (
+          ) : !inWizard ? (
             <Navigate to="/dashboard" replace />
           ) : (
             <Navigate to={getPostAuthRedirect()} replace />
@@ -85,7 +133,7 @@ const AppRoutes = () => {
         element={
           !session ? (
             <Navigate to="/login" replace />
-          ) : isComplete || (matrixConnected && whatsappConnected) ? (
+          ) : !inWizard ? (
             <Navigate to="/dashboard" replace />
           ) : (
             <Onboarding />
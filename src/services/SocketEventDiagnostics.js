@@ -0,0 +1,116 @@
+import logger from '../utils/logger';
+
+// Entries kept for the diagnostics view, oldest dropped first
+const MAX_ENTRIES = 100;
+// Payloads are stored as JSON previews so a huge message can't bloat memory
+const MAX_PAYLOAD_LENGTH = 2000;
+
+export const DIAGNOSTIC_KINDS = {
+  REJECTED: 'rejected',
+  HANDLER_ERROR: 'handler_error',
+  PROTOCOL: 'protocol'
+};
+
+const previewPayload = (payload) => {
+  if (payload === undefined) return '';
+  try {
+    const json = JSON.stringify(payload, null, 2);
+    return json.length > MAX_PAYLOAD_LENGTH ? `${json.slice(0, MAX_PAYLOAD_LENGTH)}…` : json;
+  } catch {
+    return String(payload);
+  }
+};
+
+/**
+ * Record of socket events that broke the contract in socketEvents.js:
+ * payloads that failed validation, handlers that threw, and protocol
+ * version mismatches found during the authenticate handshake.
+ */
+class SocketEventDiagnostics {
+  constructor() {
+    this.entries = [];
+    this.protocol = {
+      clientVersion: null,
+      serverVersion: null,
+      negotiatedVersion: null
+    };
+    this.listeners = new Set();
+    this.nextId = 1;
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  _notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(listener => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        logger.error('[SocketEventDiagnostics] Listener failed:', error);
+      }
+    });
+  }
+
+  _record(entry) {
+    this.entries = [
+      { id: this.nextId++, at: Date.now(), ...entry },
+      ...this.entries
+    ].slice(0, MAX_ENTRIES);
+    this._notify();
+  }
+
+  recordRejected(event, payload, errors, direction = 'incoming') {
+    this._record({
+      kind: DIAGNOSTIC_KINDS.REJECTED,
+      event,
+      direction,
+      errors,
+      payload: previewPayload(payload)
+    });
+  }
+
+  recordHandlerError(event, payload, error) {
+    this._record({
+      kind: DIAGNOSTIC_KINDS.HANDLER_ERROR,
+      event,
+      direction: 'incoming',
+      errors: [error?.message || String(error)],
+      payload: previewPayload(payload)
+    });
+  }
+
+  /**
+   * Stores the outcome of the handshake; a null negotiated version means the
+   * server speaks no version this client supports
+   */
+  setProtocol({ clientVersion, serverVersion, negotiatedVersion }) {
+    this.protocol = { clientVersion, serverVersion, negotiatedVersion };
+    if (negotiatedVersion == null) {
+      this._record({
+        kind: DIAGNOSTIC_KINDS.PROTOCOL,
+        event: 'auth:success',
+        direction: 'incoming',
+        errors: [`Server speaks protocol ${serverVersion}, client supports ${clientVersion}`],
+        payload: ''
+      });
+    } else {
+      this._notify();
+    }
+  }
+
+  getSnapshot() {
+    return { entries: this.entries, protocol: this.protocol };
+  }
+
+  clear() {
+    this.entries = [];
+    this._notify();
+  }
+}
+
+export const socketEventDiagnostics = new SocketEventDiagnostics();
@@ -3,17 +3,27 @@ import logger from '../utils/logger';
 
 const HEALTH_CHECK_INTERVAL = 10000; // 10 seconds
 const MAX_MISSED_HEARTBEATS = 3;
+// Round trips kept for the connection health page
+const MAX_LATENCY_SAMPLES = 30;
 
 class SocketHealthMonitor {
   constructor() {
     this.missedHeartbeats = 0;
     this.lastHeartbeat = Date.now();
     this.isMonitoring = false;
+    this.monitorCount = 0; // callers of startMonitoring yet to stop
     this.healthCheckInterval = null;
     this.listeners = new Set();
+    this.latencyHistory = []; // { at, latency } oldest first
+    this.lastError = null; // { message, at }
   }
 
+  /**
+   * Monitoring runs until every caller of startMonitoring has called
+   * stopMonitoring
+   */
   startMonitoring() {
+    this.monitorCount += 1;
     if (this.isMonitoring) return;
     
     this.isMonitoring = true;
@@ -25,6 +35,9 @@ class SocketHealthMonitor {
   }
 
   stopMonitoring() {
+    this.monitorCount = Math.max(0, this.monitorCount - 1);
+    if (this.monitorCount > 0) return;
+
     this.isMonitoring = false;
     if (this.healthCheckInterval) {
       clearInterval(this.healthCheckInterval);
@@ -46,6 +59,7 @@ class SocketHealthMonitor {
       }
 
       // Send heartbeat
+      const sentAt = Date.now();
       const response = await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
           reject(new Error('Heartbeat timeout'));
@@ -60,12 +74,17 @@ class SocketHealthMonitor {
       if (response?.status === 'ok') {
         this.missedHeartbeats = 0;
         this.lastHeartbeat = Date.now();
+        this.latencyHistory = [
+          ...this.latencyHistory,
+          { at: this.lastHeartbeat, latency: this.lastHeartbeat - sentAt }
+        ].slice(-MAX_LATENCY_SAMPLES);
         this.notifyHealthy();
       } else {
         this.handleMissedHeartbeat();
       }
     } catch (error) {
       logger.info('[SocketHealth] Health check failed:', error);
+      this.lastError = { message: error.message, at: Date.now() };
       this.handleMissedHeartbeat();
     }
   }
@@ -90,6 +109,7 @@ class SocketHealthMonitor {
   }
 
   notifyUnhealthy(reason) {
+    this.lastError = { message: reason, at: Date.now() };
     this.listeners.forEach(listener => {
       listener({
         healthy: false,
@@ -112,7 +132,9 @@ class SocketHealthMonitor {
       healthy: this.missedHeartbeats < MAX_MISSED_HEARTBEATS,
       lastHeartbeat: this.lastHeartbeat,
       missedHeartbeats: this.missedHeartbeats,
-      isMonitoring: this.isMonitoring
+      isMonitoring: this.isMonitoring,
+      latencyHistory: this.latencyHistory,
+      lastError: this.lastError
     };
   }
 }
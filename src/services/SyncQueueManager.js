@@ -1,5 +1,7 @@
 import { executeAtomically } from '../utils/atomicOperations';
 import logger from '../utils/logger';
+import { syncJobStore } from './syncJobStore';
+import { tabCoordinator, TAB_MESSAGES, TAB_ROLES } from './TabCoordinator';
 
 const QUEUE_PRIORITIES = {
   HIGH: 0,
@@ -13,53 +15,295 @@ const SYNC_PRIORITIES = {
   'contacts': QUEUE_PRIORITIES.LOW
 };
 
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export const isJobFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// Thrown by a running sync that stopped at a checkpoint because its queue was paused
+export class SyncPausedError extends Error {
+  constructor() {
+    super('Sync paused');
+    this.name = 'SyncPausedError';
+  }
+}
+
+// Queue changes a follower tab asks the leader to make
+const FORWARDED_COMMANDS = ['queueSync', 'retryJob', 'clearFinished', 'pauseQueue', 'resumeQueue'];
+
+// Accepts a numeric priority or one of the QUEUE_PRIORITIES names
+const resolvePriority = (priority, type) => {
+  if (typeof priority === 'number') return priority;
+  return QUEUE_PRIORITIES[priority] ?? SYNC_PRIORITIES[type] ?? QUEUE_PRIORITIES.LOW;
+};
+
 class SyncQueueManager {
   constructor() {
     this.queues = new Map(); // userId -> Array<QueueItem>
-    this.activeSync = new Map(); // userId -> { type, promise }
+    this.activeSync = new Map(); // userId -> { type, promise, item }
+    this.jobs = new Map(); // jobId -> job record (mirrors IndexedDB)
+    this.runners = new Map(); // type -> (userId, context) => Promise
+    this.listeners = new Set();
+    this.jobWaiters = new Map(); // jobId -> Array<{ resolve, reject }>, in follower tabs
+    this.restoredUsers = new Set();
     this.maxConcurrentSyncs = 3;
     this.activeSyncCount = 0;
+
+    // Only the leader tab runs syncs. Followers mirror its jobs and send
+    // their queue changes to it.
+    tabCoordinator.on(TAB_MESSAGES.SYNC_JOB, (job) => this._applyRemoteJob(job));
+    tabCoordinator.respond(TAB_MESSAGES.SYNC_COMMAND, ({ method, args }) => this._runCommand(method, args));
+    tabCoordinator.onRoleChange((role) => {
+      if (role === TAB_ROLES.LEADER) {
+        this._takeOver();
+      }
+    });
+  }
+
+  _forwardToLeader(method, args) {
+    return tabCoordinator.request(TAB_MESSAGES.SYNC_COMMAND, { method, args });
+  }
+
+  _runCommand(method, args) {
+    if (!FORWARDED_COMMANDS.includes(method)) {
+      throw new Error(`Unknown sync command: ${method}`);
+    }
+    // A sync can outlast the request timeout, so these answer with the job
+    // id as soon as it is queued; the follower waits through _waitForJob
+    if (method === 'queueSync') {
+      const [userId, type, , options] = args;
+      return this._enqueue(userId, type, null, options).then(item => item.id);
+    }
+    if (method === 'retryJob') {
+      return this._requeue(args[0]).then(item => item.id);
+    }
+    return this[method](...args);
+  }
+
+  _applyRemoteJob(job) {
+    if (job.removed) {
+      this.jobs.delete(job.id);
+    } else {
+      this.jobs.set(job.id, job);
+    }
+    this._settleWaiters(job);
+    this._notify(job.userId);
+  }
+
+  /**
+   * Follows a job the leader runs through its mirrored SYNC_JOB broadcasts
+   * @returns {Promise<Object>} Resolves with the job once it completes
+   */
+  _waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+      this.jobWaiters.set(jobId, [...(this.jobWaiters.get(jobId) || []), { resolve, reject }]);
+      // The job may have finished before the leader's answer arrived
+      const job = this.jobs.get(jobId);
+      if (job) this._settleWaiters(job);
+    });
+  }
+
+  _settleWaiters(job) {
+    const waiters = this.jobWaiters.get(job.id);
+    if (!waiters || !(job.removed || isJobFinished(job))) return;
+
+    this.jobWaiters.delete(job.id);
+    waiters.forEach(({ resolve, reject }) => {
+      if (job.status === JOB_STATUS.COMPLETED) {
+        resolve(job);
+      } else if (job.status === JOB_STATUS.FAILED) {
+        reject(new Error(job.error || 'Sync failed'));
+      } else {
+        reject(new Error(job.removed ? 'Sync job was removed' : 'Sync cancelled'));
+      }
+    });
+  }
+
+  // Jobs the previous leader left queued or running are reloaded from
+  // IndexedDB and run here
+  _takeOver() {
+    const userIds = new Set([
+      ...this.restoredUsers,
+      ...[...this.jobs.values()].map(job => job.userId)
+    ]);
+    this.restoredUsers.clear();
+    userIds.forEach(userId => this.restore(userId));
+  }
+
+  /**
+   * Registers the function that runs a sync of the given type. Jobs restored
+   * after a reload have no closure to call, so they are run through this.
+   */
+  registerRunner(type, runner) {
+    this.runners.set(type, runner);
+    for (const userId of this.queues.keys()) {
+      this.processQueue(userId);
+    }
+  }
+
+  onJobsChange(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  _notify(userId) {
+    const jobs = this.getJobs(userId);
+    this.listeners.forEach(listener => {
+      try {
+        listener(userId, jobs);
+      } catch (error) {
+        logger.error('[SyncQueue] Jobs listener failed:', error);
+      }
+    });
+  }
+
+  _updateJob(item, changes) {
+    item.job = { ...item.job, ...changes, updatedAt: Date.now() };
+    this.jobs.set(item.job.id, item.job);
+    syncJobStore.putJob(item.job);
+    tabCoordinator.broadcast(TAB_MESSAGES.SYNC_JOB, item.job);
+    // Jobs a follower was waiting on before this tab took over as leader
+    this._settleWaiters(item.job);
+    this._notify(item.job.userId);
   }
 
+  _removeJobs(userId, ids) {
+    ids.forEach(id => {
+      this.jobs.delete(id);
+      tabCoordinator.broadcast(TAB_MESSAGES.SYNC_JOB, { id, userId, removed: true });
+    });
+    this._notify(userId);
+  }
+
+  _createItem(job, syncFn, options = {}) {
+    const item = {
+      id: job.id,
+      type: job.type,
+      priority: job.priority,
+      syncFn,
+      options: { ...options, paused: Boolean(job.paused) },
+      job,
+      promise: null,
+      resolve: null,
+      reject: null
+    };
+
+    // Create promise that will be resolved when sync completes
+    item.promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+    // Restored jobs have nobody awaiting them
+    item.promise.catch(() => {});
+
+    return item;
+  }
+
+  /**
+   * Queues a sync. In a follower tab the job is queued by the leader and runs
+   * through the runner registered there for its type, not through syncFn;
+   * the promise then resolves with the finished job instead of the result.
+   */
   async queueSync(userId, type, syncFn, options = {}) {
+    await tabCoordinator.start();
+    if (!tabCoordinator.isLeader()) {
+      const jobId = await this._forwardToLeader('queueSync', [userId, type, null, {
+        priority: options.priority,
+        paused: options.paused,
+        workspaceId: options.workspaceId
+      }]);
+      return this._waitForJob(jobId);
+    }
+
+    const item = await this._enqueue(userId, type, syncFn, options);
+    return item.promise;
+  }
+
+  async _enqueue(userId, type, syncFn, options = {}) {
     try {
-      return await executeAtomically(`queue-${userId}`, async () => {
+      const item = await executeAtomically(`queue-${userId}`, async () => {
         const queue = this.getOrCreateQueue(userId);
-        const priority = options.priority ?? SYNC_PRIORITIES[type] ?? QUEUE_PRIORITIES.LOW;
+        const createdAt = Date.now();
 
-        // Create queue item
-        const queueItem = {
-          id: `${userId}-${type}-${Date.now()}`,
+        const queueItem = this._createItem({
+          id: crypto.randomUUID(),
+          userId,
           type,
-          priority,
-          syncFn,
-          options,
-          promise: null,
-          resolve: null,
-          reject: null
-        };
-
-        // Create promise that will be resolved when sync completes
-        queueItem.promise = new Promise((resolve, reject) => {
-          queueItem.resolve = resolve;
-          queueItem.reject = reject;
-        });
+          priority: resolvePriority(options.priority, type),
+          status: JOB_STATUS.QUEUED,
+          paused: Boolean(options.paused),
+          // Workspace the sync writes into; null for the personal inbox
+          workspaceId: options.workspaceId ?? null,
+          progress: 0,
+          attempts: 0,
+          error: null,
+          createdAt,
+          startedAt: null,
+          finishedAt: null
+        }, syncFn, options);
 
         // Add to queue and sort by priority
         queue.push(queueItem);
         this.sortQueue(queue);
+        this._updateJob(queueItem, {});
 
-        // Process queue if possible
-        await this.processQueue(userId);
-
-        return queueItem.promise;
+        return queueItem;
       });
+
+      // Not awaited: the caller waits on the item's promise instead, so the
+      // queue lock isn't held for the whole sync
+      this.processQueue(userId);
+
+      return item;
     } catch (error) {
       logger.info('[SyncQueue] Error queuing sync:', error);
       throw error;
     }
   }
 
+  /**
+   * Loads persisted jobs for a user. Jobs that were queued or running when
+   * the page went away are queued again and pick up from their checkpoint.
+   */
+  async restore(userId) {
+    if (!userId || this.restoredUsers.has(userId)) return;
+    this.restoredUsers.add(userId);
+
+    try {
+      await tabCoordinator.start();
+      const jobs = await syncJobStore.getJobs(userId);
+      const queue = this.getOrCreateQueue(userId);
+
+      jobs.forEach(job => {
+        // Followers only show jobs; the leader queues them
+        if (isJobFinished(job) || !tabCoordinator.isLeader()) {
+          this.jobs.set(job.id, job);
+          return;
+        }
+        if (queue.some(item => item.id === job.id)) return;
+
+        const item = this._createItem(job, null);
+        queue.push(item);
+        this._updateJob(item, { status: JOB_STATUS.QUEUED });
+      });
+
+      this.sortQueue(queue);
+      this._notify(userId);
+      this.processQueue(userId);
+    } catch (error) {
+      logger.error('[SyncQueue] Failed to restore jobs:', error);
+    }
+  }
+
   getOrCreateQueue(userId) {
     if (!this.queues.has(userId)) {
       this.queues.set(userId, []);
@@ -73,12 +317,27 @@ class SyncQueueManager {
       if (a.priority !== b.priority) {
         return a.priority - b.priority;
       }
-      // Then by timestamp (older first)
-      return a.id.localeCompare(b.id);
+      // Then by creation time (older first)
+      return a.job.createdAt - b.job.createdAt;
     });
   }
 
+  _createContext(item) {
+    const { userId } = item.job;
+    return {
+      jobId: item.id,
+      workspaceId: item.job.workspaceId ?? null,
+      isPaused: () => Boolean(item.options.paused),
+      reportProgress: (progress) => this._updateJob(item, { progress }),
+      getCheckpoint: () => syncJobStore.getCheckpoint(userId, item.type),
+      saveCheckpoint: (checkpoint) => syncJobStore.saveCheckpoint(userId, item.type, checkpoint),
+      clearCheckpoint: () => syncJobStore.clearCheckpoint(userId, item.type)
+    };
+  }
+
   async processQueue(userId) {
+    if (!tabCoordinator.isLeader()) return;
+
     const queue = this.queues.get(userId);
     if (!queue?.length) return;
 
@@ -92,43 +351,84 @@ class SyncQueueManager {
       return;
     }
 
-    // Get next item from queue
-    const item = queue.shift();
-    if (!item) return;
+    // Paused jobs keep their place; restored jobs wait until their runner is registered
+    const index = queue.findIndex(item =>
+      !item.options.paused && (item.syncFn || this.runners.has(item.type))
+    );
+    if (index === -1) return;
+    const [item] = queue.splice(index, 1);
+    const runner = this.runners.get(item.type);
+    const syncFn = item.syncFn || ((context) => runner(userId, context));
 
     try {
       this.activeSyncCount++;
       this.activeSync.set(userId, {
         type: item.type,
-        promise: item.promise
+        promise: item.promise,
+        item
+      });
+      this._updateJob(item, {
+        status: JOB_STATUS.RUNNING,
+        startedAt: item.job.startedAt ?? Date.now(),
+        attempts: item.job.attempts + 1,
+        error: null
       });
 
       // Execute sync function
-      const result = await item.syncFn();
+      const result = await syncFn(this._createContext(item));
+      this._updateJob(item, {
+        status: JOB_STATUS.COMPLETED,
+        progress: 100,
+        finishedAt: Date.now()
+      });
       item.resolve(result);
     } catch (error) {
-      logger.info('[SyncQueue] Sync error:', error);
-      item.reject(error);
+      if (error instanceof SyncPausedError) {
+        // Stopped after a committed batch; back to the front of the queue
+        logger.info('[SyncQueue] Sync paused at checkpoint:', item.id);
+        this._updateJob(item, { status: JOB_STATUS.QUEUED, paused: true });
+        item.options.paused = true;
+        this.getOrCreateQueue(userId).unshift(item);
+      } else {
+        logger.info('[SyncQueue] Sync error:', error);
+        this._updateJob(item, {
+          status: JOB_STATUS.FAILED,
+          error: error.message,
+          finishedAt: Date.now()
+        });
+        item.reject(error);
 
-      // If sync failed due to token/auth error, clear entire queue
-      if (error.message?.includes('token') || error.message?.includes('auth')) {
-        this.clearQueue(userId);
+        // If sync failed due to token/auth error, clear entire queue
+        if (error.message?.includes('token') || error.message?.includes('auth')) {
+          this.clearQueue(userId);
+        }
       }
     } finally {
       this.activeSync.delete(userId);
       this.activeSyncCount--;
+      this._pruneHistory(userId);
 
       // Process next item in queue
       await this.processQueue(userId);
     }
   }
 
+  _pruneHistory(userId) {
+    syncJobStore.pruneFinished(userId, isJobFinished)
+      .then(ids => {
+        if (!ids.length) return;
+        this._removeJobs(userId, ids);
+      })
+      .catch(error => logger.error('[SyncQueue] Failed to prune job history:', error));
+  }
+
   clearQueue(userId) {
     const queue = this.queues.get(userId);
     if (!queue) return;
 
     // Reject all pending items
     queue.forEach(item => {
+      this._updateJob(item, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() });
       item.reject(new Error('Queue cleared'));
     });
 
@@ -136,38 +436,147 @@ class SyncQueueManager {
   }
 
   getQueueStatus(userId) {
+    if (!tabCoordinator.isLeader()) {
+      return this._getMirroredQueueStatus(userId);
+    }
+
     const queue = this.queues.get(userId);
     const activeSync = this.activeSync.get(userId);
 
     return {
       queueLength: queue?.length ?? 0,
+      pausedCount: queue?.filter(item => item.options.paused).length ?? 0,
       activeSync: activeSync ? {
-        type: activeSync.type
+        type: activeSync.type,
+        jobId: activeSync.item.id,
+        paused: Boolean(activeSync.item.options.paused)
       } : null,
       totalActive: this.activeSyncCount
     };
   }
 
+  // A follower has no queue of its own, only the leader's job updates
+  _getMirroredQueueStatus(userId) {
+    const jobs = this.getJobs(userId);
+    const queued = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+    const running = jobs.find(job => job.status === JOB_STATUS.RUNNING);
+
+    return {
+      queueLength: queued.length,
+      pausedCount: queued.filter(job => job.paused).length,
+      activeSync: running ? {
+        type: running.type,
+        jobId: running.id,
+        paused: Boolean(running.paused)
+      } : null,
+      totalActive: jobs.filter(job => job.status === JOB_STATUS.RUNNING).length
+    };
+  }
+
+  /**
+   * Settles with a queued or running job of the given type and workspace,
+   * or is null when there is none. Lets a caller wait on a restored job
+   * instead of queueing the same sync twice.
+   * @returns {Promise|null}
+   */
+  getPendingSync(userId, type, workspaceId = null) {
+    const matches = (job) => job.type === type && (job.workspaceId ?? null) === workspaceId;
+
+    if (!tabCoordinator.isLeader()) {
+      const job = this.getJobs(userId).find(item => matches(item) && !isJobFinished(item));
+      return job ? this._waitForJob(job.id) : null;
+    }
+
+    const active = this.activeSync.get(userId);
+    if (active && matches(active.item.job)) {
+      return active.item.promise;
+    }
+    const queued = this.queues.get(userId)?.find(item => matches(item.job));
+    return queued ? queued.promise : null;
+  }
+
+  /**
+   * Every job known for a user, newest first
+   */
+  getJobs(userId) {
+    return [...this.jobs.values()]
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Queues a new run of a failed or cancelled job's type
+   */
+  retryJob(jobId) {
+    if (!tabCoordinator.isLeader()) {
+      return this._forwardToLeader('retryJob', [jobId]).then(id => this._waitForJob(id));
+    }
+    return this._requeue(jobId).then(item => item.promise);
+  }
+
+  async _requeue(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    return this._enqueue(job.userId, job.type, null, { priority: job.priority, workspaceId: job.workspaceId });
+  }
+
+  async clearFinished(userId) {
+    if (!tabCoordinator.isLeader()) {
+      return this._forwardToLeader('clearFinished', [userId]);
+    }
+
+    const finished = this.getJobs(userId).filter(isJobFinished);
+    await syncJobStore.deleteJobs(finished.map(job => job.id));
+    this._removeJobs(userId, finished.map(job => job.id));
+  }
+
   pauseQueue(userId) {
-    const queue = this.queues.get(userId);
-    if (!queue) return;
+    if (!tabCoordinator.isLeader()) {
+      this._forwardToLeader('pauseQueue', [userId])
+        .catch(error => logger.error('[SyncQueue] Failed to pause queue in leader tab:', error));
+      return;
+    }
+
+    const queue = this.queues.get(userId) || [];
 
     queue.forEach(item => {
       item.options.paused = true;
+      this._updateJob(item, { paused: true });
     });
+
+    // The running job stops at its next checkpoint
+    const active = this.activeSync.get(userId);
+    if (active) {
+      active.item.options.paused = true;
+      this._updateJob(active.item, { paused: true });
+    }
   }
 
   resumeQueue(userId) {
-    const queue = this.queues.get(userId);
-    if (!queue) return;
+    if (!tabCoordinator.isLeader()) {
+      this._forwardToLeader('resumeQueue', [userId])
+        .catch(error => logger.error('[SyncQueue] Failed to resume queue in leader tab:', error));
+      return;
+    }
+
+    const queue = this.queues.get(userId) || [];
 
     queue.forEach(item => {
       item.options.paused = false;
+      this._updateJob(item, { paused: false });
     });
 
+    const active = this.activeSync.get(userId);
+    if (active) {
+      active.item.options.paused = false;
+      this._updateJob(active.item, { paused: false });
+    }
+
     // Try to process queue
     this.processQueue(userId);
   }
 }
 
-export const syncQueueManager = new SyncQueueManager(); 
\ No newline at end of file
+export const syncQueueManager = new SyncQueueManager();
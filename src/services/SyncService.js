@@ -2,10 +2,14 @@ import { supabase } from '../utils/supabase';
 import { tokenManager } from '../utils/tokenManager';
 import { socketHealthMonitor } from './SocketHealthMonitor';
 import { tokenValidationService } from './TokenValidationService';
-import { syncQueueManager } from './SyncQueueManager';
+import { syncQueueManager, SyncPausedError } from './SyncQueueManager';
 import { executeAtomically } from '../utils/atomicOperations';
 import logger from '../utils/logger';
 import api from '../utils/api';
+import { mergeContact } from '../utils/contactMerge';
+import store from '../store/store';
+import { contactFieldsMerged } from '../store/slices/contactSlice';
+import { selectCurrentWorkspaceId } from '../store/slices/workspaceSlice';
 
 const SYNC_STATES = {
   IDLE: 'idle',
@@ -24,6 +28,20 @@ const MAX_BATCH_SIZE = 50;
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
 
+// Messages are committed oldest first, so the last one committed marks
+// where an interrupted run picks up, however the server pages them
+const toCursor = (message) => ({
+  timestamp: new Date(message.timestamp).getTime(),
+  id: String(message.message_id || message.id)
+});
+
+const compareCursors = (a, b) => (a.timestamp - b.timestamp) || a.id.localeCompare(b.id);
+
+// Rows synced inside a workspace belong to it; personal rows have none
+const scopeToWorkspace = (query, workspaceId) => (workspaceId
+  ? query.eq('workspace_id', workspaceId)
+  : query.is('workspace_id', null));
+
 class SyncService {
   constructor() {
     this.syncState = {
@@ -42,6 +60,11 @@ class SyncService {
   }
 
   initialize() {
+    // Jobs restored after a reload are run through these
+    Object.values(SYNC_TYPES).forEach(type => {
+      syncQueueManager.registerRunner(type, (userId, job) => this._runSync(userId, type, job));
+    });
+
     // Start socket health monitoring
     socketHealthMonitor.startMonitoring();
     
@@ -78,6 +101,10 @@ class SyncService {
     }
   }
 
+  /**
+   * Syncs into the workspace open when the sync starts, or the personal
+   * inbox; the job keeps that scope if the user switches while it runs
+   */
   async startSync(userId, type = SYNC_TYPES.FULL) {
     if (!userId) {
       logger.info('[Sync] No user ID provided');
@@ -87,57 +114,84 @@ class SyncService {
     await this.checkSocketHealth();
 
     try {
+      // Pick up jobs a previous page load left unfinished
+      await syncQueueManager.restore(userId);
+
+      const workspaceId = selectCurrentWorkspaceId(store.getState());
+
+      // A restored run of the same type already covers this request
+      const pending = syncQueueManager.getPendingSync(userId, type, workspaceId);
+      if (pending) {
+        logger.info('[Sync] Sync already queued, waiting on it:', { userId, type });
+        return await pending;
+      }
+
       // Queue the sync operation
-      return await syncQueueManager.queueSync(userId, type, async () => {
-        // Initialize sync state
-        this.syncState[type] = SYNC_STATES.SYNCING;
-        this.syncProgress[type] = 0;
+      return await syncQueueManager.queueSync(
+        userId,
+        type,
+        (job) => this._runSync(userId, type, job),
+        { priority: type === SYNC_TYPES.FULL ? 'HIGH' : 'MEDIUM', workspaceId }
+      );
+    } catch (error) {
+      logger.info('[Sync] Error starting sync:', error);
+      throw error;
+    }
+  }
 
-        try {
-          const result = await this._executeSyncWithRetry(userId, type);
-          
-          // Update last sync time on success
-          this.lastSyncTime.set(userId, {
-            type,
-            timestamp: Date.now()
-          });
-
-          this.syncState[type] = SYNC_STATES.SUCCESS;
-          return result;
-        } catch (error) {
-          this.syncState[type] = SYNC_STATES.ERROR;
-          this.syncErrors.set(userId, {
-            type,
-            error,
-            timestamp: Date.now()
-          });
-          throw error;
-        }
-      }, {
-        priority: type === SYNC_TYPES.FULL ? 'HIGH' : 'MEDIUM'
+  async _runSync(userId, type, job) {
+    // Initialize sync state
+    this.syncState[type] = SYNC_STATES.SYNCING;
+    this.syncProgress[type] = 0;
+
+    try {
+      const result = await this._executeSyncWithRetry(userId, type, job);
+      
+      // Update last sync time on success
+      this.lastSyncTime.set(userId, {
+        type,
+        timestamp: Date.now()
       });
+
+      this.syncState[type] = SYNC_STATES.SUCCESS;
+      return result;
     } catch (error) {
-      logger.info('[Sync] Error starting sync:', error);
+      if (error instanceof SyncPausedError) {
+        this.syncState[type] = SYNC_STATES.IDLE;
+        throw error;
+      }
+
+      this.syncState[type] = SYNC_STATES.ERROR;
+      this.syncErrors.set(userId, {
+        type,
+        error,
+        timestamp: Date.now()
+      });
       throw error;
     }
   }
 
-  async _executeSyncWithRetry(userId, type, attempt = 1) {
+  async _executeSyncWithRetry(userId, type, job, attempt = 1) {
     try {
       await this.checkSocketHealth();
 
       switch (type) {
         case SYNC_TYPES.CONTACTS:
-          return await this._syncContacts(userId);
+          return await this._syncContacts(userId, job);
         case SYNC_TYPES.MESSAGES:
-          return await this._syncMessages(userId);
+          return await this._syncMessages(userId, job);
         case SYNC_TYPES.FULL:
-          await this._syncContacts(userId);
-          return await this._syncMessages(userId);
+          await this._syncContacts(userId, job);
+          return await this._syncMessages(userId, job);
         default:
           throw new Error(`Invalid sync type: ${type}`);
       }
     } catch (error) {
+      // Not a failure: the job is requeued and continues from its checkpoint
+      if (error instanceof SyncPausedError) {
+        throw error;
+      }
+
       const queueStatus = syncQueueManager.getQueueStatus(userId);
       if (!queueStatus.activeSync) {
         logger.warn(`[Sync] Sync cancelled or queue cleared for ${type}`);
@@ -147,7 +201,7 @@ class SyncService {
       if (attempt < MAX_RETRIES) {
         logger.warn(`[Sync] Retry ${attempt}/${MAX_RETRIES} for ${type} sync:`, error);
         await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, attempt - 1)));
-        return this._executeSyncWithRetry(userId, type, attempt + 1);
+        return this._executeSyncWithRetry(userId, type, job, attempt + 1);
       }
 
       throw error;
@@ -167,7 +221,7 @@ class SyncService {
     }
   }
 
-  async _processBatch(userId, type, items) {
+  async _processBatch(userId, type, items, workspaceId = null) {
     try {
       // Ensure valid token before processing batch
       const token = await this._validateAndRefreshToken(userId);
@@ -178,7 +232,9 @@ class SyncService {
           items.map(item => ({
             ...item,
             user_id: userId,
-            updated_at: new Date().toISOString()
+            workspace_id: workspaceId,
+            // Contacts keep the remote change time so field merges can compare against it
+            updated_at: (type === 'contacts' && item.updated_at) || new Date().toISOString()
           }))
         );
 
@@ -189,7 +245,7 @@ class SyncService {
           if (!newToken) throw new Error('Token refresh failed during batch processing');
           
           // Retry batch with new token
-          return this._processBatch(userId, type, items);
+          return this._processBatch(userId, type, items, workspaceId);
         }
         throw error;
       }
@@ -201,7 +257,7 @@ class SyncService {
     }
   }
 
-  async _syncContacts(userId) {
+  async _syncContacts(userId, job) {
     logger.info('[Sync] Starting contact sync for user:', userId);
     
     try {
@@ -217,11 +273,13 @@ class SyncService {
       let processed = 0;
 
       for (const batch of batches) {
-        // Update contacts in database
-        await this._processBatch(userId, 'contacts', batch);
+        // Update contacts in database without overwriting local edits
+        const merged = await this._mergeContactBatch(userId, batch, job?.workspaceId);
+        await this._processBatch(userId, 'contacts', merged, job?.workspaceId);
         
         processed += batch.length;
         this.syncProgress.contacts = Math.round((processed / total) * 100);
+        job?.reportProgress(this.syncProgress.contacts);
       }
 
       logger.info('[Sync] Contact sync completed for user:', userId);
@@ -232,58 +290,137 @@ class SyncService {
     }
   }
 
-  async _syncMessages(userId) {
+  /**
+   * Field-level merge of incoming contacts against the local overrides and
+   * remote baselines kept in the contacts slice, the same ones the contact
+   * list merges with; see contactMerge. New baselines and conflicts go back
+   * to the slice so the conflicts panel lists them.
+   */
+  async _mergeContactBatch(userId, contacts, workspaceId = null) {
+    const { data: rows, error } = await scopeToWorkspace(supabase
+      .from('contacts')
+      .select('id, metadata')
+      .eq('user_id', userId)
+      .in('id', contacts.map(contact => contact.id)), workspaceId);
+
+    if (error) {
+      throw error;
+    }
+
+    const metadataById = new Map((rows || []).map(row => [row.id, row.metadata || {}]));
+    const { overrides, fieldBaselines } = store.getState().contacts;
+    const merged = { overrides: {}, baselines: {}, conflicts: [] };
+
+    const results = contacts.map(remote => {
+      const result = mergeContact(remote, {
+        overrides: overrides[remote.id],
+        baselines: fieldBaselines[remote.id]
+      });
+      if (Object.keys(result.overrides).length) {
+        merged.overrides[remote.id] = result.overrides;
+      }
+      merged.baselines[remote.id] = result.baselines;
+      merged.conflicts.push(...result.conflicts);
+
+      return {
+        ...result.contact,
+        metadata: {
+          ...metadataById.get(remote.id),
+          ...remote.metadata
+        }
+      };
+    });
+
+    if (merged.conflicts.length) {
+      logger.info('[Sync] Contact field conflicts:', merged.conflicts.map(conflict => conflict.id));
+    }
+    store.dispatch(contactFieldsMerged(merged));
+    return results;
+  }
+
+  async _syncMessages(userId, job) {
     logger.info('[Sync] Starting message sync for user:', userId);
     
     try {
       // Validate token before starting sync
       await this._validateAndRefreshToken(userId);
+
+      const workspaceId = job?.workspaceId ?? null;
+
+      // An interrupted run is resumed against the same window it was
+      // fetching, unless it was fetching for another workspace
+      const saved = await job?.getCheckpoint();
+      const checkpoint = (saved?.workspaceId ?? null) === workspaceId ? saved : null;
+      const lastSync = checkpoint?.since || await this._getLastMessageSync(userId, workspaceId);
+      const syncStartedAt = checkpoint?.startedAt || new Date().toISOString();
       
-      // Get last sync timestamp
-      const lastSync = await this._getLastMessageSync(userId);
-      
-      // Get messages since last sync
+      const cursor = checkpoint?.cursor;
+      let processed = checkpoint?.processed || 0;
+
+      if (cursor) {
+        logger.info('[Sync] Resuming message sync from checkpoint:', { userId, cursor, processed });
+      }
+
+      // Get messages since last sync, or since the last committed one
       const { data: messages } = await api.get(`/api/whatsapp-entities/contacts/${userId}/messages`, {
-        params: { since: lastSync }
+        params: { since: cursor ? new Date(cursor.timestamp).toISOString() : lastSync }
       });
 
       if (!messages?.data) {
         throw new Error('No messages received from server');
       }
 
+      const remaining = messages.data
+        .map(message => ({ message, cursor: toCursor(message) }))
+        .filter(entry => !cursor || compareCursors(entry.cursor, cursor) > 0)
+        .sort((a, b) => compareCursors(a.cursor, b.cursor));
+
       // Process messages in batches
-      const batches = this._createBatches(messages.data, MAX_BATCH_SIZE);
-      const total = messages.data.length;
-      let processed = 0;
+      const batches = this._createBatches(remaining, MAX_BATCH_SIZE);
+      const total = processed + remaining.length;
 
-      for (const batch of batches) {
+      for (let index = 0; index < batches.length; index++) {
         // Update messages in database
-        await this._processBatch(userId, 'messages', batch);
+        await this._processBatch(userId, 'messages', batches[index].map(entry => entry.message), workspaceId);
         
-        processed += batch.length;
+        processed += batches[index].length;
         this.syncProgress.messages = Math.round((processed / total) * 100);
 
-        // Emit progress update
-        this._emitSyncProgress('messages', this.syncProgress.messages);
+        // The batch is committed; a restart continues after its last message
+        await job?.saveCheckpoint({
+          workspaceId,
+          since: lastSync,
+          startedAt: syncStartedAt,
+          cursor: batches[index][batches[index].length - 1].cursor,
+          processed
+        });
+        job?.reportProgress(this.syncProgress.messages);
+
+        if (job?.isPaused() && index < batches.length - 1) {
+          throw new SyncPausedError();
+        }
       }
 
       // Update last sync time
-      await this._updateLastMessageSync(userId);
+      await this._updateLastMessageSync(userId, syncStartedAt, workspaceId);
+      await job?.clearCheckpoint();
 
       logger.info('[Sync] Message sync completed for user:', userId);
       return { synced: processed };
     } catch (error) {
-      logger.error('[Sync] Message sync error:', error);
+      if (!(error instanceof SyncPausedError)) {
+        logger.error('[Sync] Message sync error:', error);
+      }
       throw error;
     }
   }
 
-  async _getLastMessageSync(userId) {
+  async _getLastMessageSync(userId, workspaceId = null) {
     try {
-      const { data } = await supabase
+      const { data } = await scopeToWorkspace(supabase
         .from('sync_status')
         .select('last_message_sync')
-        .eq('user_id', userId)
+        .eq('user_id', userId), workspaceId)
         .single();
 
       return data?.last_message_sync || new Date(0).toISOString();
@@ -293,13 +430,14 @@ class SyncService {
     }
   }
 
-  async _updateLastMessageSync(userId) {
+  async _updateLastMessageSync(userId, syncedAt = new Date().toISOString(), workspaceId = null) {
     try {
       await supabase
         .from('sync_status')
         .upsert({
           user_id: userId,
-          last_message_sync: new Date().toISOString(),
+          workspace_id: workspaceId,
+          last_message_sync: syncedAt,
           updated_at: new Date().toISOString()
         });
     } catch (error) {
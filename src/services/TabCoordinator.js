@@ -0,0 +1,254 @@
+import logger from '../utils/logger';
+
+const CHANNEL_NAME = 'dailyfix_tabs';
+const LEADER_LOCK = 'dailyfix_leader';
+// Every tab holds one of these while it is open; see onTabClosed
+const TAB_LOCK_PREFIX = 'dailyfix_tab:';
+// How long a follower waits for the leader to answer a request
+const REQUEST_TIMEOUT = 10000;
+
+export const TAB_ROLES = {
+  PENDING: 'pending',
+  LEADER: 'leader',
+  FOLLOWER: 'follower'
+};
+
+export const TAB_MESSAGES = {
+  SOCKET_EVENT: 'socket:event',
+  SOCKET_STATUS: 'socket:status',
+  SOCKET_CONNECT: 'socket:connect',
+  SOCKET_EMIT: 'socket:emit',
+  SYNC_JOB: 'sync:job',
+  SYNC_COMMAND: 'sync:command',
+  REDUX_ACTION: 'redux:action'
+};
+
+const REPLY = 'reply';
+
+/**
+ * Elects one leader among the open tabs of this origin. The leader holds the
+ * socket and runs syncs; the other tabs follow it over a BroadcastChannel.
+ *
+ * Leadership is a Web Lock, so it passes to the next waiting tab as soon as
+ * the leader's tab closes or crashes. Without Web Locks or BroadcastChannel
+ * every tab leads itself, which is how the app behaved before.
+ * @class TabCoordinator
+ */
+class TabCoordinator {
+  constructor() {
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    this.role = TAB_ROLES.PENDING;
+    this.channel = null;
+    this.electionPromise = null;
+    this.handlers = new Map(); // message type -> Set<handler>
+    this.responders = new Map(); // request type -> handler, answered by the leader
+    this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeout }
+    this.roleListeners = new Set();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Joins the election. Safe to call repeatedly.
+   * @returns {Promise<string>} the role this tab starts with
+   */
+  start() {
+    if (this.electionPromise) return this.electionPromise;
+
+    if (typeof BroadcastChannel === 'undefined' || !navigator.locks) {
+      logger.warn('[TabCoordinator] Tab coordination unsupported, this tab leads itself');
+      this._setRole(TAB_ROLES.LEADER);
+      this.electionPromise = Promise.resolve(this.role);
+      return this.electionPromise;
+    }
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (event) => this._handleMessage(event.data);
+
+    // Taken before the tab talks to the leader, so the leader can always
+    // wait on it
+    const presence = new Promise(resolve => {
+      navigator.locks.request(`${TAB_LOCK_PREFIX}${this.tabId}`, () => {
+        resolve();
+        return this._holdLeadership();
+      });
+    });
+
+    this.electionPromise = presence.then(() => new Promise(resolve => {
+      navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+        if (lock) {
+          this._setRole(TAB_ROLES.LEADER);
+          resolve(this.role);
+          return this._holdLeadership();
+        }
+
+        this._setRole(TAB_ROLES.FOLLOWER);
+        resolve(this.role);
+        // Granted once the current leader's tab goes away
+        navigator.locks.request(LEADER_LOCK, () => {
+          logger.info('[TabCoordinator] Took over leadership');
+          this._setRole(TAB_ROLES.LEADER);
+          return this._holdLeadership();
+        });
+        return null;
+      });
+    }));
+
+    return this.electionPromise;
+  }
+
+  // The lock is held until the tab closes
+  _holdLeadership() {
+    return new Promise(() => {});
+  }
+
+  _setRole(role) {
+    if (this.role === role) return;
+    this.role = role;
+    logger.info('[TabCoordinator] Role changed:', { tabId: this.tabId, role });
+    this.roleListeners.forEach(listener => {
+      try {
+        listener(role);
+      } catch (error) {
+        logger.error('[TabCoordinator] Role listener failed:', error);
+      }
+    });
+  }
+
+  isLeader() {
+    return this.role === TAB_ROLES.LEADER;
+  }
+
+  onRoleChange(listener) {
+    this.roleListeners.add(listener);
+    return () => {
+      this.roleListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Calls back once the given tab has closed or crashed
+   */
+  onTabClosed(tabId, callback) {
+    if (!navigator.locks) return;
+    navigator.locks.request(`${TAB_LOCK_PREFIX}${tabId}`, () => {
+      callback();
+    });
+  }
+
+  /**
+   * Sends a message to every other tab
+   * @returns {boolean} false if it couldn't be sent
+   */
+  broadcast(type, payload) {
+    return this._post({ type, payload });
+  }
+
+  /**
+   * Listens for broadcasts of one type from other tabs
+   * @returns {Function} removes the handler
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => {
+      this.handlers.get(type)?.delete(handler);
+    };
+  }
+
+  /**
+   * Answers requests of one type while this tab is the leader. The handler's
+   * return value, or what its promise resolves to, is sent back.
+   */
+  respond(type, handler) {
+    this.responders.set(type, handler);
+  }
+
+  /**
+   * Asks the leader tab and waits for its answer
+   */
+  request(type, payload, timeout = REQUEST_TIMEOUT) {
+    if (!this.channel) {
+      return Promise.reject(new Error('Tab coordination unavailable'));
+    }
+
+    const requestId = `${this.tabId}:${this.nextRequestId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Leader tab did not answer ${type}`));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, { resolve, reject, timeout: timer });
+      if (!this._post({ type, payload, requestId })) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Could not send ${type} to the leader tab`));
+      }
+    });
+  }
+
+  _post(message) {
+    if (!this.channel) return false;
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+      return true;
+    } catch (error) {
+      // Payloads that can't be structured-cloned, e.g. ones holding functions
+      logger.error('[TabCoordinator] Failed to post message:', { type: message.type, error: error.message });
+      return false;
+    }
+  }
+
+  _handleMessage(message) {
+    if (!message || message.from === this.tabId) return;
+    if (message.to && message.to !== this.tabId) return;
+
+    if (message.type === REPLY) {
+      this._settleRequest(message);
+      return;
+    }
+
+    if (message.requestId) {
+      this._answerRequest(message);
+      return;
+    }
+
+    this.handlers.get(message.type)?.forEach(handler => {
+      try {
+        handler(message.payload);
+      } catch (error) {
+        logger.error('[TabCoordinator] Handler failed:', { type: message.type, error });
+      }
+    });
+  }
+
+  _answerRequest({ type, payload, requestId, from }) {
+    const responder = this.responders.get(type);
+    // Followers ignore requests; only the leader answers
+    if (!this.isLeader() || !responder) return;
+
+    Promise.resolve()
+      .then(() => responder(payload))
+      .then(
+        result => this._post({ type: REPLY, requestId, to: from, result }),
+        error => this._post({ type: REPLY, requestId, to: from, error: error?.message || String(error) })
+      );
+  }
+
+  _settleRequest({ requestId, result, error }) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timeout);
+    this.pendingRequests.delete(requestId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+}
+
+export const tabCoordinator = new TabCoordinator();
@@ -117,6 +117,18 @@ class TokenValidationService {
     }
   }
 
+  /**
+   * When the token stops being accepted, in ms, or null if it can't be read
+   */
+  getExpiry(token) {
+    const decoded = token ? this._decodeToken(token) : null;
+    return decoded?.exp ? decoded.exp * 1000 : null;
+  }
+
+  getLastValidatedAt(userId) {
+    return this.validationCache.get(userId)?.timestamp ?? null;
+  }
+
   clearCache(userId) {
     this.validationCache.delete(userId);
   }
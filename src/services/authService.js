@@ -1,5 +1,7 @@
 import { supabase } from '../utils/supabase';
 import { tokenManager } from '../utils/tokenManager';
+import { authStorage } from '../utils/secureStorage';
+import api from '../utils/api';
 import logger from '../utils/logger';
 import store from '../store/store';
 import { updateSession } from '../store/slices/authSlice';
@@ -34,21 +36,9 @@ class AuthService {
 
         try {
             // Store main session data
-            localStorage.setItem('dailyfix_auth', JSON.stringify(storageData));
-
-            const { data: accounts, error } = await supabase
-                            .from('accounts')
-                            .select('*')
-                            .eq('user_id', session.user.id)
-                            .eq('platform', 'matrix')
-                            .maybeSingle();
-
-            // If Matrix credentials exist, store them separately
-            if (!error && accounts) {
-                const matrixCreds = accounts.credentials;
-                localStorage.setItem('matrix_credentials', JSON.stringify(matrixCreds));
-                logger.info('[AuthService] Matrix credentials stored successfully');
-            }
+            authStorage.set(JSON.stringify(storageData));
+            // Earlier versions kept the Matrix password here in clear text
+            localStorage.removeItem('matrix_credentials');
 
             // Update store only after successful storage
             store.dispatch(updateSession({ session }));
@@ -62,7 +52,7 @@ class AuthService {
     // New helper method to clear session data
     clearSessionData() {
         try {
-            localStorage.removeItem('dailyfix_auth');
+            authStorage.remove();
             localStorage.removeItem('access_token');
             tokenManager.clearTokens();
             store.dispatch(updateSession({ session: null }));
@@ -87,7 +77,11 @@ class AuthService {
                     logger.info('[AuthService] Auth state changed:', event);
                     
                     if (event === 'SIGNED_IN' && session) {
-                        await this.storeSessionData(session);
+                        // A password sign-in waiting on its second factor is
+                        // stored by _completeSignIn once verified
+                        if (!await this._getPendingMfaFactorId()) {
+                            await this.storeSessionData(session);
+                        }
                     } else if (event === 'SIGNED_OUT') {
                         this.clearSessionData();
                     }
@@ -117,7 +111,7 @@ class AuthService {
             this.lastSessionCheck = Date.now();
 
             // First try to get token from storage
-            const authDataStr = localStorage.getItem('dailyfix_auth');
+            const authDataStr = authStorage.get();
             if (authDataStr) {
                 try {
                     const authData = JSON.parse(authDataStr);
@@ -130,8 +124,7 @@ class AuthService {
                                 ...authData,
                                 user: user // Use fresh user data from validation
                             };
-                            await this.storeSessionData(validSession);
-                            return validSession;
+                            return await this._storeVerifiedSession(validSession);
                         }
                     }
                 } catch (parseError) {
@@ -160,13 +153,11 @@ class AuthService {
                 }
 
                 // Store refreshed session
-                await this.storeSessionData(refreshedSession);
-                return refreshedSession;
+                return await this._storeVerifiedSession(refreshedSession);
             }
 
             // Store current valid session
-            await this.storeSessionData(session);
-            return session;
+            return await this._storeVerifiedSession(session);
         } catch (error) {
             logger.error('[AuthService] Session validation error:', error);
             this.clearSessionData();
@@ -174,6 +165,11 @@ class AuthService {
         }
     }
 
+    /**
+     * Signs in with email and password. Accounts with two-factor on come back
+     * with { mfaRequired, factorId } and nothing stored; the sign-in finishes
+     * with verifyMfaChallenge or redeemRecoveryCode.
+     */
     async signIn(email, password) {
         try {
             const { data: { session }, error } = await supabase.auth.signInWithPassword({
@@ -183,32 +179,173 @@ class AuthService {
 
             if (error) throw error;
 
-            // Validate session before storing
-            if (!session || !session.user || !session.access_token) {
-                throw new Error('Invalid session data received');
-            }
+            return await this._completeSignIn(session);
+        } catch (error) {
+            logger.error('[AuthService] Sign in error:', error);
+            // Clear any partial session data
+            this.clearSessionData();
+            throw error;
+        }
+    }
 
-            // Validate the token immediately
-            const { data: { user }, error: validateError } = await supabase.auth.getUser(session.access_token);
-            if (validateError || !user) {
-                throw new Error('Session validation failed');
-            }
+    /**
+     * Sends the browser to Google or GitHub; it comes back to /auth/callback
+     * where completeOAuthSignIn picks the session up
+     */
+    async signInWithOAuth(provider) {
+        const { error } = await supabase.auth.signInWithOAuth({
+            provider,
+            options: { redirectTo: `${window.location.origin}/auth/callback` }
+        });
+        if (error) {
+            logger.error('[AuthService] OAuth sign in error:', error);
+            throw error;
+        }
+    }
 
-            // Store validated session data
-            const success = await this.storeSessionData(session);
-            if (!success) {
-                throw new Error('Failed to store session data');
-            }
+    async completeOAuthSignIn() {
+        // Providers report failures, such as a declined consent, in the URL
+        const params = new URLSearchParams(window.location.search || window.location.hash.slice(1));
+        if (params.get('error_description')) {
+            throw new Error(params.get('error_description'));
+        }
 
-            return { session, user };
+        try {
+            const { data: { session }, error } = await supabase.auth.getSession();
+            if (error) throw error;
+            if (!session) {
+                throw new Error('Sign in was not completed');
+            }
+            return await this._completeSignIn(session);
         } catch (error) {
-            logger.error('[AuthService] Sign in error:', error);
-            // Clear any partial session data
+            logger.error('[AuthService] OAuth callback error:', error);
             this.clearSessionData();
             throw error;
         }
     }
 
+    /**
+     * Finishes a sign-in that stopped at the two-factor step
+     * @param {string} factorId - From signIn's mfaRequired result
+     * @param {string} code - Six digits from the authenticator app
+     */
+    async verifyMfaChallenge(factorId, code) {
+        const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code: code.trim() });
+        if (error) {
+            logger.error('[AuthService] Two-factor verification failed:', error);
+            throw error;
+        }
+        return this._completeSignIn(await this._getCurrentSession(), { skipMfa: true });
+    }
+
+    /**
+     * Finishes a two-factor sign-in with a recovery code instead of the app.
+     * The API turns two-factor off for the account so the user can set it up
+     * again on a new device.
+     */
+    async redeemRecoveryCode(code) {
+        const pending = await this._getCurrentSession();
+        try {
+            await api.post('/api/auth/mfa/recover', { code: code.trim() }, {
+                headers: { Authorization: `Bearer ${pending.access_token}` }
+            });
+        } catch (error) {
+            logger.error('[AuthService] Recovery code rejected:', error);
+            throw new Error(error.response?.data?.message || 'Recovery code is invalid or already used');
+        }
+
+        // The refreshed session no longer asks for a second factor
+        const { data: { session }, error } = await supabase.auth.refreshSession();
+        if (error || !session) {
+            throw error || new Error('Failed to refresh session');
+        }
+        const result = await this._completeSignIn(session, { skipMfa: true });
+        return { ...result, mfaReset: true };
+    }
+
+    /**
+     * Drops a sign-in waiting on its second factor
+     */
+    async cancelPendingSignIn() {
+        await supabase.auth.signOut({ scope: 'local' });
+    }
+
+    /**
+     * Stores the session Supabase holds now, after it changed outside a
+     * sign-in (e.g. stepped up by turning two-factor on)
+     */
+    async refreshStoredSession() {
+        const session = await this._getCurrentSession();
+        await this.storeSessionData(session);
+        return session;
+    }
+
+    /**
+     * The factor still to verify when Supabase holds a sign-in that stopped
+     * at the two-factor step, e.g. before a reload. Null otherwise.
+     */
+    async getPendingMfaFactor() {
+        const { data: { session } } = await supabase.auth.getSession();
+        return session ? this._getPendingMfaFactorId() : null;
+    }
+
+    async _getPendingMfaFactorId() {
+        const { data: assurance } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+        if (assurance?.nextLevel !== 'aal2' || assurance.currentLevel === 'aal2') {
+            return null;
+        }
+        const { data: factors } = await supabase.auth.mfa.listFactors();
+        return factors?.totp.find(item => item.status === 'verified')?.id || null;
+    }
+
+    // Supabase keeps the aal1 session of a password sign-in before its
+    // second factor; that one must not count as signed in
+    async _storeVerifiedSession(session) {
+        if (await this._getPendingMfaFactorId()) {
+            logger.info('[AuthService] Session is waiting on its second factor');
+            this.clearSessionData();
+            return null;
+        }
+        await this.storeSessionData(session);
+        return session;
+    }
+
+    async _getCurrentSession() {
+        const { data: { session }, error } = await supabase.auth.getSession();
+        if (error || !session) {
+            throw error || new Error('No sign-in in progress');
+        }
+        return session;
+    }
+
+    async _completeSignIn(session, { skipMfa = false } = {}) {
+        // Validate session before storing
+        if (!session || !session.user || !session.access_token) {
+            throw new Error('Invalid session data received');
+        }
+
+        // Validate the token immediately
+        const { data: { user }, error: validateError } = await supabase.auth.getUser(session.access_token);
+        if (validateError || !user) {
+            throw new Error('Session validation failed');
+        }
+
+        if (!skipMfa) {
+            const factorId = await this._getPendingMfaFactorId();
+            if (factorId) {
+                return { mfaRequired: true, factorId, user };
+            }
+        }
+
+        // Store validated session data
+        const success = await this.storeSessionData(session);
+        if (!success) {
+            throw new Error('Failed to store session data');
+        }
+
+        return { session, user };
+    }
+
     async signOut() {
         try {
             const { error } = await supabase.auth.signOut();
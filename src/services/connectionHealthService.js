@@ -0,0 +1,131 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+import socketManager, { checkSocketHealth } from '../utils/socket';
+import { PROTOCOL_VERSION } from '../utils/socketEvents';
+import { socketHealthMonitor } from './SocketHealthMonitor';
+import { socketEventDiagnostics } from './SocketEventDiagnostics';
+import { tokenValidationService } from './TokenValidationService';
+import { tabCoordinator } from './TabCoordinator';
+import { syncQueueManager, JOB_STATUS } from './SyncQueueManager';
+import { PLATFORM_CONFIGS } from '../constants/platforms';
+
+// Errors listed on the health page, newest first
+const MAX_RECENT_ERRORS = 20;
+
+const CONNECT_PLATFORMS = ['telegram', 'slack', 'discord'];
+
+/**
+ * One view over the health data the socket layer, the heartbeat monitor,
+ * the token validator and the sync queue each keep for themselves
+ * @class ConnectionHealthService
+ */
+class ConnectionHealthService {
+  /**
+   * Connection status of every platform, from the same endpoints the
+   * dashboard reads. A failed lookup is reported, not thrown.
+   */
+  async getPlatformStatuses() {
+    const lookups = [
+      { platform: 'whatsapp', request: api.get('/matrix/whatsapp/status') },
+      ...CONNECT_PLATFORMS.map(platform => ({
+        platform,
+        request: api.get(`/connect/${platform}/status`)
+      }))
+    ];
+
+    const results = await Promise.allSettled(lookups.map(lookup => lookup.request));
+    return results.map((result, index) => {
+      const { platform } = lookups[index];
+      if (result.status === 'rejected') {
+        logger.error('[ConnectionHealthService] Status lookup failed:', { platform, error: result.reason?.message });
+      }
+      return {
+        platform,
+        name: PLATFORM_CONFIGS[platform].name,
+        status: result.status === 'fulfilled' ? result.value.data?.status || 'unknown' : 'error',
+        error: result.status === 'rejected'
+          ? result.reason?.response?.data?.message || result.reason?.message
+          : null
+      };
+    });
+  }
+
+  /**
+   * Everything that can be read without a request, for the given user
+   */
+  getSnapshot({ userId, accessToken, sessionExpiresAt }) {
+    const { socket, ...socketHealth } = checkSocketHealth();
+    const managerHealth = socketManager.checkHealth();
+    const heartbeat = socketHealthMonitor.getStatus();
+    const events = socketEventDiagnostics.getSnapshot();
+    const jobs = userId ? syncQueueManager.getJobs(userId) : [];
+
+    return {
+      takenAt: Date.now(),
+      socket: {
+        ...socketHealth,
+        id: socket?.id || null,
+        state: managerHealth.state,
+        uptime: managerHealth.uptime,
+        roomSubscriptions: managerHealth.roomSubscriptions,
+        protocol: { clientVersion: PROTOCOL_VERSION, ...events.protocol },
+        // Followers reach the server through the leader tab's socket
+        tabRole: tabCoordinator.role
+      },
+      heartbeat,
+      token: {
+        expiresAt: tokenValidationService.getExpiry(accessToken) ??
+          (sessionExpiresAt ? sessionExpiresAt * 1000 : null),
+        lastValidatedAt: userId ? tokenValidationService.getLastValidatedAt(userId) : null
+      },
+      syncQueue: userId ? syncQueueManager.getQueueStatus(userId) : null,
+      recentErrors: this._collectErrors({ socketHealth, heartbeat, events, jobs })
+    };
+  }
+
+  _collectErrors({ socketHealth, heartbeat, events, jobs }) {
+    const errors = [
+      socketHealth.error && { source: 'socket', message: socketHealth.error.message, at: socketHealth.error.at },
+      heartbeat.lastError && { source: 'heartbeat', message: heartbeat.lastError.message, at: heartbeat.lastError.at },
+      ...events.entries.map(entry => ({
+        source: 'event',
+        message: `${entry.event}: ${entry.errors.join('; ')}`,
+        at: entry.at
+      })),
+      ...jobs
+        .filter(job => job.status === JOB_STATUS.FAILED && job.error)
+        .map(job => ({ source: 'sync', message: `${job.type} sync: ${job.error}`, at: job.finishedAt || job.updatedAt }))
+    ];
+
+    return errors
+      .filter(Boolean)
+      .sort((a, b) => (b.at || 0) - (a.at || 0))
+      .slice(0, MAX_RECENT_ERRORS);
+  }
+
+  /**
+   * JSON for bug reports. Carries no tokens, only when they expire, and no
+   * socket payloads, which hold message text and sometimes credentials;
+   * only their size is kept.
+   */
+  buildDebugBundle({ snapshot, platforms, userId }) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      userId,
+      app: {
+        mode: import.meta.env.MODE,
+        userAgent: navigator.userAgent,
+        url: window.location.pathname,
+        online: navigator.onLine
+      },
+      platforms,
+      ...snapshot,
+      socketEvents: socketEventDiagnostics.getSnapshot().entries.map(({ payload, ...entry }) => ({
+        ...entry,
+        payload: payload ? `[redacted, ${payload.length} characters]` : ''
+      }))
+    }, null, 2);
+  }
+}
+
+export const connectionHealthService = new ConnectionHealthService();
@@ -263,6 +263,43 @@ class ContactService {
     }
   }
 
+  /**
+   * Pushes locally overridden contact fields to the server
+   * @param {string} contactId - The contact ID
+   * @param {Object} overrides - { field: { value, updatedAt } }
+   * @returns {Promise<Object>} Updated contact
+   */
+  async updateContactFields(contactId, overrides) {
+    if (!contactId) {
+      throw new AppError(ErrorTypes.VALIDATION, 'Contact ID is required');
+    }
+
+    try {
+      const fields = Object.fromEntries(
+        Object.entries(overrides).map(([field, { value }]) => [field, value])
+      );
+      const fieldUpdatedAt = Object.fromEntries(
+        Object.entries(overrides).map(([field, { updatedAt }]) => [field, new Date(updatedAt).toISOString()])
+      );
+
+      logger.info('[ContactService] Pushing contact overrides:', { contactId, fields: Object.keys(fields) });
+      const response = await api.patch(`${WHATSAPP_API_PREFIX}/contacts/${contactId}`, {
+        ...fields,
+        field_updated_at: fieldUpdatedAt
+      });
+
+      if (!response?.data?.data) {
+        throw new AppError(ErrorTypes.API, 'Invalid response from contact update API');
+      }
+
+      this.clearCache();
+      return response.data.data;
+    } catch (error) {
+      logger.error('[ContactService] Error updating contact fields:', error);
+      throw handleError(error, 'Failed to update contact');
+    }
+  }
+
   /**
    * Clears the contact cache for a specific user or all users
    * @param {string} [userId] - Optional user ID to clear specific cache
@@ -0,0 +1,262 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const CUSTOMERS_API_PREFIX = '/api/customers';
+
+export const CUSTOMER_PLATFORMS = ['whatsapp', 'telegram', 'discord'];
+
+export const FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  SELECT: 'select'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Turns what was typed for a custom field into the value stored for it.
+ * Empty input clears the field.
+ * @param {Object} definition - Field definition from the team's list
+ * @param {*} raw - Input value
+ * @returns {string|number|null}
+ * @throws {Error} When the value doesn't fit the field's type
+ */
+export const coerceFieldValue = (definition, raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (value === '' || value == null) return null;
+
+  switch (definition.type) {
+    case FIELD_TYPES.NUMBER: {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`${definition.label} must be a number`);
+      }
+      return number;
+    }
+    case FIELD_TYPES.DATE:
+      if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error(`${definition.label} must be a date`);
+      }
+      return value;
+    case FIELD_TYPES.SELECT:
+      if (!definition.options.includes(value)) {
+        throw new Error(`${definition.label} must be one of: ${definition.options.join(', ')}`);
+      }
+      return value;
+    default:
+      return String(value);
+  }
+};
+
+// Field keys are derived from the label so they stay readable in exports
+export const toFieldKey = (label) => label
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Customer profiles shared by the team. A profile holds notes, tags and
+ * custom field values, and is linked to one or more platform contacts;
+ * merging profiles is how one person's WhatsApp, Telegram and Discord
+ * contacts end up on the same profile.
+ * @class CustomerService
+ */
+class CustomerService {
+  /**
+   * The profile a contact is linked to. The server creates an empty one the
+   * first time a contact is looked up.
+   * @param {string} platform - One of CUSTOMER_PLATFORMS
+   * @param {string|number} contactId - The platform's contact id
+   * @returns {Promise<Object>}
+   */
+  async getProfileForContact(platform, contactId) {
+    try {
+      const response = await api.get(
+        `${CUSTOMERS_API_PREFIX}/by-contact/${platform}/${encodeURIComponent(contactId)}`
+      );
+      return this._unwrapProfile(response);
+    } catch (error) {
+      logger.error('[CustomerService] Error fetching customer profile:', { platform, contactId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} customerId
+   * @param {Object} changes - Any of { notes, tags, customFields }
+   * @returns {Promise<Object>} The stored profile
+   */
+  async updateProfile(customerId, changes) {
+    const payload = {};
+    if (changes.notes !== undefined) payload.notes = changes.notes;
+    if (changes.tags !== undefined) payload.tags = this._normalizeTags(changes.tags);
+    if (changes.customFields !== undefined) payload.custom_fields = changes.customFields;
+
+    try {
+      const response = await api.patch(`${CUSTOMERS_API_PREFIX}/${customerId}`, payload);
+      return this._unwrapProfile(response);
+    } catch (error) {
+      logger.error('[CustomerService] Error updating customer profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Profiles matching a name, tag or contact id, for picking a merge target
+   * @returns {Promise<Object[]>}
+   */
+  async searchProfiles(query) {
+    if (!query?.trim()) return [];
+
+    try {
+      const response = await api.get(CUSTOMERS_API_PREFIX, { params: { search: query.trim() } });
+      const profiles = response.data?.data;
+      if (!Array.isArray(profiles)) {
+        throw new Error('Invalid response from customers API');
+      }
+      return profiles.map(profile => this.normalizeProfile(profile));
+    } catch (error) {
+      logger.error('[CustomerService] Error searching customer profiles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Moves the source profile's contacts, tags and notes onto the target and
+   * deletes the source. Field values already set on the target are kept.
+   * @returns {Promise<Object>} The merged profile
+   */
+  async mergeProfiles(targetId, sourceId) {
+    if (targetId === sourceId) {
+      throw new Error('A profile cannot be merged into itself');
+    }
+
+    try {
+      const response = await api.post(`${CUSTOMERS_API_PREFIX}/${targetId}/merge`, { source_id: sourceId });
+      return this._unwrapProfile(response);
+    } catch (error) {
+      logger.error('[CustomerService] Error merging customer profiles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Splits a contact off a merged profile onto a profile of its own
+   * @returns {Promise<Object>} The profile the contact was removed from
+   */
+  async unlinkContact(customerId, platform, contactId) {
+    try {
+      const response = await api.delete(
+        `${CUSTOMERS_API_PREFIX}/${customerId}/contacts/${platform}/${encodeURIComponent(contactId)}`
+      );
+      return this._unwrapProfile(response);
+    } catch (error) {
+      logger.error('[CustomerService] Error unlinking contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Custom field definitions shared by the current user's team
+   * @returns {Promise<Object[]>}
+   */
+  async listFields() {
+    try {
+      const response = await api.get(`${CUSTOMERS_API_PREFIX}/fields`);
+      const fields = response.data?.data;
+      if (!Array.isArray(fields)) {
+        throw new Error('Invalid response from customer fields API');
+      }
+      return fields.map(field => this.normalizeField(field));
+    } catch (error) {
+      logger.error('[CustomerService] Error fetching customer fields:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a field definition, or updates it when it already has an id
+   * @param {Object} field - { id?, label, type, options }
+   * @returns {Promise<Object>}
+   */
+  async saveField(field) {
+    const label = field.label?.trim();
+    if (!label || !toFieldKey(label)) {
+      throw new Error('Field name is required');
+    }
+    if (!Object.values(FIELD_TYPES).includes(field.type)) {
+      throw new Error(`Unknown field type: ${field.type}`);
+    }
+    const options = field.type === FIELD_TYPES.SELECT
+      ? [...new Set((field.options || []).map(option => option.trim()).filter(Boolean))]
+      : [];
+    if (field.type === FIELD_TYPES.SELECT && !options.length) {
+      throw new Error('A choice field needs at least one option');
+    }
+
+    const payload = { key: field.key || toFieldKey(label), label, type: field.type, options };
+
+    try {
+      const response = field.id
+        ? await api.put(`${CUSTOMERS_API_PREFIX}/fields/${field.id}`, payload)
+        : await api.post(`${CUSTOMERS_API_PREFIX}/fields`, payload);
+      if (!response.data?.data) {
+        throw new Error('Invalid response from customer fields API');
+      }
+      return this.normalizeField(response.data.data);
+    } catch (error) {
+      logger.error('[CustomerService] Error saving customer field:', error);
+      throw error;
+    }
+  }
+
+  async deleteField(fieldId) {
+    try {
+      await api.delete(`${CUSTOMERS_API_PREFIX}/fields/${fieldId}`);
+    } catch (error) {
+      logger.error('[CustomerService] Error deleting customer field:', error);
+      throw error;
+    }
+  }
+
+  _unwrapProfile(response) {
+    if (!response.data?.data) {
+      throw new Error('Invalid response from customers API');
+    }
+    return this.normalizeProfile(response.data.data);
+  }
+
+  _normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+  }
+
+  normalizeProfile(profile) {
+    return {
+      id: profile.id,
+      displayName: profile.display_name || 'Unknown customer',
+      notes: profile.notes || '',
+      tags: this._normalizeTags(profile.tags),
+      customFields: profile.custom_fields || {},
+      contacts: (profile.contacts || []).map(contact => ({
+        platform: contact.platform,
+        contactId: String(contact.contact_id),
+        displayName: contact.display_name || null
+      })),
+      updatedAt: profile.updated_at || null
+    };
+  }
+
+  normalizeField(field) {
+    return {
+      id: field.id,
+      key: field.key,
+      label: field.label || field.key,
+      type: Object.values(FIELD_TYPES).includes(field.type) ? field.type : FIELD_TYPES.TEXT,
+      options: Array.isArray(field.options) ? field.options : []
+    };
+  }
+}
+
+export const customerService = new CustomerService();
@@ -0,0 +1,115 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const DISCORD_API_PREFIX = '/connect/discord';
+
+export const REPORT_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+/**
+ * Discord channel reports: generation over a date range for several
+ * channels, the stored report history and recurring report schedules
+ * @class DiscordReportService
+ */
+class DiscordReportService {
+  /**
+   * Generates one report covering several channels. Channels are reported
+   * one by one so a failing channel doesn't lose the others.
+   * @param {Object} params
+   * @param {string} params.serverId
+   * @param {string} params.serverName
+   * @param {Array<{id: string, name: string}>} params.channels
+   * @param {string} params.from - ISO date, inclusive
+   * @param {string} params.to - ISO date, inclusive
+   * @returns {Promise<Object>} The report, stored when the server accepted it
+   */
+  async generateReport({ serverId, serverName, channels, from, to }) {
+    const results = [];
+    for (const channel of channels) {
+      try {
+        const response = await api.post(`${DISCORD_API_PREFIX}/channels/${channel.id}/report`, { from, to });
+        const data = response.data?.data?.report_data || {};
+        results.push({
+          channelId: channel.id,
+          channelName: channel.name,
+          messageCount: data.messageCount ?? 0,
+          uniqueUsers: data.uniqueUsers ?? 0,
+          summary: data.summary || '',
+          error: null
+        });
+      } catch (error) {
+        logger.error('[DiscordReportService] Channel report failed:', { channelId: channel.id, error: error.message });
+        results.push({
+          channelId: channel.id,
+          channelName: channel.name,
+          messageCount: 0,
+          uniqueUsers: 0,
+          summary: '',
+          error: error.response?.data?.message || error.message
+        });
+      }
+    }
+
+    if (results.every(result => result.error)) {
+      throw new Error('Failed to generate the report for every selected channel');
+    }
+
+    const report = {
+      serverId,
+      serverName,
+      range: { from, to },
+      channels: results,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      const response = await api.post(`${DISCORD_API_PREFIX}/servers/${serverId}/reports`, report);
+      return { ...report, ...response.data?.data, stored: true };
+    } catch (error) {
+      // The report is still shown and exportable, it just won't be in the history
+      logger.error('[DiscordReportService] Failed to store report:', error);
+      return { ...report, id: `local-${Date.now()}`, stored: false };
+    }
+  }
+
+  /**
+   * Past reports of a server, manual and scheduled, newest first
+   */
+  async getReports(serverId) {
+    const response = await api.get(`${DISCORD_API_PREFIX}/servers/${serverId}/reports`);
+    const reports = response.data?.data;
+    if (!Array.isArray(reports)) {
+      throw new Error('Invalid response from reports API');
+    }
+    return reports.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async getSchedules(serverId) {
+    const response = await api.get(`${DISCORD_API_PREFIX}/servers/${serverId}/report-schedules`);
+    return response.data?.data || [];
+  }
+
+  /**
+   * Creates or updates a recurring report
+   * @param {string} serverId
+   * @param {Object} schedule - { id?, frequency, weekday, time, timezone, channelIds, enabled }
+   */
+  async saveSchedule(serverId, schedule) {
+    const { id, ...payload } = schedule;
+    const response = id
+      ? await api.put(`${DISCORD_API_PREFIX}/servers/${serverId}/report-schedules/${id}`, payload)
+      : await api.post(`${DISCORD_API_PREFIX}/servers/${serverId}/report-schedules`, payload);
+    if (!response.data?.data) {
+      throw new Error('Invalid response from report schedules API');
+    }
+    return response.data.data;
+  }
+
+  async deleteSchedule(serverId, scheduleId) {
+    await api.delete(`${DISCORD_API_PREFIX}/servers/${serverId}/report-schedules/${scheduleId}`);
+  }
+}
+
+export const discordReportService = new DiscordReportService();
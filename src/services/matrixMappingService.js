@@ -0,0 +1,156 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+import { MAPPING_CHANGE_TYPES } from '../utils/mappingRules';
+
+/**
+ * Which platform channel is bridged into which Matrix room
+ * @class MatrixMappingService
+ */
+class MatrixMappingService {
+  async getMappings(platform) {
+    const response = await api.get(`/mappings/matrix/${platform}`);
+    const mappings = response.data?.mappings;
+    if (!Array.isArray(mappings)) {
+      throw new Error('Invalid response from mappings API');
+    }
+    return mappings.map(mapping => this.normalizeMapping(mapping));
+  }
+
+  async getMatrixRooms() {
+    const response = await api.get('/matrix/rooms');
+    return (response.data?.rooms || []).map(room => ({
+      id: room.id || room.room_id,
+      name: room.name || room.id || room.room_id,
+      memberCount: room.member_count ?? room.memberCount ?? null
+    }));
+  }
+
+  /**
+   * Text channels of a platform with the category each one sits in.
+   * Discord lists its categories as channels of type 4.
+   */
+  async getPlatformChannels(platform) {
+    const response = await api.get(`/${platform}/channels`);
+    const channels = response.data?.channels || [];
+    const categoryNames = new Map(
+      channels.filter(channel => channel.type === 4).map(channel => [channel.id, channel.name])
+    );
+
+    return channels
+      .filter(channel => channel.type !== 4)
+      .map(channel => {
+        const categoryId = channel.category_id || channel.parent_id || null;
+        return {
+          id: channel.id,
+          name: channel.name,
+          categoryId,
+          categoryName: channel.category_name || categoryNames.get(categoryId) || null
+        };
+      });
+  }
+
+  async createMapping(platform, channel, room) {
+    await api.post('/mappings/matrix', {
+      sourceData: {
+        platform,
+        channelId: channel.id,
+        name: channel.name
+      },
+      targetData: {
+        roomId: room.id,
+        name: room.name
+      }
+    });
+  }
+
+  // Creates the room and maps the channel into it in one go
+  async createRoomForChannel(platform, channelId, roomName) {
+    await api.post('/matrix/rooms/map', {
+      platform,
+      channelId,
+      roomName: roomName || `${platform}-${channelId}`
+    });
+  }
+
+  async deleteMapping(mappingId) {
+    await api.delete(`/mappings/matrix/${mappingId}`);
+  }
+
+  /**
+   * Applies a planned change from planMappingRule, or a single drag and drop.
+   * A channel maps to one room at a time, so a remap deletes the old mapping
+   * first and puts it back if the new one can't be made.
+   */
+  async applyChange(platform, change) {
+    if (change.type === MAPPING_CHANGE_TYPES.SKIP) return;
+
+    const { existing } = change;
+    if (existing) {
+      await this.deleteMapping(existing.id);
+    }
+    try {
+      if (change.type === MAPPING_CHANGE_TYPES.CREATE_ROOM) {
+        await this.createRoomForChannel(platform, change.channel.id, change.roomName);
+      } else {
+        await this.createMapping(platform, change.channel, change.room);
+      }
+    } catch (error) {
+      if (existing) {
+        await this._restoreMapping(platform, existing);
+      }
+      throw error;
+    }
+  }
+
+  async _restoreMapping(platform, mapping) {
+    try {
+      await this.createMapping(
+        platform,
+        { id: mapping.channelId, name: mapping.channelName },
+        { id: mapping.roomId, name: mapping.roomName }
+      );
+    } catch (error) {
+      logger.error('[MatrixMappingService] Failed to restore mapping:', {
+        channelId: mapping.channelId,
+        roomId: mapping.roomId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Applies changes one at a time so a failure doesn't stop the rest
+   * @returns {Promise<{applied: number, failed: Object[]}>} failed holds { change, error }
+   */
+  async applyChanges(platform, changes) {
+    let applied = 0;
+    const failed = [];
+    for (const change of changes) {
+      if (change.type === MAPPING_CHANGE_TYPES.SKIP) continue;
+      try {
+        await this.applyChange(platform, change);
+        applied += 1;
+      } catch (error) {
+        logger.error('[MatrixMappingService] Failed to apply mapping change:', {
+          channelId: change.channel.id,
+          type: change.type,
+          error: error.message
+        });
+        failed.push({ change, error: error.response?.data?.message || error.message });
+      }
+    }
+    return { applied, failed };
+  }
+
+  normalizeMapping(mapping) {
+    return {
+      id: mapping._id || mapping.id,
+      channelId: mapping.sourceData?.channelId ?? mapping.sourceId ?? mapping.source_id,
+      channelName: mapping.sourceName || mapping.sourceData?.name || '',
+      roomId: mapping.targetData?.roomId ?? mapping.targetId ?? mapping.target_id,
+      roomName: mapping.targetName || mapping.targetData?.name || ''
+    };
+  }
+}
+
+export const matrixMappingService = new MatrixMappingService();
@@ -1,6 +1,7 @@
 import api from '../utils/api';
 import logger from '../utils/logger';
 import { v4 as uuidv4 } from 'uuid';
+import { extractMedia, getMsgTypeForFile } from '../utils/matrixMedia';
 
 class MessageService {
   async fetchMessages(contactId, params = {}) {
@@ -57,6 +58,26 @@ class MessageService {
     }
   }
 
+  async fetchMessageContext(contactId, messageId, { before = 20, after = 20 } = {}) {
+    try {
+      const response = await api.get(
+        `/api/whatsapp-entities/contacts/${contactId}/messages/${messageId}/context`,
+        { params: { before, after } }
+      );
+
+      if (!response.data || typeof response.data !== 'object') {
+        throw new Error('Invalid response format');
+      }
+
+      return {
+        messages: response.data.data?.messages || response.data.messages || []
+      };
+    } catch (error) {
+      logger.error('[MessageService] Error fetching message context:', error);
+      throw error;
+    }
+  }
+
   _createContentHash(content) {
     const str = JSON.stringify(content);
     let hash = 0;
@@ -78,9 +99,17 @@ class MessageService {
 
     // Normalize content
     const normalizedContent = this._normalizeContent(message.content);
+
+    // Keep media details that would otherwise be lost when collapsing to body
+    const parsedContent = this._parseContent(message.content);
+    const media = message.media || extractMedia(parsedContent);
+
+    // Replies carry a quoted fallback in their body; keep the quote separately
+    const replyTo = this._extractReply(message, parsedContent);
+    const { quote, body } = replyTo ? this._stripReplyFallback(normalizedContent) : { quote: null, body: normalizedContent };
     
     // Create content hash
-    const contentHash = this._createContentHash(normalizedContent);
+    const contentHash = this._createContentHash(body);
 
     const baseMessage = {
       ...message,
@@ -88,13 +117,75 @@ class MessageService {
       message_id: message.message_id || message.id,
       received_at: safeReceivedAt,
       timestamp: safeTimestamp,
-      content: normalizedContent,
-      content_hash: contentHash
+      content: body,
+      content_hash: contentHash,
+      media: media || null,
+      reply_to: replyTo ? { ...quote, ...replyTo } : null,
+      reactions: this._normalizeReactions(message.reactions),
+      edited_at: message.edited_at || null,
+      edit_history: message.edit_history || [],
+      redacted: Boolean(message.redacted || message.redacted_at)
     };
 
     return baseMessage;
   }
 
+  _parseContent(content) {
+    if (typeof content === 'string' && content.startsWith('{')) {
+      try {
+        return JSON.parse(content);
+      } catch {
+        return null;
+      }
+    }
+    return typeof content === 'object' ? content : null;
+  }
+
+  _extractReply(message, parsedContent) {
+    if (message.reply_to && typeof message.reply_to === 'object') {
+      return message.reply_to;
+    }
+
+    const messageId = message.reply_to || parsedContent?.['m.relates_to']?.['m.in_reply_to']?.event_id;
+    return messageId ? { message_id: messageId } : null;
+  }
+
+  // "> <@alice:server> quoted text\n> more\n\nreply" -> quote + reply body
+  _stripReplyFallback(content) {
+    if (typeof content !== 'string' || !content.startsWith('> ')) {
+      return { quote: null, body: content };
+    }
+
+    const lines = content.split('\n');
+    const quoteLines = [];
+    while (lines.length && lines[0].startsWith('>')) {
+      quoteLines.push(lines.shift().replace(/^> ?/, ''));
+    }
+    if (lines[0] === '') lines.shift();
+
+    const match = quoteLines[0]?.match(/^<([^>]+)> ?(.*)$/);
+    const quote = {
+      sender_name: match ? match[1] : null,
+      body: [match ? match[2] : quoteLines[0], ...quoteLines.slice(1)].join('\n')
+    };
+    return { quote, body: lines.join('\n') };
+  }
+
+  // Accepts either { '👍': [senderIds] } or [{ key, sender_id }] from the API
+  _normalizeReactions(reactions) {
+    if (!reactions) return {};
+    if (!Array.isArray(reactions)) return reactions;
+
+    return reactions.reduce((acc, { key, sender_id: senderId }) => {
+      if (!key) return acc;
+      acc[key] = acc[key] || [];
+      if (!acc[key].includes(senderId)) {
+        acc[key].push(senderId);
+      }
+      return acc;
+    }, {});
+  }
+
   _normalizeContent(content) {
     if (!content) return '';
     
@@ -121,7 +212,8 @@ class MessageService {
     try {
       const response = await api.post(
         `/api/whatsapp-entities/send-message/${contactId}`,
-        message
+        message.attachment ? this._buildAttachmentPayload(message) : message,
+        message.attachment ? { headers: { 'Content-Type': 'multipart/form-data' } } : undefined
       );
 
       if (response.data.status !== 'success') {
@@ -135,6 +227,94 @@ class MessageService {
     }
   }
 
+  async sendReply(contactId, message) {
+    const { reply_to: replyTo, ...rest } = message;
+    return this.sendMessage(contactId, { ...rest, reply_to: replyTo.message_id });
+  }
+
+  async editMessage(contactId, messageId, content) {
+    try {
+      const response = await api.patch(
+        `/api/whatsapp-entities/contacts/${contactId}/messages/${messageId}`,
+        { content }
+      );
+
+      if (response.data.status !== 'success') {
+        throw new Error(response.data.message || 'Failed to edit message');
+      }
+
+      return response.data.data || {};
+    } catch (error) {
+      logger.error('[MessageService] Error editing message:', error);
+      throw error;
+    }
+  }
+
+  async redactMessage(contactId, messageId, reason) {
+    try {
+      const response = await api.delete(
+        `/api/whatsapp-entities/contacts/${contactId}/messages/${messageId}`,
+        { data: { reason } }
+      );
+
+      if (response.data.status !== 'success') {
+        throw new Error(response.data.message || 'Failed to delete message');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('[MessageService] Error deleting message:', error);
+      throw error;
+    }
+  }
+
+  async addReaction(contactId, messageId, key) {
+    try {
+      const response = await api.post(
+        `/api/whatsapp-entities/contacts/${contactId}/messages/${messageId}/reactions`,
+        { key }
+      );
+
+      if (response.data.status !== 'success') {
+        throw new Error(response.data.message || 'Failed to add reaction');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('[MessageService] Error adding reaction:', error);
+      throw error;
+    }
+  }
+
+  async removeReaction(contactId, messageId, key) {
+    try {
+      const response = await api.delete(
+        `/api/whatsapp-entities/contacts/${contactId}/messages/${messageId}/reactions/${encodeURIComponent(key)}`
+      );
+
+      if (response.data.status !== 'success') {
+        throw new Error(response.data.message || 'Failed to remove reaction');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('[MessageService] Error removing reaction:', error);
+      throw error;
+    }
+  }
+
+  _buildAttachmentPayload({ attachment, content, reply_to: replyTo }) {
+    const formData = new FormData();
+    formData.append('file', attachment, attachment.name);
+    formData.append('msgtype', getMsgTypeForFile(attachment));
+    // Used as the caption; falls back to the file name on the server
+    formData.append('content', content || '');
+    if (replyTo) {
+      formData.append('reply_to', replyTo);
+    }
+    return formData;
+  }
+
   async markMessagesAsRead(contactId, messageIds) {
     try {
       await api.post(`/api/whatsapp-entities/contacts/${contactId}/messages/read`, {
@@ -5,9 +5,30 @@ import logger from '../utils/logger';
 import { debounce } from 'lodash';
 import { executeAtomically } from '../utils/atomicOperations';
 
-// State configuration with metadata and hooks
-const STATE_CONFIG = {
+// Platforms a user can pick during onboarding, in the order their steps run
+export const ONBOARDING_PLATFORMS = ['whatsapp', 'telegram', 'discord', 'slack'];
+
+// Steps that connect something; any of them may be skipped or come next
+const CONNECTION_STEPS = ['matrix', ...ONBOARDING_PLATFORMS];
+
+// Where the platform connect pages send the user once connected
+const CONNECT_RETURN_KEY = 'dailyfix_connect_return';
+
+const connectionHooks = (step) => ({
+  onEnter: async () => {
+    logger.info(`[OnboardingService] Entering ${step} setup`);
+  },
+  onExit: async () => {
+    logger.info(`[OnboardingService] Exiting ${step} setup`);
+  }
+});
+
+// State configuration with metadata and hooks. Platform steps name the
+// platform they connect and the steps that must come before them; the
+// wizard's order and checklist are built from these.
+export const STATE_CONFIG = {
   'welcome': {
+    title: 'Welcome',
     allowedTransitions: ['protocol_selection'],
     validationRules: [],
     onEnter: async () => {
@@ -18,7 +39,8 @@ const STATE_CONFIG = {
     }
   },
   'protocol_selection': {
-    allowedTransitions: ['matrix'],
+    title: 'Choose platforms',
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
     validationRules: [],
     onEnter: async () => {
       logger.info('[OnboardingService] Entering protocol selection');
@@ -28,7 +50,10 @@ const STATE_CONFIG = {
     }
   },
   'whatsapp': {
-    allowedTransitions: ['matrix', 'complete'],
+    title: 'Connect WhatsApp',
+    platform: 'whatsapp',
+    requires: ['matrix'],
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
     validationRules: ['validateWhatsAppConnection'],
     onEnter: async () => {
       logger.info('[OnboardingService] Entering WhatsApp setup');
@@ -38,8 +63,10 @@ const STATE_CONFIG = {
       await context.validateWhatsAppConnection();
     }
   },
+  // Not picked on its own: the WhatsApp bridge runs over Matrix
   'matrix': {
-    allowedTransitions: ['whatsapp', 'complete'],
+    title: 'Set up the Matrix bridge',
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
     validationRules: ['validateMatrixConnection'],
     onEnter: async () => {
       logger.info('[OnboardingService] Entering Matrix setup');
@@ -49,7 +76,29 @@ const STATE_CONFIG = {
       await context.validateMatrixConnection();
     }
   },
+  'telegram': {
+    title: 'Connect Telegram',
+    platform: 'telegram',
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
+    validationRules: [],
+    ...connectionHooks('Telegram')
+  },
+  'discord': {
+    title: 'Connect Discord',
+    platform: 'discord',
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
+    validationRules: [],
+    ...connectionHooks('Discord')
+  },
+  'slack': {
+    title: 'Connect Slack',
+    platform: 'slack',
+    allowedTransitions: [...CONNECTION_STEPS, 'complete'],
+    validationRules: [],
+    ...connectionHooks('Slack')
+  },
   'complete': {
+    title: 'Done',
     allowedTransitions: [],
     validationRules: ['validateAllConnections'],
     onEnter: async (context) => {
@@ -195,7 +244,7 @@ class OnboardingService {
     // Get state config
     const currentState = STATE_CONFIG[currentStep];
     if (!currentState) {
-      const validInitialSteps = ['welcome', 'protocol_selection', 'whatsapp', 'matrix'];
+      const validInitialSteps = ['welcome', 'protocol_selection', ...CONNECTION_STEPS];
       const isValid = validInitialSteps.includes(nextStep);
       logger.debug('[OnboardingService] Validating initial step:', { nextStep, isValid });
       return isValid;
@@ -348,15 +397,103 @@ class OnboardingService {
     }
   }
 
+  // Picked platforms that are neither connected nor skipped for later
   _checkRequiredPlatforms(status) {
-    const required = ['whatsapp', 'matrix'];
-    const missing = [];
-    
-    if (!status.whatsappConnected) missing.push('whatsapp');
-    if (!status.matrixConnected) missing.push('matrix');
-    
-    return missing;
+    const skipped = status.skippedPlatforms || [];
+    return (status.selectedPlatforms || [])
+      .filter(platform => !skipped.includes(platform) && !isStepDone(platform, status));
   }
 }
 
-export const onboardingService = new OnboardingService(); 
\ No newline at end of file
+export const onboardingService = new OnboardingService();
+
+/**
+ * Whether a step needs nothing more from the user
+ * @param {string} step
+ * @param {Object} status - Onboarding status from the API or the store
+ */
+export const isStepDone = (step, status) => {
+  const connected = status.connectedPlatforms || [];
+  switch (step) {
+    case 'welcome':
+    case 'protocol_selection':
+      return (status.selectedPlatforms || []).length > 0;
+    case 'matrix':
+      return Boolean(status.matrixConnected) || connected.includes('matrix');
+    case 'whatsapp':
+      return Boolean(status.whatsappConnected) || connected.includes('whatsapp');
+    case 'complete':
+      return Boolean(status.isComplete);
+    default:
+      return connected.includes(step);
+  }
+};
+
+/**
+ * The steps the wizard runs for the picked platforms, prerequisites first
+ * @param {string[]} selectedPlatforms
+ * @returns {string[]}
+ */
+export const getOnboardingPlan = (selectedPlatforms = []) => {
+  const platformSteps = ONBOARDING_PLATFORMS
+    .filter(platform => selectedPlatforms.includes(platform))
+    .flatMap(platform => [...(STATE_CONFIG[platform].requires || []), platform]);
+  return ['welcome', 'protocol_selection', ...new Set(platformSteps), 'complete'];
+};
+
+// Skipping a platform skips the steps it requires too, unless another
+// picked platform still needs them
+const isStepSkipped = (step, status) => {
+  const skipped = status.skippedPlatforms || [];
+  if (skipped.includes(step)) return true;
+  const requiredBy = (status.selectedPlatforms || [])
+    .filter(platform => STATE_CONFIG[platform].requires?.includes(step));
+  return requiredBy.length > 0 && requiredBy.every(platform => skipped.includes(platform));
+};
+
+/**
+ * The plan as a checklist of { step, title, state }, where state is done,
+ * skipped, current or pending
+ */
+export const getOnboardingChecklist = (status, currentStep = status.currentStep) => (
+  getOnboardingPlan(status.selectedPlatforms).map(step => ({
+    step,
+    title: STATE_CONFIG[step].title,
+    state: step === currentStep
+      ? 'current'
+      : isStepDone(step, status)
+        ? 'done'
+        : isStepSkipped(step, status) ? 'skipped' : 'pending'
+  }))
+);
+
+/**
+ * Where to pick up: the first step of the plan still waiting on the user,
+ * or completion once every picked platform is connected or skipped
+ */
+export const getResumeStep = (status) => {
+  if (!(status.selectedPlatforms || []).length) {
+    return status.currentStep === 'protocol_selection' ? 'protocol_selection' : 'welcome';
+  }
+  return getOnboardingPlan(status.selectedPlatforms)
+    .find(step => step !== 'complete' && !isStepDone(step, status) && !isStepSkipped(step, status))
+    || 'complete';
+};
+
+/**
+ * Sends the user back to the given path after the next platform connects,
+ * instead of the dashboard
+ */
+export const rememberConnectReturn = (path) => {
+  sessionStorage.setItem(CONNECT_RETURN_KEY, path);
+};
+
+/**
+ * The path remembered by rememberConnectReturn, once
+ * @param {string|null} fallback - Returned when nothing was remembered
+ */
+export const takeConnectReturn = (fallback = '/dashboard') => {
+  const path = sessionStorage.getItem(CONNECT_RETURN_KEY);
+  sessionStorage.removeItem(CONNECT_RETURN_KEY);
+  return path || fallback;
+};
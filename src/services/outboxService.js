@@ -0,0 +1,183 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger';
+import { openAppDB, deleteAppDB } from '../utils/appDatabase';
+
+const DB_NAME = 'dailyfix_outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'messages';
+
+export const OUTBOX_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Failed messages are retried automatically this many times before they
+// wait for the user to press retry
+export const MAX_AUTO_ATTEMPTS = 3;
+
+// A send still unfinished after this long was cut off by a reload or a
+// closed tab, and may be claimed again
+const STALE_SENDING_MS = 2 * 60 * 1000;
+
+/**
+ * Durable outbox for messages that could not be delivered right away.
+ * Entries live in IndexedDB so they survive reloads and are replayed
+ * once the socket is back.
+ */
+class OutboxService {
+  _getDb() {
+    return openAppDB(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'tempId' });
+      store.createIndex('by_contact', 'contactId');
+      store.createIndex('by_status', 'status');
+    });
+  }
+
+  /**
+   * Deletes the database and everything in it, on sign-out
+   */
+  deleteDatabase() {
+    return deleteAppDB(DB_NAME);
+  }
+
+  /**
+   * Adds a message to the outbox
+   * @param {string} contactId - Recipient contact
+   * @param {Object} message - Message payload as accepted by messageService.sendMessage
+   * @param {string} userId - Account the message is sent from
+   * @returns {Promise<Object>} The stored outbox entry
+   */
+  async enqueue(contactId, message, userId) {
+    const entry = {
+      tempId: uuidv4(),
+      contactId,
+      userId,
+      message,
+      status: OUTBOX_STATUS.QUEUED,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const db = await this._getDb();
+    await db.put(STORE_NAME, entry);
+    logger.info('[OutboxService] Message queued:', { tempId: entry.tempId, contactId });
+    return entry;
+  }
+
+  /**
+   * The user's entries, oldest first. The outbox is per browser, so it can
+   * hold entries another account queued before signing out.
+   */
+  async getAll(userId) {
+    const db = await this._getDb();
+    const entries = await db.getAll(STORE_NAME);
+    return entries
+      .filter(entry => entry.userId === userId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async get(tempId) {
+    const db = await this._getDb();
+    return db.get(STORE_NAME, tempId);
+  }
+
+  /**
+   * Updates an entry in place and returns the new version
+   */
+  async update(tempId, changes) {
+    const db = await this._getDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const existing = await tx.store.get(tempId);
+    if (!existing) {
+      await tx.done;
+      return null;
+    }
+
+    const updated = {
+      ...existing,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    await tx.store.put(updated);
+    await tx.done;
+    return updated;
+  }
+
+  /**
+   * Marks an entry as sending, unless another send already holds it. The
+   * check and the write share one transaction, so two senders can't both
+   * claim the same entry.
+   * @returns {Promise<Object|null>} The claimed entry, or null
+   */
+  async claim(tempId) {
+    const db = await this._getDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const existing = await tx.store.get(tempId);
+    const claimable = existing && (
+      existing.status === OUTBOX_STATUS.QUEUED ||
+      existing.status === OUTBOX_STATUS.FAILED ||
+      (existing.status === OUTBOX_STATUS.SENDING &&
+        Date.now() - new Date(existing.updatedAt).getTime() > STALE_SENDING_MS)
+    );
+    if (!claimable) {
+      await tx.done;
+      return null;
+    }
+
+    const claimed = {
+      ...existing,
+      status: OUTBOX_STATUS.SENDING,
+      updatedAt: new Date().toISOString()
+    };
+    await tx.store.put(claimed);
+    await tx.done;
+    return claimed;
+  }
+
+  async remove(tempId) {
+    const db = await this._getDb();
+    await db.delete(STORE_NAME, tempId);
+  }
+
+  /**
+   * Entries that should be sent on the next replay. Anything left in
+   * `sending` may have been interrupted by a reload or disconnect; claim
+   * decides whether it is picked up again.
+   */
+  async getReplayable(userId) {
+    const entries = await this.getAll(userId);
+    return entries.filter(entry =>
+      entry.status === OUTBOX_STATUS.QUEUED ||
+      entry.status === OUTBOX_STATUS.SENDING ||
+      (entry.status === OUTBOX_STATUS.FAILED && entry.attempts < MAX_AUTO_ATTEMPTS)
+    );
+  }
+
+  /**
+   * Drops what the user left unsent when signing out, along with entries
+   * queued before the outbox recorded who they belong to
+   */
+  async clearForUser(userId) {
+    const db = await this._getDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    let cursor = await tx.store.openCursor();
+    while (cursor) {
+      if (!cursor.value.userId || cursor.value.userId === userId) {
+        await cursor.delete();
+      }
+      cursor = await cursor.continue();
+    }
+    await tx.done;
+  }
+
+  async clear() {
+    const db = await this._getDb();
+    await db.clear(STORE_NAME);
+  }
+}
+
+export const outboxService = new OutboxService();
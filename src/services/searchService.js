@@ -0,0 +1,104 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const SEARCH_API_PREFIX = '/api/search';
+
+export const SEARCH_PAGE_SIZE = 25;
+
+/**
+ * Full-text search over synced messages from every connected platform
+ * @class SearchService
+ */
+class SearchService {
+  /**
+   * Searches messages across WhatsApp contacts and Discord channels
+   * @param {Object} params
+   * @param {string} params.query - Free text to match against message content
+   * @param {string} [params.sender] - Sender name or id filter
+   * @param {string} [params.from] - ISO date, inclusive lower bound
+   * @param {string} [params.to] - ISO date, inclusive upper bound
+   * @param {string[]} [params.platforms] - Restrict to these platforms
+   * @param {string} [params.priority] - Only conversations at this priority level
+   * @param {number} [params.offset]
+   * @returns {Promise<{results: Object[], total: number, hasMore: boolean}>}
+   */
+  async searchMessages({ query, sender, from, to, platforms, priority, offset = 0, limit = SEARCH_PAGE_SIZE }) {
+    try {
+      const response = await api.get(`${SEARCH_API_PREFIX}/messages`, {
+        params: {
+          q: query,
+          sender: sender || undefined,
+          from: from || undefined,
+          to: to || undefined,
+          platforms: platforms?.length ? platforms.join(',') : undefined,
+          priority: priority || undefined,
+          limit,
+          offset
+        }
+      });
+
+      const results = response.data?.data;
+      if (!Array.isArray(results)) {
+        throw new Error('Invalid response from search API');
+      }
+
+      return {
+        results: results.map(result => this.normalizeResult(result)),
+        total: response.data.meta?.total ?? results.length,
+        hasMore: response.data.meta?.hasMore ?? results.length === limit
+      };
+    } catch (error) {
+      logger.error('[SearchService] Error searching messages:', error);
+      throw error;
+    }
+  }
+
+  normalizeResult(result) {
+    return {
+      id: result.id || result.message_id,
+      messageId: result.message_id || result.id,
+      platform: result.platform,
+      // WhatsApp results point at a contact, Discord results at a channel
+      conversationId: result.contact_id || result.channel_id,
+      conversationName: result.contact_name || result.channel_name || 'Unknown',
+      senderName: result.sender_name || result.author?.username || 'Unknown',
+      content: result.content || '',
+      timestamp: result.timestamp
+    };
+  }
+}
+
+/**
+ * Splits text into plain and matching parts so the caller can wrap matches
+ * in a highlight without using innerHTML
+ */
+export const splitHighlights = (text, query) => {
+  if (!text || !query?.trim()) return [{ text: text || '', match: false }];
+
+  const terms = query.trim().split(/\s+/).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+
+  // With a single capture group, split puts every match at an odd index
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter(part => part.text);
+};
+
+/**
+ * Trims long messages to a window around the first match
+ */
+export const buildSnippet = (text, query, radius = 80) => {
+  if (!text) return '';
+  const firstTerm = query?.trim().split(/\s+/)[0];
+  const index = firstTerm ? text.toLowerCase().indexOf(firstTerm.toLowerCase()) : -1;
+  if (index === -1 || text.length <= radius * 2) {
+    return text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text;
+  }
+
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + firstTerm.length + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+export const searchService = new SearchService();
@@ -0,0 +1,320 @@
+import { supabase } from '../utils/supabase';
+import api from '../utils/api';
+import logger from '../utils/logger';
+import authService from './authService';
+
+const MFA_API_PREFIX = '/api/auth/mfa';
+const SESSIONS_API_PREFIX = '/api/auth/sessions';
+
+export const OAUTH_PROVIDERS = ['google', 'github'];
+
+// Ways a member can sign in; workspaces may allow only some of them
+export const SIGN_IN_METHODS = {
+  PASSWORD: 'password',
+  GOOGLE: 'google',
+  GITHUB: 'github'
+};
+
+export const SIGN_IN_METHOD_LABELS = {
+  [SIGN_IN_METHODS.PASSWORD]: 'Email and password',
+  [SIGN_IN_METHODS.GOOGLE]: 'Google',
+  [SIGN_IN_METHODS.GITHUB]: 'GitHub'
+};
+
+/**
+ * Two-factor authentication, recovery codes, linked sign-in identities and
+ * active sessions for the signed-in user. TOTP factors live in Supabase Auth; recovery codes
+ * are issued and redeemed by our API since Supabase has none.
+ * @class SecurityService
+ */
+class SecurityService {
+  /**
+   * @returns {Promise<Object>} { enabled, factorId, currentLevel, nextLevel }
+   */
+  async getMfaStatus() {
+    const [{ data: factors, error: factorsError }, { data: assurance, error: assuranceError }] = await Promise.all([
+      supabase.auth.mfa.listFactors(),
+      supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+    ]);
+    if (factorsError || assuranceError) {
+      const error = factorsError || assuranceError;
+      logger.error('[SecurityService] Error reading two-factor status:', error);
+      throw error;
+    }
+
+    const factor = factors.totp.find(item => item.status === 'verified') || null;
+    return {
+      enabled: Boolean(factor),
+      factorId: factor?.id || null,
+      currentLevel: assurance.currentLevel,
+      nextLevel: assurance.nextLevel
+    };
+  }
+
+  /**
+   * Starts TOTP enrollment. Nothing is enforced until the first code is
+   * confirmed with confirmTotpEnrollment.
+   * @returns {Promise<Object>} { factorId, qrCode, secret }
+   */
+  async startTotpEnrollment() {
+    // Abandoned enrollments block new ones with the same name
+    const { data: factors } = await supabase.auth.mfa.listFactors();
+    const stale = (factors?.all || []).filter(factor => factor.factor_type === 'totp' && factor.status !== 'verified');
+    await Promise.all(stale.map(factor => supabase.auth.mfa.unenroll({ factorId: factor.id })));
+
+    const { data, error } = await supabase.auth.mfa.enroll({ factorType: 'totp', friendlyName: 'DailyFix' });
+    if (error) {
+      logger.error('[SecurityService] Error starting two-factor enrollment:', error);
+      throw error;
+    }
+    return { factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret };
+  }
+
+  /**
+   * Verifies the first code from the authenticator app, which turns two-factor
+   * on, and issues the recovery codes
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async confirmTotpEnrollment(factorId, code) {
+    const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code: code.trim() });
+    if (error) {
+      logger.error('[SecurityService] Error confirming two-factor enrollment:', error);
+      throw error;
+    }
+    // The session was stepped up; requests need the new token
+    await authService.refreshStoredSession();
+    return this.generateRecoveryCodes();
+  }
+
+  async disableTotp(factorId) {
+    const { error } = await supabase.auth.mfa.unenroll({ factorId });
+    if (error) {
+      logger.error('[SecurityService] Error turning off two-factor:', error);
+      throw error;
+    }
+    await authService.refreshStoredSession();
+  }
+
+  /**
+   * Replaces the user's recovery codes; earlier ones stop working
+   * @returns {Promise<string[]>}
+   */
+  async generateRecoveryCodes() {
+    try {
+      const response = await api.post(`${MFA_API_PREFIX}/recovery-codes`);
+      const codes = response.data?.data?.codes;
+      if (!Array.isArray(codes)) {
+        throw new Error('Invalid response from recovery codes API');
+      }
+      return codes;
+    } catch (error) {
+      logger.error('[SecurityService] Error generating recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} Recovery codes not used yet
+   */
+  async getRemainingRecoveryCodes() {
+    try {
+      const response = await api.get(`${MFA_API_PREFIX}/recovery-codes`);
+      const remaining = response.data?.data?.remaining;
+      if (typeof remaining !== 'number') {
+        throw new Error('Invalid response from recovery codes API');
+      }
+      return remaining;
+    } catch (error) {
+      logger.error('[SecurityService] Error fetching recovery code count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign-in identities linked to the account: email and any OAuth providers
+   * @returns {Promise<Object[]>}
+   */
+  async listIdentities() {
+    const { data, error } = await supabase.auth.getUserIdentities();
+    if (error) {
+      logger.error('[SecurityService] Error fetching linked identities:', error);
+      throw error;
+    }
+    return data.identities.map(identity => ({
+      id: identity.identity_id || identity.id,
+      provider: identity.provider,
+      email: identity.identity_data?.email || null,
+      createdAt: identity.created_at || null,
+      lastSignInAt: identity.last_sign_in_at || null,
+      raw: identity
+    }));
+  }
+
+  /**
+   * Redirects to the provider to link it; the browser comes back to the
+   * security settings page
+   */
+  async linkProvider(provider) {
+    if (!OAUTH_PROVIDERS.includes(provider)) {
+      throw new Error(`Unsupported sign-in provider: ${provider}`);
+    }
+    const { error } = await supabase.auth.linkIdentity({
+      provider,
+      options: { redirectTo: `${window.location.origin}/settings/security` }
+    });
+    if (error) {
+      logger.error('[SecurityService] Error linking identity:', error);
+      throw error;
+    }
+  }
+
+  async unlinkIdentity(identity) {
+    const { error } = await supabase.auth.unlinkIdentity(identity.raw);
+    if (error) {
+      logger.error('[SecurityService] Error unlinking identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What the current session is missing for a workspace's sign-in rules.
+   * The API enforces the same rules; this is for telling the user why.
+   * @param {Object} workspace - Normalized workspace
+   * @returns {Promise<Object>} { mfaEnrollment, mfaChallenge, methodNotAllowed }
+   */
+  async checkWorkspacePolicy(workspace) {
+    const result = { mfaEnrollment: false, mfaChallenge: false, methodNotAllowed: false };
+    if (!workspace) return result;
+
+    const status = await this.getMfaStatus();
+    if (workspace.requireMfa) {
+      result.mfaEnrollment = !status.enabled;
+      result.mfaChallenge = status.enabled && status.currentLevel !== 'aal2';
+    }
+
+    const method = await this.getSessionSignInMethod();
+    if (method) {
+      result.methodNotAllowed = !workspace.allowedSignInMethods.includes(method);
+    }
+    return result;
+  }
+
+  /**
+   * How this session signed in, from the first-factor entry of the access
+   * token's amr claim. The claim only says "oauth" for either provider, so
+   * the provider is the OAuth identity signed in with most recently.
+   * @returns {Promise<string|null>} One of SIGN_IN_METHODS, another amr method, or null
+   */
+  async getSessionSignInMethod() {
+    const claims = await this._getAccessTokenClaims();
+    const entry = (claims?.amr || []).find(item => item.method !== 'totp');
+    if (!entry) return null;
+    if (entry.method !== 'oauth') return entry.method;
+
+    const [latest] = (await this.listIdentities())
+      .filter(identity => OAUTH_PROVIDERS.includes(identity.provider))
+      .sort((a, b) => new Date(b.lastSignInAt || 0) - new Date(a.lastSignInAt || 0));
+    return latest?.provider || null;
+  }
+
+  /**
+   * Every signed-in session of the account, one per device or browser
+   * @returns {Promise<Object[]>} Most recently seen first
+   */
+  async listSessions() {
+    try {
+      const [response, currentId] = await Promise.all([
+        api.get(SESSIONS_API_PREFIX),
+        this.getCurrentSessionId()
+      ]);
+      const sessions = response.data?.data;
+      if (!Array.isArray(sessions)) {
+        throw new Error('Invalid response from sessions API');
+      }
+      return sessions
+        .map(session => this.normalizeSession(session, currentId))
+        .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+    } catch (error) {
+      logger.error('[SecurityService] Error fetching sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether this browser's session is still signed in on the server. A
+   * session revoked while this device was asleep or offline never got the
+   * socket event. When it can't be told, the session counts as active.
+   * @returns {Promise<boolean>}
+   */
+  async isCurrentSessionActive() {
+    const currentId = await this.getCurrentSessionId();
+    if (!currentId) return true;
+    try {
+      const sessions = await this.listSessions();
+      return sessions.some(session => session.id === currentId);
+    } catch (error) {
+      // The API turns revoked sessions away even after a token refresh
+      return error.response?.status !== 401;
+    }
+  }
+
+  /**
+   * Signs another device out. Its refresh token stops working at once and
+   * the API tells it over the socket to drop what it has stored.
+   */
+  async revokeSession(sessionId) {
+    try {
+      await api.delete(`${SESSIONS_API_PREFIX}/${encodeURIComponent(sessionId)}`);
+    } catch (error) {
+      logger.error('[SecurityService] Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Signs out every session of the account, this one included
+   */
+  async revokeAllSessions() {
+    try {
+      await api.post(`${SESSIONS_API_PREFIX}/revoke-all`);
+    } catch (error) {
+      logger.error('[SecurityService] Error revoking all sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The Supabase session id of this browser, read from the access token
+   * @returns {Promise<string|null>}
+   */
+  async getCurrentSessionId() {
+    const claims = await this._getAccessTokenClaims();
+    return claims?.session_id || null;
+  }
+
+  async _getAccessTokenClaims() {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) return null;
+    try {
+      const payload = session.access_token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload));
+    } catch (error) {
+      logger.warn('[SecurityService] Could not read the access token:', error);
+      return null;
+    }
+  }
+
+  normalizeSession(session, currentId) {
+    return {
+      id: String(session.id),
+      userAgent: session.user_agent || '',
+      ip: session.ip || null,
+      createdAt: session.created_at || null,
+      lastSeenAt: session.last_seen_at || session.created_at || null,
+      aal: session.aal || 'aal1',
+      current: String(session.id) === currentId
+    };
+  }
+}
+
+export const securityService = new SecurityService();
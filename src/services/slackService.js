@@ -0,0 +1,161 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const SLACK_API_PREFIX = '/connect/slack';
+const MESSAGES_PAGE_SIZE = 50;
+
+// OAuth state kept between SlackConnection and SlackCallback
+export const SLACK_OAUTH_STATE_KEY = 'slackOAuthState';
+
+/**
+ * Channels, direct messages and threads of the connected Slack workspace.
+ * Slack identifies a message by its `ts`; a reply carries the `thread_ts`
+ * of the message that started its thread.
+ * @class SlackService
+ */
+class SlackService {
+  getRedirectUri() {
+    return import.meta.env.VITE_SLACK_REDIRECT_URI || `${window.location.origin}/oauth/slack/callback`;
+  }
+
+  /**
+   * Channels the app is a member of and the user's DMs
+   * @returns {Promise<Object[]>}
+   */
+  async getChannels() {
+    try {
+      const response = await api.get(`${SLACK_API_PREFIX}/channels`);
+      const channels = response.data?.data;
+      if (!Array.isArray(channels)) {
+        throw new Error('Invalid response from Slack channels API');
+      }
+      return channels.map(channel => this.normalizeChannel(channel));
+    } catch (error) {
+      logger.error('[SlackService] Error fetching channels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One page of a channel's top-level messages, oldest first. Thread
+   * replies are left out, see getThread.
+   * @param {string} channelId
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - from the previous page's nextCursor
+   * @returns {Promise<{messages: Object[], nextCursor: string|null}>}
+   */
+  async getMessages(channelId, { cursor, limit = MESSAGES_PAGE_SIZE } = {}) {
+    try {
+      const response = await api.get(`${SLACK_API_PREFIX}/channels/${channelId}/messages`, {
+        params: { cursor, limit }
+      });
+      const messages = response.data?.data;
+      if (!Array.isArray(messages)) {
+        throw new Error('Invalid response from Slack messages API');
+      }
+      return {
+        messages: messages
+          .map(message => this.normalizeMessage(message, channelId))
+          .filter(message => !this.isReply(message))
+          .sort((a, b) => Number(a.ts) - Number(b.ts)),
+        nextCursor: response.data?.next_cursor || null
+      };
+    } catch (error) {
+      logger.error('[SlackService] Error fetching messages:', { channelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Replies of a thread, oldest first, without the parent message
+   */
+  async getThread(channelId, threadTs) {
+    try {
+      const response = await api.get(`${SLACK_API_PREFIX}/channels/${channelId}/threads/${threadTs}`);
+      const messages = response.data?.data;
+      if (!Array.isArray(messages)) {
+        throw new Error('Invalid response from Slack threads API');
+      }
+      return messages
+        .map(message => this.normalizeMessage(message, channelId))
+        .filter(message => message.ts !== threadTs)
+        .sort((a, b) => Number(a.ts) - Number(b.ts));
+    } catch (error) {
+      logger.error('[SlackService] Error fetching thread:', { channelId, threadTs, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Posts to a channel, or into a thread when threadTs is given
+   * @param {string} channelId
+   * @param {Object} params
+   * @param {string} params.content
+   * @param {string} [params.threadTs]
+   * @returns {Promise<Object>} The posted message
+   */
+  async sendMessage(channelId, { content, threadTs }) {
+    try {
+      const response = await api.post(`${SLACK_API_PREFIX}/channels/${channelId}/messages`, {
+        text: content,
+        thread_ts: threadTs || undefined
+      });
+      if (!response.data?.data) {
+        throw new Error('Invalid response from Slack messages API');
+      }
+      return this.normalizeMessage(response.data.data, channelId);
+    } catch (error) {
+      logger.error('[SlackService] Error sending message:', { channelId, error: error.message });
+      throw error;
+    }
+  }
+
+  async markAsRead(channelId, ts) {
+    try {
+      await api.post(`${SLACK_API_PREFIX}/channels/${channelId}/read`, { ts });
+    } catch (error) {
+      logger.error('[SlackService] Error marking channel as read:', { channelId, error: error.message });
+      throw error;
+    }
+  }
+
+  isReply(message) {
+    return Boolean(message.thread_ts) && message.thread_ts !== message.ts;
+  }
+
+  normalizeChannel(channel) {
+    return {
+      id: String(channel.id),
+      name: channel.is_im ? (channel.user_name || 'Direct message') : channel.name,
+      is_im: Boolean(channel.is_im),
+      is_private: Boolean(channel.is_private),
+      avatar_url: channel.avatar_url || null,
+      topic: channel.topic?.value ?? channel.topic ?? '',
+      last_message: channel.last_message || '',
+      last_message_at: channel.last_message_at || null,
+      unread_count: channel.unread_count || 0
+    };
+  }
+
+  normalizeMessage(message, channelId) {
+    return {
+      id: message.ts,
+      ts: message.ts,
+      channel_id: String(message.channel || channelId),
+      thread_ts: message.thread_ts || null,
+      reply_count: message.reply_count || 0,
+      latest_reply: message.latest_reply || null,
+      content: message.text ?? message.content ?? '',
+      user_id: message.user || message.bot_id || null,
+      user_name: message.user_name || message.username || message.user_profile?.real_name || 'Unknown',
+      avatar_url: message.user_profile?.image_72 || message.avatar_url || null,
+      is_own: Boolean(message.is_own),
+      // Slack timestamps are seconds with a sequence suffix
+      timestamp: new Date(Number(message.ts) * 1000).toISOString(),
+      edited_at: message.edited?.ts ? new Date(Number(message.edited.ts) * 1000).toISOString() : null,
+      status: message.status || 'sent'
+    };
+  }
+}
+
+export const slackService = new SlackService();
@@ -0,0 +1,147 @@
+import { v4 as uuidv4 } from 'uuid';
+import api from '../utils/api';
+import logger from '../utils/logger';
+import { openAppDB, deleteAppDB } from '../utils/appDatabase';
+import { normalizeSummaryItem } from '../utils/summaryDiff';
+
+const DB_NAME = 'dailyfix_summaries';
+const DB_VERSION = 1;
+const SUMMARIES_STORE = 'summaries';
+const TASKS_STORE = 'tasks';
+
+/**
+ * Generates conversation summaries and keeps every one of them, together
+ * with the tasks created from their action items, in IndexedDB.
+ */
+class SummaryService {
+  _getDb() {
+    return openAppDB(DB_NAME, DB_VERSION, (db) => {
+      const summaries = db.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+      summaries.createIndex('by_contact', 'contactId');
+      const tasks = db.createObjectStore(TASKS_STORE, { keyPath: 'id' });
+      tasks.createIndex('by_contact', 'contactId');
+    });
+  }
+
+  /**
+   * Deletes the database and everything in it, on sign-out
+   */
+  deleteDatabase() {
+    return deleteAppDB(DB_NAME);
+  }
+
+  /**
+   * Asks the analysis API for a summary of a contact's conversation
+   * @returns {Promise<Object>} Raw API payload: { summary, messageCount, timespan }
+   */
+  async fetchSummary(contactId) {
+    const response = await api.get(`/api/analysis/summary/${contactId}`);
+    if (!response.data?.summary) {
+      throw new Error('No summary available for this conversation');
+    }
+    return response.data;
+  }
+
+  /**
+   * Generates a summary, stores it and turns its new action items into tasks.
+   * Action items already tracked as open tasks for the contact are not
+   * duplicated when a later summary repeats them.
+   * @param {Object} contact - { id, display_name }
+   * @returns {Promise<{ summary: Object, tasks: Object[] }>}
+   */
+  async generateSummary(contact) {
+    const data = await this.fetchSummary(contact.id);
+    const createdAt = Date.now();
+
+    const summary = {
+      id: uuidv4(),
+      contactId: contact.id,
+      contactName: contact.display_name || null,
+      createdAt,
+      messageCount: data.messageCount ?? null,
+      timespan: {
+        start: data.timespan?.start || null,
+        end: data.timespan?.end || null
+      },
+      sections: {
+        mainPoints: data.summary.mainPoints || [],
+        actionItems: data.summary.actionItems || [],
+        keyDecisions: data.summary.keyDecisions || []
+      }
+    };
+
+    const db = await this._getDb();
+    const existing = await db.getAllFromIndex(TASKS_STORE, 'by_contact', contact.id);
+    const openItems = new Set(existing.filter(task => !task.done).map(task => normalizeSummaryItem(task.text)));
+
+    const tasks = summary.sections.actionItems
+      .filter(item => !openItems.has(normalizeSummaryItem(item)))
+      .map(item => ({
+        id: uuidv4(),
+        contactId: contact.id,
+        contactName: summary.contactName,
+        summaryId: summary.id,
+        text: item,
+        done: false,
+        owner: null,
+        dueDate: null,
+        createdAt,
+        completedAt: null
+      }));
+
+    const tx = db.transaction([SUMMARIES_STORE, TASKS_STORE], 'readwrite');
+    await Promise.all([
+      tx.objectStore(SUMMARIES_STORE).put(summary),
+      ...tasks.map(task => tx.objectStore(TASKS_STORE).put(task))
+    ]);
+    await tx.done;
+
+    logger.info('[SummaryService] Stored summary:', {
+      contactId: contact.id,
+      summaryId: summary.id,
+      newTasks: tasks.length
+    });
+
+    return { summary, tasks };
+  }
+
+  /**
+   * Stored summaries for a contact, newest first
+   */
+  async getSummaries(contactId) {
+    const db = await this._getDb();
+    const summaries = await db.getAllFromIndex(SUMMARIES_STORE, 'by_contact', contactId);
+    return summaries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async getTasks() {
+    const db = await this._getDb();
+    return db.getAll(TASKS_STORE);
+  }
+
+  /**
+   * Applies changes to a task
+   * @param {string} taskId
+   * @param {Object} changes - Any of { done, owner, dueDate, text }
+   * @returns {Promise<Object|null>} The updated task, null if it no longer exists
+   */
+  async updateTask(taskId, changes) {
+    const db = await this._getDb();
+    const task = await db.get(TASKS_STORE, taskId);
+    if (!task) return null;
+
+    const updated = { ...task, ...changes };
+    if ('done' in changes) {
+      updated.completedAt = changes.done ? Date.now() : null;
+    }
+    await db.put(TASKS_STORE, updated);
+    return updated;
+  }
+
+  async deleteTask(taskId) {
+    const db = await this._getDb();
+    await db.delete(TASKS_STORE, taskId);
+  }
+}
+
+export const summaryService = new SummaryService();
@@ -0,0 +1,90 @@
+import logger from '../utils/logger';
+import { openAppDB, deleteAppDB } from '../utils/appDatabase';
+
+const DB_NAME = 'dailyfix_sync';
+const DB_VERSION = 1;
+const JOBS_STORE = 'jobs';
+const CHECKPOINTS_STORE = 'checkpoints';
+
+// Finished jobs kept per user for the jobs panel
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * IndexedDB persistence for SyncQueueManager. Jobs are stored without their
+ * sync function; the manager re-attaches a runner by type when restoring.
+ * Checkpoints record the last committed batch of a job type so a restarted
+ * sync continues from there.
+ */
+class SyncJobStore {
+  _getDb() {
+    return openAppDB(DB_NAME, DB_VERSION, (db) => {
+      const jobs = db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+      jobs.createIndex('by_user', 'userId');
+      db.createObjectStore(CHECKPOINTS_STORE, { keyPath: 'key' });
+    });
+  }
+
+  /**
+   * Deletes the database and everything in it, on sign-out
+   */
+  deleteDatabase() {
+    return deleteAppDB(DB_NAME);
+  }
+
+  async getJobs(userId) {
+    const db = await this._getDb();
+    const jobs = await db.getAllFromIndex(JOBS_STORE, 'by_user', userId);
+    return jobs.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async putJob(job) {
+    try {
+      const db = await this._getDb();
+      await db.put(JOBS_STORE, job);
+    } catch (error) {
+      // Persistence is best effort; the in-memory queue keeps working
+      logger.error('[SyncJobStore] Failed to persist job:', { id: job.id, error: error.message });
+    }
+  }
+
+  async deleteJobs(ids) {
+    const db = await this._getDb();
+    const tx = db.transaction(JOBS_STORE, 'readwrite');
+    await Promise.all(ids.map(id => tx.store.delete(id)));
+    await tx.done;
+  }
+
+  /**
+   * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  async pruneFinished(userId, isFinished) {
+    const jobs = await this.getJobs(userId);
+    const finished = jobs.filter(isFinished);
+    const excess = finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS));
+    if (excess.length) {
+      await this.deleteJobs(excess.map(job => job.id));
+    }
+    return excess.map(job => job.id);
+  }
+
+  async getCheckpoint(userId, type) {
+    const db = await this._getDb();
+    return (await db.get(CHECKPOINTS_STORE, `${userId}:${type}`)) || null;
+  }
+
+  async saveCheckpoint(userId, type, checkpoint) {
+    const db = await this._getDb();
+    await db.put(CHECKPOINTS_STORE, {
+      ...checkpoint,
+      key: `${userId}:${type}`,
+      updatedAt: Date.now()
+    });
+  }
+
+  async clearCheckpoint(userId, type) {
+    const db = await this._getDb();
+    await db.delete(CHECKPOINTS_STORE, `${userId}:${type}`);
+  }
+}
+
+export const syncJobStore = new SyncJobStore();
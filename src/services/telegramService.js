@@ -0,0 +1,133 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const TELEGRAM_API_PREFIX = '/connect/telegram';
+const MESSAGES_PAGE_SIZE = 50;
+
+/**
+ * Chats and messages of the Telegram bot connected in TelegramConnection
+ * @class TelegramService
+ */
+class TelegramService {
+  /**
+   * Every chat the bot is part of, most recently active first
+   * @returns {Promise<Object[]>}
+   */
+  async getChats() {
+    try {
+      const response = await api.get(`${TELEGRAM_API_PREFIX}/chats`);
+      const chats = response.data?.data;
+      if (!Array.isArray(chats)) {
+        throw new Error('Invalid response from Telegram chats API');
+      }
+      return chats
+        .map(chat => this.normalizeChat(chat))
+        .sort((a, b) => new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0));
+    } catch (error) {
+      logger.error('[TelegramService] Error fetching chats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One page of a chat's history, oldest first
+   * @param {string} chatId
+   * @param {Object} [options]
+   * @param {string} [options.before] - message id to page back from
+   * @param {number} [options.limit]
+   * @returns {Promise<{messages: Object[], hasMore: boolean}>}
+   */
+  async getMessages(chatId, { before, limit = MESSAGES_PAGE_SIZE } = {}) {
+    try {
+      const response = await api.get(`${TELEGRAM_API_PREFIX}/chats/${chatId}/messages`, {
+        params: { before, limit }
+      });
+      const messages = response.data?.data;
+      if (!Array.isArray(messages)) {
+        throw new Error('Invalid response from Telegram messages API');
+      }
+      return {
+        messages: messages
+          .map(message => this.normalizeMessage(message, chatId))
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+        hasMore: response.data?.has_more ?? messages.length >= limit
+      };
+    } catch (error) {
+      logger.error('[TelegramService] Error fetching messages:', { chatId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a message as the bot
+   * @param {string} chatId
+   * @param {Object} params
+   * @param {string} params.content
+   * @param {string} [params.replyToId]
+   * @returns {Promise<Object>} The sent message
+   */
+  async sendMessage(chatId, { content, replyToId }) {
+    try {
+      const response = await api.post(`${TELEGRAM_API_PREFIX}/chats/${chatId}/messages`, {
+        content,
+        reply_to_message_id: replyToId || undefined
+      });
+      if (!response.data?.data) {
+        throw new Error('Invalid response from Telegram messages API');
+      }
+      return this.normalizeMessage(response.data.data, chatId);
+    } catch (error) {
+      logger.error('[TelegramService] Error sending message:', { chatId, error: error.message });
+      throw error;
+    }
+  }
+
+  async markAsRead(chatId) {
+    try {
+      await api.post(`${TELEGRAM_API_PREFIX}/chats/${chatId}/read`);
+    } catch (error) {
+      logger.error('[TelegramService] Error marking chat as read:', { chatId, error: error.message });
+      throw error;
+    }
+  }
+
+  normalizeChat(chat) {
+    return {
+      id: String(chat.id),
+      title: chat.title || chat.name || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || 'Unknown',
+      type: chat.type || 'private',
+      username: chat.username || null,
+      photo_url: chat.photo_url || null,
+      last_message: chat.last_message || '',
+      last_message_at: chat.last_message_at || null,
+      unread_count: chat.unread_count || 0
+    };
+  }
+
+  /**
+   * Maps a Telegram message onto the shape MessageItem renders
+   */
+  normalizeMessage(message, chatId) {
+    const sender = message.from || {};
+    return {
+      id: String(message.id ?? message.message_id),
+      message_id: String(message.message_id ?? message.id),
+      chat_id: String(message.chat_id ?? chatId),
+      content: message.text ?? message.caption ?? message.content ?? '',
+      sender_id: sender.id != null ? String(sender.id) : null,
+      sender_name: sender.username || [sender.first_name, sender.last_name].filter(Boolean).join(' ') || 'Unknown',
+      // Sent by our bot, rendered on the agent's side of the conversation
+      outgoing: Boolean(message.outgoing ?? sender.is_bot),
+      timestamp: message.timestamp || (message.date ? new Date(message.date * 1000).toISOString() : new Date().toISOString()),
+      reply_to: message.reply_to_message ? {
+        message_id: String(message.reply_to_message.message_id),
+        sender_name: message.reply_to_message.from?.username || message.reply_to_message.from?.first_name,
+        body: message.reply_to_message.text || ''
+      } : null,
+      edited_at: message.edit_date ? new Date(message.edit_date * 1000).toISOString() : null,
+      status: message.status || 'sent'
+    };
+  }
+}
+
+export const telegramService = new TelegramService();
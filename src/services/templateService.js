@@ -0,0 +1,101 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const TEMPLATES_API_PREFIX = '/api/templates';
+
+/**
+ * Team-wide library of saved replies used by the chat composers
+ * @class TemplateService
+ */
+class TemplateService {
+  /**
+   * Lists every template shared with the current user's team
+   * @returns {Promise<Object[]>}
+   */
+  async listTemplates() {
+    try {
+      const response = await api.get(TEMPLATES_API_PREFIX);
+      const templates = response.data?.data;
+      if (!Array.isArray(templates)) {
+        throw new Error('Invalid response from templates API');
+      }
+      return templates.map(template => this.normalizeTemplate(template));
+    } catch (error) {
+      logger.error('[TemplateService] Error fetching templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a template, or updates it when it already has an id
+   * @param {Object} template - { id?, name, shortcut, category, platforms, body }
+   * @returns {Promise<Object>} The stored template
+   */
+  async saveTemplate(template) {
+    if (!template.name?.trim() || !template.body?.trim()) {
+      throw new Error('Template name and text are required');
+    }
+
+    const payload = {
+      name: template.name.trim(),
+      shortcut: template.shortcut?.trim() || null,
+      category: template.category?.trim() || null,
+      platforms: template.platforms || [],
+      body: template.body
+    };
+
+    try {
+      const response = template.id
+        ? await api.put(`${TEMPLATES_API_PREFIX}/${template.id}`, payload)
+        : await api.post(TEMPLATES_API_PREFIX, payload);
+      if (!response.data?.data) {
+        throw new Error('Invalid response from templates API');
+      }
+      return this.normalizeTemplate(response.data.data);
+    } catch (error) {
+      logger.error('[TemplateService] Error saving template:', error);
+      throw error;
+    }
+  }
+
+  async deleteTemplate(templateId) {
+    try {
+      await api.delete(`${TEMPLATES_API_PREFIX}/${templateId}`);
+    } catch (error) {
+      logger.error('[TemplateService] Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Counts one insertion of a template
+   * @param {string} templateId
+   * @param {string} platform - Where it was used, e.g. 'whatsapp'
+   * @returns {Promise<number|null>} The server's usage count, if it returned one
+   */
+  async recordUsage(templateId, platform) {
+    try {
+      const response = await api.post(`${TEMPLATES_API_PREFIX}/${templateId}/usage`, { platform });
+      return response.data?.data?.usage_count ?? null;
+    } catch (error) {
+      logger.error('[TemplateService] Error recording template usage:', error);
+      throw error;
+    }
+  }
+
+  normalizeTemplate(template) {
+    return {
+      id: template.id,
+      name: template.name || 'Untitled',
+      shortcut: template.shortcut || null,
+      category: template.category || null,
+      // An empty list means the template is offered on every platform
+      platforms: Array.isArray(template.platforms) ? template.platforms : [],
+      body: template.body || '',
+      usageCount: template.usage_count ?? 0,
+      lastUsedAt: template.last_used_at || null
+    };
+  }
+}
+
+export const templateService = new TemplateService();
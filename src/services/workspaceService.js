@@ -0,0 +1,322 @@
+import api from '../utils/api';
+import logger from '../utils/logger';
+import { SIGN_IN_METHODS } from './securityService';
+
+const WORKSPACES_API_PREFIX = '/api/workspaces';
+
+export const WORKSPACE_ROLES = {
+  OWNER: 'owner',
+  AGENT: 'agent',
+  VIEWER: 'viewer'
+};
+
+// Without a workspace the user works alone and can do everything
+export const canManageMembers = (role) => !role || role === WORKSPACE_ROLES.OWNER;
+export const canAssign = (role) => !role || role !== WORKSPACE_ROLES.VIEWER;
+export const canReply = (role) => !role || role !== WORKSPACE_ROLES.VIEWER;
+
+/**
+ * Socket rooms live inbox events arrive in: the user's own, and the open
+ * workspace's for the conversations shared with the team
+ * @param {string} userId
+ * @param {string|null} workspaceId
+ * @returns {string[]}
+ */
+export const getInboxRooms = (userId, workspaceId) => [
+  ...(userId ? [`user:${userId}`] : []),
+  ...(workspaceId ? [`workspace:${workspaceId}`] : [])
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Team workspaces. Members of a workspace share its connected accounts and
+ * inbox; requests made while a workspace is active carry its id (see
+ * setActiveWorkspace in utils/api) so the server scopes them to it.
+ * Assignment changes are broadcast by the server to the `workspace:<id>`
+ * socket room.
+ * @class WorkspaceService
+ */
+class WorkspaceService {
+  /**
+   * Workspaces the current user belongs to, with their role in each
+   * @returns {Promise<Object[]>}
+   */
+  async listWorkspaces() {
+    try {
+      const response = await api.get(WORKSPACES_API_PREFIX);
+      return this._unwrapList(response, 'workspaces').map(workspace => this.normalizeWorkspace(workspace));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error fetching workspaces:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a workspace owned by the current user
+   * @returns {Promise<Object>}
+   */
+  async createWorkspace(name) {
+    if (!name?.trim()) {
+      throw new Error('Workspace name is required');
+    }
+
+    try {
+      const response = await api.post(WORKSPACES_API_PREFIX, { name: name.trim() });
+      return this.normalizeWorkspace(this._unwrap(response, 'workspaces'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error creating workspace:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sets how members must sign in to use the workspace. The API turns away
+   * requests from sessions that don't meet them.
+   * @param {string} workspaceId
+   * @param {Object} security - { requireMfa, allowedSignInMethods }
+   * @returns {Promise<Object>} The updated workspace
+   */
+  async updateSecurity(workspaceId, { requireMfa, allowedSignInMethods }) {
+    const methods = allowedSignInMethods.filter(method => Object.values(SIGN_IN_METHODS).includes(method));
+    if (!methods.length) {
+      throw new Error('At least one sign-in method must be allowed');
+    }
+
+    try {
+      const response = await api.patch(`${WORKSPACES_API_PREFIX}/${workspaceId}`, {
+        require_mfa: Boolean(requireMfa),
+        allowed_sign_in_methods: methods
+      });
+      return this.normalizeWorkspace(this._unwrap(response, 'workspaces'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error updating sign-in requirements:', error);
+      throw error;
+    }
+  }
+
+  async listMembers(workspaceId) {
+    try {
+      const response = await api.get(`${WORKSPACES_API_PREFIX}/${workspaceId}/members`);
+      return this._unwrapList(response, 'workspace members').map(member => this.normalizeMember(member));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error fetching members:', { workspaceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @param {string} role - One of WORKSPACE_ROLES
+   * @returns {Promise<Object>} The updated member
+   */
+  async updateMemberRole(workspaceId, userId, role) {
+    this._assertRole(role);
+
+    try {
+      const response = await api.patch(`${WORKSPACES_API_PREFIX}/${workspaceId}/members/${userId}`, { role });
+      return this.normalizeMember(this._unwrap(response, 'workspace members'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error updating member role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes a member; their assigned conversations become unassigned
+   */
+  async removeMember(workspaceId, userId) {
+    try {
+      await api.delete(`${WORKSPACES_API_PREFIX}/${workspaceId}/members/${userId}`);
+    } catch (error) {
+      logger.error('[WorkspaceService] Error removing member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invites someone by email. They join with the given role once they
+   * accept, signing up first if they don't have an account.
+   * @returns {Promise<Object>} The pending invite
+   */
+  async inviteMember(workspaceId, email, role) {
+    const address = email?.trim().toLowerCase();
+    if (!address || !EMAIL_PATTERN.test(address)) {
+      throw new Error('A valid email address is required');
+    }
+    this._assertRole(role);
+
+    try {
+      const response = await api.post(`${WORKSPACES_API_PREFIX}/${workspaceId}/invites`, { email: address, role });
+      return this.normalizeInvite(this._unwrap(response, 'workspace invites'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error inviting member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invites to a workspace that haven't been accepted yet
+   * @returns {Promise<Object[]>}
+   */
+  async listInvites(workspaceId) {
+    try {
+      const response = await api.get(`${WORKSPACES_API_PREFIX}/${workspaceId}/invites`);
+      return this._unwrapList(response, 'workspace invites').map(invite => this.normalizeInvite(invite));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error fetching invites:', error);
+      throw error;
+    }
+  }
+
+  async revokeInvite(workspaceId, inviteId) {
+    try {
+      await api.delete(`${WORKSPACES_API_PREFIX}/${workspaceId}/invites/${inviteId}`);
+    } catch (error) {
+      logger.error('[WorkspaceService] Error revoking invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invites sent to the current user's email address
+   * @returns {Promise<Object[]>}
+   */
+  async listReceivedInvites() {
+    try {
+      const response = await api.get(`${WORKSPACES_API_PREFIX}/invites/received`);
+      return this._unwrapList(response, 'workspace invites').map(invite => this.normalizeInvite(invite));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error fetching received invites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} The workspace joined
+   */
+  async acceptInvite(inviteId) {
+    try {
+      const response = await api.post(`${WORKSPACES_API_PREFIX}/invites/${inviteId}/accept`);
+      return this.normalizeWorkspace(this._unwrap(response, 'workspace invites'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error accepting invite:', error);
+      throw error;
+    }
+  }
+
+  async declineInvite(inviteId) {
+    try {
+      await api.delete(`${WORKSPACES_API_PREFIX}/invites/${inviteId}`);
+    } catch (error) {
+      logger.error('[WorkspaceService] Error declining invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Who each conversation of the workspace is assigned to. Unassigned
+   * conversations are left out.
+   * @returns {Promise<Object[]>}
+   */
+  async listAssignments(workspaceId) {
+    try {
+      const response = await api.get(`${WORKSPACES_API_PREFIX}/${workspaceId}/assignments`);
+      return this._unwrapList(response, 'assignments').map(assignment => this.normalizeAssignment(assignment));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error fetching assignments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assigns a conversation to a member, or unassigns it
+   * @param {string} workspaceId
+   * @param {string} platform - e.g. 'whatsapp'
+   * @param {string|number} contactId - The platform's contact id
+   * @param {string|null} assigneeId - Member user id, null to unassign
+   * @returns {Promise<Object>}
+   */
+  async assignConversation(workspaceId, platform, contactId, assigneeId) {
+    try {
+      const response = await api.put(
+        `${WORKSPACES_API_PREFIX}/${workspaceId}/assignments/${platform}/${encodeURIComponent(contactId)}`,
+        { assignee_id: assigneeId || null }
+      );
+      return this.normalizeAssignment(this._unwrap(response, 'assignments'));
+    } catch (error) {
+      logger.error('[WorkspaceService] Error assigning conversation:', { platform, contactId, error: error.message });
+      throw error;
+    }
+  }
+
+  _assertRole(role) {
+    if (!Object.values(WORKSPACE_ROLES).includes(role)) {
+      throw new Error(`Unknown workspace role: ${role}`);
+    }
+  }
+
+  _unwrap(response, resource) {
+    if (!response.data?.data) {
+      throw new Error(`Invalid response from ${resource} API`);
+    }
+    return response.data.data;
+  }
+
+  _unwrapList(response, resource) {
+    const items = response.data?.data;
+    if (!Array.isArray(items)) {
+      throw new Error(`Invalid response from ${resource} API`);
+    }
+    return items;
+  }
+
+  normalizeWorkspace(workspace) {
+    return {
+      id: String(workspace.id),
+      name: workspace.name || 'Untitled workspace',
+      role: Object.values(WORKSPACE_ROLES).includes(workspace.role) ? workspace.role : WORKSPACE_ROLES.VIEWER,
+      ownerId: workspace.owner_id || null,
+      requireMfa: Boolean(workspace.require_mfa),
+      allowedSignInMethods: Array.isArray(workspace.allowed_sign_in_methods) && workspace.allowed_sign_in_methods.length
+        ? workspace.allowed_sign_in_methods
+        : Object.values(SIGN_IN_METHODS),
+      createdAt: workspace.created_at || null
+    };
+  }
+
+  normalizeMember(member) {
+    return {
+      userId: String(member.user_id),
+      email: member.email || null,
+      displayName: member.display_name || member.email || 'Unknown member',
+      role: Object.values(WORKSPACE_ROLES).includes(member.role) ? member.role : WORKSPACE_ROLES.VIEWER,
+      joinedAt: member.joined_at || null
+    };
+  }
+
+  normalizeInvite(invite) {
+    return {
+      id: String(invite.id),
+      workspaceId: String(invite.workspace_id),
+      workspaceName: invite.workspace_name || null,
+      email: invite.email,
+      role: invite.role,
+      invitedBy: invite.invited_by || null,
+      createdAt: invite.created_at || null
+    };
+  }
+
+  normalizeAssignment(assignment) {
+    return {
+      platform: assignment.platform,
+      contactId: String(assignment.contact_id),
+      assigneeId: assignment.assignee_id ? String(assignment.assignee_id) : null,
+      assignedBy: assignment.assigned_by || null,
+      assignedAt: assignment.assigned_at || null
+    };
+  }
+}
+
+export const workspaceService = new WorkspaceService();
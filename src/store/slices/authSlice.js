@@ -1,9 +1,12 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { supabase } from '../../utils/supabase';
 import { tokenManager } from '../../utils/tokenManager';
+import { authStorage } from '../../utils/secureStorage';
 import { fetchOnboardingStatus } from './onboardingSlice';
 import logger from '../../utils/logger';
 import authService from '../../services/authService';
+import { securityService } from '../../services/securityService';
+import { outboxService } from '../../services/outboxService';
 
 // Initial state with proper typing
 const initialState = {
@@ -17,50 +20,94 @@ const initialState = {
   onboardingFetching: false
 };
 
+// Puts a signed-in session in the store and loads onboarding state for it
+const finishSignIn = async (authData, { dispatch, getState }) => {
+  // Validate complete session data
+  if (!authData?.session?.access_token || !authData?.session?.refresh_token || !authData?.session?.user) {
+    throw new Error('Invalid authentication response - incomplete session data');
+  }
+
+  // Update session first (this will trigger token storage)
+  dispatch(updateSession({ session: authData.session }));
+
+  // Verify token storage before proceeding
+  const storedAuth = authStorage.get();
+  if (!storedAuth) {
+    throw new Error('Token storage failed after sign in');
+  }
+
+  // Parse stored auth to verify complete structure
+  const parsedAuth = JSON.parse(storedAuth);
+  if (!parsedAuth?.access_token || !parsedAuth?.refresh_token) {
+    throw new Error('Invalid token structure in storage');
+  }
+
+  // Check if we're already fetching onboarding status
+  const state = getState();
+  if (!state.auth.onboardingFetching) {
+    try {
+      dispatch(authSlice.actions.setOnboardingFetching(true));
+      await dispatch(fetchOnboardingStatus()).unwrap();
+    } catch (onboardingError) {
+      logger.error('[Auth] Failed to fetch initial onboarding status:', onboardingError);
+    } finally {
+      dispatch(authSlice.actions.setOnboardingFetching(false));
+    }
+  }
+
+  return authData;
+};
+
 // Async thunks
+// Resolves with { mfaRequired, factorId } when the account has two-factor on
 export const signIn = createAsyncThunk(
   'auth/signIn',
-  async ({ email, password }, { dispatch, getState, rejectWithValue }) => {
+  async ({ email, password }, thunkApi) => {
     try {
       const authData = await authService.signIn(email, password);
-      
-      // Validate complete session data
-      if (!authData?.session?.access_token || !authData?.session?.refresh_token || !authData?.session?.user) {
-        throw new Error('Invalid authentication response - incomplete session data');
-      }
-
-      // Update session first (this will trigger token storage)
-      dispatch(updateSession({ session: authData.session }));
-
-      // Verify token storage before proceeding
-      const storedAuth = localStorage.getItem('dailyfix_auth');
-      if (!storedAuth) {
-        throw new Error('Token storage failed after sign in');
-      }
+      if (authData?.mfaRequired) return authData;
+      return await finishSignIn(authData, thunkApi);
+    } catch (error) {
+      logger.error('[Auth] Sign in failed:', error);
+      return thunkApi.rejectWithValue(error.message);
+    }
+  }
+);
 
-      // Parse stored auth to verify complete structure
-      const parsedAuth = JSON.parse(storedAuth);
-      if (!parsedAuth?.access_token || !parsedAuth?.refresh_token) {
-        throw new Error('Invalid token structure in storage');
-      }
+export const completeOAuthSignIn = createAsyncThunk(
+  'auth/completeOAuthSignIn',
+  async (_, thunkApi) => {
+    try {
+      const authData = await authService.completeOAuthSignIn();
+      if (authData?.mfaRequired) return authData;
+      return await finishSignIn(authData, thunkApi);
+    } catch (error) {
+      logger.error('[Auth] OAuth sign in failed:', error);
+      return thunkApi.rejectWithValue(error.message);
+    }
+  }
+);
 
-      // Check if we're already fetching onboarding status
-      const state = getState();
-      if (!state.auth.onboardingFetching) {
-        try {
-          dispatch(authSlice.actions.setOnboardingFetching(true));
-          await dispatch(fetchOnboardingStatus()).unwrap();
-        } catch (onboardingError) {
-          logger.error('[Auth] Failed to fetch initial onboarding status:', onboardingError);
-        } finally {
-          dispatch(authSlice.actions.setOnboardingFetching(false));
-        }
-      }
+export const verifyMfa = createAsyncThunk(
+  'auth/verifyMfa',
+  async ({ factorId, code }, thunkApi) => {
+    try {
+      return await finishSignIn(await authService.verifyMfaChallenge(factorId, code), thunkApi);
+    } catch (error) {
+      logger.error('[Auth] Two-factor verification failed:', error);
+      return thunkApi.rejectWithValue(error.message);
+    }
+  }
+);
 
-      return authData;
+export const redeemRecoveryCode = createAsyncThunk(
+  'auth/redeemRecoveryCode',
+  async (code, thunkApi) => {
+    try {
+      return await finishSignIn(await authService.redeemRecoveryCode(code), thunkApi);
     } catch (error) {
-      logger.error('[Auth] Sign in failed:', error);
-      return rejectWithValue(error.message);
+      logger.error('[Auth] Recovery code sign in failed:', error);
+      return thunkApi.rejectWithValue(error.message);
     }
   }
 );
@@ -136,11 +183,24 @@ export const initializeAuth = createAsyncThunk(
 
 export const signOut = createAsyncThunk(
   'auth/signOut',
-  async (_, { rejectWithValue }) => {
+  async ({ everywhere = false } = {}, { getState, rejectWithValue }) => {
+    const userId = getState().auth.session?.user?.id;
     try {
-      const { error } = await supabase.auth.signOut();
+      // Other devices only sign out when asked to; the API revokes them and
+      // tells each one over the socket
+      if (everywhere) {
+        await securityService.revokeAllSessions();
+      }
+      const { error } = await supabase.auth.signOut({ scope: 'local' });
       if (error) throw error;
 
+      // Messages left unsent must not go out from whoever signs in next
+      try {
+        await outboxService.clearForUser(userId);
+      } catch (outboxError) {
+        logger.error('[Auth] Failed to clear outbox:', outboxError);
+      }
+
       // Clear stored tokens and local storage
       localStorage.clear();
       tokenManager.clearTokens();
@@ -209,10 +269,11 @@ const authSlice = createSlice({
         state.error = null;
       })
       .addCase(signIn.fulfilled, (state, action) => {
+        // Stays signed out while a second factor is outstanding
+        state.loading = false;
         if (action.payload?.session && action.payload?.user) {
           state.session = action.payload.session;
           state.user = action.payload.user;
-          state.loading = false;
           state.error = null;
           state.hasInitialized = true;
         }
@@ -1,6 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { contactService } from '../../services/contactService';
 import logger from '../../utils/logger';
+import { mergeRemoteContacts } from '../../utils/contactMerge';
 
 // Add priority constants
 export const PRIORITY_LEVELS = {
@@ -88,6 +89,62 @@ export const updateContactPriority = createAsyncThunk(
   }
 );
 
+// Sends the contact's pending local overrides to the server. On failure the
+// overrides stay local and keep winning over older remote values.
+export const pushContactOverrides = createAsyncThunk(
+  'contacts/pushOverrides',
+  async (contactId, { getState, rejectWithValue }) => {
+    const overrides = getState().contacts.overrides[contactId];
+    if (!overrides) return { contactId };
+
+    try {
+      await contactService.updateContactFields(contactId, overrides);
+      return { contactId };
+    } catch (error) {
+      logger.info('[ContactSlice] Failed to push contact overrides:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const withMembership = (contact) => ({
+  ...contact,
+  metadata: {
+    ...contact.metadata,
+    membership: contact.metadata?.membership || 'join'
+  }
+});
+
+// Runs incoming contacts through the field-level merge and records any new
+// conflicts. Returns the contacts to show (hidden ones are dropped).
+const mergeIntoState = (state, remoteContacts) => {
+  const result = mergeRemoteContacts(remoteContacts, {
+    overrides: state.overrides,
+    baselines: state.fieldBaselines
+  });
+  const incomingIds = new Set(remoteContacts.map(contact => contact.id));
+
+  state.overrides = result.overrides;
+  state.fieldBaselines = result.baselines;
+  state.conflicts = [
+    ...state.conflicts.filter(conflict => !incomingIds.has(conflict.contactId)),
+    ...result.conflicts
+  ];
+
+  if (result.conflicts.length) {
+    logger.info('[Contacts] Sync conflicts detected:', result.conflicts.map(conflict => conflict.id));
+  }
+  return result.contacts;
+};
+
+const setOverride = (state, contactId, field, value) => {
+  state.overrides[contactId] = {
+    ...state.overrides[contactId],
+    [field]: { value, updatedAt: Date.now() }
+  };
+  state.conflicts = state.conflicts.filter(conflict => conflict.id !== `${contactId}:${field}`);
+};
+
 // Slice definition
 const initialState = {
   items: [],
@@ -99,7 +156,10 @@ const initialState = {
     error: null
   },
   initialLoadComplete: false,
-  priorityMap: {} // New field for storing priorities
+  priorityMap: {}, // New field for storing priorities
+  overrides: {}, // contactId -> { field: { value, updatedAt } } for local edits
+  fieldBaselines: {}, // contactId -> { field: { value, changedAt } } last remote values
+  conflicts: [] // Fields where the remote changed after a local edit
 };
 
 const contactSlice = createSlice({
@@ -155,7 +215,12 @@ const contactSlice = createSlice({
       });
     },
     addContact: (state, action) => {
-      const newContact = action.payload;
+      const [newContact] = mergeIntoState(state, [action.payload]);
+      if (!newContact) {
+        // Hidden locally
+        state.items = state.items.filter(contact => contact.id !== action.payload.id);
+        return;
+      }
       // Check if contact already exists
       const existingContactIndex = state.items.findIndex(contact => contact.id === newContact.id);
       
@@ -191,14 +256,60 @@ const contactSlice = createSlice({
     },
     hideContact: (state, action) => {
       const contactId = action.payload;
+      setOverride(state, contactId, 'hidden', true);
       state.items = state.items.filter(contact => contact.id !== contactId);
     },
     updateContactDisplayName: (state, action) => {
       const { contactId, displayName } = action.payload;
+      setOverride(state, contactId, 'display_name', displayName);
       const contact = state.items.find(c => c.id === contactId);
       if (contact) {
         contact.display_name = displayName;
       }
+    },
+    // Outcome of the background sync's field merge, which reads the same
+    // overrides and baselines (see SyncService)
+    contactFieldsMerged: (state, action) => {
+      const { overrides, baselines, conflicts } = action.payload;
+      const mergedIds = new Set(Object.keys(baselines));
+      mergedIds.forEach(contactId => {
+        if (overrides[contactId]) {
+          state.overrides[contactId] = overrides[contactId];
+        } else {
+          delete state.overrides[contactId];
+        }
+        state.fieldBaselines[contactId] = baselines[contactId];
+      });
+      state.conflicts = [
+        ...state.conflicts.filter(conflict => !mergedIds.has(conflict.contactId)),
+        ...conflicts
+      ];
+    },
+    resolveContactConflict: (state, action) => {
+      const { conflictId, keep } = action.payload;
+      const conflict = state.conflicts.find(c => c.id === conflictId);
+      if (!conflict) return;
+
+      const { contactId, field, localValue } = conflict;
+      state.conflicts = state.conflicts.filter(c => c.id !== conflictId);
+
+      if (keep === 'local') {
+        // Re-stamp the override so it is newer than the remote change
+        setOverride(state, contactId, field, localValue);
+        if (field === 'hidden' && localValue) {
+          state.items = state.items.filter(contact => contact.id !== contactId);
+        } else {
+          const contact = state.items.find(c => c.id === contactId);
+          if (contact) {
+            contact[field] = localValue;
+          }
+        }
+      } else if (state.overrides[contactId]) {
+        delete state.overrides[contactId][field];
+        if (!Object.keys(state.overrides[contactId]).length) {
+          delete state.overrides[contactId];
+        }
+      }
     }
   },
   extraReducers: (builder) => {
@@ -218,13 +329,7 @@ const contactSlice = createSlice({
             state.items = [];
           }
         } else {
-          state.items = action.payload.contacts.map(contact => ({
-            ...contact,
-            metadata: {
-              ...contact.metadata,
-              membership: contact.metadata?.membership || 'join'
-            }
-          }));
+          state.items = mergeIntoState(state, action.payload.contacts).map(withMembership);
           state.syncStatus.inProgress = false;
           state.syncStatus.lastSyncTime = Date.now();
         }
@@ -250,7 +355,7 @@ const contactSlice = createSlice({
         state.syncStatus.inProgress = false;
         state.syncStatus.lastSyncTime = Date.now();
         if (action.payload.contacts) {
-          state.items = action.payload.contacts;
+          state.items = mergeIntoState(state, action.payload.contacts);
         }
       })
       .addCase(syncContact.rejected, (state, action) => {
@@ -283,7 +388,7 @@ const contactSlice = createSlice({
       .addCase(freshSyncContacts.fulfilled, (state, action) => {
         state.loading = false;
         state.isRefreshing = false;
-        state.items = action.payload.data || [];
+        state.items = mergeIntoState(state, action.payload.data || []);
         state.lastSync = Date.now();
       })
       .addCase(freshSyncContacts.rejected, (state, action) => {
@@ -303,7 +408,9 @@ export const {
   cleanupPriorities,
   addContact,
   hideContact,
-  updateContactDisplayName
+  updateContactDisplayName,
+  contactFieldsMerged,
+  resolveContactConflict
 } = contactSlice.actions;
 
 // Export reducer
@@ -320,4 +427,5 @@ export const selectLastSyncTime = (state) => state.contacts.syncStatus.lastSyncT
 export const selectIsSyncing = (state) => state.contacts.syncStatus.inProgress;
 export const selectInitialLoadComplete = (state) => state.contacts.initialLoadComplete;
 export const selectContactPriority = (state, contactId) => 
-  state.contacts.priorityMap[contactId]?.priority || PRIORITY_LEVELS.LOW; 
\ No newline at end of file
+  state.contacts.priorityMap[contactId]?.priority || PRIORITY_LEVELS.LOW;
+export const selectContactConflicts = (state) => state.contacts.conflicts || [];
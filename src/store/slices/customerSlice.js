@@ -0,0 +1,164 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { customerService } from '../../services/customerService';
+
+const contactKey = (platform, contactId) => `${platform}:${contactId}`;
+
+export const fetchCustomerProfile = createAsyncThunk(
+  'customers/fetchForContact',
+  async ({ platform, contactId }, { rejectWithValue }) => {
+    try {
+      return await customerService.getProfileForContact(platform, contactId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateCustomerProfile = createAsyncThunk(
+  'customers/update',
+  async ({ customerId, changes }, { rejectWithValue }) => {
+    try {
+      return await customerService.updateProfile(customerId, changes);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const mergeCustomers = createAsyncThunk(
+  'customers/merge',
+  async ({ targetId, sourceId }, { rejectWithValue }) => {
+    try {
+      const profile = await customerService.mergeProfiles(targetId, sourceId);
+      return { profile, sourceId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const unlinkCustomerContact = createAsyncThunk(
+  'customers/unlinkContact',
+  async ({ customerId, platform, contactId }, { rejectWithValue }) => {
+    try {
+      const profile = await customerService.unlinkContact(customerId, platform, contactId);
+      return { profile, platform, contactId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchCustomerFields = createAsyncThunk(
+  'customers/fetchFields',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await customerService.listFields();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const saveCustomerField = createAsyncThunk(
+  'customers/saveField',
+  async (field, { rejectWithValue }) => {
+    try {
+      return await customerService.saveField(field);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteCustomerField = createAsyncThunk(
+  'customers/deleteField',
+  async (fieldId, { rejectWithValue }) => {
+    try {
+      await customerService.deleteField(fieldId);
+      return fieldId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Stores a profile and points each of its contacts at it
+const storeProfile = (state, profile) => {
+  state.items[profile.id] = profile;
+  profile.contacts.forEach(contact => {
+    state.contactIndex[contactKey(contact.platform, contact.contactId)] = profile.id;
+  });
+};
+
+const initialState = {
+  items: {}, // customerId -> profile
+  contactIndex: {}, // 'platform:contactId' -> customerId
+  fields: [],
+  fieldsLoaded: false,
+  loading: false,
+  error: null
+};
+
+const customerSlice = createSlice({
+  name: 'customers',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchCustomerProfile.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCustomerProfile.fulfilled, (state, action) => {
+        state.loading = false;
+        const { platform, contactId } = action.meta.arg;
+        storeProfile(state, action.payload);
+        // Covers servers that leave the looked-up contact out of the list
+        state.contactIndex[contactKey(platform, contactId)] = action.payload.id;
+      })
+      .addCase(fetchCustomerProfile.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(updateCustomerProfile.fulfilled, (state, action) => {
+        storeProfile(state, action.payload);
+      })
+      .addCase(mergeCustomers.fulfilled, (state, action) => {
+        const { profile, sourceId } = action.payload;
+        delete state.items[sourceId];
+        storeProfile(state, profile);
+      })
+      .addCase(unlinkCustomerContact.fulfilled, (state, action) => {
+        const { profile, platform, contactId } = action.payload;
+        // The split-off contact gets its own profile on its next lookup
+        delete state.contactIndex[contactKey(platform, contactId)];
+        storeProfile(state, profile);
+      })
+      .addCase(fetchCustomerFields.fulfilled, (state, action) => {
+        state.fields = action.payload;
+        state.fieldsLoaded = true;
+      })
+      .addCase(saveCustomerField.fulfilled, (state, action) => {
+        const index = state.fields.findIndex(field => field.id === action.payload.id);
+        if (index === -1) {
+          state.fields.push(action.payload);
+        } else {
+          state.fields[index] = action.payload;
+        }
+      })
+      .addCase(deleteCustomerField.fulfilled, (state, action) => {
+        state.fields = state.fields.filter(field => field.id !== action.payload);
+      });
+  }
+});
+
+export const customerReducer = customerSlice.reducer;
+
+// Selectors
+export const selectCustomerForContact = (state, platform, contactId) =>
+  state.customers.items[state.customers.contactIndex[contactKey(platform, contactId)]] || null;
+export const selectCustomerFields = (state) => state.customers.fields;
+export const selectCustomerFieldsLoaded = (state) => state.customers.fieldsLoaded;
+export const selectCustomersLoading = (state) => state.customers.loading;
+export const selectCustomersError = (state) => state.customers.error;
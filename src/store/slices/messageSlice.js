@@ -1,7 +1,25 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { messageService } from '../../services/messageService';
+import { outboxService, OUTBOX_STATUS } from '../../services/outboxService';
+import { tabCoordinator } from '../../services/TabCoordinator';
+import { describeAttachment } from '../../utils/matrixMedia';
 import logger from '../../utils/logger';
 
+// Attachments stay in IndexedDB; Redux only keeps what the UI needs to show them
+const toOutboxState = (entry) => {
+  const { attachment, ...message } = entry.message || {};
+  return {
+    ...entry,
+    message: attachment
+      ? { ...message, attachment: { name: attachment.name, type: attachment.type, size: attachment.size } }
+      : message
+  };
+};
+
+const findMessage = (state, contactId, messageId) => (
+  state.items[contactId]?.find(msg => msg.id === messageId || msg.message_id === messageId)
+);
+
 // Async thunks
 export const fetchMessages = createAsyncThunk(
   'messages/fetchAll',
@@ -74,6 +92,205 @@ export const refreshMessages = createAsyncThunk(
   }
 );
 
+export const fetchMessageContext = createAsyncThunk(
+  'messages/fetchContext',
+  async ({ contactId, messageId }, { rejectWithValue }) => {
+    try {
+      logger.info('[Messages] Fetching context for message:', { contactId, messageId });
+      const result = await messageService.fetchMessageContext(contactId, messageId);
+      return { contactId, ...result };
+    } catch (error) {
+      logger.error('[Messages] Failed to fetch message context:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const loadOutbox = createAsyncThunk(
+  'messages/loadOutbox',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const entries = await outboxService.getAll(getState().auth.session?.user?.id);
+      return entries.map(toOutboxState);
+    } catch (error) {
+      logger.error('[Messages] Failed to load outbox:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const queueMessage = createAsyncThunk(
+  'messages/queueMessage',
+  async ({ contactId, message }, { getState, rejectWithValue }) => {
+    try {
+      const entry = await outboxService.enqueue(contactId, message, getState().auth.session?.user?.id);
+      return toOutboxState(entry);
+    } catch (error) {
+      logger.error('[Messages] Failed to queue message:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Claims the entry and sends it; the outbox keeps it on failure for a retry
+async function sendOutboxEntry(tempId, { dispatch, getState, rejectWithValue }) {
+  const entry = await outboxService.claim(tempId);
+  if (!entry) {
+    // Cancelled while waiting for its turn, or another tab is sending it
+    return rejectWithValue('Message is no longer waiting to be sent');
+  }
+  dispatch(outboxEntryUpdated(toOutboxState(entry)));
+
+  try {
+    const result = entry.message.reply_to
+      ? await messageService.sendReply(entry.contactId, entry.message)
+      : await messageService.sendMessage(entry.contactId, entry.message);
+    await outboxService.remove(tempId);
+    return {
+      entry: toOutboxState(entry),
+      messageId: result.messageId,
+      media: result.media || null,
+      senderId: getState().auth.session?.user?.id
+    };
+  } catch (error) {
+    logger.error('[Messages] Failed to send queued message:', { tempId, error: error.message });
+    const failed = await outboxService.update(tempId, {
+      status: OUTBOX_STATUS.FAILED,
+      attempts: entry.attempts + 1,
+      lastError: error.message
+    });
+    if (failed) {
+      dispatch(outboxEntryUpdated(toOutboxState(failed)));
+    }
+    return rejectWithValue(error.message);
+  }
+}
+
+// Entries this tab is sending right now; a direct send, a replay and a
+// retry can all reach the same entry
+const sendingTempIds = new Set();
+
+export const sendQueuedMessage = createAsyncThunk(
+  'messages/sendQueued',
+  async (tempId, { dispatch, getState, rejectWithValue }) => {
+    if (sendingTempIds.has(tempId)) {
+      return rejectWithValue('Message is already being sent');
+    }
+    sendingTempIds.add(tempId);
+    try {
+      return await sendOutboxEntry(tempId, { dispatch, getState, rejectWithValue });
+    } finally {
+      sendingTempIds.delete(tempId);
+    }
+  }
+);
+
+let replayInProgress = false;
+
+export const replayOutbox = createAsyncThunk(
+  'messages/replayOutbox',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    const userId = getState().auth.session?.user?.id;
+    // The outbox is shared by every tab, so only the leader replays it
+    if (replayInProgress || !userId || !tabCoordinator.isLeader()) {
+      return { sent: 0, failed: 0, skipped: true };
+    }
+
+    replayInProgress = true;
+    try {
+      const entries = await outboxService.getReplayable(userId);
+      if (entries.length > 0) {
+        logger.info('[Messages] Replaying outbox:', entries.length);
+      }
+
+      let sent = 0;
+      let failed = 0;
+      // Send one at a time so messages arrive in the order they were written
+      for (const entry of entries) {
+        const result = await dispatch(sendQueuedMessage(entry.tempId));
+        if (sendQueuedMessage.fulfilled.match(result)) {
+          sent++;
+        } else {
+          failed++;
+        }
+      }
+      return { sent, failed };
+    } catch (error) {
+      logger.error('[Messages] Outbox replay failed:', error);
+      return rejectWithValue(error.message);
+    } finally {
+      replayInProgress = false;
+    }
+  }
+);
+
+export const cancelQueuedMessage = createAsyncThunk(
+  'messages/cancelQueued',
+  async (tempId, { rejectWithValue }) => {
+    try {
+      await outboxService.remove(tempId);
+      return tempId;
+    } catch (error) {
+      logger.error('[Messages] Failed to cancel queued message:', error);
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const editMessage = createAsyncThunk(
+  'messages/edit',
+  async ({ contactId, messageId, content }, { dispatch, rejectWithValue }) => {
+    try {
+      const result = await messageService.editMessage(contactId, messageId, content);
+      dispatch(messageEdited({
+        contactId,
+        messageId,
+        content,
+        editedAt: result.edited_at || new Date().toISOString()
+      }));
+      return { contactId, messageId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const redactMessage = createAsyncThunk(
+  'messages/redact',
+  async ({ contactId, messageId, reason }, { dispatch, rejectWithValue }) => {
+    try {
+      await messageService.redactMessage(contactId, messageId, reason);
+      dispatch(messageRedacted({ contactId, messageId }));
+      return { contactId, messageId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Applied optimistically and rolled back if the server rejects it
+export const toggleReaction = createAsyncThunk(
+  'messages/toggleReaction',
+  async ({ contactId, messageId, key }, { dispatch, getState, rejectWithValue }) => {
+    const senderId = getState().auth.session?.user?.id;
+    const message = findMessage(getState().messages, contactId, messageId);
+    const added = !message?.reactions?.[key]?.includes(senderId);
+
+    dispatch(reactionUpdated({ contactId, messageId, key, senderId, added }));
+    try {
+      if (added) {
+        await messageService.addReaction(contactId, messageId, key);
+      } else {
+        await messageService.removeReaction(contactId, messageId, key);
+      }
+      return { contactId, messageId, key, added };
+    } catch (error) {
+      dispatch(reactionUpdated({ contactId, messageId, key, senderId, added: !added }));
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Slice definition
 const messageSlice = createSlice({
   name: 'messages',
@@ -83,7 +300,7 @@ const messageSlice = createSlice({
     error: null,
     hasMore: true,
     currentPage: 0,
-    messageQueue: [],
+    messageQueue: [], // Outbox entries mirrored from IndexedDB
     unreadMessageIds: [], // Array instead of Set
     lastKnownMessageIds: {}, // Map of contactId to last message ID
     newMessagesFetching: false,
@@ -99,11 +316,14 @@ const messageSlice = createSlice({
       state.hasMore = true;
       state.currentPage = 0;
     },
-    addToMessageQueue: (state, action) => {
-      state.messageQueue.push(action.payload);
-    },
-    removeFromMessageQueue: (state, action) => {
-      state.messageQueue = state.messageQueue.filter(msg => msg.id !== action.payload);
+    outboxEntryUpdated: (state, action) => {
+      const entry = action.payload;
+      const index = state.messageQueue.findIndex(m => m.tempId === entry.tempId);
+      if (index !== -1) {
+        state.messageQueue[index] = entry;
+      } else {
+        state.messageQueue.push(entry);
+      }
     },
     updateMessageStatus: (state, action) => {
       const { contactId, messageId, status } = action.payload;
@@ -115,6 +335,48 @@ const messageSlice = createSlice({
         }
       }
     },
+    messageEdited: (state, action) => {
+      const { contactId, messageId, content, editedAt } = action.payload;
+      const message = findMessage(state, contactId, messageId);
+      const nextContent = messageService._normalizeContent(content);
+      // Our own edits come back over the socket as well
+      if (!message || message.content === nextContent) return;
+
+      message.edit_history = [
+        ...(message.edit_history || []),
+        { content: message.content, edited_at: message.edited_at || message.timestamp }
+      ];
+      message.content = nextContent;
+      message.edited_at = editedAt || new Date().toISOString();
+    },
+    messageRedacted: (state, action) => {
+      const { contactId, messageId } = action.payload;
+      const message = findMessage(state, contactId, messageId);
+      if (!message) return;
+
+      message.redacted = true;
+      message.content = '';
+      message.media = null;
+      message.reactions = {};
+      message.edit_history = [];
+    },
+    reactionUpdated: (state, action) => {
+      const { contactId, messageId, key, senderId, added } = action.payload;
+      const message = findMessage(state, contactId, messageId);
+      if (!message) return;
+
+      const reactions = message.reactions || {};
+      const senders = (reactions[key] || []).filter(id => id !== senderId);
+      if (added) {
+        senders.push(senderId);
+      }
+      if (senders.length) {
+        reactions[key] = senders;
+      } else {
+        delete reactions[key];
+      }
+      message.reactions = reactions;
+    },
     messageReceived: (state, action) => {
       const { contactId, message } = action.payload;
       const normalized = messageService.normalizeMessage(message);
@@ -153,20 +415,6 @@ const messageSlice = createSlice({
           timestamp: normalized.timestamp
         });
       }
-    },
-    addToMessageQueue: (state, action) => {
-      const newMessage = action.payload;
-      const exists = state.messageQueue.some(m =>
-        m.content === newMessage.content &&
-        m.timestamp === newMessage.timestamp
-      );
-      
-      if (!exists) {
-        state.messageQueue.push({
-          ...newMessage,
-          tempId: uuidv4()
-        });
-      }
     }
   },
   extraReducers: (builder) => {
@@ -219,6 +467,50 @@ const messageSlice = createSlice({
         });
         state.items[contactId] = messages;
       })
+      // Message context (search jumps)
+      .addCase(fetchMessageContext.fulfilled, (state, action) => {
+        const { contactId, messages } = action.payload;
+        if (!Array.isArray(messages) || messages.length === 0) return;
+
+        const normalized = messages.map(msg => messageService.normalizeMessage(msg))
+          .filter(newMsg => !state.items[contactId]?.some(existingMsg => 
+            (existingMsg.message_id && newMsg.message_id && 
+             existingMsg.message_id === newMsg.message_id) ||
+            (existingMsg.id && newMsg.id && 
+             existingMsg.id === newMsg.id)
+          ));
+
+        state.items[contactId] = [
+          ...(state.items[contactId] || []),
+          ...normalized
+        ].sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+      })
+      // Outbox
+      .addCase(loadOutbox.fulfilled, (state, action) => {
+        state.messageQueue = action.payload;
+      })
+      .addCase(queueMessage.fulfilled, (state, action) => {
+        state.messageQueue.push(action.payload);
+      })
+      .addCase(sendQueuedMessage.fulfilled, (state, action) => {
+        const { entry, messageId, media, senderId } = action.payload;
+        state.messageQueue = state.messageQueue.filter(m => m.tempId !== entry.tempId);
+
+        const { attachment, ...message } = entry.message;
+        const messages = state.items[entry.contactId] || [];
+        messages.push({
+          ...message,
+          media: media || (attachment ? describeAttachment(attachment) : null),
+          id: messageId || entry.tempId,
+          sender_id: senderId,
+          status: OUTBOX_STATUS.SENT,
+          timestamp: new Date().toISOString()
+        });
+        state.items[entry.contactId] = messages;
+      })
+      .addCase(cancelQueuedMessage.fulfilled, (state, action) => {
+        state.messageQueue = state.messageQueue.filter(m => m.tempId !== action.payload);
+      })
       // Mark as read
       .addCase(markMessagesAsRead.fulfilled, (state, action) => {
         const messageIds = action.payload.messageIds;
@@ -313,9 +605,11 @@ const messageSlice = createSlice({
 // Export actions
 export const {
   clearMessages,
-  addToMessageQueue,
-  removeFromMessageQueue,
+  outboxEntryUpdated,
   updateMessageStatus,
+  messageEdited,
+  messageRedacted,
+  reactionUpdated,
   messageReceived
 } = messageSlice.actions;
 
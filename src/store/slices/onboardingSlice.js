@@ -2,12 +2,16 @@ import { createSlice, createAsyncThunk, createAction } from '@reduxjs/toolkit';
 import { supabase } from '../../utils/supabase';
 import api from '../../utils/api';
 import logger from '../../utils/logger';
+import { getResumeStep } from '../../services/onboardingService';
 
 export const ONBOARDING_ROUTES = {
   WELCOME: '/onboarding/welcome',
   PROTOCOL_SELECTION: '/onboarding/protocol_selection',
   MATRIX: '/onboarding/matrix',
   WHATSAPP: '/onboarding/whatsapp',
+  TELEGRAM: '/onboarding/telegram',
+  DISCORD: '/onboarding/discord',
+  SLACK: '/onboarding/slack',
   COMPLETE: '/onboarding/complete'
 };
 
@@ -16,6 +20,9 @@ export const ONBOARDING_STEPS = {
   PROTOCOL_SELECTION: 'protocol_selection',
   MATRIX: 'matrix',
   WHATSAPP: 'whatsapp',
+  TELEGRAM: 'telegram',
+  DISCORD: 'discord',
+  SLACK: 'slack',
   COMPLETE: 'complete'
 };
 
@@ -24,21 +31,32 @@ const PROTOCOLS = {
   DIRECT_API: 'direct_api'
 };
 
+// No platform is required; Matrix only comes along with WhatsApp
 export const PLATFORMS = {
   MATRIX: {
     id: 'matrix',
     protocol: PROTOCOLS.MATRIX,
-    required: true
+    required: false
   },
   WHATSAPP: {
     id: 'whatsapp',
     protocol: PROTOCOLS.MATRIX,
-    required: true
+    required: false
+  },
+  TELEGRAM: {
+    id: 'telegram',
+    protocol: PROTOCOLS.DIRECT_API,
+    required: false
   },
   DISCORD: {
     id: 'discord',
     protocol: PROTOCOLS.DIRECT_API,
     required: false
+  },
+  SLACK: {
+    id: 'slack',
+    protocol: PROTOCOLS.DIRECT_API,
+    required: false
   }
 };
 
@@ -50,6 +68,11 @@ const initialState = {
   whatsappConnected: false,
   isComplete: false,
   connectedPlatforms: [],
+  // Platforms picked in the wizard, and those put off until later
+  selectedPlatforms: [],
+  skippedPlatforms: [],
+  // Platforms being added from settings after onboarding completed
+  pendingPlatforms: [],
   whatsappSetup: {
     loading: false,
     error: null,
@@ -92,6 +115,26 @@ export const updateOnboardingStep = createAsyncThunk(
   }
 );
 
+/**
+ * Reopens the wizard from settings to connect a platform that was skipped
+ * or never picked. Onboarding stays complete, so the dashboard is still
+ * reachable while the platform is pending.
+ */
+export const addOnboardingPlatform = createAsyncThunk(
+  'onboarding/addPlatform',
+  async (platform, { dispatch, getState }) => {
+    const { onboarding } = getState();
+    const data = {
+      pendingPlatforms: [...new Set([...onboarding.pendingPlatforms, platform])],
+      selectedPlatforms: [...new Set([...onboarding.selectedPlatforms, platform])],
+      skippedPlatforms: onboarding.skippedPlatforms.filter(item => item !== platform)
+    };
+    const step = getResumeStep({ ...onboarding, ...data });
+    await dispatch(updateOnboardingStep({ step, data })).unwrap();
+    return step;
+  }
+);
+
 export const setWhatsappPhoneNumber = createAction('onboarding/setWhatsappPhoneNumber');
 
 export const initiateWhatsAppRelogin = createAsyncThunk(
@@ -187,7 +230,12 @@ const onboardingSlice = createSlice({
         state.matrixConnected = action.payload.matrixConnected;
         state.whatsappConnected = action.payload.whatsappConnected;
         state.isComplete = action.payload.isComplete;
-        state.connectedPlatforms = action.payload.connectedPlatforms;
+        state.connectedPlatforms = action.payload.connectedPlatforms || [];
+        // Onboarding started before platforms could be picked was always WhatsApp
+        state.selectedPlatforms = action.payload.selectedPlatforms ||
+          (['matrix', 'whatsapp'].includes(action.payload.currentStep) ? ['whatsapp'] : []);
+        state.skippedPlatforms = action.payload.skippedPlatforms || [];
+        state.pendingPlatforms = action.payload.pendingPlatforms || [];
       })
       .addCase(fetchOnboardingStatus.rejected, (state, action) => {
         state.loading = false;
@@ -216,6 +264,15 @@ const onboardingSlice = createSlice({
           if (data.connectedPlatforms) {
             state.connectedPlatforms = data.connectedPlatforms;
           }
+          if (data.selectedPlatforms) {
+            state.selectedPlatforms = data.selectedPlatforms;
+          }
+          if (data.skippedPlatforms) {
+            state.skippedPlatforms = data.skippedPlatforms;
+          }
+          if (data.pendingPlatforms) {
+            state.pendingPlatforms = data.pendingPlatforms;
+          }
         }
       })
       .addCase(updateOnboardingStep.rejected, (state, action) => {
@@ -0,0 +1,174 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { updateContactPriority, PRIORITY_LEVELS } from './contactSlice';
+import { sendQueuedMessage } from './messageSlice';
+import { evaluateRules, recordActivity, isOutgoingMessage } from '../../utils/priorityRules';
+import logger from '../../utils/logger';
+
+const initialState = {
+  rules: [],
+  activity: {}, // contactId -> { inbound, lastInbound, unansweredSince, lastOutboundAt }
+  matches: {} // contactId -> { ruleId, ruleName, priority, reasons, matchedAt, previousPriority } | { manual: true }
+};
+
+/**
+ * Evaluates the rules for one contact and applies the resulting priority.
+ * When no rule fires anymore, the priority the contact had before the rules
+ * took over is restored. Contacts whose priority was picked by hand are left
+ * alone until they are handed back to the rules.
+ */
+export const applyPriorityRules = createAsyncThunk(
+  'priorityRules/apply',
+  async ({ contactId, message = null }, { dispatch, getState }) => {
+    const { priorityRules, contacts } = getState();
+    const existing = priorityRules.matches[contactId];
+    if (existing?.manual) return null;
+
+    // Activity and match keys come back as strings after a reload
+    const contact = contacts.items.find(c => String(c.id) === String(contactId));
+    if (!contact) return null;
+
+    const currentPriority = contacts.priorityMap[contactId]?.priority || null;
+    const match = evaluateRules(priorityRules.rules, {
+      message,
+      contact,
+      activity: priorityRules.activity[contactId]
+    });
+
+    if (match) {
+      dispatch(ruleMatched({
+        contactId,
+        match: {
+          ...match,
+          matchedAt: existing?.ruleId === match.ruleId ? existing.matchedAt : Date.now(),
+          previousPriority: existing ? existing.previousPriority : currentPriority
+        }
+      }));
+      if (currentPriority !== match.priority) {
+        logger.info('[PriorityRules] Rule matched:', { contactId, rule: match.ruleName, priority: match.priority });
+        await dispatch(updateContactPriority({ contactId: contact.id, priority: match.priority }));
+      }
+      return match;
+    }
+
+    if (existing) {
+      dispatch(ruleMatchCleared(contactId));
+      const restored = existing.previousPriority || PRIORITY_LEVELS.LOW;
+      if (restored !== currentPriority) {
+        await dispatch(updateContactPriority({ contactId: contact.id, priority: restored }));
+      }
+    }
+    return null;
+  }
+);
+
+// Entry point for `whatsapp:message` socket events. Tabs that don't lead
+// only record the activity and leave the rules to the leader.
+export const processIncomingMessage = createAsyncThunk(
+  'priorityRules/processMessage',
+  async ({ contactId, message, evaluate = true }, { dispatch, getState }) => {
+    const userId = getState().auth.session?.user?.id;
+    const timestamp = Date.parse(message.timestamp) || Date.now();
+    dispatch(messageActivityRecorded({
+      contactId,
+      message,
+      timestamp,
+      outgoing: isOutgoingMessage(message, userId)
+    }));
+    if (!evaluate) return null;
+    return dispatch(applyPriorityRules({ contactId, message })).unwrap();
+  }
+);
+
+// Re-checks contacts whose rules depend on time passing (unanswered time,
+// frequency windows) or that currently hold a rule-assigned priority
+export const reevaluatePriorityRules = createAsyncThunk(
+  'priorityRules/reevaluate',
+  async (_, { dispatch, getState }) => {
+    const { activity, matches } = getState().priorityRules;
+    const contactIds = new Set([
+      ...Object.keys(activity).filter(id => activity[id]?.unansweredSince),
+      ...Object.keys(matches).filter(id => !matches[id]?.manual)
+    ]);
+
+    for (const contactId of contactIds) {
+      await dispatch(applyPriorityRules({ contactId }));
+    }
+    return contactIds.size;
+  }
+);
+
+const priorityRulesSlice = createSlice({
+  name: 'priorityRules',
+  initialState,
+  reducers: {
+    ruleAdded: (state, action) => {
+      state.rules.push(action.payload);
+    },
+    ruleUpdated: (state, action) => {
+      const index = state.rules.findIndex(rule => rule.id === action.payload.id);
+      if (index !== -1) {
+        state.rules[index] = action.payload;
+      }
+    },
+    ruleRemoved: (state, action) => {
+      state.rules = state.rules.filter(rule => rule.id !== action.payload);
+    },
+    ruleMoved: (state, action) => {
+      const { ruleId, offset } = action.payload;
+      const index = state.rules.findIndex(rule => rule.id === ruleId);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= state.rules.length) return;
+      const [rule] = state.rules.splice(index, 1);
+      state.rules.splice(target, 0, rule);
+    },
+    messageActivityRecorded: (state, action) => {
+      const { contactId, ...entry } = action.payload;
+      state.activity[contactId] = recordActivity(state.activity[contactId], entry);
+    },
+    ruleMatched: (state, action) => {
+      const { contactId, match } = action.payload;
+      state.matches[contactId] = match;
+    },
+    ruleMatchCleared: (state, action) => {
+      delete state.matches[action.payload];
+    },
+    // Hands a manually prioritized contact back to the rules
+    manualPriorityReleased: (state, action) => {
+      if (state.matches[action.payload]?.manual) {
+        delete state.matches[action.payload];
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(updateContactPriority.fulfilled, (state, action) => {
+        if (action.meta.arg.source !== 'manual') return;
+        state.matches[action.payload.contactId] = {
+          manual: true,
+          priority: action.payload.priority,
+          matchedAt: action.payload.timestamp
+        };
+      })
+      .addCase(sendQueuedMessage.fulfilled, (state, action) => {
+        const { contactId } = action.payload.entry;
+        state.activity[contactId] = recordActivity(state.activity[contactId], { outgoing: true });
+      });
+  }
+});
+
+export const {
+  ruleAdded,
+  ruleUpdated,
+  ruleRemoved,
+  ruleMoved,
+  messageActivityRecorded,
+  ruleMatched,
+  ruleMatchCleared,
+  manualPriorityReleased
+} = priorityRulesSlice.actions;
+
+export const priorityRulesReducer = priorityRulesSlice.reducer;
+
+// Selectors
+export const selectPriorityRules = (state) => state.priorityRules.rules;
+export const selectPriorityMatch = (state, contactId) => state.priorityRules.matches[contactId] || null;
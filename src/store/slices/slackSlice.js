@@ -0,0 +1,308 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { slackService } from '../../services/slackService';
+
+export const fetchSlackChannels = createAsyncThunk(
+  'slack/fetchChannels',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await slackService.getChannels();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchSlackMessages = createAsyncThunk(
+  'slack/fetchMessages',
+  async ({ channelId, cursor }, { rejectWithValue }) => {
+    try {
+      const page = await slackService.getMessages(channelId, { cursor });
+      return { channelId, cursor, ...page };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchSlackThread = createAsyncThunk(
+  'slack/fetchThread',
+  async ({ channelId, threadTs }, { rejectWithValue }) => {
+    try {
+      const replies = await slackService.getThread(channelId, threadTs);
+      return { channelId, threadTs, replies };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// A pending copy is shown right away (see the pending case) and swapped for the posted one
+export const sendSlackMessage = createAsyncThunk(
+  'slack/sendMessage',
+  async ({ channelId, content, threadTs }, { rejectWithValue }) => {
+    try {
+      const message = await slackService.sendMessage(channelId, { content, threadTs });
+      return { channelId, message };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const markSlackChannelRead = createAsyncThunk(
+  'slack/markRead',
+  async ({ channelId, ts }, { rejectWithValue }) => {
+    try {
+      await slackService.markAsRead(channelId, ts);
+      return channelId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  channels: [],
+  channelsLoading: false,
+  channelsLoaded: false,
+  channelsError: null,
+  messagesByChannel: {}, // channelId -> { items, loading, nextCursor, error }
+  threads: {}, // `${channelId}:${threadTs}` -> { items, loading, loaded, error }
+  activeChannelId: null
+};
+
+export const getThreadKey = (channelId, threadTs) => `${channelId}:${threadTs}`;
+
+const getChannelMessages = (state, channelId) => {
+  if (!state.messagesByChannel[channelId]) {
+    state.messagesByChannel[channelId] = { items: [], loading: false, nextCursor: null, error: null };
+  }
+  return state.messagesByChannel[channelId];
+};
+
+const getThread = (state, channelId, threadTs) => {
+  const key = getThreadKey(channelId, threadTs);
+  if (!state.threads[key]) {
+    state.threads[key] = { items: [], loading: false, loaded: false, error: null };
+  }
+  return state.threads[key];
+};
+
+const isReply = (message) => Boolean(message.thread_ts) && message.thread_ts !== message.ts;
+
+// Moves a channel to the top of the list with its newest message as preview
+const touchChannel = (state, channelId, message) => {
+  const index = state.channels.findIndex(channel => channel.id === channelId);
+  if (index === -1) return null;
+  const [channel] = state.channels.splice(index, 1);
+  channel.last_message = message.content;
+  channel.last_message_at = message.timestamp;
+  state.channels.unshift(channel);
+  return channel;
+};
+
+// Files a message under its channel or thread; false when it was already there
+const addMessage = (state, channelId, message) => {
+  if (!isReply(message)) {
+    const list = getChannelMessages(state, channelId);
+    if (list.items.some(item => item.id === message.id)) return false;
+    list.items.push(message);
+    return true;
+  }
+
+  const thread = getThread(state, channelId, message.thread_ts);
+  if (thread.items.some(item => item.id === message.id)) return false;
+  thread.items.push(message);
+
+  const parent = state.messagesByChannel[channelId]?.items.find(item => item.ts === message.thread_ts);
+  if (parent && parent.latest_reply !== message.ts) {
+    parent.reply_count += 1;
+    parent.latest_reply = message.ts;
+  }
+  return true;
+};
+
+const findPending = (state, channelId, { threadTs }, requestId) => {
+  const list = threadTs
+    ? state.threads[getThreadKey(channelId, threadTs)]
+    : state.messagesByChannel[channelId];
+  return list?.items.find(item => item.tempId === requestId) || null;
+};
+
+const slackSlice = createSlice({
+  name: 'slack',
+  initialState,
+  reducers: {
+    setActiveSlackChannel: (state, action) => {
+      state.activeChannelId = action.payload;
+    },
+    slackMessageReceived: (state, action) => {
+      const { channelId, message } = action.payload;
+      if (!addMessage(state, channelId, message)) return;
+
+      // Replies only show up in their thread, not as channel activity
+      if (isReply(message)) return;
+      const channel = touchChannel(state, channelId, message);
+      if (channel && !message.is_own && state.activeChannelId !== channelId) {
+        channel.unread_count += 1;
+      }
+    },
+    slackMessageUpdated: (state, action) => {
+      const { channelId, message } = action.payload;
+      const list = isReply(message)
+        ? state.threads[getThreadKey(channelId, message.thread_ts)]
+        : state.messagesByChannel[channelId];
+      const existing = list?.items.find(item => item.id === message.id);
+      if (existing) {
+        // Keep the thread counters we've been tracking
+        Object.assign(existing, message, {
+          reply_count: Math.max(existing.reply_count, message.reply_count),
+          latest_reply: message.latest_reply || existing.latest_reply
+        });
+      }
+    },
+    slackChannelUpdated: (state, action) => {
+      const channel = action.payload;
+      const index = state.channels.findIndex(item => item.id === channel.id);
+      if (index === -1) {
+        state.channels.unshift(channel);
+      } else {
+        state.channels[index] = { ...state.channels[index], ...channel };
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchSlackChannels.pending, (state) => {
+        state.channelsLoading = true;
+        state.channelsError = null;
+      })
+      .addCase(fetchSlackChannels.fulfilled, (state, action) => {
+        state.channelsLoading = false;
+        state.channelsLoaded = true;
+        state.channels = action.payload;
+      })
+      .addCase(fetchSlackChannels.rejected, (state, action) => {
+        state.channelsLoading = false;
+        state.channelsError = action.payload;
+      })
+      .addCase(fetchSlackMessages.pending, (state, action) => {
+        const list = getChannelMessages(state, action.meta.arg.channelId);
+        list.loading = true;
+        list.error = null;
+      })
+      .addCase(fetchSlackMessages.fulfilled, (state, action) => {
+        const { channelId, cursor, messages, nextCursor } = action.payload;
+        const list = getChannelMessages(state, channelId);
+        list.loading = false;
+        list.nextCursor = nextCursor;
+        if (cursor) {
+          const known = new Set(list.items.map(item => item.id));
+          list.items = [...messages.filter(item => !known.has(item.id)), ...list.items];
+        } else {
+          // Keep messages that arrived over the socket while the page loaded
+          const loaded = new Set(messages.map(item => item.id));
+          list.items = [...messages, ...list.items.filter(item => !loaded.has(item.id))];
+        }
+      })
+      .addCase(fetchSlackMessages.rejected, (state, action) => {
+        const list = getChannelMessages(state, action.meta.arg.channelId);
+        list.loading = false;
+        list.error = action.payload;
+      })
+      .addCase(fetchSlackThread.pending, (state, action) => {
+        const { channelId, threadTs } = action.meta.arg;
+        const thread = getThread(state, channelId, threadTs);
+        thread.loading = true;
+        thread.error = null;
+      })
+      .addCase(fetchSlackThread.fulfilled, (state, action) => {
+        const { channelId, threadTs, replies } = action.payload;
+        const thread = getThread(state, channelId, threadTs);
+        const loaded = new Set(replies.map(item => item.id));
+        thread.items = [...replies, ...thread.items.filter(item => !loaded.has(item.id))];
+        thread.loading = false;
+        thread.loaded = true;
+
+        const parent = state.messagesByChannel[channelId]?.items.find(item => item.ts === threadTs);
+        if (parent && replies.length) {
+          parent.reply_count = Math.max(parent.reply_count, replies.length);
+          parent.latest_reply = replies[replies.length - 1].ts;
+        }
+      })
+      .addCase(fetchSlackThread.rejected, (state, action) => {
+        const { channelId, threadTs } = action.meta.arg;
+        const thread = getThread(state, channelId, threadTs);
+        thread.loading = false;
+        thread.error = action.payload;
+      })
+      .addCase(sendSlackMessage.pending, (state, action) => {
+        const { channelId, content, threadTs } = action.meta.arg;
+        const requestId = action.meta.requestId;
+        const list = threadTs ? getThread(state, channelId, threadTs) : getChannelMessages(state, channelId);
+        list.items.push({
+          id: requestId,
+          tempId: requestId,
+          ts: null,
+          channel_id: channelId,
+          thread_ts: threadTs || null,
+          reply_count: 0,
+          latest_reply: null,
+          content,
+          user_id: null,
+          user_name: 'You',
+          avatar_url: null,
+          is_own: true,
+          timestamp: new Date().toISOString(),
+          edited_at: null,
+          status: 'pending'
+        });
+      })
+      .addCase(sendSlackMessage.fulfilled, (state, action) => {
+        const { channelId, message } = action.payload;
+        const { arg, requestId } = action.meta;
+        const list = arg.threadTs ? getThread(state, channelId, arg.threadTs) : getChannelMessages(state, channelId);
+        list.items = list.items.filter(item => item.tempId !== requestId);
+        if (addMessage(state, channelId, { ...message, is_own: true }) && !isReply(message)) {
+          touchChannel(state, channelId, message);
+        }
+      })
+      .addCase(sendSlackMessage.rejected, (state, action) => {
+        const { arg, requestId } = action.meta;
+        const pending = findPending(state, arg.channelId, arg, requestId);
+        if (pending) {
+          pending.status = 'failed';
+          pending.lastError = action.payload;
+        }
+      })
+      .addCase(markSlackChannelRead.pending, (state, action) => {
+        const channel = state.channels.find(item => item.id === action.meta.arg.channelId);
+        if (channel) {
+          channel.unread_count = 0;
+        }
+      });
+  }
+});
+
+export const {
+  setActiveSlackChannel,
+  slackMessageReceived,
+  slackMessageUpdated,
+  slackChannelUpdated
+} = slackSlice.actions;
+
+export const slackReducer = slackSlice.reducer;
+
+// Selectors
+const EMPTY_MESSAGES = { items: [], loading: false, nextCursor: null, error: null };
+const EMPTY_THREAD = { items: [], loading: false, loaded: false, error: null };
+
+export const selectSlackChannels = (state) => state.slack.channels;
+export const selectSlackChannelsLoading = (state) => state.slack.channelsLoading;
+export const selectSlackChannelsLoaded = (state) => state.slack.channelsLoaded;
+export const selectSlackChannelsError = (state) => state.slack.channelsError;
+export const selectSlackChannel = (state, channelId) => state.slack.channels.find(channel => channel.id === channelId) || null;
+export const selectSlackMessages = (state, channelId) => state.slack.messagesByChannel[channelId] || EMPTY_MESSAGES;
+export const selectSlackThread = (state, channelId, threadTs) => (
+  state.slack.threads[getThreadKey(channelId, threadTs)] || EMPTY_THREAD
+);
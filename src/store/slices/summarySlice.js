@@ -0,0 +1,137 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { summaryService } from '../../services/summaryService';
+import logger from '../../utils/logger';
+
+export const generateSummary = createAsyncThunk(
+  'summaries/generate',
+  async (contact, { rejectWithValue }) => {
+    try {
+      return await summaryService.generateSummary(contact);
+    } catch (error) {
+      logger.error('[Summaries] Failed to generate summary:', { contactId: contact.id, error: error.message });
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const loadSummaryHistory = createAsyncThunk(
+  'summaries/loadHistory',
+  async (contactId, { rejectWithValue }) => {
+    try {
+      const summaries = await summaryService.getSummaries(contactId);
+      return { contactId, summaries };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const loadTasks = createAsyncThunk(
+  'summaries/loadTasks',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await summaryService.getTasks();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateTask = createAsyncThunk(
+  'summaries/updateTask',
+  async ({ taskId, changes }, { rejectWithValue }) => {
+    try {
+      const task = await summaryService.updateTask(taskId, changes);
+      if (!task) {
+        throw new Error('Task not found');
+      }
+      return task;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteTask = createAsyncThunk(
+  'summaries/deleteTask',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      await summaryService.deleteTask(taskId);
+      return taskId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  byContact: {}, // contactId -> summaries, newest first
+  tasks: [],
+  tasksLoaded: false,
+  generating: false,
+  error: null
+};
+
+const upsertTask = (state, task) => {
+  const index = state.tasks.findIndex(item => item.id === task.id);
+  if (index === -1) {
+    state.tasks.push(task);
+  } else {
+    state.tasks[index] = task;
+  }
+};
+
+const summarySlice = createSlice({
+  name: 'summaries',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(generateSummary.pending, (state) => {
+        state.generating = true;
+        state.error = null;
+      })
+      .addCase(generateSummary.fulfilled, (state, action) => {
+        const { summary, tasks } = action.payload;
+        state.generating = false;
+        state.byContact[summary.contactId] = [summary, ...(state.byContact[summary.contactId] || [])];
+        tasks.forEach(task => upsertTask(state, task));
+      })
+      .addCase(generateSummary.rejected, (state, action) => {
+        state.generating = false;
+        state.error = action.payload;
+      })
+      .addCase(loadSummaryHistory.fulfilled, (state, action) => {
+        state.byContact[action.payload.contactId] = action.payload.summaries;
+      })
+      .addCase(loadTasks.fulfilled, (state, action) => {
+        state.tasks = action.payload;
+        state.tasksLoaded = true;
+      })
+      .addCase(updateTask.pending, (state, action) => {
+        // Checkboxes and inputs reflect the change before IndexedDB confirms it
+        const { taskId, changes } = action.meta.arg;
+        const task = state.tasks.find(item => item.id === taskId);
+        if (task) {
+          Object.assign(task, changes);
+        }
+      })
+      .addCase(updateTask.fulfilled, (state, action) => {
+        upsertTask(state, action.payload);
+      })
+      .addCase(deleteTask.fulfilled, (state, action) => {
+        state.tasks = state.tasks.filter(task => task.id !== action.payload);
+      });
+  }
+});
+
+export const summaryReducer = summarySlice.reducer;
+
+const EMPTY_HISTORY = [];
+
+// Selectors
+export const selectSummaryHistory = (state, contactId) => state.summaries.byContact[contactId] || EMPTY_HISTORY;
+export const selectSummaryGenerating = (state) => state.summaries.generating;
+export const selectTasks = (state) => state.summaries.tasks;
+export const selectTasksLoaded = (state) => state.summaries.tasksLoaded;
+export const selectOpenTaskCount = (state) => state.summaries.tasks.filter(task => !task.done).length;
@@ -0,0 +1,217 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { telegramService } from '../../services/telegramService';
+
+export const fetchTelegramChats = createAsyncThunk(
+  'telegram/fetchChats',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await telegramService.getChats();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchTelegramMessages = createAsyncThunk(
+  'telegram/fetchMessages',
+  async ({ chatId, before }, { rejectWithValue }) => {
+    try {
+      const page = await telegramService.getMessages(chatId, { before });
+      return { chatId, before, ...page };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// A pending copy is shown right away (see the pending case) and swapped for the sent one
+export const sendTelegramMessage = createAsyncThunk(
+  'telegram/sendMessage',
+  async ({ chatId, content, replyToId }, { rejectWithValue }) => {
+    try {
+      const message = await telegramService.sendMessage(chatId, { content, replyToId });
+      return { chatId, message };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const markTelegramChatRead = createAsyncThunk(
+  'telegram/markRead',
+  async (chatId, { rejectWithValue }) => {
+    try {
+      await telegramService.markAsRead(chatId);
+      return chatId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  chats: [],
+  chatsLoading: false,
+  chatsLoaded: false,
+  chatsError: null,
+  messagesByChat: {}, // chatId -> { items, loading, hasMore, error }
+  activeChatId: null
+};
+
+const getThread = (state, chatId) => {
+  if (!state.messagesByChat[chatId]) {
+    state.messagesByChat[chatId] = { items: [], loading: false, hasMore: true, error: null };
+  }
+  return state.messagesByChat[chatId];
+};
+
+// Moves a chat to the top of the list with its newest message as preview
+const touchChat = (state, chatId, message) => {
+  const index = state.chats.findIndex(chat => chat.id === chatId);
+  if (index === -1) return null;
+  const [chat] = state.chats.splice(index, 1);
+  chat.last_message = message.content;
+  chat.last_message_at = message.timestamp;
+  state.chats.unshift(chat);
+  return chat;
+};
+
+const telegramSlice = createSlice({
+  name: 'telegram',
+  initialState,
+  reducers: {
+    setActiveTelegramChat: (state, action) => {
+      state.activeChatId = action.payload;
+    },
+    telegramMessageReceived: (state, action) => {
+      const { chatId, message } = action.payload;
+      const thread = getThread(state, chatId);
+      if (thread.items.some(item => item.id === message.id)) return;
+      thread.items.push(message);
+
+      const chat = touchChat(state, chatId, message);
+      if (chat && !message.outgoing && state.activeChatId !== chatId) {
+        chat.unread_count += 1;
+      }
+    },
+    telegramMessageUpdated: (state, action) => {
+      const { chatId, message } = action.payload;
+      const thread = state.messagesByChat[chatId];
+      const index = thread?.items.findIndex(item => item.id === message.id) ?? -1;
+      if (index !== -1) {
+        thread.items[index] = { ...thread.items[index], ...message };
+      }
+    },
+    telegramChatUpdated: (state, action) => {
+      const chat = action.payload;
+      const index = state.chats.findIndex(item => item.id === chat.id);
+      if (index === -1) {
+        state.chats.unshift(chat);
+      } else {
+        state.chats[index] = { ...state.chats[index], ...chat };
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchTelegramChats.pending, (state) => {
+        state.chatsLoading = true;
+        state.chatsError = null;
+      })
+      .addCase(fetchTelegramChats.fulfilled, (state, action) => {
+        state.chatsLoading = false;
+        state.chatsLoaded = true;
+        state.chats = action.payload;
+      })
+      .addCase(fetchTelegramChats.rejected, (state, action) => {
+        state.chatsLoading = false;
+        state.chatsError = action.payload;
+      })
+      .addCase(fetchTelegramMessages.pending, (state, action) => {
+        const thread = getThread(state, action.meta.arg.chatId);
+        thread.loading = true;
+        thread.error = null;
+      })
+      .addCase(fetchTelegramMessages.fulfilled, (state, action) => {
+        const { chatId, before, messages, hasMore } = action.payload;
+        const thread = getThread(state, chatId);
+        thread.loading = false;
+        thread.hasMore = hasMore;
+        if (before) {
+          const known = new Set(thread.items.map(item => item.id));
+          thread.items = [...messages.filter(item => !known.has(item.id)), ...thread.items];
+        } else {
+          // Keep messages that arrived over the socket while the page loaded
+          const loaded = new Set(messages.map(item => item.id));
+          thread.items = [...messages, ...thread.items.filter(item => !loaded.has(item.id))];
+        }
+      })
+      .addCase(fetchTelegramMessages.rejected, (state, action) => {
+        const thread = getThread(state, action.meta.arg.chatId);
+        thread.loading = false;
+        thread.error = action.payload;
+      })
+      .addCase(sendTelegramMessage.pending, (state, action) => {
+        const { chatId, content } = action.meta.arg;
+        getThread(state, chatId).items.push({
+          id: action.meta.requestId,
+          message_id: action.meta.requestId,
+          tempId: action.meta.requestId,
+          chat_id: chatId,
+          content,
+          sender_id: null,
+          sender_name: 'You',
+          outgoing: true,
+          timestamp: new Date().toISOString(),
+          status: 'pending'
+        });
+      })
+      .addCase(sendTelegramMessage.fulfilled, (state, action) => {
+        const { chatId, message } = action.payload;
+        const thread = getThread(state, chatId);
+        // The socket may have delivered the sent message already
+        thread.items = thread.items.filter(item => item.id !== message.id);
+        const index = thread.items.findIndex(item => item.tempId === action.meta.requestId);
+        if (index === -1) {
+          thread.items.push(message);
+        } else {
+          thread.items[index] = message;
+        }
+        touchChat(state, chatId, message);
+      })
+      .addCase(sendTelegramMessage.rejected, (state, action) => {
+        const thread = getThread(state, action.meta.arg.chatId);
+        const pending = thread.items.find(item => item.tempId === action.meta.requestId);
+        if (pending) {
+          pending.status = 'failed';
+          pending.lastError = action.payload;
+        }
+      })
+      .addCase(markTelegramChatRead.pending, (state, action) => {
+        const chat = state.chats.find(item => item.id === action.meta.arg);
+        if (chat) {
+          chat.unread_count = 0;
+        }
+      });
+  }
+});
+
+export const {
+  setActiveTelegramChat,
+  telegramMessageReceived,
+  telegramMessageUpdated,
+  telegramChatUpdated
+} = telegramSlice.actions;
+
+export const telegramReducer = telegramSlice.reducer;
+
+// Selectors
+const EMPTY_THREAD = { items: [], loading: false, hasMore: true, error: null };
+
+export const selectTelegramChats = (state) => state.telegram.chats;
+export const selectTelegramChatsLoading = (state) => state.telegram.chatsLoading;
+export const selectTelegramChatsLoaded = (state) => state.telegram.chatsLoaded;
+export const selectTelegramChatsError = (state) => state.telegram.chatsError;
+export const selectTelegramChat = (state, chatId) => state.telegram.chats.find(chat => chat.id === chatId) || null;
+export const selectTelegramThread = (state, chatId) => state.telegram.messagesByChat[chatId] || EMPTY_THREAD;
+export const selectTelegramUnreadTotal = (state) => state.telegram.chats.reduce((total, chat) => total + chat.unread_count, 0);
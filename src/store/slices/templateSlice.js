@@ -0,0 +1,112 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { templateService } from '../../services/templateService';
+import logger from '../../utils/logger';
+
+export const fetchTemplates = createAsyncThunk(
+  'templates/fetchAll',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await templateService.listTemplates();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const saveTemplate = createAsyncThunk(
+  'templates/save',
+  async (template, { rejectWithValue }) => {
+    try {
+      return await templateService.saveTemplate(template);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteTemplate = createAsyncThunk(
+  'templates/delete',
+  async (templateId, { rejectWithValue }) => {
+    try {
+      await templateService.deleteTemplate(templateId);
+      return templateId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// The count is bumped locally right away; a failed request only loses the stat
+export const recordTemplateUsage = createAsyncThunk(
+  'templates/recordUsage',
+  async ({ templateId, platform }, { rejectWithValue }) => {
+    try {
+      const usageCount = await templateService.recordUsage(templateId, platform);
+      return { templateId, usageCount };
+    } catch (error) {
+      logger.warn('[Templates] Usage not recorded:', { templateId, error: error.message });
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  loading: false,
+  loaded: false,
+  error: null
+};
+
+const templateSlice = createSlice({
+  name: 'templates',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchTemplates.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchTemplates.fulfilled, (state, action) => {
+        state.loading = false;
+        state.loaded = true;
+        state.items = action.payload;
+      })
+      .addCase(fetchTemplates.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(saveTemplate.fulfilled, (state, action) => {
+        const index = state.items.findIndex(template => template.id === action.payload.id);
+        if (index === -1) {
+          state.items.push(action.payload);
+        } else {
+          state.items[index] = action.payload;
+        }
+      })
+      .addCase(deleteTemplate.fulfilled, (state, action) => {
+        state.items = state.items.filter(template => template.id !== action.payload);
+      })
+      .addCase(recordTemplateUsage.pending, (state, action) => {
+        const template = state.items.find(item => item.id === action.meta.arg.templateId);
+        if (template) {
+          template.usageCount += 1;
+          template.lastUsedAt = new Date().toISOString();
+        }
+      })
+      .addCase(recordTemplateUsage.fulfilled, (state, action) => {
+        const { templateId, usageCount } = action.payload;
+        const template = state.items.find(item => item.id === templateId);
+        if (template && usageCount != null) {
+          template.usageCount = usageCount;
+        }
+      });
+  }
+});
+
+export const templateReducer = templateSlice.reducer;
+
+// Selectors
+export const selectTemplates = (state) => state.templates.items;
+export const selectTemplatesLoaded = (state) => state.templates.loaded;
+export const selectTemplatesError = (state) => state.templates.error;
@@ -0,0 +1,317 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { workspaceService } from '../../services/workspaceService';
+import { contactService } from '../../services/contactService';
+import { fetchContacts } from './contactSlice';
+
+const conversationKey = (platform, contactId) => `${platform}:${contactId}`;
+
+export const fetchWorkspaces = createAsyncThunk(
+  'workspaces/fetchAll',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    try {
+      const workspaces = await workspaceService.listWorkspaces();
+      // Fall back to the personal inbox after leaving or losing a workspace
+      const { currentWorkspaceId } = getState().workspaces;
+      if (currentWorkspaceId && !workspaces.some(workspace => workspace.id === currentWorkspaceId)) {
+        dispatch(switchWorkspace(null));
+      }
+      return workspaces;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const createWorkspace = createAsyncThunk(
+  'workspaces/create',
+  async (name, { rejectWithValue }) => {
+    try {
+      return await workspaceService.createWorkspace(name);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Makes a workspace, or the personal inbox when null, the one requests are
+ * scoped to and reloads the contacts for it
+ */
+export const switchWorkspace = createAsyncThunk(
+  'workspaces/switch',
+  async (workspaceId, { dispatch }) => {
+    dispatch(workspaceSelected(workspaceId));
+    contactService.clearCache();
+    dispatch(fetchContacts());
+    return workspaceId;
+  }
+);
+
+export const updateWorkspaceSecurity = createAsyncThunk(
+  'workspaces/updateSecurity',
+  async ({ workspaceId, security }, { rejectWithValue }) => {
+    try {
+      return await workspaceService.updateSecurity(workspaceId, security);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchWorkspaceMembers = createAsyncThunk(
+  'workspaces/fetchMembers',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      return await workspaceService.listMembers(workspaceId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateMemberRole = createAsyncThunk(
+  'workspaces/updateMemberRole',
+  async ({ workspaceId, userId, role }, { rejectWithValue }) => {
+    try {
+      return await workspaceService.updateMemberRole(workspaceId, userId, role);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const removeMember = createAsyncThunk(
+  'workspaces/removeMember',
+  async ({ workspaceId, userId }, { rejectWithValue }) => {
+    try {
+      await workspaceService.removeMember(workspaceId, userId);
+      return userId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchWorkspaceInvites = createAsyncThunk(
+  'workspaces/fetchInvites',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      return await workspaceService.listInvites(workspaceId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const inviteMember = createAsyncThunk(
+  'workspaces/invite',
+  async ({ workspaceId, email, role }, { rejectWithValue }) => {
+    try {
+      return await workspaceService.inviteMember(workspaceId, email, role);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const revokeInvite = createAsyncThunk(
+  'workspaces/revokeInvite',
+  async ({ workspaceId, inviteId }, { rejectWithValue }) => {
+    try {
+      await workspaceService.revokeInvite(workspaceId, inviteId);
+      return inviteId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchReceivedInvites = createAsyncThunk(
+  'workspaces/fetchReceivedInvites',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await workspaceService.listReceivedInvites();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const acceptInvite = createAsyncThunk(
+  'workspaces/acceptInvite',
+  async (inviteId, { rejectWithValue }) => {
+    try {
+      const workspace = await workspaceService.acceptInvite(inviteId);
+      return { workspace, inviteId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const declineInvite = createAsyncThunk(
+  'workspaces/declineInvite',
+  async (inviteId, { rejectWithValue }) => {
+    try {
+      await workspaceService.declineInvite(inviteId);
+      return inviteId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchAssignments = createAsyncThunk(
+  'workspaces/fetchAssignments',
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      return await workspaceService.listAssignments(workspaceId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const assignConversation = createAsyncThunk(
+  'workspaces/assign',
+  async ({ workspaceId, platform, contactId, assigneeId }, { rejectWithValue }) => {
+    try {
+      return await workspaceService.assignConversation(workspaceId, platform, contactId, assigneeId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const storeAssignment = (state, assignment) => {
+  const key = conversationKey(assignment.platform, assignment.contactId);
+  if (assignment.assigneeId) {
+    state.assignments[key] = assignment;
+  } else {
+    delete state.assignments[key];
+  }
+};
+
+const initialState = {
+  workspaces: [],
+  currentWorkspaceId: null, // null is the user's personal inbox
+  members: [],
+  invites: [], // pending invites of the current workspace
+  receivedInvites: [],
+  assignments: {}, // 'platform:contactId' -> assignment
+  loading: false,
+  error: null
+};
+
+const workspaceSlice = createSlice({
+  name: 'workspaces',
+  initialState,
+  reducers: {
+    workspaceSelected: (state, action) => {
+      if (state.currentWorkspaceId === action.payload) return;
+      state.currentWorkspaceId = action.payload;
+      state.members = [];
+      state.invites = [];
+      state.assignments = {};
+    },
+    // From the workspace room; only applied to the workspace being viewed
+    assignmentChanged: (state, action) => {
+      const { workspaceId, assignment } = action.payload;
+      if (workspaceId !== state.currentWorkspaceId) return;
+      storeAssignment(state, assignment);
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchWorkspaces.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchWorkspaces.fulfilled, (state, action) => {
+        state.loading = false;
+        state.workspaces = action.payload;
+      })
+      .addCase(fetchWorkspaces.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(createWorkspace.fulfilled, (state, action) => {
+        state.workspaces.push(action.payload);
+      })
+      .addCase(updateWorkspaceSecurity.fulfilled, (state, action) => {
+        const index = state.workspaces.findIndex(workspace => workspace.id === action.payload.id);
+        if (index !== -1) {
+          state.workspaces[index] = action.payload;
+        }
+      })
+      .addCase(fetchWorkspaceMembers.fulfilled, (state, action) => {
+        if (action.meta.arg !== state.currentWorkspaceId) return;
+        state.members = action.payload;
+      })
+      .addCase(updateMemberRole.fulfilled, (state, action) => {
+        const index = state.members.findIndex(member => member.userId === action.payload.userId);
+        if (index !== -1) {
+          state.members[index] = action.payload;
+        }
+      })
+      .addCase(removeMember.fulfilled, (state, action) => {
+        state.members = state.members.filter(member => member.userId !== action.payload);
+        Object.entries(state.assignments).forEach(([key, assignment]) => {
+          if (assignment.assigneeId === action.payload) {
+            delete state.assignments[key];
+          }
+        });
+      })
+      .addCase(fetchWorkspaceInvites.fulfilled, (state, action) => {
+        if (action.meta.arg !== state.currentWorkspaceId) return;
+        state.invites = action.payload;
+      })
+      .addCase(inviteMember.fulfilled, (state, action) => {
+        state.invites = state.invites.filter(invite => invite.email !== action.payload.email);
+        state.invites.push(action.payload);
+      })
+      .addCase(revokeInvite.fulfilled, (state, action) => {
+        state.invites = state.invites.filter(invite => invite.id !== action.payload);
+      })
+      .addCase(fetchReceivedInvites.fulfilled, (state, action) => {
+        state.receivedInvites = action.payload;
+      })
+      .addCase(acceptInvite.fulfilled, (state, action) => {
+        const { workspace, inviteId } = action.payload;
+        state.receivedInvites = state.receivedInvites.filter(invite => invite.id !== inviteId);
+        if (!state.workspaces.some(existing => existing.id === workspace.id)) {
+          state.workspaces.push(workspace);
+        }
+      })
+      .addCase(declineInvite.fulfilled, (state, action) => {
+        state.receivedInvites = state.receivedInvites.filter(invite => invite.id !== action.payload);
+      })
+      .addCase(fetchAssignments.fulfilled, (state, action) => {
+        if (action.meta.arg !== state.currentWorkspaceId) return;
+        state.assignments = {};
+        action.payload.forEach(assignment => storeAssignment(state, assignment));
+      })
+      .addCase(assignConversation.fulfilled, (state, action) => {
+        if (action.meta.arg.workspaceId !== state.currentWorkspaceId) return;
+        storeAssignment(state, action.payload);
+      });
+  }
+});
+
+export const { workspaceSelected, assignmentChanged } = workspaceSlice.actions;
+export const workspaceReducer = workspaceSlice.reducer;
+
+// Selectors
+export const selectWorkspaces = (state) => state.workspaces.workspaces;
+export const selectCurrentWorkspaceId = (state) => state.workspaces.currentWorkspaceId;
+export const selectCurrentWorkspace = (state) =>
+  state.workspaces.workspaces.find(workspace => workspace.id === state.workspaces.currentWorkspaceId) || null;
+// null in the personal inbox, where there are no roles
+export const selectWorkspaceRole = (state) => selectCurrentWorkspace(state)?.role || null;
+export const selectWorkspaceMembers = (state) => state.workspaces.members;
+export const selectWorkspaceInvites = (state) => state.workspaces.invites;
+export const selectReceivedInvites = (state) => state.workspaces.receivedInvites;
+export const selectAssignments = (state) => state.workspaces.assignments;
+export const selectAssignment = (state, platform, contactId) =>
+  state.workspaces.assignments[conversationKey(platform, contactId)] || null;
+export const selectWorkspacesError = (state) => state.workspaces.error;
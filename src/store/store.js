@@ -1,24 +1,93 @@
-import { configureStore } from '@reduxjs/toolkit';
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
 import { persistStore, persistReducer } from 'redux-persist';
-import storage from 'redux-persist/lib/storage';
-import { authReducer } from './slices/authSlice';
+import { authReducer, signOut } from './slices/authSlice';
 import onboardingReducer from './slices/onboardingSlice';
 import { progressReducer } from './slices/progressSlice';
-import { contactReducer } from './slices/contactSlice';
-import { messageReducer } from './slices/messageSlice';
+import {
+  contactReducer,
+  setPriority,
+  hideContact,
+  updateContactDisplayName,
+  contactFieldsMerged,
+  resolveContactConflict,
+  updateContactPriority
+} from './slices/contactSlice';
+import {
+  messageReducer,
+  messageReceived,
+  messageEdited,
+  messageRedacted,
+  reactionUpdated,
+  updateMessageStatus,
+  outboxEntryUpdated,
+  sendMessage,
+  queueMessage,
+  sendQueuedMessage,
+  cancelQueuedMessage
+} from './slices/messageSlice';
 import socketReducer from './slices/socketSlice';
+import {
+  priorityRulesReducer,
+  ruleAdded,
+  ruleUpdated,
+  ruleRemoved,
+  ruleMoved,
+  ruleMatched,
+  ruleMatchCleared,
+  manualPriorityReleased
+} from './slices/priorityRulesSlice';
+import { templateReducer } from './slices/templateSlice';
+import { summaryReducer } from './slices/summarySlice';
+import { telegramReducer } from './slices/telegramSlice';
+import { slackReducer } from './slices/slackSlice';
+import {
+  customerReducer,
+  updateCustomerProfile,
+  mergeCustomers,
+  unlinkCustomerContact,
+  saveCustomerField,
+  deleteCustomerField
+} from './slices/customerSlice';
+import { workspaceReducer, selectCurrentWorkspaceId } from './slices/workspaceSlice';
 import logger from '../utils/logger';
 import { tokenManager } from '../utils/tokenManager';
+import encryptedStorage, { authStorage, wipeSecureStorage } from '../utils/secureStorage';
+import { setActiveWorkspace } from '../utils/api';
+import { tabCoordinator, TAB_MESSAGES } from '../services/TabCoordinator';
+import { outboxService } from '../services/outboxService';
+import { summaryService } from '../services/summaryService';
+import { syncJobStore } from '../services/syncJobStore';
+import { syncQueueManager } from '../services/SyncQueueManager';
 
-// Configure persist for contacts
+// Configure persist for contacts. Every persisted slice is encrypted at rest
+// with a key that never leaves the browser's crypto store (utils/secureStorage)
 const contactsPersistConfig = {
   key: 'contacts',
-  storage,
-  whitelist: ['items', 'priorityMap'] // Only persist these fields
+  storage: encryptedStorage,
+  whitelist: ['items', 'priorityMap', 'overrides', 'fieldBaselines', 'conflicts'] // Only persist these fields
 };
 
 const persistedContactReducer = persistReducer(contactsPersistConfig, contactReducer);
 
+// Rules, per-contact activity and the rule that fired are all kept so
+// unanswered-time rules keep counting across reloads
+const priorityRulesPersistConfig = {
+  key: 'priorityRules',
+  storage: encryptedStorage,
+  whitelist: ['rules', 'activity', 'matches']
+};
+
+const persistedPriorityRulesReducer = persistReducer(priorityRulesPersistConfig, priorityRulesReducer);
+
+// Reopen the workspace the user was last working in
+const workspacesPersistConfig = {
+  key: 'workspaces',
+  storage: encryptedStorage,
+  whitelist: ['currentWorkspaceId']
+};
+
+const persistedWorkspaceReducer = persistReducer(workspacesPersistConfig, workspaceReducer);
+
 // Create auth state middleware
 const authMiddleware = (store) => (next) => (action) => {
   // Handle session updates before the action is processed
@@ -42,17 +111,17 @@ const authMiddleware = (store) => (next) => (action) => {
             user: session.user
           };
           
-          localStorage.setItem('dailyfix_auth', JSON.stringify(authData));
+          authStorage.set(JSON.stringify(authData));
           logger.info('[Store] Updated token storage:', { userId: session.user?.id });
         } catch (error) {
           logger.error('[Store] Failed to store auth data:', error);
           // Clear any partial data
-          localStorage.removeItem('dailyfix_auth');
+          authStorage.remove();
         }
       }
     } else if (action.payload?.session === null) {
       // Clear tokens if session is removed
-      localStorage.removeItem('dailyfix_auth');
+      authStorage.remove();
       logger.info('[Store] Cleared token storage');
     }
   }
@@ -71,13 +140,89 @@ const authMiddleware = (store) => (next) => (action) => {
       hadSession,
       hasSession,
       userId,
-      hasStoredTokens: !!localStorage.getItem('dailyfix_auth')
+      hasStoredTokens: !!authStorage.get()
     });
   }
 
   return result;
 };
 
+// Replayed in the other open tabs so they show the same messages, priorities,
+// rules and customer profiles. Changes that arrive over the socket may also
+// reach a tab through its own handlers; the message reducers skip what they
+// already have.
+const TAB_SYNCED_ACTIONS = new Set([
+  messageReceived.type,
+  messageEdited.type,
+  messageRedacted.type,
+  reactionUpdated.type,
+  updateMessageStatus.type,
+  outboxEntryUpdated.type,
+  sendMessage.fulfilled.type,
+  queueMessage.fulfilled.type,
+  sendQueuedMessage.fulfilled.type,
+  cancelQueuedMessage.fulfilled.type,
+  setPriority.type,
+  hideContact.type,
+  updateContactDisplayName.type,
+  contactFieldsMerged.type,
+  resolveContactConflict.type,
+  updateContactPriority.fulfilled.type,
+  ruleAdded.type,
+  ruleUpdated.type,
+  ruleRemoved.type,
+  ruleMoved.type,
+  ruleMatched.type,
+  ruleMatchCleared.type,
+  manualPriorityReleased.type,
+  updateCustomerProfile.fulfilled.type,
+  mergeCustomers.fulfilled.type,
+  unlinkCustomerContact.fulfilled.type,
+  saveCustomerField.fulfilled.type,
+  deleteCustomerField.fulfilled.type
+]);
+
+const tabSyncMiddleware = () => (next) => (action) => {
+  const result = next(action);
+  if (TAB_SYNCED_ACTIONS.has(action.type) && !action.meta?.fromTab) {
+    tabCoordinator.broadcast(TAB_MESSAGES.REDUX_ACTION, action);
+  }
+  return result;
+};
+
+// IndexedDB databases holding message bodies, summaries and sync jobs
+const SIGN_OUT_DATABASES = [outboxService, summaryService, syncJobStore];
+
+// Signing out resets the signed-out user's data in memory; this removes it
+// from disk too. Writes still pending hold the old state, so they land
+// first, then the persisted keys, the IndexedDB databases and the key the
+// persisted keys were encrypted with go. Persisting restarts afterwards for
+// whoever signs in next.
+const signOutWipeMiddleware = ({ getState }) => (next) => (action) => {
+  if (action.type !== signOut.fulfilled.type) {
+    return next(action);
+  }
+
+  const userId = getState().auth.session?.user?.id;
+  const result = next(action);
+  // Stopped first so no job writes to the sync database once it is gone
+  if (userId) {
+    syncQueueManager.clearQueue(userId);
+  }
+  persistor.flush()
+    .then(() => persistor.purge())
+    .then(() => Promise.allSettled(SIGN_OUT_DATABASES.map(database => database.deleteDatabase())))
+    .then(results => {
+      results
+        .filter(outcome => outcome.status === 'rejected')
+        .forEach(outcome => logger.error('[Store] Failed to delete database:', outcome.reason));
+      return wipeSecureStorage();
+    })
+    .then(() => persistor.persist())
+    .catch(error => logger.error('[Store] Failed to wipe persisted data:', error));
+  return result;
+};
+
 // Create logging middleware
 const loggingMiddleware = (store) => (next) => (action) => {
   logger.info('Dispatching:', action);
@@ -86,15 +231,33 @@ const loggingMiddleware = (store) => (next) => (action) => {
   return result;
 };
 
+const appReducer = combineReducers({
+  auth: authReducer,
+  onboarding: onboardingReducer,
+  progress: progressReducer,
+  contacts: persistedContactReducer,
+  messages: messageReducer,
+  socket: socketReducer,
+  priorityRules: persistedPriorityRulesReducer,
+  templates: templateReducer,
+  summaries: summaryReducer,
+  telegram: telegramReducer,
+  slack: slackReducer,
+  customers: customerReducer,
+  workspaces: persistedWorkspaceReducer
+});
+
+// Everything but the session (reset by its own reducer) and the socket goes
+// back to its initial state on sign-out
+const rootReducer = (state, action) => {
+  if (action.type === signOut.fulfilled.type) {
+    return appReducer({ auth: state.auth, socket: state.socket }, action);
+  }
+  return appReducer(state, action);
+};
+
 const store = configureStore({
-  reducer: {
-    auth: authReducer,
-    onboarding: onboardingReducer,
-    progress: progressReducer,
-    contacts: persistedContactReducer,
-    messages: messageReducer,
-    socket: socketReducer
-  },
+  reducer: rootReducer,
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
       serializableCheck: {
@@ -108,9 +271,27 @@ const store = configureStore({
       }
     })
     .concat(authMiddleware)
+    .concat(signOutWipeMiddleware)
+    .concat(tabSyncMiddleware)
     .concat(loggingMiddleware),
   devTools: process.env.NODE_ENV !== 'production'
 });
 
+// Elect the tab that owns the socket and syncs before anything connects
+tabCoordinator.start();
+tabCoordinator.on(TAB_MESSAGES.REDUX_ACTION, (action) => {
+  store.dispatch({ ...action, meta: { ...action.meta, fromTab: true } });
+});
+
+// Requests are scoped to whichever workspace the store has open
+let scopedWorkspaceId = null;
+store.subscribe(() => {
+  const workspaceId = selectCurrentWorkspaceId(store.getState());
+  if (workspaceId !== scopedWorkspaceId) {
+    scopedWorkspaceId = workspaceId;
+    setActiveWorkspace(workspaceId);
+  }
+});
+
 export const persistor = persistStore(store);
 export default store;
\ No newline at end of file
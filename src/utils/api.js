@@ -63,8 +63,24 @@ const api = axios.create({
   }
 });
 
+// Workspace the user is working in; null for their personal inbox
+let activeWorkspaceId = null;
+
+/**
+ * Scopes subsequent requests to a team workspace. Kept in step with the
+ * store's current workspace by store.js.
+ * @param {string|null} workspaceId
+ */
+export const setActiveWorkspace = (workspaceId) => {
+  activeWorkspaceId = workspaceId || null;
+};
+
 // Add request interceptor to set auth token
 api.interceptors.request.use(async (config) => {
+  if (activeWorkspaceId) {
+    config.headers['X-Workspace-Id'] = activeWorkspaceId;
+  }
+
   try {
     // Get token from token manager
     const token = await tokenManager.getValidToken();
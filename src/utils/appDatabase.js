@@ -0,0 +1,37 @@
+import { openDB, deleteDB } from 'idb';
+
+// One open connection per database, shared by everything that uses it
+const connections = new Map();
+
+/**
+ * Opens one of the app's IndexedDB databases, reusing the connection if it is
+ * already open. The connection closes itself when another tab wants to delete
+ * the database, so sign-out in one tab is not held up by the others.
+ * @param {string} name
+ * @param {number} version
+ * @param {Function} upgrade - Creates the object stores, as in idb's openDB
+ * @returns {Promise<IDBPDatabase>}
+ */
+export const openAppDB = (name, version, upgrade) => {
+  if (!connections.has(name)) {
+    connections.set(name, openDB(name, version, {
+      upgrade,
+      blocking: (currentVersion, blockedVersion, event) => {
+        event.target.close();
+        connections.delete(name);
+      }
+    }));
+  }
+  return connections.get(name);
+};
+
+/**
+ * Closes and deletes one of the app's databases and everything in it, on sign-out
+ * @param {string} name
+ */
+export const deleteAppDB = async (name) => {
+  const db = await connections.get(name)?.catch(() => null);
+  connections.delete(name);
+  db?.close();
+  await deleteDB(name);
+};
@@ -0,0 +1,123 @@
+// Contact fields the user can change locally and that sync must not clobber
+export const TRACKED_CONTACT_FIELDS = ['display_name', 'hidden'];
+
+const readField = (contact, field) => (field === 'hidden' ? Boolean(contact.hidden) : contact[field]);
+
+/**
+ * Decides the value of one field given the local override, the last remote
+ * value we saw (baseline) and the incoming remote value.
+ *
+ * The remote side only counts as changed when its value differs from the
+ * baseline, so a contact whose `updated_at` moved because of new messages
+ * doesn't beat a rename. A local override wins unless the remote field
+ * changed after it; in that case the remote value is used and the pair is
+ * reported as a conflict. Without a remote update time there is no telling
+ * which came last, so the override is kept.
+ *
+ * @param {Object} params
+ * @param {{ value: *, updatedAt: number }} [params.local] - Local override
+ * @param {{ value: *, changedAt: number }} [params.baseline] - Last remote value seen
+ * @param {*} params.remoteValue - Incoming remote value
+ * @param {?number} params.remoteUpdatedAt - Remote record's update time (ms), null when unknown
+ * @returns {{ value: *, baseline: Object, conflict: boolean, settled: boolean }}
+ */
+export const resolveField = ({ local, baseline, remoteValue, remoteUpdatedAt }) => {
+  const remoteChanged = !baseline || baseline.value !== remoteValue;
+  const nextBaseline = {
+    value: remoteValue,
+    changedAt: remoteChanged ? remoteUpdatedAt : baseline.changedAt
+  };
+
+  // No override, or the remote side caught up with it
+  if (!local || local.value === remoteValue) {
+    return { value: remoteValue, baseline: nextBaseline, conflict: false, settled: Boolean(local) };
+  }
+
+  if (remoteUpdatedAt !== null && nextBaseline.changedAt > local.updatedAt) {
+    return { value: remoteValue, baseline: nextBaseline, conflict: true, settled: false };
+  }
+
+  return { value: local.value, baseline: nextBaseline, conflict: false, settled: false };
+};
+
+/**
+ * Merges one remote contact with its local overrides and field baselines
+ * @returns {{ contact: Object, overrides: Object, baselines: Object, conflicts: Array }}
+ */
+export const mergeContact = (remote, { overrides = {}, baselines = {}, now = Date.now() } = {}) => {
+  const remoteUpdatedAt = Date.parse(remote.updated_at) || null;
+  const contact = { ...remote };
+  const nextOverrides = { ...overrides };
+  const nextBaselines = { ...baselines };
+  const conflicts = [];
+
+  TRACKED_CONTACT_FIELDS.forEach(field => {
+    const local = overrides[field];
+
+    // Partial updates (e.g. from the socket) say nothing about this field
+    if (!(field in remote)) {
+      if (local) contact[field] = local.value;
+      return;
+    }
+
+    const remoteValue = readField(remote, field);
+    const result = resolveField({ local, baseline: baselines[field], remoteValue, remoteUpdatedAt });
+
+    contact[field] = result.value;
+    nextBaselines[field] = result.baseline;
+
+    if (result.settled) {
+      delete nextOverrides[field];
+    }
+
+    if (result.conflict) {
+      conflicts.push({
+        id: `${remote.id}:${field}`,
+        contactId: remote.id,
+        contactName: remote.display_name,
+        field,
+        localValue: local.value,
+        localUpdatedAt: local.updatedAt,
+        remoteValue,
+        remoteUpdatedAt: result.baseline.changedAt,
+        detectedAt: now
+      });
+    }
+  });
+
+  return { contact, overrides: nextOverrides, baselines: nextBaselines, conflicts };
+};
+
+/**
+ * Merges a list of remote contacts against per-contact overrides and
+ * baselines (both keyed by contact id). Hidden contacts are left out of
+ * `contacts` but keep their overrides.
+ */
+export const mergeRemoteContacts = (remoteContacts, { overrides = {}, baselines = {}, now = Date.now() } = {}) => {
+  const nextOverrides = { ...overrides };
+  const nextBaselines = { ...baselines };
+  const contacts = [];
+  const conflicts = [];
+
+  remoteContacts.forEach(remote => {
+    const result = mergeContact(remote, {
+      overrides: overrides[remote.id],
+      baselines: baselines[remote.id],
+      now
+    });
+
+    if (Object.keys(result.overrides).length) {
+      nextOverrides[remote.id] = result.overrides;
+    } else {
+      delete nextOverrides[remote.id];
+    }
+    nextBaselines[remote.id] = result.baselines;
+    conflicts.push(...result.conflicts);
+
+    if (!result.contact.hidden) {
+      contacts.push(result.contact);
+    }
+  });
+
+  return { contacts, overrides: nextOverrides, baselines: nextBaselines, conflicts };
+};
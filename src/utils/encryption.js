@@ -1,49 +1,98 @@
 import logger from './logger';
 
-const ENCRYPTION_KEY = 'dailyfix_encryption_key';
+// Written by earlier versions, which kept the raw key in localStorage
+const LEGACY_KEY_STORAGE = 'dailyfix_encryption_key';
 const ALGORITHM = 'AES-GCM';
 const IV_LENGTH = 12;
 
+// The key never leaves the browser's crypto store: it is created
+// non-extractable and IndexedDB keeps the CryptoKey object itself, so nothing
+// in localStorage or a dump of it can decrypt the data
+const KEY_DB_NAME = 'dailyfix-keys';
+const KEY_STORE = 'keys';
+const KEY_ID = 'storage';
+const KEY_LOCK = 'dailyfix-encryption-key';
+
+let keyPromise = null;
+
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withKeyStore(mode, operation) {
+  const db = await openKeyDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function createKeyIfMissing() {
+  const storedKey = await withKeyStore('readonly', store => store.get(KEY_ID));
+  if (storedKey) {
+    return;
+  }
+
+  const key = await window.crypto.subtle.generateKey(
+    {
+      name: ALGORITHM,
+      length: 256
+    },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  await withKeyStore('readwrite', store => store.put(key, KEY_ID));
+  localStorage.removeItem(LEGACY_KEY_STORAGE);
+}
+
 async function getOrCreateKey() {
   try {
-    let storedKey = localStorage.getItem(ENCRYPTION_KEY);
-    
-    if (!storedKey) {
-      // Generate a new encryption key
-      const key = await window.crypto.subtle.generateKey(
-        {
-          name: ALGORITHM,
-          length: 256
-        },
-        true,
-        ['encrypt', 'decrypt']
-      );
-
-      // Export the key
-      const exportedKey = await window.crypto.subtle.exportKey('raw', key);
-      const keyBase64 = btoa(String.fromCharCode(...new Uint8Array(exportedKey)));
-      localStorage.setItem(ENCRYPTION_KEY, keyBase64);
-      return key;
+    // Tabs opened together on a first run would otherwise each store their own
+    // key, and whatever the overwritten one encrypted could never be read again
+    if (navigator.locks) {
+      await navigator.locks.request(KEY_LOCK, createKeyIfMissing);
+    } else {
+      await createKeyIfMissing();
     }
-
-    // Import existing key
-    const keyBuffer = Uint8Array.from(atob(storedKey), c => c.charCodeAt(0));
-    return await window.crypto.subtle.importKey(
-      'raw',
-      keyBuffer,
-      ALGORITHM,
-      true,
-      ['encrypt', 'decrypt']
-    );
+    return await withKeyStore('readonly', store => store.get(KEY_ID));
   } catch (error) {
     logger.info('[Encryption] Failed to get/create key:', error);
     throw error;
   }
 }
 
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = getOrCreateKey().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+// Spreading a large array into String.fromCharCode overflows the stack
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
 export async function encrypt(data) {
   try {
-    const key = await getOrCreateKey();
+    const key = await getKey();
     const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
     const encodedData = new TextEncoder().encode(data);
 
@@ -61,7 +110,7 @@ export async function encrypt(data) {
     combined.set(iv);
     combined.set(new Uint8Array(encryptedData), iv.length);
 
-    return btoa(String.fromCharCode(...combined));
+    return toBase64(combined);
   } catch (error) {
     logger.info('[Encryption] Encryption failed:', error);
     throw error;
@@ -70,9 +119,9 @@ export async function encrypt(data) {
 
 export async function decrypt(encryptedData) {
   try {
-    const key = await getOrCreateKey();
+    const key = await getKey();
     const combined = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
-    
+
     // Extract IV and data
     const iv = combined.slice(0, IV_LENGTH);
     const data = combined.slice(IV_LENGTH);
@@ -93,38 +142,22 @@ export async function decrypt(encryptedData) {
   }
 }
 
-export const generateEncryptionKey = () => {
-  try {
-    const array = new Uint8Array(32);
-    crypto.getRandomValues(array);
-    const key = Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-    localStorage.setItem(ENCRYPTION_KEY, key);
-    return key;
-  } catch (error) {
-    logger.info('[Encryption] Failed to generate encryption key:', error);
-    return null;
-  }
-};
-
-export const getEncryptionKey = () => {
-  try {
-    return localStorage.getItem(ENCRYPTION_KEY);
-  } catch (error) {
-    logger.info('[Encryption] Failed to get encryption key:', error);
-    return null;
-  }
-};
-
-export const clearEncryptionKey = () => {
+/**
+ * Deletes the key, leaving anything encrypted with it unreadable. The next
+ * encrypt creates a new one.
+ */
+export const clearEncryptionKey = async () => {
+  keyPromise = null;
   try {
-    localStorage.removeItem(ENCRYPTION_KEY);
+    localStorage.removeItem(LEGACY_KEY_STORAGE);
+    await withKeyStore('readwrite', store => store.delete(KEY_ID));
   } catch (error) {
     logger.info('[Encryption] Failed to clear encryption key:', error);
   }
 };
 
 export default {
-  generateEncryptionKey,
-  getEncryptionKey,
+  encrypt,
+  decrypt,
   clearEncryptionKey
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,110 @@
+export const MAPPING_RULE_TYPES = {
+  // Every channel in a category gets a Matrix room of its own
+  CATEGORY_TO_NEW_ROOMS: 'category_to_new_rooms',
+  // Every channel in a category goes to one existing room
+  CATEGORY_TO_ROOM: 'category_to_room',
+  // Channels go to the existing room with the same name
+  MATCH_BY_NAME: 'match_by_name'
+};
+
+export const MAPPING_CHANGE_TYPES = {
+  MAP: 'map',
+  REMAP: 'remap',
+  CREATE_ROOM: 'create_room',
+  SKIP: 'skip'
+};
+
+export const BROKEN_REASONS = {
+  CHANNEL_MISSING: 'channel_missing',
+  ROOM_MISSING: 'room_missing'
+};
+
+export const DEFAULT_ROOM_NAME_PATTERN = '{category}-{channel}';
+
+export const createEmptyMappingRule = () => ({
+  type: MAPPING_RULE_TYPES.CATEGORY_TO_NEW_ROOMS,
+  categoryId: '',
+  roomId: '',
+  roomNamePattern: DEFAULT_ROOM_NAME_PATTERN,
+  replaceExisting: false
+});
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/^#/, '').replace(/[\s_]+/g, '-');
+
+export const buildRoomName = (pattern, channel, platform) => (
+  (pattern || DEFAULT_ROOM_NAME_PATTERN)
+    .replace(/\{category\}/g, channel.categoryName || 'uncategorized')
+    .replace(/\{channel\}/g, channel.name)
+    .replace(/\{platform\}/g, platform)
+    .trim()
+);
+
+/**
+ * Mappings whose channel or room no longer exists, by mapping id
+ * @returns {Object<string, string>} mapping id -> BROKEN_REASONS value
+ */
+export const findBrokenMappings = (mappings, channels, rooms) => {
+  const channelIds = new Set(channels.map(channel => channel.id));
+  const roomIds = new Set(rooms.map(room => room.id));
+  return mappings.reduce((broken, mapping) => {
+    if (!channelIds.has(mapping.channelId)) {
+      broken[mapping.id] = BROKEN_REASONS.CHANNEL_MISSING;
+    } else if (!roomIds.has(mapping.roomId)) {
+      broken[mapping.id] = BROKEN_REASONS.ROOM_MISSING;
+    }
+    return broken;
+  }, {});
+};
+
+const getRuleChannels = (rule, channels) => (
+  rule.type === MAPPING_RULE_TYPES.MATCH_BY_NAME || !rule.categoryId
+    ? channels
+    : channels.filter(channel => channel.categoryId === rule.categoryId)
+);
+
+/**
+ * What applying a bulk rule would do, one change per channel it covers.
+ * Nothing is changed here; the editor shows the plan for review first.
+ * @param {Object} rule - see createEmptyMappingRule
+ * @param {Object} context - { platform, channels, rooms, mappings }
+ * @returns {Object[]} { type, channel, room?, roomName?, existing?, reason? }
+ */
+export const planMappingRule = (rule, { platform, channels, rooms, mappings }) => {
+  const mappingByChannel = new Map(mappings.map(mapping => [mapping.channelId, mapping]));
+  const roomsByName = new Map(rooms.map(room => [normalizeName(room.name), room]));
+  const targetRoom = rooms.find(room => room.id === rule.roomId);
+  if (rule.type === MAPPING_RULE_TYPES.CATEGORY_TO_ROOM && !targetRoom) return [];
+
+  return getRuleChannels(rule, channels).map(channel => {
+    const existing = mappingByChannel.get(channel.id) || null;
+    let room = null;
+    let roomName = null;
+
+    if (rule.type === MAPPING_RULE_TYPES.CATEGORY_TO_ROOM) {
+      room = targetRoom || null;
+    } else if (rule.type === MAPPING_RULE_TYPES.MATCH_BY_NAME) {
+      room = roomsByName.get(normalizeName(channel.name)) || null;
+      if (!room) {
+        return { type: MAPPING_CHANGE_TYPES.SKIP, channel, existing, reason: 'No room with this name' };
+      }
+    } else {
+      roomName = buildRoomName(rule.roomNamePattern, channel, platform);
+    }
+
+    if (existing && room && existing.roomId === room.id) {
+      return { type: MAPPING_CHANGE_TYPES.SKIP, channel, room, existing, reason: 'Already mapped here' };
+    }
+    if (existing && !rule.replaceExisting) {
+      return { type: MAPPING_CHANGE_TYPES.SKIP, channel, existing, reason: `Already mapped to ${existing.roomName}` };
+    }
+    if (roomName) {
+      return { type: MAPPING_CHANGE_TYPES.CREATE_ROOM, channel, roomName, existing };
+    }
+    return {
+      type: existing ? MAPPING_CHANGE_TYPES.REMAP : MAPPING_CHANGE_TYPES.MAP,
+      channel,
+      room,
+      existing
+    };
+  });
+};
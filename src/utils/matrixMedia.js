@@ -0,0 +1,78 @@
+const MATRIX_MEDIA_URL = `${import.meta.env.VITE_MATRIX_SERVER_URL}/_matrix/media/v3`;
+
+export const MEDIA_TYPES = {
+  IMAGE: 'm.image',
+  FILE: 'm.file',
+  AUDIO: 'm.audio',
+  VIDEO: 'm.video'
+};
+
+const MEDIA_TYPE_VALUES = Object.values(MEDIA_TYPES);
+
+export const isMediaType = (msgtype) => MEDIA_TYPE_VALUES.includes(msgtype);
+
+// mxc://server/mediaId -> server/mediaId
+const stripMxc = (url) => url.replace(/^mxc:\/\//, '');
+
+export const resolveMediaUrl = (url) => {
+  if (!url) return null;
+  if (url.startsWith('http') || url.startsWith('blob:')) return url;
+  return `${MATRIX_MEDIA_URL}/download/${stripMxc(url)}`;
+};
+
+export const resolveThumbnailUrl = (url, { width = 320, height = 320 } = {}) => {
+  if (!url) return null;
+  if (url.startsWith('http') || url.startsWith('blob:')) return url;
+  return `${MATRIX_MEDIA_URL}/thumbnail/${stripMxc(url)}?width=${width}&height=${height}&method=scale`;
+};
+
+export const getMsgTypeForFile = (file) => {
+  const type = file?.type || '';
+  if (type.startsWith('image/')) return MEDIA_TYPES.IMAGE;
+  if (type.startsWith('video/')) return MEDIA_TYPES.VIDEO;
+  if (type.startsWith('audio/')) return MEDIA_TYPES.AUDIO;
+  return MEDIA_TYPES.FILE;
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Pulls the media fields out of a Matrix event content. Returns null for
+ * plain text messages.
+ */
+export const extractMedia = (content) => {
+  if (!content || typeof content !== 'object' || !isMediaType(content.msgtype)) {
+    return null;
+  }
+
+  const info = content.info || {};
+  return {
+    msgtype: content.msgtype,
+    url: content.url || content.file?.url || null,
+    filename: content.filename || content.body || 'attachment',
+    mimetype: info.mimetype || null,
+    size: info.size ?? null,
+    width: info.w ?? null,
+    height: info.h ?? null,
+    duration: info.duration ?? null,
+    thumbnailUrl: info.thumbnail_url || info.thumbnail_file?.url || null
+  };
+};
+
+// Media descriptor for an attachment that has not been uploaded yet
+export const describeAttachment = (attachment) => ({
+  msgtype: getMsgTypeForFile(attachment),
+  url: null,
+  filename: attachment.name,
+  mimetype: attachment.type || null,
+  size: attachment.size ?? null,
+  width: null,
+  height: null,
+  duration: null,
+  thumbnailUrl: null
+});
@@ -0,0 +1,162 @@
+import { PRIORITY_LEVELS } from '../store/slices/contactSlice';
+
+export const CHAT_TYPES = {
+  ANY: 'any',
+  DIRECT: 'direct',
+  GROUP: 'group'
+};
+
+// How much inbound history is kept per contact for frequency rules
+export const ACTIVITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_MESSAGES = 100;
+
+export const createEmptyRule = () => ({
+  id: `rule-${crypto.randomUUID()}`,
+  name: 'New rule',
+  enabled: true,
+  priority: PRIORITY_LEVELS.HIGH,
+  conditions: {
+    keywords: [],
+    senders: [],
+    chatType: CHAT_TYPES.ANY,
+    unansweredMinutes: null,
+    frequency: null // { count, withinMinutes }
+  }
+});
+
+export const isOutgoingMessage = (message, userId) => (
+  Boolean(message?.sender_id?.includes('matrix') || (userId && message?.sender_id === userId))
+);
+
+const getMessageText = (message) => {
+  const content = message?.content;
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  return content.body || '';
+};
+
+/**
+ * Folds a message into a contact's activity record. Inbound messages start
+ * (or continue) the unanswered clock; our own replies stop it.
+ */
+export const recordActivity = (activity = {}, { message, timestamp, outgoing }) => {
+  const at = timestamp || Date.now();
+  if (outgoing) {
+    return { ...activity, lastOutboundAt: at, unansweredSince: null };
+  }
+
+  const inbound = [...(activity.inbound || []), at]
+    .filter(time => at - time <= ACTIVITY_WINDOW_MS)
+    .slice(-MAX_TRACKED_MESSAGES);
+
+  return {
+    ...activity,
+    inbound,
+    // Kept so time-based re-checks can still apply keyword and sender rules
+    lastInbound: message ? {
+      content: getMessageText(message).slice(0, 1000),
+      sender_id: message.sender_id || null,
+      sender_name: message.sender_name || null
+    } : activity.lastInbound,
+    unansweredSince: activity.unansweredSince || at
+  };
+};
+
+const formatMinutes = (minutes) => (
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`
+);
+
+// Each matcher returns a reason string when its condition holds, null when it
+// doesn't, and undefined when the rule doesn't use that condition
+const MATCHERS = {
+  keywords: ({ keywords }, { message }) => {
+    if (!keywords?.length) return undefined;
+    const text = getMessageText(message).toLowerCase();
+    const hit = keywords.find(keyword => keyword && text.includes(keyword.toLowerCase()));
+    return hit ? `Message mentions "${hit}"` : null;
+  },
+
+  senders: ({ senders }, { message, contact }) => {
+    if (!senders?.length) return undefined;
+    const candidates = [
+      message?.sender_id,
+      message?.sender_name,
+      contact?.whatsapp_id,
+      contact?.display_name
+    ].filter(Boolean).map(value => String(value).toLowerCase());
+    const hit = senders.find(sender => sender && candidates.some(value => value.includes(sender.toLowerCase())));
+    return hit ? `Sender matches "${hit}"` : null;
+  },
+
+  chatType: ({ chatType }, { contact }) => {
+    if (!chatType || chatType === CHAT_TYPES.ANY) return undefined;
+    const isGroup = Boolean(contact?.is_group);
+    if (chatType === CHAT_TYPES.GROUP) return isGroup ? 'Group chat' : null;
+    return isGroup ? null : 'Direct chat';
+  },
+
+  unansweredMinutes: ({ unansweredMinutes }, { activity, now }) => {
+    if (!unansweredMinutes) return undefined;
+    if (!activity?.unansweredSince) return null;
+    const waited = Math.floor((now - activity.unansweredSince) / 60000);
+    return waited >= unansweredMinutes ? `Unanswered for ${formatMinutes(waited)}` : null;
+  },
+
+  frequency: ({ frequency }, { activity, now }) => {
+    if (!frequency?.count) return undefined;
+    const windowMs = (frequency.withinMinutes || 60) * 60000;
+    const recent = (activity?.inbound || []).filter(time => now - time <= windowMs).length;
+    return recent >= frequency.count
+      ? `${recent} messages in the last ${formatMinutes(frequency.withinMinutes || 60)}`
+      : null;
+  }
+};
+
+/**
+ * Checks one rule. All conditions the rule uses must hold; a rule with no
+ * conditions never matches.
+ * @returns {string[]|null} Reasons when the rule matches
+ */
+export const matchRule = (rule, context) => {
+  if (!rule.enabled) return null;
+
+  const reasons = [];
+  for (const matcher of Object.values(MATCHERS)) {
+    const reason = matcher(rule.conditions || {}, context);
+    if (reason === null) return null;
+    if (reason) reasons.push(reason);
+  }
+  return reasons.length ? reasons : null;
+};
+
+/**
+ * Runs rules in order and returns the first match
+ * @param {Array} rules - Ordered rule list
+ * @param {Object} context - { message, contact, activity, now }
+ * @returns {{ ruleId, ruleName, priority, reasons }|null}
+ */
+export const evaluateRules = (rules, context) => {
+  const fullContext = {
+    now: Date.now(),
+    ...context,
+    message: context.message || context.activity?.lastInbound
+  };
+  for (const rule of rules) {
+    const reasons = matchRule(rule, fullContext);
+    if (reasons) {
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        priority: rule.priority,
+        reasons
+      };
+    }
+  }
+  return null;
+};
+
+export const describeMatch = (match) => {
+  if (!match) return null;
+  if (match.manual) return 'Priority set manually';
+  return `Rule "${match.ruleName}": ${match.reasons.join(', ')}`;
+};
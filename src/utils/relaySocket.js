@@ -0,0 +1,119 @@
+import { tabCoordinator, TAB_MESSAGES } from '../services/TabCoordinator';
+import logger from './logger';
+
+/**
+ * Stands in for the socket in follower tabs. Events the leader tab's socket
+ * receives are replayed here and emits are sent on by the leader, so code
+ * written against a socket.io socket works unchanged.
+ */
+export class RelaySocket {
+  constructor() {
+    this.isRelay = true;
+    this.id = null;
+    this.connected = false;
+    this.listeners = new Map(); // event -> Set<listener>
+    this.unsubscribes = [
+      tabCoordinator.on(TAB_MESSAGES.SOCKET_EVENT, ({ event, args }) => this._dispatch(event, args)),
+      tabCoordinator.on(TAB_MESSAGES.SOCKET_STATUS, (status) => this._setStatus(status))
+    ];
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return this;
+
+    if (!listener) {
+      this.listeners.delete(event);
+      return this;
+    }
+    for (const registered of listeners) {
+      if (registered === listener || registered.listener === listener) {
+        listeners.delete(registered);
+      }
+    }
+    return this;
+  }
+
+  removeAllListeners(event) {
+    if (event) {
+      this.listeners.delete(event);
+    } else {
+      this.listeners.clear();
+    }
+    return this;
+  }
+
+  emit(event, ...args) {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    tabCoordinator.request(TAB_MESSAGES.SOCKET_EMIT, {
+      event,
+      args,
+      withAck: Boolean(ack),
+      tabId: tabCoordinator.tabId
+    })
+      .then(response => ack?.(response))
+      .catch(error => {
+        logger.error('[RelaySocket] Emit through leader tab failed:', { event, error: error.message });
+      });
+    return this;
+  }
+
+  /**
+   * Asks the leader tab to connect, if it hasn't, and takes on its state
+   */
+  async connect() {
+    try {
+      this._setStatus(await tabCoordinator.request(TAB_MESSAGES.SOCKET_CONNECT));
+    } catch (error) {
+      logger.error('[RelaySocket] Leader tab could not connect:', error.message);
+    }
+    return this;
+  }
+
+  disconnect() {
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.unsubscribes = [];
+    this._setStatus({ connected: false, id: null, reason: 'io client disconnect' });
+    return this;
+  }
+
+  _setStatus({ connected, id, reason }) {
+    this.id = id;
+    if (this.connected === connected) return;
+
+    this.connected = connected;
+    if (connected) {
+      this._dispatch('connect', []);
+    } else {
+      this._dispatch('disconnect', [reason || 'leader disconnected']);
+    }
+  }
+
+  _dispatch(event, args) {
+    for (const listener of [...(this.listeners.get(event) || [])]) {
+      try {
+        listener(...args);
+      } catch (error) {
+        logger.error(`[RelaySocket] Error handling ${event} event:`, error);
+      }
+    }
+  }
+}
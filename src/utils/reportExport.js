@@ -0,0 +1,138 @@
+import { format } from 'date-fns';
+
+export const EXPORT_FORMATS = {
+  MARKDOWN: 'md',
+  CSV: 'csv',
+  PDF: 'pdf'
+};
+
+const CSV_COLUMNS = ['Channel', 'Messages', 'Unique users', 'Summary', 'Error'];
+
+// How long the download link and its object URL outlive the click
+const DOWNLOAD_CLEANUP_DELAY = 1000;
+
+export const formatReportRange = ({ from, to }) => (
+  from === to ? from : `${from} to ${to}`
+);
+
+const getReportTitle = (report) => `${report.serverName || 'Discord server'} report, ${formatReportRange(report.range)}`;
+
+const getFileName = (report, extension) => {
+  const server = (report.serverName || 'discord').replace(/[^\w-]+/g, '-').toLowerCase();
+  return `${server}-report-${report.range.from}_${report.range.to}.${extension}`;
+};
+
+export const reportToMarkdown = (report) => {
+  const lines = [
+    `# ${getReportTitle(report)}`,
+    '',
+    `Generated ${format(new Date(report.created_at), 'PPpp')}`,
+    ''
+  ];
+
+  report.channels.forEach(channel => {
+    lines.push(`## #${channel.channelName}`, '');
+    if (channel.error) {
+      lines.push(`_Report failed: ${channel.error}_`, '');
+      return;
+    }
+    lines.push(
+      `- Messages: ${channel.messageCount}`,
+      `- Unique users: ${channel.uniqueUsers}`,
+      '',
+      channel.summary || '_No summary_',
+      ''
+    );
+  });
+
+  return lines.join('\n');
+};
+
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (report) => {
+  const rows = report.channels.map(channel => [
+    channel.channelName,
+    channel.messageCount,
+    channel.uniqueUsers,
+    channel.summary,
+    channel.error
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const reportToHtml = (report) => `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(getReportTitle(report))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+  .meta { color: #555; font-size: 0.9rem; }
+  .error { color: #b91c1c; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(getReportTitle(report))}</h1>
+<p class="meta">Generated ${escapeHtml(format(new Date(report.created_at), 'PPpp'))}</p>
+${report.channels.map(channel => `
+<h2>#${escapeHtml(channel.channelName)}</h2>
+${channel.error
+    ? `<p class="error">Report failed: ${escapeHtml(channel.error)}</p>`
+    : `<p class="meta">${channel.messageCount} messages &middot; ${channel.uniqueUsers} unique users</p>
+<p>${escapeHtml(channel.summary || 'No summary')}</p>`}`).join('')}
+</body>
+</html>`;
+
+const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  // Some browsers start the download after click() returns and would read a
+  // revoked URL
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, DOWNLOAD_CLEANUP_DELAY);
+};
+
+/**
+ * Downloads a report. PDF goes through the browser's print dialog
+ * ("Save as PDF") so no PDF library has to ship with the app.
+ * @returns {boolean} false when the print window was blocked
+ */
+export const exportReport = (report, exportFormat) => {
+  switch (exportFormat) {
+    case EXPORT_FORMATS.MARKDOWN:
+      downloadFile(getFileName(report, 'md'), reportToMarkdown(report), 'text/markdown;charset=utf-8');
+      return true;
+    case EXPORT_FORMATS.CSV:
+      downloadFile(getFileName(report, 'csv'), reportToCsv(report), 'text/csv;charset=utf-8');
+      return true;
+    case EXPORT_FORMATS.PDF: {
+      const printWindow = window.open('', '_blank');
+      if (!printWindow) return false;
+      printWindow.document.write(reportToHtml(report));
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+      return true;
+    }
+    default:
+      throw new Error(`Unknown export format: ${exportFormat}`);
+  }
+};
@@ -0,0 +1,106 @@
+import logger from './logger';
+import { encrypt, decrypt, clearEncryptionKey } from './encryption';
+
+// Marks values written encrypted; anything without it predates encryption
+// and is read as is, then encrypted on its next write
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const AUTH_STORAGE_KEY = 'dailyfix_auth';
+const LEGACY_TOKEN_KEY = 'auth_token';
+
+/**
+ * Wraps a key/value storage (localStorage by default) so values are AES-GCM
+ * encrypted at rest. Used as the redux-persist storage engine and as the
+ * Supabase session storage. redux-persist transforms run synchronously, so
+ * the async WebCrypto work has to happen here instead.
+ * @param {Storage} baseStorage
+ */
+export const createEncryptedStorage = (baseStorage = window.localStorage) => ({
+  async getItem(key) {
+    const stored = baseStorage.getItem(key);
+    if (stored === null || !stored.startsWith(ENCRYPTED_PREFIX)) {
+      return stored;
+    }
+    try {
+      return await decrypt(stored.slice(ENCRYPTED_PREFIX.length));
+    } catch (error) {
+      // Written with a key that has since been wiped
+      logger.info('[SecureStorage] Dropping unreadable value:', key, error);
+      baseStorage.removeItem(key);
+      return null;
+    }
+  },
+
+  async setItem(key, value) {
+    baseStorage.setItem(key, ENCRYPTED_PREFIX + await encrypt(value));
+  },
+
+  async removeItem(key) {
+    baseStorage.removeItem(key);
+  }
+});
+
+const encryptedLocalStorage = createEncryptedStorage();
+
+// The auth tokens are read synchronously all over the app, so they are kept
+// decrypted in memory and written through to encrypted localStorage
+let authCache = null;
+let authWrite = Promise.resolve();
+
+const queueAuthWrite = (write) => {
+  authWrite = authWrite.then(write).catch(error => {
+    logger.info('[SecureStorage] Failed to write auth data:', error);
+  });
+  return authWrite;
+};
+
+export const authStorage = {
+  /**
+   * @returns {string|null} The stored auth JSON, like localStorage.getItem
+   */
+  get() {
+    return authCache;
+  },
+
+  set(value) {
+    authCache = value;
+    return queueAuthWrite(() => encryptedLocalStorage.setItem(AUTH_STORAGE_KEY, value));
+  },
+
+  remove() {
+    authCache = null;
+    return queueAuthWrite(() => encryptedLocalStorage.removeItem(AUTH_STORAGE_KEY));
+  }
+};
+
+/**
+ * Decrypts the stored auth tokens into memory. Must finish before the app
+ * renders.
+ */
+export const loadSecureStorage = async () => {
+  try {
+    authCache = await encryptedLocalStorage.getItem(AUTH_STORAGE_KEY);
+    // Re-save tokens left in clear text by earlier versions
+    if (authCache && !localStorage.getItem(AUTH_STORAGE_KEY).startsWith(ENCRYPTED_PREFIX)) {
+      await authStorage.set(authCache);
+    }
+  } catch (error) {
+    logger.info('[SecureStorage] Failed to load auth data:', error);
+    authCache = null;
+  }
+};
+
+/**
+ * Forgets the auth tokens and deletes the encryption key, so whatever is
+ * still encrypted on disk can no longer be read
+ */
+export const wipeSecureStorage = async () => {
+  authCache = null;
+  await authWrite;
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+  // Clear-text copy of the access token left by earlier versions
+  localStorage.removeItem(LEGACY_TOKEN_KEY);
+  await clearEncryptionKey();
+};
+
+export default encryptedLocalStorage;
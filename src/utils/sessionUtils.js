@@ -1,10 +1,11 @@
 import api from './api';
+import { authStorage } from './secureStorage';
 
 export const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
 
 export const validateSession = async () => {
   try {
-    const authDataStr = localStorage.getItem('dailyfix_auth');
+    const authDataStr = authStorage.get();
     if (!authDataStr) {
       return { valid: false, error: 'No session found' };
     }
@@ -58,7 +59,7 @@ export const validateSession = async () => {
 };
 
 export const clearSession = () => {
-  localStorage.removeItem('dailyfix_auth');
+  authStorage.remove();
   localStorage.removeItem('last_activity');
   localStorage.removeItem('matrix_credentials');
 }; 
\ No newline at end of file
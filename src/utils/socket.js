@@ -4,6 +4,17 @@ import { supabase } from './supabase';
 import logger from './logger';
 import TokenManager from './tokenManager';
 import tokenService from '../services/tokenService';
+import { socketEventDiagnostics } from '../services/SocketEventDiagnostics';
+import { tabCoordinator, TAB_MESSAGES, TAB_ROLES } from '../services/TabCoordinator';
+import { RelaySocket } from './relaySocket';
+import {
+  SocketEvents,
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createEventHandler,
+  emitEvent,
+  negotiateProtocolVersion
+} from './socketEvents';
 
 // Update socket URL configuration
 const SOCKET_URL = import.meta.env.VITE_API_URL || 
@@ -25,13 +36,18 @@ const CONNECTION_CONFIG = {
   RECONNECTION_ATTEMPTS: 3,
   RECONNECTION_DELAY: 2000,
   RECONNECTION_DELAY_MAX: 10000,
-  CONNECTION_TIMEOUT: 30000
+  CONNECTION_TIMEOUT: 30000,
+  // Acks for emits a follower tab sends through the leader
+  RELAY_ACK_TIMEOUT: 10000
 };
 
 let socketInstance = null;
 let connectionPromise = null;
 let messageHandler = null;
 let connectionAttemptInProgress = false;
+// Set when the server speaks no protocol version this client can read. The
+// socket stays closed until the page loads a client that can.
+let protocolMismatch = null;
 
 // Enhanced socket state tracking
 let socketState = {
@@ -44,7 +60,13 @@ let socketState = {
   roomSubscriptions: new Set(),
   error: null,
   retryCount: 0,
-  lastHeartbeat: Date.now()
+  lastHeartbeat: Date.now(),
+  // Set from auth:success; null until the handshake finishes
+  protocolVersion: null,
+  errorAt: null,
+  // Attempts in the current reconnect streak, and reconnects that succeeded
+  reconnectAttempts: 0,
+  reconnects: 0
 };
 
 // Discord message handling
@@ -56,28 +78,32 @@ export const subscribeToDiscordMessages = (channelId, handler) => {
 
   // Remove any existing handler
   if (messageHandler) {
-    socketInstance.off('discord_message', messageHandler);
+    socketInstance.off(SocketEvents.DISCORD_MESSAGE, messageHandler);
   }
 
   // Create a new handler that filters messages for this channel
-  messageHandler = (data) => {
-    if (data.message && data.message.channelId === channelId) {
+  messageHandler = createEventHandler(SocketEvents.DISCORD_MESSAGE, (data) => {
+    if (data.message.channelId === channelId) {
       handler(data.message);
     }
-  };
+  });
 
   // Subscribe to Discord messages
-  socketInstance.on('discord_message', messageHandler);
+  socketInstance.on(SocketEvents.DISCORD_MESSAGE, messageHandler);
 };
 
 export const unsubscribeFromDiscordMessages = () => {
   if (socketInstance && messageHandler) {
-    socketInstance.off('discord_message', messageHandler);
+    socketInstance.off(SocketEvents.DISCORD_MESSAGE, messageHandler);
     messageHandler = null;
   }
 };
 
 export const initializeSocket = async (options = {}) => {
+  if (protocolMismatch) {
+    throw protocolMismatch;
+  }
+
   if (connectionPromise) {
     logger.info('Returning existing connection promise');
     return connectionPromise;
@@ -100,6 +126,26 @@ export const initializeSocket = async (options = {}) => {
           await cleanupSocket();
         }
 
+        // Only the leader tab holds a socket; the other tabs relay through it
+        await tabCoordinator.start();
+        if (!tabCoordinator.isLeader()) {
+          socketInstance = new RelaySocket();
+          socketInstance.on('connect', () => {
+            socketState.state = SOCKET_STATES.CONNECTED;
+            socketState.authenticated = true;
+            socketState.error = null;
+            socketState.lastActivity = Date.now();
+          });
+          socketInstance.on('disconnect', () => {
+            socketState.state = SOCKET_STATES.DISCONNECTED;
+            socketState.authenticated = false;
+          });
+          socketManager.attach(socketInstance);
+          await socketInstance.connect();
+          resolve(socketInstance);
+          return;
+        }
+
         // Get valid token using token service with retry
         let tokens = null;
         let retryCount = 0;
@@ -145,6 +191,13 @@ export const initializeSocket = async (options = {}) => {
             'Authorization': `Bearer ${tokens.accessToken}`
           }
         });
+        // Subscriptions made through socketManager move to the new socket
+        socketManager.attach(socketInstance);
+
+        // Follower tabs see this socket's traffic as their own
+        socketInstance.onAny((event, ...args) => {
+          tabCoordinator.broadcast(TAB_MESSAGES.SOCKET_EVENT, { event, args });
+        });
 
         // Set up connection handlers
         socketInstance.on('connect', () => {
@@ -154,18 +207,46 @@ export const initializeSocket = async (options = {}) => {
           socketState.error = null;
           socketState.retryCount = 0;
           socketState.lastActivity = Date.now();
+          tabCoordinator.broadcast(TAB_MESSAGES.SOCKET_STATUS, getRelayStatus());
           
           // Authenticate immediately after connection
-          socketInstance.emit('authenticate', { 
+          emitEvent(socketInstance, SocketEvents.AUTHENTICATE, {
             token: tokens.accessToken,
-            userId: tokens.userId 
+            userId: tokens.userId,
+            protocolVersion: PROTOCOL_VERSION,
+            supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
           });
         });
 
+        socketInstance.on(SocketEvents.AUTH_SUCCESS, createEventHandler(SocketEvents.AUTH_SUCCESS, (data) => {
+          const serverVersion = data?.protocolVersion ?? null;
+          const negotiatedVersion = negotiateProtocolVersion(serverVersion);
+          socketState.protocolVersion = negotiatedVersion;
+          socketEventDiagnostics.setProtocol({
+            clientVersion: PROTOCOL_VERSION,
+            serverVersion,
+            negotiatedVersion
+          });
+
+          if (negotiatedVersion == null) {
+            logger.error('[Socket] No common protocol version with server:', {
+              serverVersion,
+              supported: SUPPORTED_PROTOCOL_VERSIONS
+            });
+            // Payloads can't be trusted either way, so stop using the socket
+            protocolMismatch = new Error(`Server protocol version ${serverVersion} is not supported`);
+            socketInstance.disconnect();
+            socketState.state = SOCKET_STATES.ERROR;
+            socketState.error = protocolMismatch;
+            socketState.errorAt = Date.now();
+          }
+        }));
+
         socketInstance.on('connect_error', (error) => {
           logger.error('Socket connection error:', error);
           socketState.state = SOCKET_STATES.ERROR;
           socketState.error = error;
+          socketState.errorAt = Date.now();
           socketState.retryCount++;
 
           if (socketState.retryCount >= maxRetries) {
@@ -177,6 +258,7 @@ export const initializeSocket = async (options = {}) => {
           logger.warn('Socket disconnected:', reason);
           socketState.state = SOCKET_STATES.DISCONNECTED;
           socketState.authenticated = false;
+          tabCoordinator.broadcast(TAB_MESSAGES.SOCKET_STATUS, { ...getRelayStatus(), reason });
 
           if (reason === 'io server disconnect') {
             // Server initiated disconnect, attempt reconnection
@@ -184,6 +266,20 @@ export const initializeSocket = async (options = {}) => {
           }
         });
 
+        socketInstance.on(SocketEvents.CONNECTION_DUPLICATE, createEventHandler(SocketEvents.CONNECTION_DUPLICATE, (data) => {
+          // Tabs share this socket, so the other connection is another browser or device
+          logger.warn('[Socket] Another connection is open for this user:', data);
+        }));
+
+        // socket.io retries on its own; count the attempts for diagnostics
+        socketInstance.io.on(SocketEvents.RECONNECT_ATTEMPT, (attempt) => {
+          socketState.reconnectAttempts = attempt;
+        });
+        socketInstance.io.on(SocketEvents.RECONNECT, () => {
+          socketState.reconnectAttempts = 0;
+          socketState.reconnects++;
+        });
+
         // Set up heartbeat
         const heartbeatInterval = setInterval(() => {
           if (socketInstance?.connected) {
@@ -239,13 +335,86 @@ const cleanupSocket = async () => {
       delete socketInstance._tokenUnsubscribe;
     }
     
+    const wasRelay = Boolean(socketInstance.isRelay);
     socketInstance.removeAllListeners();
     socketInstance.disconnect();
     socketInstance = null;
     connectionPromise = null;
+
+    if (!wasRelay) {
+      tabCoordinator.broadcast(TAB_MESSAGES.SOCKET_STATUS, { connected: false, id: null, reason: 'io client disconnect' });
+    }
   }
 };
 
+// What follower tabs mirror onto their RelaySocket
+const getRelayStatus = () => ({
+  connected: Boolean(socketInstance?.connected),
+  id: socketInstance?.id || null
+});
+
+// Requests the leader tab answers for its followers
+tabCoordinator.respond(TAB_MESSAGES.SOCKET_CONNECT, async () => {
+  await initializeSocket();
+  return getRelayStatus();
+});
+
+// `${tabId}:${roomId}` -> release, for rooms joined on behalf of follower tabs
+const relayedRooms = new Map();
+// Follower tabs whose rooms are released when they close
+const watchedTabs = new Set();
+
+const releaseTabRooms = (tabId) => {
+  watchedTabs.delete(tabId);
+  [...relayedRooms.keys()]
+    .filter(key => key.startsWith(`${tabId}:`))
+    .forEach(key => {
+      relayedRooms.get(key)();
+      relayedRooms.delete(key);
+    });
+};
+
+tabCoordinator.respond(TAB_MESSAGES.SOCKET_EMIT, async ({ event, args, withAck, tabId }) => {
+  // Held through socketManager so the leader's own subscriptions can't drop
+  // a follower's room, and it is rejoined after a reconnect
+  if (event === SocketEvents.ROOM_JOIN || event === SocketEvents.ROOM_LEAVE) {
+    const key = `${tabId}:${args[0]}`;
+    if (event === SocketEvents.ROOM_JOIN && !relayedRooms.has(key)) {
+      relayedRooms.set(key, socketManager.joinRoom(args[0]));
+      if (!watchedTabs.has(tabId)) {
+        watchedTabs.add(tabId);
+        tabCoordinator.onTabClosed(tabId, () => releaseTabRooms(tabId));
+      }
+    } else if (event === SocketEvents.ROOM_LEAVE) {
+      relayedRooms.get(key)?.();
+      relayedRooms.delete(key);
+    }
+    return null;
+  }
+
+  if (!socketInstance?.connected || socketInstance.isRelay) {
+    throw new Error('Socket not connected');
+  }
+  if (!withAck) {
+    socketInstance.emit(event, ...args);
+    return null;
+  }
+  return socketInstance.timeout(CONNECTION_CONFIG.RELAY_ACK_TIMEOUT).emitWithAck(event, ...args);
+});
+
+// A follower that takes over from a closed leader tab opens the socket itself
+tabCoordinator.onRoleChange(async (role) => {
+  if (role !== TAB_ROLES.LEADER || !socketInstance?.isRelay) return;
+
+  logger.info('[Socket] Took over as leader tab, replacing relay with a socket');
+  await cleanupSocket();
+  try {
+    await initializeSocket();
+  } catch (error) {
+    logger.error('[Socket] Failed to connect after taking over as leader tab:', error);
+  }
+});
+
 export const disconnectSocket = cleanupSocket;
 
 export const getSocket = () => socketInstance;
@@ -262,7 +431,11 @@ export const checkSocketHealth = () => {
     lastActivity: socketState.lastActivity,
     authenticated: socketState.authenticated,
     pendingOperations: socketState.pendingOperations.size,
-    reconnectAttempts: 0
+    protocolVersion: socketState.protocolVersion,
+    reconnectAttempts: socketState.reconnectAttempts,
+    reconnects: socketState.reconnects,
+    retryCount: socketState.retryCount,
+    error: socketState.error ? { message: socketState.error.message, at: socketState.errorAt } : null
   };
 
   return health;
@@ -591,7 +764,16 @@ class SocketManager {
     this.state = socketState;
     this.socket = null;
     this.connectionPromise = null;
+    // event -> handlers; each event has one dispatcher bound on the socket
     this.eventHandlers = new Map();
+    this.dispatchers = new Map();
+    // roomId -> number of subscribers; the room is left when it reaches 0
+    this.roomRefs = new Map();
+    this.rejoinRooms = () => {
+      for (const roomId of this.roomRefs.keys()) {
+        this._joinRoomOnSocket(roomId);
+      }
+    };
     this.stateChangeListeners = new Set();
     this.connectionTimeout = null;
     this.heartbeatTimeout = null;
@@ -641,41 +823,135 @@ class SocketManager {
     });
   }
 
-  // Enhanced event subscription
-  on(event, handler) {
-    if (!this.eventHandlers.has(event)) {
-      this.eventHandlers.set(event, new Set());
+  /**
+   * Binds the manager to the socket initializeSocket created. Handlers and
+   * rooms registered before, or on a previous socket, carry over.
+   */
+  attach(socket) {
+    if (this.socket === socket) return;
+    if (this.socket) {
+      for (const [event, dispatcher] of this.dispatchers) {
+        this.socket.off(event, dispatcher);
+      }
+      this.socket.off(SocketEvents.CONNECT, this.rejoinRooms);
     }
-    this.eventHandlers.get(event).add(handler);
+    this.socket = socket;
+    this.reattachEventHandlers(socket);
+  }
 
-    if (this.socket) {
-      this.socket.on(event, handler);
+  _getDispatcher(event) {
+    if (!this.dispatchers.has(event)) {
+      // Validated once, then fanned out; one failing handler doesn't stop the rest
+      this.dispatchers.set(event, createEventHandler(event, (...args) => {
+        for (const handler of [...(this.eventHandlers.get(event) || [])]) {
+          try {
+            handler(...args);
+          } catch (error) {
+            logger.error(`[SocketManager] Error handling ${event} event:`, error);
+            socketEventDiagnostics.recordHandlerError(event, args[0], error);
+          }
+        }
+      }));
     }
+    return this.dispatchers.get(event);
+  }
+
+  // Enhanced event subscription
+  on(event, handler) {
+    let handlers = this.eventHandlers.get(event);
+    if (!handlers) {
+      handlers = new Set();
+      this.eventHandlers.set(event, handlers);
+      this.socket?.on(event, this._getDispatcher(event));
+    }
+    handlers.add(handler);
 
     return () => this.off(event, handler);
   }
 
-  // Enhanced event unsubscription
+  // Enhanced event unsubscription; other subscribers of the event are untouched
   off(event, handler) {
-    if (this.socket) {
-      this.socket.off(event, handler);
-    }
-    
     const handlers = this.eventHandlers.get(event);
-    if (handlers) {
-      handlers.delete(handler);
-      if (handlers.size === 0) {
-        this.eventHandlers.delete(event);
-      }
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.eventHandlers.delete(event);
+      this.socket?.off(event, this.dispatchers.get(event));
+      this.dispatchers.delete(event);
     }
   }
 
+  _joinRoomOnSocket(roomId) {
+    // The server only answers join:room for the per-user room
+    const event = roomId.startsWith('user:') ? SocketEvents.JOIN_ROOM : SocketEvents.ROOM_JOIN;
+    if (emitEvent(this.socket, event, roomId)) {
+      this.state.roomSubscriptions.add(roomId);
+    }
+  }
+
+  /**
+   * Joins a room on behalf of one subscriber. The socket joins on the first
+   * subscriber, and again after every reconnect.
+   * @returns {Function} releases this subscriber's hold on the room
+   */
+  joinRoom(roomId) {
+    const count = this.roomRefs.get(roomId) || 0;
+    this.roomRefs.set(roomId, count + 1);
+    if (count === 0 && this.socket?.connected) {
+      this._joinRoomOnSocket(roomId);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.leaveRoom(roomId);
+    };
+  }
+
+  leaveRoom(roomId) {
+    const count = this.roomRefs.get(roomId);
+    if (!count) return;
+    if (count > 1) {
+      this.roomRefs.set(roomId, count - 1);
+      return;
+    }
+
+    this.roomRefs.delete(roomId);
+    this.state.roomSubscriptions.delete(roomId);
+    if (this.socket?.connected) {
+      emitEvent(this.socket, SocketEvents.ROOM_LEAVE, roomId);
+    }
+  }
+
+  /**
+   * Subscribes to rooms and events together
+   * @param {Object} subscription - { rooms: string[], events: { [event]: handler } }
+   * @returns {Function} undoes the whole subscription
+   */
+  subscribe({ rooms = [], events = {} } = {}) {
+    const releases = [
+      ...rooms.map(roomId => this.joinRoom(roomId)),
+      ...Object.entries(events).map(([event, handler]) => this.on(event, handler))
+    ];
+    return () => releases.forEach(release => release());
+  }
+
   // Reattach event handlers after reconnection
   reattachEventHandlers(socket) {
-    for (const [event, handlers] of this.eventHandlers) {
-      for (const handler of handlers) {
-        socket.on(event, handler);
-      }
+    for (const event of this.eventHandlers.keys()) {
+      const dispatcher = this._getDispatcher(event);
+      // Never bind the same dispatcher twice
+      socket.off(event, dispatcher);
+      socket.on(event, dispatcher);
+    }
+
+    // The server forgets room membership with the connection
+    socket.off(SocketEvents.CONNECT, this.rejoinRooms);
+    socket.on(SocketEvents.CONNECT, this.rejoinRooms);
+    if (socket.connected) {
+      this.rejoinRooms();
     }
   }
 
@@ -698,8 +974,7 @@ class SocketManager {
         onStateChange: (newState) => this.updateState(newState)
       });
       
-      this.socket = socket;
-      this.reattachEventHandlers(socket);
+      this.attach(socket);
 
       return socket;
     } catch (error) {
@@ -753,6 +1028,7 @@ class SocketManager {
       roomSubscriptions: Array.from(this.state.roomSubscriptions),
       error: this.state.error,
       retryCount: this.state.retryCount,
+      protocolVersion: this.state.protocolVersion,
       uptime: this.state.connectionStart ? Date.now() - this.state.connectionStart : 0
     };
   }
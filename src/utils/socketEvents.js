@@ -1,7 +1,23 @@
+import logger from './logger';
+import { socketEventDiagnostics } from '../services/SocketEventDiagnostics';
+
+/**
+ * Version of the event contract below. It is sent with `authenticate` and
+ * the server answers with the version it will speak in `auth:success`.
+ * Bump it whenever a payload changes shape, and keep the older number in
+ * SUPPORTED_PROTOCOL_VERSIONS for as long as the client can still read it.
+ */
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Servers that predate the handshake don't report a version
+const LEGACY_PROTOCOL_VERSION = 1;
+
 // Socket event names
 export const SocketEvents = {
   // Connection events
   CONNECT: 'connect',
+  CONNECTING: 'connecting',
   DISCONNECT: 'disconnect',
   CONNECT_ERROR: 'connect_error',
   RECONNECT: 'reconnect',
@@ -9,13 +25,80 @@ export const SocketEvents = {
   RECONNECT_ERROR: 'reconnect_error',
   RECONNECT_FAILED: 'reconnect_failed',
 
+  // Auth and session events
+  AUTHENTICATE: 'authenticate',
+  AUTH_SUCCESS: 'auth:success',
+  AUTH_ERROR: 'auth:error',
+  AUTH_REFRESH: 'auth:refresh',
+  SESSION_REVOKED: 'session:revoked',
+  CONNECTION_DUPLICATE: 'connection:duplicate',
+  HEARTBEAT: 'heartbeat',
+  HEARTBEAT_ACK: 'heartbeat_ack',
+
+  // Room events
+  JOIN_ROOM: 'join:room',
+  ROOM_JOIN: 'room:join',
+  ROOM_LEAVE: 'room:leave',
+  ROOM_JOINED: 'room:joined',
+  ROOM_LEFT: 'room:left',
+  ROOM_ERROR: 'room:error',
+
   // Discord events
+  DISCORD_MESSAGE: 'discord_message',
+  DISCORD_STATUS: 'discord_status',
   DISCORD_SERVER_UPDATE: 'discord_server_update',
   DISCORD_SERVER_REMOVE: 'discord_server_remove',
   DISCORD_DM_UPDATE: 'discord_dm_update',
   DISCORD_CHANNEL_UPDATE: 'discord_channel_update',
   DISCORD_MESSAGE_UPDATE: 'discord_message_update',
 
+  // WhatsApp events
+  WHATSAPP_MESSAGE: 'whatsapp:message',
+  WHATSAPP_MESSAGE_UPDATE: 'whatsapp:message:update',
+  WHATSAPP_MESSAGE_UPDATE_LEGACY: 'whatsapp:message_update',
+  WHATSAPP_CONTACT_UPDATE: 'whatsapp:contact:update',
+  WHATSAPP_MEMBERSHIP_UPDATE: 'whatsapp:membership:update',
+  WHATSAPP_NEW_CONTACT: 'whatsapp:new_contact',
+  WHATSAPP_SYNC_PROGRESS: 'whatsapp:sync_progress',
+  WHATSAPP_SYNC_COMPLETE: 'whatsapp:sync_complete',
+  WHATSAPP_SYNC_ERROR: 'whatsapp:sync_error',
+  WHATSAPP_SYNC_STATE: 'whatsapp:sync_state',
+  WHATSAPP_SYNC_STATUS: 'whatsapp:sync_status',
+  WHATSAPP_CRITICAL_ERROR: 'whatsapp:critical_error',
+  WHATSAPP_ERROR: 'whatsapp:error',
+  WHATSAPP_STATUS: 'whatsapp:status',
+  WHATSAPP_STATUS_LEGACY: 'whatsapp_status',
+  WHATSAPP_SETUP_STATUS: 'whatsapp:setup:status',
+  WHATSAPP_QR: 'whatsapp:qr',
+  WHATSAPP_QRCODE: 'whatsapp:qrcode',
+  WHATSAPP_QR_SCANNED: 'whatsapp:qr:scanned',
+  WHATSAPP_CONNECTED: 'whatsapp:connected',
+  WHATSAPP_CONNECT: 'whatsapp:connect',
+  WHATSAPP_STATUS_CHECK: 'whatsapp:status_check',
+  WHATSAPP_SYNC_START: 'whatsapp:sync:start',
+  WHATSAPP_REQUEST_SYNC: 'whatsapp:request_sync',
+  MATRIX_STATE_CHANGE: 'matrix:state_change',
+
+  // Telegram events
+  TELEGRAM_MESSAGE: 'telegram:message',
+  TELEGRAM_MESSAGE_UPDATE: 'telegram:message:update',
+  TELEGRAM_CHAT_UPDATE: 'telegram:chat:update',
+  TELEGRAM_STATUS: 'telegram_status',
+
+  // Slack events
+  SLACK_MESSAGE: 'slack:message',
+  SLACK_MESSAGE_UPDATE: 'slack:message:update',
+  SLACK_CHANNEL_UPDATE: 'slack:channel:update',
+  SLACK_STATUS: 'slack_status',
+
+  // Workspace events, sent to the workspace:<id> room
+  WORKSPACE_ASSIGNMENT_UPDATE: 'workspace:assignment',
+  WORKSPACE_MEMBER_UPDATE: 'workspace:member',
+
+  // Sync events
+  SYNC_REQUEST: 'sync_request',
+  SYNC_COMPLETE: 'sync_complete',
+
   // Status events
   STATUS_UPDATE: 'status_update',
   RATE_LIMIT: 'rate_limit',
@@ -27,40 +110,333 @@ export const SocketEvents = {
   BATCH_END: 'batch_end'
 };
 
+// Events socket.io raises locally; their arguments aren't server payloads
+const LOCAL_EVENTS = new Set([
+  SocketEvents.CONNECT,
+  SocketEvents.CONNECTING,
+  SocketEvents.DISCONNECT,
+  SocketEvents.CONNECT_ERROR,
+  SocketEvents.RECONNECT,
+  SocketEvents.RECONNECT_ATTEMPT,
+  SocketEvents.RECONNECT_ERROR,
+  SocketEvents.RECONNECT_FAILED
+]);
+
+/*
+ * Schema descriptors. Objects only check the fields they list, so the server
+ * can add fields without breaking older clients.
+ */
+const string = { type: 'string' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const any = { type: 'any' };
+// Ids arrive as strings from Matrix and Slack but as numbers from Telegram
+const id = { type: 'id' };
+const timestamp = { type: 'timestamp' };
+const none = { type: 'none' };
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (fields = {}) => ({ type: 'object', fields });
+const arrayOf = (items) => ({ type: 'array', items });
+const oneOf = (values) => ({ type: 'enum', values });
+
+const userScoped = (fields = {}) => object({ userId: optional(id), ...fields });
+
+const messageBody = object({
+  id: optional(id),
+  message_id: optional(id),
+  content: optional(nullable(any)),
+  timestamp: optional(nullable(timestamp))
+});
+
+// Bot API messages carry message_id; the server's own records use id
+const telegramMessage = object({
+  id: optional(id),
+  message_id: optional(id),
+  text: optional(nullable(string))
+});
+
+const statusPayload = object({
+  status: string,
+  bridgeRoomId: optional(nullable(string)),
+  error: optional(nullable(any))
+});
+
+const setupStatusPayload = object({
+  state: optional(string),
+  phoneNumber: optional(nullable(string)),
+  bridgeRoomId: optional(nullable(string))
+});
+
+const qrPayload = object({
+  qrCode: optional(string),
+  roomId: optional(nullable(string))
+});
+
+const errorPayload = object({ message: optional(string) });
+
+const syncStatusPayload = userScoped({
+  state: optional(string),
+  progress: optional(number),
+  details: optional(nullable(string)),
+  error: optional(nullable(any))
+});
+
 // Socket event schemas
 export const EventSchemas = {
-  [SocketEvents.DISCORD_SERVER_UPDATE]: {
-    id: 'string',
-    name: 'string',
-    icon: 'string'
-  },
-  [SocketEvents.DISCORD_DM_UPDATE]: {
-    id: 'string',
-    recipients: 'object'
-  },
-  [SocketEvents.RATE_LIMIT]: {
-    retryAfter: 'number',
-    scope: 'string'
-  },
-  [SocketEvents.STATUS_UPDATE]: {
-    status: 'string',
-    message: 'string'
+  [SocketEvents.AUTHENTICATE]: object({
+    token: optional(string),
+    userId: id,
+    protocolVersion: number,
+    supportedVersions: optional(arrayOf(number))
+  }),
+  [SocketEvents.AUTH_SUCCESS]: optional(object({
+    userId: optional(id),
+    protocolVersion: optional(number)
+  })),
+  [SocketEvents.AUTH_ERROR]: object({
+    message: optional(string),
+    retryable: optional(boolean),
+    retryCount: optional(number),
+    nextRetryDelay: optional(number)
+  }),
+  [SocketEvents.AUTH_REFRESH]: optional(object({ token: optional(string) })),
+  [SocketEvents.SESSION_REVOKED]: object({
+    sessionId: optional(string),
+    all: optional(boolean)
+  }),
+  [SocketEvents.CONNECTION_DUPLICATE]: optional(object({ socketId: optional(string) })),
+  [SocketEvents.HEARTBEAT]: optional(object({ timestamp: optional(timestamp) })),
+  [SocketEvents.HEARTBEAT_ACK]: none,
+
+  [SocketEvents.JOIN_ROOM]: string,
+  [SocketEvents.ROOM_JOIN]: string,
+  [SocketEvents.ROOM_LEAVE]: string,
+  [SocketEvents.ROOM_JOINED]: object({ roomId: string }),
+  [SocketEvents.ROOM_LEFT]: object({ roomId: string }),
+  [SocketEvents.ROOM_ERROR]: object({ roomId: string, error: optional(any) }),
+
+  [SocketEvents.DISCORD_MESSAGE]: object({
+    message: object({ channelId: id })
+  }),
+  [SocketEvents.DISCORD_STATUS]: statusPayload,
+  [SocketEvents.DISCORD_SERVER_UPDATE]: object({
+    id: string,
+    name: string,
+    icon: nullable(string)
+  }),
+  [SocketEvents.DISCORD_SERVER_REMOVE]: string,
+  [SocketEvents.DISCORD_DM_UPDATE]: object({
+    id: string,
+    recipients: arrayOf(object({ id: string }))
+  }),
+  [SocketEvents.DISCORD_CHANNEL_UPDATE]: object({ id: string }),
+  [SocketEvents.DISCORD_MESSAGE_UPDATE]: object({ id: string }),
+
+  [SocketEvents.WHATSAPP_MESSAGE]: object({
+    contactId: id,
+    message: messageBody
+  }),
+  [SocketEvents.WHATSAPP_MESSAGE_UPDATE]: object({
+    contactId: id,
+    id: id,
+    type: optional(oneOf(['edit', 'redaction', 'reaction', 'status'])),
+    content: optional(nullable(any)),
+    editedAt: optional(nullable(timestamp)),
+    key: optional(string),
+    senderId: optional(string),
+    action: optional(oneOf(['add', 'remove'])),
+    status: optional(string)
+  }),
+  [SocketEvents.WHATSAPP_MESSAGE_UPDATE_LEGACY]: object({ id: optional(id) }),
+  [SocketEvents.WHATSAPP_CONTACT_UPDATE]: object({
+    contactId: id,
+    contact: object({ id: id })
+  }),
+  [SocketEvents.WHATSAPP_MEMBERSHIP_UPDATE]: object({
+    contactId: id,
+    membership: string
+  }),
+  [SocketEvents.WHATSAPP_NEW_CONTACT]: object({
+    id: id,
+    display_name: optional(nullable(string))
+  }),
+  [SocketEvents.WHATSAPP_SYNC_PROGRESS]: userScoped({
+    progress: number,
+    details: optional(nullable(string))
+  }),
+  [SocketEvents.WHATSAPP_SYNC_COMPLETE]: userScoped(),
+  [SocketEvents.WHATSAPP_SYNC_ERROR]: userScoped({ error: optional(nullable(any)) }),
+  [SocketEvents.WHATSAPP_SYNC_STATE]: syncStatusPayload,
+  [SocketEvents.WHATSAPP_SYNC_STATUS]: syncStatusPayload,
+  [SocketEvents.WHATSAPP_CRITICAL_ERROR]: errorPayload,
+  [SocketEvents.WHATSAPP_ERROR]: errorPayload,
+  [SocketEvents.WHATSAPP_STATUS]: statusPayload,
+  [SocketEvents.WHATSAPP_STATUS_LEGACY]: userScoped({ status: optional(string) }),
+  [SocketEvents.WHATSAPP_SETUP_STATUS]: setupStatusPayload,
+  [SocketEvents.WHATSAPP_QR]: qrPayload,
+  [SocketEvents.WHATSAPP_QRCODE]: qrPayload,
+  [SocketEvents.WHATSAPP_QR_SCANNED]: optional(any),
+  [SocketEvents.WHATSAPP_CONNECTED]: object({
+    phoneNumber: optional(nullable(string)),
+    bridgeRoomId: optional(nullable(string))
+  }),
+  [SocketEvents.WHATSAPP_CONNECT]: optional(any),
+  [SocketEvents.WHATSAPP_STATUS_CHECK]: optional(any),
+  [SocketEvents.WHATSAPP_SYNC_START]: optional(any),
+  [SocketEvents.WHATSAPP_REQUEST_SYNC]: optional(any),
+  [SocketEvents.MATRIX_STATE_CHANGE]: object({ health: optional(any) }),
+
+  [SocketEvents.TELEGRAM_MESSAGE]: object({
+    chatId: id,
+    message: telegramMessage
+  }),
+  [SocketEvents.TELEGRAM_MESSAGE_UPDATE]: object({
+    chatId: id,
+    message: telegramMessage
+  }),
+  [SocketEvents.TELEGRAM_CHAT_UPDATE]: object({
+    chat: object({ id: id })
+  }),
+  [SocketEvents.TELEGRAM_STATUS]: statusPayload,
+
+  [SocketEvents.SLACK_MESSAGE]: object({
+    channelId: id,
+    message: object({ ts: string, thread_ts: optional(nullable(string)) })
+  }),
+  [SocketEvents.SLACK_MESSAGE_UPDATE]: object({
+    channelId: id,
+    message: object({ ts: string })
+  }),
+  [SocketEvents.SLACK_CHANNEL_UPDATE]: object({
+    channel: object({ id: id })
+  }),
+  [SocketEvents.SLACK_STATUS]: statusPayload,
+
+  [SocketEvents.WORKSPACE_ASSIGNMENT_UPDATE]: object({
+    workspaceId: id,
+    assignment: object({
+      platform: string,
+      contact_id: id,
+      assignee_id: optional(nullable(id))
+    })
+  }),
+  [SocketEvents.WORKSPACE_MEMBER_UPDATE]: object({
+    workspaceId: id,
+    userId: id,
+    action: oneOf(['added', 'updated', 'removed'])
+  }),
+
+  [SocketEvents.SYNC_REQUEST]: none,
+  [SocketEvents.SYNC_COMPLETE]: optional(any),
+
+  [SocketEvents.RATE_LIMIT]: object({
+    retryAfter: number,
+    scope: string
+  }),
+  [SocketEvents.STATUS_UPDATE]: object({
+    status: string,
+    message: string
+  }),
+  [SocketEvents.ERROR]: optional(any),
+
+  [SocketEvents.MESSAGE_PROCESSED]: optional(any),
+  [SocketEvents.BATCH_START]: object({ size: number }),
+  [SocketEvents.BATCH_END]: none
+};
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Collects `path: problem` strings for everything in value that breaks schema
+const checkSchema = (schema, value, path, errors) => {
+  if (value === undefined) {
+    if (!schema.optional && schema.type !== 'none') {
+      errors.push(`${path}: is required`);
+    }
+    return;
+  }
+  if (value === null) {
+    if (!schema.nullable && schema.type !== 'any') {
+      errors.push(`${path}: must not be null`);
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      return;
+    case 'none':
+      errors.push(`${path}: expected no payload, got ${describe(value)}`);
+      return;
+    case 'id':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`${path}: expected id, got ${describe(value)}`);
+      }
+      return;
+    case 'timestamp':
+      if (Number.isNaN(new Date(value).getTime())) {
+        errors.push(`${path}: expected timestamp, got ${JSON.stringify(value)}`);
+      }
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${path}: expected one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected array, got ${describe(value)}`);
+        return;
+      }
+      value.forEach((item, index) => checkSchema(schema.items, item, `${path}[${index}]`, errors));
+      return;
+    case 'object':
+      if (describe(value) !== 'object') {
+        errors.push(`${path}: expected object, got ${describe(value)}`);
+        return;
+      }
+      Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+        checkSchema(fieldSchema, value[key], `${path}.${key}`, errors);
+      });
+      return;
+    default:
+      if (typeof value !== schema.type) {
+        errors.push(`${path}: expected ${schema.type}, got ${describe(value)}`);
+      }
   }
 };
 
-// Validate socket event data
-export const validateEventData = (eventName, data) => {
+export const isRegisteredEvent = (eventName) => eventName in EventSchemas || LOCAL_EVENTS.has(eventName);
+
+/**
+ * Everything wrong with a payload, as `path: problem` strings. Local
+ * socket.io events are never checked; unregistered events are an error.
+ */
+export const getValidationErrors = (eventName, data) => {
+  if (LOCAL_EVENTS.has(eventName)) return [];
   const schema = EventSchemas[eventName];
-  if (!schema) return true; // No schema defined means no validation needed
+  if (!schema) return [`${eventName} is not a registered event`];
 
-  if (!data || typeof data !== 'object') return false;
+  const errors = [];
+  checkSchema(schema, data, 'payload', errors);
+  return errors;
+};
 
-  for (const [key, type] of Object.entries(schema)) {
-    if (!(key in data)) return false;
-    if (typeof data[key] !== type) return false;
-  }
+// Validate socket event data
+export const validateEventData = (eventName, data) => getValidationErrors(eventName, data).length === 0;
 
-  return true;
+/**
+ * Picks the version to speak from what the server reported in auth:success.
+ * Returns null when the server only speaks versions this client can't read.
+ */
+export const negotiateProtocolVersion = (serverVersion) => {
+  if (serverVersion == null) return LEGACY_PROTOCOL_VERSION;
+  const version = Math.min(serverVersion, PROTOCOL_VERSION);
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version) ? version : null;
 };
 
 // Socket connection options
@@ -80,24 +456,62 @@ export const getConnectionOptions = (token, platform, userId) => ({
   pingTimeout: 5000
 });
 
-// Event handler wrapper with validation and error handling
+/**
+ * Wraps a listener so malformed payloads are dropped and reported to the
+ * diagnostics view, and a throwing handler can't take the component down.
+ */
 export const createEventHandler = (eventName, handler) => {
-  return (data) => {
-    try {
-      // Validate event data
-      if (!validateEventData(eventName, data)) {
-        console.warn(`Invalid data received for event ${eventName}:`, data);
-        return;
-      }
+  return (data, ...rest) => {
+    const errors = getValidationErrors(eventName, data);
+    if (errors.length) {
+      logger.warn(`[SocketEvents] Rejected ${eventName} payload:`, errors);
+      socketEventDiagnostics.recordRejected(eventName, data, errors);
+      return;
+    }
 
-      // Call handler with validated data
-      handler(data);
+    try {
+      handler(data, ...rest);
     } catch (error) {
-      console.error(`Error handling ${eventName} event:`, error);
+      logger.error(`[SocketEvents] Error handling ${eventName} event:`, error);
+      socketEventDiagnostics.recordHandlerError(eventName, data, error);
     }
   };
 };
 
+/**
+ * Emits an event after checking its payload against the contract.
+ * Malformed payloads are never sent; returns whether the event went out.
+ */
+export const emitEvent = (socket, eventName, data, ...rest) => {
+  const errors = getValidationErrors(eventName, data);
+  if (errors.length) {
+    logger.error(`[SocketEvents] Refused to emit malformed ${eventName}:`, errors);
+    socketEventDiagnostics.recordRejected(eventName, data, errors, 'outgoing');
+    return false;
+  }
+  if (!socket) return false;
+
+  if (data === undefined) {
+    socket.emit(eventName, ...rest);
+  } else {
+    socket.emit(eventName, data, ...rest);
+  }
+  return true;
+};
+
+/**
+ * Listens for several events through createEventHandler on a socket other
+ * than socketManager's, for components that still open their own
+ * @param {Object<string, Function>} handlers - SocketEvents name -> handler
+ * @returns {Function} removes exactly the listeners added here
+ */
+export const addEventHandlers = (socket, handlers) => {
+  const listeners = Object.entries(handlers)
+    .map(([eventName, handler]) => [eventName, createEventHandler(eventName, handler)]);
+  listeners.forEach(([eventName, listener]) => socket.on(eventName, listener));
+  return () => listeners.forEach(([eventName, listener]) => socket.off(eventName, listener));
+};
+
 // Batch processing helper
 export const processBatch = async (socket, events, batchSize = 10) => {
   const results = [];
@@ -0,0 +1,33 @@
+export const SUMMARY_SECTIONS = [
+  { key: 'mainPoints', label: 'Main Points' },
+  { key: 'actionItems', label: 'Action Items' },
+  { key: 'keyDecisions', label: 'Key Decisions' }
+];
+
+// Summaries are regenerated by a model, so the same point often comes back
+// with different casing or punctuation
+export const normalizeSummaryItem = (text) => (
+  String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim()
+);
+
+/**
+ * Compares two summaries section by section
+ * @param {Object|null} previous - Older summary's `sections`
+ * @param {Object} current - Newer summary's `sections`
+ * @returns {Object} sectionKey -> { added: string[], removed: string[], unchanged: string[] }
+ */
+export const diffSummaries = (previous, current) => (
+  SUMMARY_SECTIONS.reduce((diff, { key }) => {
+    const before = previous?.[key] || [];
+    const after = current?.[key] || [];
+    const beforeKeys = new Set(before.map(normalizeSummaryItem));
+    const afterKeys = new Set(after.map(normalizeSummaryItem));
+
+    diff[key] = {
+      added: previous ? after.filter(item => !beforeKeys.has(normalizeSummaryItem(item))) : [],
+      removed: before.filter(item => !afterKeys.has(normalizeSummaryItem(item))),
+      unchanged: previous ? after.filter(item => beforeKeys.has(normalizeSummaryItem(item))) : after
+    };
+    return diff;
+  }, {})
+);
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { createEncryptedStorage } from './secureStorage';
 
 let supabaseInstance = null;
 
@@ -10,6 +11,8 @@ export const getSupabaseClient = () => {
       {
         auth: {
           persistSession: true,
+          // Supabase keeps its own copy of the tokens; encrypt that one too
+          storage: createEncryptedStorage(),
           autoRefreshToken: true,
           detectSessionInUrl: true
         }
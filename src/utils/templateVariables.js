@@ -0,0 +1,79 @@
+export const TEMPLATE_PLATFORMS = ['whatsapp', 'discord', 'telegram', 'slack'];
+
+// Variables offered in the template editor
+export const TEMPLATE_VARIABLES = [
+  { key: 'contact.display_name', label: 'Contact name' },
+  { key: 'contact.first_name', label: 'Contact first name' },
+  { key: 'agent.name', label: 'Your name' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export const getAgentName = (user) => (
+  user?.user_metadata?.full_name ||
+  user?.user_metadata?.name ||
+  user?.email?.split('@')[0] ||
+  ''
+);
+
+/**
+ * Builds the values templates can refer to
+ * @param {Object} params
+ * @param {Object} [params.contact] - Anything with a display_name
+ * @param {Object} [params.user] - Supabase user of the agent
+ */
+export const buildTemplateContext = ({ contact, user } = {}) => {
+  const displayName = contact?.display_name || '';
+  return {
+    contact: {
+      display_name: displayName,
+      first_name: displayName.split(/\s+/)[0] || ''
+    },
+    agent: {
+      name: getAgentName(user)
+    }
+  };
+};
+
+/**
+ * Fills `{{path}}` placeholders from the context. Placeholders without a
+ * value are left in place so the agent sees what still needs filling in.
+ */
+export const renderTemplate = (body, context) => (
+  body.replace(VARIABLE_PATTERN, (placeholder, path) => {
+    const value = path.split('.').reduce((current, key) => current?.[key], context);
+    return value ? String(value) : placeholder;
+  })
+);
+
+export const isTemplateAvailable = (template, platform) => (
+  !platform || !template.platforms.length || template.platforms.includes(platform)
+);
+
+/**
+ * Templates matching a slash-command query, most used first
+ * @param {Object[]} templates
+ * @param {string} query - Text typed after the slash
+ * @param {string} [platform]
+ */
+export const searchTemplates = (templates, query, platform) => {
+  const needle = query.toLowerCase();
+  return templates
+    .filter(template => isTemplateAvailable(template, platform))
+    .filter(template => !needle ||
+      template.shortcut?.toLowerCase().startsWith(needle) ||
+      template.name.toLowerCase().includes(needle) ||
+      template.category?.toLowerCase().includes(needle))
+    .sort((a, b) => b.usageCount - a.usageCount || a.name.localeCompare(b.name));
+};
+
+// Groups templates by category for the library view
+export const groupTemplatesByCategory = (templates) => {
+  const groups = new Map();
+  templates.forEach(template => {
+    const category = template.category || 'Uncategorized';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(template);
+  });
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+};
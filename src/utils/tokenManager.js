@@ -1,5 +1,6 @@
 import logger from './logger';
 import { supabase } from './supabase';
+import { authStorage } from './secureStorage';
 
 class TokenManager {
   constructor() {
@@ -8,13 +9,11 @@ class TokenManager {
 
   async getValidToken(userId = 'default', forceRefresh = false) {
     try {
-      // Try to get token from localStorage first
-      const dailyfixAuth = localStorage.getItem('dailyfix_auth');
-      const accessToken = localStorage.getItem('access_token');
+      // Try the stored session first
+      const dailyfixAuth = authStorage.get();
 
       logger.info('[TokenManager] Checking tokens:', {
         hasDailyfixAuth: !!dailyfixAuth,
-        hasAccessToken: !!accessToken,
         userId,
         forceRefresh
       });
@@ -27,11 +26,6 @@ class TokenManager {
         }
       }
 
-      if (accessToken && !forceRefresh) {
-        logger.info('[TokenManager] Using token from access_token');
-        return accessToken;
-      }
-
       // If we get here, we need to refresh the token
       logger.info('[TokenManager] No valid token found, attempting refresh');
       return this.refreshToken(userId);
@@ -44,7 +38,7 @@ class TokenManager {
   async refreshToken(userId = 'default') {
     try {
       // Get refresh token from storage
-      const dailyfixAuth = localStorage.getItem('dailyfix_auth');
+      const dailyfixAuth = authStorage.get();
       if (!dailyfixAuth) {
         throw new Error('No refresh token available');
       }
@@ -80,8 +74,7 @@ class TokenManager {
         user: session.user
       };
 
-      localStorage.setItem('dailyfix_auth', JSON.stringify(newAuthData));
-      localStorage.setItem('access_token', session.access_token);
+      authStorage.set(JSON.stringify(newAuthData));
 
       logger.info('[TokenManager] Token refreshed successfully');
       return session.access_token;
@@ -93,7 +86,8 @@ class TokenManager {
 
   clearTokens(userId = 'default') {
     try {
-      localStorage.removeItem('dailyfix_auth');
+      authStorage.remove();
+      // Left in clear text by earlier versions
       localStorage.removeItem('access_token');
       this.tokens.delete(userId);
       logger.info('[TokenManager] Tokens cleared for user:', userId);
@@ -1,5 +1,7 @@
 import { useEffect, useState } from 'react';
 import { useSocket } from './socket';
+import { SocketEvents, addEventHandlers } from './socketEvents';
+import { tokenManager } from './tokenManager';
 
 const STATUS_CACHE_KEY = 'whatsapp_status_cache';
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -38,7 +40,7 @@ export class WhatsAppStatusManager {
     try {
       const response = await fetch('/api/matrix/whatsapp/status', {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+          'Authorization': `Bearer ${await tokenManager.getValidToken()}`
         }
       });
 
@@ -103,23 +105,23 @@ function useWhatsAppStatus(userId) {
 
     checkStatus();
 
-    if (socket) {
-      socket.on('whatsapp_status', (newStatus) => {
-        if (mounted && newStatus.userId === userId) {
-          statusManager.updateCache(userId, newStatus);
-          setStatus(newStatus);
-        }
-      });
+    const handleStatus = (newStatus) => {
+      if (mounted && newStatus.userId === userId) {
+        statusManager.updateCache(userId, newStatus);
+        setStatus(newStatus);
+      }
+    };
 
-      socket.on('connect', checkStatus);
-    }
+    const removeHandlers = socket
+      ? addEventHandlers(socket, {
+        [SocketEvents.WHATSAPP_STATUS_LEGACY]: handleStatus,
+        [SocketEvents.CONNECT]: checkStatus
+      })
+      : null;
 
     return () => {
       mounted = false;
-      if (socket) {
-        socket.off('whatsapp_status');
-        socket.off('connect');
-      }
+      removeHandlers?.();
     };
   }, [userId, socket]);
 